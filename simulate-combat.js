@@ -0,0 +1,100 @@
+/**
+ * Headless combat simulator - batch balance runs under Node
+ * Plays N fights of a party preset against an encounter table and prints JSON stats
+ *
+ * Usage:
+ *   node simulate-combat.js --preset balanced --table crypt-of-shadows-floor-1 --iterations 1000
+ *
+ * Options:
+ *   --preset <id>       PARTY_PRESETS id (balanced, combat, magic, stealth)   [balanced]
+ *   --table <id>        Encounter table (level) id                            [crypt-of-shadows-floor-1]
+ *   --encounter <id>    Fixed encounter within the table (weighted pick when omitted)
+ *   --iterations <n>    Number of fights                                      [100]
+ *   --level <n>         Party level                                           [table minLevel]
+ *   --potions <n>       Health potions available per fight                    [3]
+ *   --seed <value>      Master RNG seed                                       [Date.now()]
+ *   --ai <archetype>    Party AI archetype (AGGRESSIVE, DEFENSIVE, TACTICAL, BERSERKER) [TACTICAL]
+ *   --max-rounds <n>    Rounds before a fight counts as a timeout             [50]
+ *   --verbose           Keep engine console output
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+
+// The engine only needs window event dispatch — no DOM or renderer
+const eventTarget = new EventTarget();
+globalThis.window = globalThis;
+globalThis.addEventListener = eventTarget.addEventListener.bind(eventTarget);
+globalThis.removeEventListener = eventTarget.removeEventListener.bind(eventTarget);
+globalThis.dispatchEvent = eventTarget.dispatchEvent.bind(eventTarget);
+
+const args = parseArgs(process.argv.slice(2));
+
+const report = console.log.bind(console);
+if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.info = () => {};
+    console.debug = () => {};
+}
+
+const { CombatSimulator } = await import('./src/engine/balance/CombatSimulator.js');
+
+try {
+    const simulator = new CombatSimulator({
+        partyArchetype: args.ai ?? 'TACTICAL',
+        maxRounds: toNumber(args['max-rounds'])
+    });
+    loadEncounterTables(simulator.encounterSystem);
+
+    const result = await simulator.runBatch({
+        preset: args.preset ?? 'balanced',
+        table: args.table ?? 'crypt-of-shadows-floor-1',
+        encounter: args.encounter,
+        iterations: toNumber(args.iterations),
+        level: toNumber(args.level),
+        potions: toNumber(args.potions),
+        seed: args.seed
+    });
+
+    report(JSON.stringify(result, null, 2));
+} catch (error) {
+    console.error(`❌ Simulation failed: ${error.message}`);
+    process.exitCode = 1;
+}
+
+/**
+ * Register the same tables the game loads: campaigns/<id>/encounters.json,
+ * then inline level encounterTable blocks (which win, as in-game)
+ */
+function loadEncounterTables(encounterSystem) {
+    for (const campaign of readdirSync('./campaigns', { withFileTypes: true })) {
+        const path = `./campaigns/${campaign.name}/encounters.json`;
+        if (campaign.isDirectory() && existsSync(path)) {
+            encounterSystem.registerCampaignTables(JSON.parse(readFileSync(path, 'utf8')), campaign.name);
+        }
+    }
+    for (const file of readdirSync('./levels').filter(f => f.endsWith('.json'))) {
+        encounterSystem.registerLevelTable(JSON.parse(readFileSync(`./levels/${file}`, 'utf8')));
+    }
+}
+
+function parseArgs(argv) {
+    const parsed = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            parsed[key] = true;
+        } else {
+            parsed[key] = next;
+            i++;
+        }
+    }
+    return parsed;
+}
+
+function toNumber(value) {
+    return value === undefined ? undefined : Number(value);
+}
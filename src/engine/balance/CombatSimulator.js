@@ -0,0 +1,340 @@
+/**
+ * CombatSimulator - Headless batch runner for combat balance
+ * Plays full fights through CombatSystem with EnemyAI deciding for both sides,
+ * so balance numbers come from the real combat rules instead of live play.
+ * Needs no DOM or renderer — only window event dispatch (see simulate-combat.js).
+ */
+
+import { CombatSystem } from '../combat/CombatSystem.js';
+import { EnemyAI } from '../combat/EnemyAI.js';
+import { statusEffectRegistry } from '../combat/StatusEffectRegistry.js';
+import { Character } from '../character/Character.js';
+import { PartyManager } from '../character/PartyManager.js';
+import { PARTY_PRESETS } from '../character/PartyPresets.js';
+import { EncounterSystem } from '../systems/EncounterSystem.js';
+import { InventorySystem } from '../inventory/InventorySystem.js';
+import { itemDatabase } from '../inventory/ItemDatabase.js';
+import { rng } from '../utils/RNG.js';
+
+export class CombatSimulator {
+  constructor(options = {}) {
+    this.combatSystem = options.combatSystem ?? new CombatSystem();
+    this.encounterSystem = new EncounterSystem(this.combatSystem, null);
+
+    // Party members are steered by the same AI the enemies use
+    this.partyAI = new EnemyAI(options.partyArchetype ?? 'TACTICAL');
+
+    // Fights that run past this many rounds are recorded as timeouts
+    this.maxRounds = options.maxRounds ?? 50;
+
+    // Headless: no pacing delays between steps
+    this.combatSystem.animationsEnabled = false;
+    this.combatSystem.turnStartDelay = 0;
+    this.combatSystem.battleExecutor.hitStopDuration = 0;
+
+    this._fight = null;
+    this._onCombatEvent = (event) => this.handleCombatEvent(event.detail);
+  }
+
+  /**
+   * Run a batch of fights and aggregate the results
+   * @param {Object} config - Batch configuration
+   * @param {string} config.preset - PARTY_PRESETS id
+   * @param {string} config.table - Encounter table id (e.g. 'crypt-of-shadows-floor-1')
+   * @param {string} [config.encounter] - Encounter id within the table (weighted pick when omitted)
+   * @param {number} [config.iterations] - Number of fights
+   * @param {number} [config.level] - Party level (defaults to the table's minLevel)
+   * @param {number} [config.potions] - Health potions in the shared inventory per fight
+   * @param {number|string} [config.seed] - Master RNG seed
+   * @returns {Promise<Object>} Aggregated report
+   */
+  async runBatch(config) {
+    const preset = PARTY_PRESETS.find(p => p.id === config.preset);
+    if (!preset) {
+      throw new Error(`Unknown party preset: ${config.preset}`);
+    }
+
+    const table = this.encounterSystem.encounterTables.get(config.table);
+    if (!table) {
+      throw new Error(`Unknown encounter table: ${config.table}`);
+    }
+
+    const fixedEncounter = config.encounter
+      ? table.encounters.find(e => e.id === config.encounter)
+      : null;
+    if (config.encounter && !fixedEncounter) {
+      throw new Error(`Unknown encounter '${config.encounter}' in table ${config.table}`);
+    }
+
+    const iterations = config.iterations ?? 100;
+    const level = config.level ?? table.minLevel;
+    const potions = config.potions ?? 3;
+    const seed = config.seed ?? Date.now();
+    rng.setSeed(seed);
+
+    const fights = [];
+    for (let i = 0; i < iterations; i++) {
+      const encounter = fixedEncounter ?? this.encounterSystem._pickFromTable(table);
+      const party = this.createParty(preset, level);
+      const enemies = this.encounterSystem.createEnemyInstances(encounter.enemies);
+      const inventory = this.createInventory(potions);
+
+      const fight = await this.runFight(party, enemies, inventory);
+      fight.encounter = encounter.id;
+      fights.push(fight);
+    }
+
+    return this.buildReport(fights, {
+      preset: preset.id,
+      table: config.table,
+      encounter: fixedEncounter?.id ?? null,
+      level,
+      potionStock: potions,
+      seed: String(seed),
+      partyArchetype: this.partyAI.archetype,
+      iterations
+    });
+  }
+
+  /**
+   * Build a fresh party from a preset
+   * @param {Object} preset - PARTY_PRESETS entry
+   * @param {number} level - Target level for every member
+   * @returns {PartyManager} Party manager with all members added
+   */
+  createParty(preset, level) {
+    const party = new PartyManager();
+    for (const member of preset.members) {
+      const character = new Character(member.class, member.name);
+      while (character.level < level) {
+        character.levelUp();
+      }
+      party.addCharacter(character, member.slot);
+    }
+    return party;
+  }
+
+  /**
+   * Build the shared inventory the party draws potions from
+   * @param {number} potions - Number of health potions
+   * @returns {InventorySystem} Inventory
+   */
+  createInventory(potions) {
+    const inventory = new InventorySystem(8);
+    if (potions > 0) {
+      inventory.addItem(itemDatabase.createItem('health_potion'), potions);
+    }
+    return inventory;
+  }
+
+  /**
+   * Play a single fight to completion
+   * @param {PartyManager} party - Player party
+   * @param {Array} enemies - Enemy instances
+   * @param {InventorySystem} inventory - Shared inventory
+   * @returns {Promise<Object>} Fight record
+   */
+  runFight(party, enemies, inventory) {
+    return new Promise((resolve, reject) => {
+      this._fight = {
+        party,
+        enemies,
+        inventory,
+        driving: false,
+        record: {
+          result: null,
+          rounds: 0,
+          actions: 0,
+          potionsUsed: 0,
+          damageDealt: {},
+          damageTaken: {}
+        },
+        resolve
+      };
+
+      window.addEventListener('combatEvent', this._onCombatEvent);
+      if (!this.combatSystem.initializeCombat(party, enemies)) {
+        window.removeEventListener('combatEvent', this._onCombatEvent);
+        this._fight = null;
+        reject(new Error('Combat failed to initialize'));
+      }
+    });
+  }
+
+  /**
+   * React to CombatSystem events for the fight in progress
+   * @param {{type: string, data: Object}} detail - combatEvent detail
+   */
+  handleCombatEvent({ type, data }) {
+    const fight = this._fight;
+    if (!fight) return;
+
+    switch (type) {
+      case 'turnStarted':
+        if (this.combatSystem.turnNumber > this.maxRounds) {
+          this.combatSystem.endCombat('timeout');
+          return;
+        }
+        if (this.combatSystem.combatState === 'PLAYER_TURN') {
+          // Deferred like UI input — the previous actor's processAction is still unwinding
+          const character = this.combatSystem.currentCharacter;
+          setTimeout(() => this.playPartyTurn(character), 0);
+        }
+        break;
+
+      case 'actionExecuted':
+        this.recordAction(fight.record, data);
+        break;
+
+      case 'combatEnded':
+        fight.record.result = data.result;
+        fight.record.rounds = data.turnNumber;
+        window.removeEventListener('combatEvent', this._onCombatEvent);
+        this._fight = null;
+        // Let in-flight action promises settle before the next fight starts
+        setTimeout(() => fight.resolve(fight.record), 0);
+        break;
+    }
+  }
+
+  /**
+   * Take actions for a party member until their AP runs out
+   * @param {Object} character - Party member whose turn it is
+   */
+  async playPartyTurn(character) {
+    const fight = this._fight;
+    const combat = this.combatSystem;
+    if (!fight || fight.driving || !character?.isAlive()) return;
+
+    // Stunned/frozen characters forfeit the turn inside CombatSystem
+    if (statusEffectRegistry.getTurnLock(character)) return;
+
+    fight.driving = true;
+    try {
+      while (combat.isActive && combat.currentCharacter === character && character.currentAP > 0) {
+        const decision = this.selectPartyAction(character, fight);
+        if (!decision) {
+          combat.skipTurn();
+          break;
+        }
+
+        const result = await combat.processAction(character, decision.action, decision.target);
+        if (!result.success) {
+          if (combat.isActive && combat.currentCharacter === character) combat.skipTurn();
+          break;
+        }
+
+        if (decision.action.type === 'item') {
+          fight.inventory.removeItem(decision.action.inventorySlotIndex, 1);
+          fight.record.potionsUsed++;
+        }
+      }
+    } finally {
+      fight.driving = false;
+    }
+  }
+
+  /**
+   * Let the party AI pick an action, seen from the party's side of the field
+   * @param {Object} character - Acting party member
+   * @param {Object} fight - Fight in progress
+   * @returns {Object|null} {action, target, score} or null
+   */
+  selectPartyAction(character, fight) {
+    const allies = fight.party.getAliveMembers();
+    // Read from CombatSystem so boss summons are valid targets too
+    const opponents = {
+      getAliveMembers: () => this.combatSystem.enemies.filter(e => e.isAlive())
+    };
+    const woundedAlly = allies.some(ally => ally.getHPPercentage() < 0.5);
+
+    const actions = this.combatSystem.getAvailableActions(character, fight.inventory)
+      .filter(action => action.type !== 'flee')
+      // Back-row melee always fails in ActionSystem.executeAttack — don't waste AP on it
+      .filter(action => action.type !== 'attack' || character.row !== 'back' || action.ranged)
+      .filter(action => action.type !== 'item' || (woundedAlly && this.isHealingItem(action.itemData)))
+      .map(action => action.type === 'item' ? { ...action, effects: ['healing'] } : action);
+
+    return this.partyAI.selectAction(character, opponents, allies, actions);
+  }
+
+  /**
+   * @param {Object} item - Item data
+   * @returns {boolean} True if the item restores HP
+   */
+  isHealingItem(item) {
+    return !!item?.effects?.some(effect => effect.type === 'heal');
+  }
+
+  /**
+   * Tally damage from an actionExecuted event
+   * @param {Object} record - Fight record
+   * @param {Object} data - actionExecuted payload
+   */
+  recordAction(record, data) {
+    record.actions++;
+
+    const attackerKey = data.character.class ?? 'enemy';
+    for (const entry of data.result?.damage ?? []) {
+      const amount = entry.damage ?? 0;
+      const targetKey = entry.target?.class ?? 'enemy';
+      record.damageDealt[attackerKey] = (record.damageDealt[attackerKey] ?? 0) + amount;
+      record.damageTaken[targetKey] = (record.damageTaken[targetKey] ?? 0) + amount;
+    }
+  }
+
+  /**
+   * Aggregate fight records into the batch report
+   * @param {Array} fights - Fight records
+   * @param {Object} meta - Batch configuration echoed into the report
+   * @returns {Object} Report
+   */
+  buildReport(fights, meta) {
+    const count = fights.length || 1;
+    const outcomes = {};
+    const encounters = {};
+    const dealt = {};
+    const taken = {};
+    let totalRounds = 0;
+    let totalPotions = 0;
+
+    for (const fight of fights) {
+      outcomes[fight.result] = (outcomes[fight.result] ?? 0) + 1;
+      encounters[fight.encounter] = (encounters[fight.encounter] ?? 0) + 1;
+      totalRounds += fight.rounds;
+      totalPotions += fight.potionsUsed;
+      for (const [key, amount] of Object.entries(fight.damageDealt)) {
+        dealt[key] = (dealt[key] ?? 0) + amount;
+      }
+      for (const [key, amount] of Object.entries(fight.damageTaken)) {
+        taken[key] = (taken[key] ?? 0) + amount;
+      }
+    }
+
+    const round2 = value => Math.round(value * 100) / 100;
+    const perFight = totals => Object.fromEntries(
+      Object.entries(totals).map(([key, amount]) => [key, round2(amount / count)])
+    );
+    const rounds = fights.map(f => f.rounds);
+
+    return {
+      ...meta,
+      winRate: round2((outcomes.victory ?? 0) / count),
+      outcomes,
+      encounters,
+      turns: {
+        average: round2(totalRounds / count),
+        min: rounds.length ? Math.min(...rounds) : 0,
+        max: rounds.length ? Math.max(...rounds) : 0
+      },
+      damagePerClass: {
+        dealtPerFight: perFight(dealt),
+        takenPerFight: perFight(taken)
+      },
+      potions: {
+        used: totalPotions,
+        perFight: round2(totalPotions / count)
+      }
+    };
+  }
+}
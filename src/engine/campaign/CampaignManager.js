@@ -20,6 +20,8 @@ export class CampaignManager {
     this.campaignVariables = {};
     this.activeQuests = new Map();    // questId -> QuestGraph
     this.completedQuests = new Set();
+    this.failedQuests = new Set();
+    this.questEndings = {};           // questId -> ending id (branching quests)
     this.availableContent = {
       dungeons: new Set(),
       quests: new Set(),
@@ -47,6 +49,8 @@ export class CampaignManager {
       this.campaignVariables = { ...(this.campaignData.variables ?? {}) };
       this.activeQuests.clear();
       this.completedQuests.clear();
+      this.failedQuests.clear();
+      this.questEndings = {};
       for (const key of Object.keys(this.availableContent)) {
         this.availableContent[key].clear();
       }
@@ -97,28 +101,59 @@ export class CampaignManager {
     if (!this.availableContent.quests.has(questId)) {
       throw new Error(`Quest not available: ${questId}`);
     }
-    if (this.activeQuests.has(questId) || this.completedQuests.has(questId)) return;
+    if (this._isQuestKnown(questId)) return;
     const graph = await QuestGraph.loadFromFile(this.campaignId, questId);
+    // A save restore may have settled this quest while the file was loading
+    if (this._isQuestKnown(questId)) return;
     this.activeQuests.set(questId, graph);
     EventBus.emit(EventTypes.QUEST_STARTED, { questId, title: graph.title });
     log.info('quest started', { questId });
+    // QUEST_STARTED went out before any node was active — announce the start
+    // nodes so objectives already satisfied (flag set earlier) complete now
+    if (graph.start() && graph.isOpen) {
+      EventBus.emit(EventTypes.QUEST_ADVANCED, { questId, activeNodeIds: [...graph.activeNodes] });
+    }
   }
 
   advanceQuestObjective(questId, objectiveNodeId) {
     const graph = this.activeQuests.get(questId);
     if (!graph) { log.warn('advanceQuestObjective: quest not active', { questId }); return; }
-    graph.advance(objectiveNodeId);
-    EventBus.emit(EventTypes.QUEST_ADVANCED, { questId, objectiveNodeId });
+    if (!graph.advance(objectiveNodeId)) return;
+    EventBus.emit(EventTypes.QUEST_ADVANCED, { questId, objectiveNodeId, activeNodeIds: [...graph.activeNodes] });
+    this._scheduleExitCheck();
+  }
+
+  /** Called by QuestTracker once every objective on an active node is met. */
+  completeQuestNode(questId, nodeId) {
+    const graph = this.activeQuests.get(questId);
+    if (!graph) { log.warn('completeQuestNode: quest not active', { questId }); return; }
+    if (!graph.completeNode(nodeId)) return;
+    EventBus.emit(EventTypes.QUEST_ADVANCED, { questId, completedNodeId: nodeId, activeNodeIds: [...graph.activeNodes] });
     this._scheduleExitCheck();
   }
 
-  completeQuest(questId) {
+  completeQuest(questId, ending = null) {
     this.activeQuests.delete(questId);
     this.completedQuests.add(questId);
-    EventBus.emit(EventTypes.QUEST_COMPLETED, { questId });
+    if (ending) this.questEndings[questId] = ending;
+    EventBus.emit(EventTypes.QUEST_COMPLETED, { questId, ending });
     this._scheduleExitCheck();
   }
 
+  failQuest(questId, ending = null) {
+    this.activeQuests.delete(questId);
+    this.failedQuests.add(questId);
+    if (ending) this.questEndings[questId] = ending;
+    EventBus.emit(EventTypes.QUEST_FAILED, { questId, ending });
+    log.info('quest failed', { questId, ending });
+    this._scheduleExitCheck();
+  }
+
+  /** @returns {string|null} Ending recorded for a finished branching quest */
+  getQuestEnding(questId) {
+    return this.questEndings[questId] ?? null;
+  }
+
   getSaveData() {
     return {
       campaignId: this.campaignId,
@@ -127,7 +162,9 @@ export class CampaignManager {
       worldFlags: [...this.worldFlags],
       campaignVariables: { ...this.campaignVariables },
       activeQuests: [...this.activeQuests.values()].map(q => q.getSaveData()),
-      completedQuests: [...this.completedQuests]
+      completedQuests: [...this.completedQuests],
+      failedQuests: [...this.failedQuests],
+      questEndings: { ...this.questEndings }
     };
   }
 
@@ -138,6 +175,8 @@ export class CampaignManager {
     this.worldFlags = new Set(data.worldFlags ?? []);
     this.campaignVariables = { ...(data.campaignVariables ?? {}) };
     this.completedQuests = new Set(data.completedQuests ?? []);
+    this.failedQuests = new Set(data.failedQuests ?? []);
+    this.questEndings = { ...(data.questEndings ?? {}) };
 
     // Replay content gates up to current phase
     for (const key of Object.keys(this.availableContent)) {
@@ -173,6 +212,10 @@ export class CampaignManager {
 
   // ─── Private ───────────────────────────────────────────────────────────────
 
+  _isQuestKnown(questId) {
+    return this.activeQuests.has(questId) || this.completedQuests.has(questId) || this.failedQuests.has(questId);
+  }
+
   _currentAct() {
     return this.campaignData?.acts?.[this.currentActIndex] ?? null;
   }
@@ -213,6 +256,10 @@ export class CampaignManager {
 
     this._mergeContentGates(phase);
 
+    for (const questId of phase.startQuests ?? []) {
+      this.startQuest(questId).catch(err => log.warn('phase quest start failed', { questId, err: err.message }));
+    }
+
     EventBus.emit(EventTypes.CAMPAIGN_PHASE_CHANGED, {
       actId: this._currentAct()?.id,
       phaseId: phase.id,
@@ -289,7 +336,10 @@ export class CampaignManager {
         return false;
       }
       case 'quest_complete':
-        return this.completedQuests.has(trigger.questId);
+        if (!this.completedQuests.has(trigger.questId)) return false;
+        return !trigger.ending || this.questEndings[trigger.questId] === trigger.ending;
+      case 'quest_failed':
+        return this.failedQuests.has(trigger.questId);
       default:
         log.warn('unknown trigger type', { type: trigger.type });
         return false;
@@ -309,7 +359,8 @@ export class CampaignManager {
   _onObjectiveCompleted(payload) {
     const { questId } = payload;
     const graph = this.activeQuests.get(questId);
-    if (graph?.isComplete) this.completeQuest(questId);
+    if (graph?.isFailed) this.failQuest(questId, graph.ending);
+    else if (graph?.isComplete) this.completeQuest(questId, graph.ending);
     this._scheduleExitCheck();
   }
 }
@@ -1,66 +1,200 @@
 /**
  * QuestGraph - Directed acyclic graph of quest objectives
  * CampaignManager owns lifecycle; QuestGraph owns objective progression.
+ *
+ * Any number of nodes can be active at once. Completing a node activates every
+ * entry in its `nextNodes`, so a node with several successors opens parallel
+ * objectives. Node fields that shape the flow:
+ *   join: 'all' | 'any' | n  — wait for all / any / n completed predecessors
+ *                              (default 'any'); a join without objectives passes straight through
+ *   exclusive: 'group'       — mutually exclusive branches: the first node of the
+ *                              group to complete wins, its siblings are cancelled
+ *   ending: 'id'             — recorded as the quest's ending when the node completes
+ *   fail: true               — reaching the node fails the quest
+ * A terminal node (no nextNodes) without objectives completes on arrival. The
+ * quest completes once no node is left active.
+ *
+ * Nodes may declare `objectives` — QuestTracker feeds game events into
+ * recordObjectiveProgress() and completes the node once every objective is met:
+ *   { id, type: 'kill',   enemyType, count }
+ *   { id, type: 'reach',  x, z, levelId? }
+ *   { id, type: 'obtain', itemId, count }
+ *   { id, type: 'flag',   flag }
+ *   { id, type: 'talk',   npcId?, knot? }
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
 
+/** Save format version — v1 saves carried a single `currentNodeId`. */
+export const QUEST_SAVE_VERSION = 2;
+
 export class QuestGraph {
   constructor(questData) {
     this.questId = questData.id;
     this.title = questData.title;
     this.description = questData.description ?? '';
     this.nodes = new Map(); // nodeId -> node object
-    this.currentNodeId = questData.startNode ?? null;
+    this.activeNodes = new Set();
     this.completedNodes = new Set();
+    this.cancelledNodes = new Set();     // losing exclusive branches
+    this.branchChoices = {};             // exclusive group -> chosen nodeId
+    this.objectiveProgress = new Map();  // nodeId -> { objectiveId: count }
     this.isComplete = false;
+    this.isFailed = false;
+    this.ending = null;
+    this.startNode = questData.startNode ?? null;
 
     for (const node of questData.nodes ?? []) {
       this.nodes.set(node.id, node);
     }
   }
 
-  getCurrentNode() {
-    return this.nodes.get(this.currentNodeId) ?? null;
+  /**
+   * Activate the start node. Call once the owner has registered the quest —
+   * a terminal start node completes (and emits) straight away.
+   * @returns {boolean} True if the graph changed
+   */
+  start() {
+    if (!this.startNode || !this.isOpen || this.activeNodes.size > 0 || this.completedNodes.size > 0) {
+      return false;
+    }
+    this._run([], [this.startNode]);
+    return true;
+  }
+
+  /** True while the quest can still progress. */
+  get isOpen() {
+    return !this.isComplete && !this.isFailed;
+  }
+
+  /** @returns {Array} Active node objects, in activation order */
+  getActiveNodes() {
+    return [...this.activeNodes].map(id => this.nodes.get(id)).filter(Boolean);
+  }
+
+  isNodeActive(nodeId) {
+    return this.activeNodes.has(nodeId);
   }
 
   canAdvanceTo(nodeId) {
-    const node = this.nodes.get(nodeId);
-    if (!node) return false;
-    const current = this.getCurrentNode();
-    if (!current) return false;
-    return (current.nextNodes ?? []).includes(nodeId);
+    if (!this.nodes.has(nodeId) || this.cancelledNodes.has(nodeId)) return false;
+    return this._activePredecessorOf(nodeId) !== null;
   }
 
+  /**
+   * Move past the active node leading to `nodeId` (narrative `advance_quest` tag).
+   * Choosing a node in an exclusive group cancels its sibling branches first.
+   * @param {string} nodeId - Target node
+   * @returns {boolean} True if the graph changed
+   */
   advance(nodeId) {
-    if (!this.canAdvanceTo(nodeId)) {
-      console.warn(`QuestGraph: cannot advance to ${nodeId} from ${this.currentNodeId}`);
+    const from = this._activePredecessorOf(nodeId);
+    if (!from) {
+      console.warn(`QuestGraph: cannot advance to ${nodeId} from [${[...this.activeNodes].join(', ')}]`);
       return false;
     }
-    this.completedNodes.add(this.currentNodeId);
-    this.currentNodeId = nodeId;
-    EventBus.emit(EventTypes.QUEST_OBJECTIVE_COMPLETED, {
-      questId: this.questId,
-      objectiveNodeId: nodeId
-    });
-    const node = this.getCurrentNode();
-    if (!node || (node.nextNodes ?? []).length === 0) {
-      this.isComplete = true;
-    }
+    this._chooseBranch(this.nodes.get(nodeId));
+    return this.completeNode(from);
+  }
+
+  /**
+   * Close an active node (objectives met) and activate its successors
+   * @param {string} nodeId - Active node id
+   * @returns {boolean} True if the graph changed
+   */
+  completeNode(nodeId) {
+    if (!this.isOpen || !this.activeNodes.has(nodeId)) return false;
+    this._run([nodeId], []);
+    return true;
+  }
+
+  /**
+   * @param {string} nodeId
+   * @returns {Array} Objective definitions declared on the node
+   */
+  getObjectives(nodeId) {
+    return this.nodes.get(nodeId)?.objectives ?? [];
+  }
+
+  getObjectiveProgress(objectiveId, nodeId) {
+    return this.objectiveProgress.get(nodeId)?.[objectiveId] ?? 0;
+  }
+
+  /** Counter target for an objective — kill/obtain use `count`, everything else is one-shot. */
+  getObjectiveRequired(objective) {
+    return Math.max(1, objective.count ?? 1);
+  }
+
+  isObjectiveComplete(objective, nodeId) {
+    return this.getObjectiveProgress(objective.id, nodeId) >= this.getObjectiveRequired(objective);
+  }
+
+  /** True when the node declares objectives and all of them are met. */
+  areObjectivesComplete(nodeId) {
+    const objectives = this.getObjectives(nodeId);
+    return objectives.length > 0 && objectives.every(o => this.isObjectiveComplete(o, nodeId));
+  }
+
+  /**
+   * Add progress to an objective on an active node (capped at its target)
+   * @param {string} nodeId - Active node owning the objective
+   * @param {string} objectiveId - Objective id within the node
+   * @param {number} amount - Progress to add
+   * @returns {boolean} True if the counter changed
+   */
+  recordObjectiveProgress(nodeId, objectiveId, amount = 1) {
+    if (!this.activeNodes.has(nodeId)) return false;
+    const objective = this.getObjectives(nodeId).find(o => o.id === objectiveId);
+    if (!objective || this.isObjectiveComplete(objective, nodeId)) return false;
+
+    const counters = this.objectiveProgress.get(nodeId) ?? {};
+    const required = this.getObjectiveRequired(objective);
+    counters[objectiveId] = Math.min(required, (counters[objectiveId] ?? 0) + amount);
+    this.objectiveProgress.set(nodeId, counters);
     return true;
   }
 
   getSaveData() {
     return {
+      version: QUEST_SAVE_VERSION,
       questId: this.questId,
-      currentNodeId: this.currentNodeId,
-      completedNodes: [...this.completedNodes]
+      activeNodes: [...this.activeNodes],
+      completedNodes: [...this.completedNodes],
+      cancelledNodes: [...this.cancelledNodes],
+      branchChoices: { ...this.branchChoices },
+      objectiveProgress: Object.fromEntries(this.objectiveProgress),
+      isComplete: this.isComplete,
+      isFailed: this.isFailed,
+      ending: this.ending
     };
   }
 
   restoreFromSave(data) {
-    this.currentNodeId = data.currentNodeId;
-    this.completedNodes = new Set(data.completedNodes ?? []);
+    const save = QuestGraph.migrateSave(data);
+    this.activeNodes = new Set(save.activeNodes);
+    this.completedNodes = new Set(save.completedNodes ?? []);
+    this.cancelledNodes = new Set(save.cancelledNodes ?? []);
+    this.branchChoices = { ...(save.branchChoices ?? {}) };
+    this.objectiveProgress = new Map(Object.entries(save.objectiveProgress ?? {}));
+    this.isComplete = save.isComplete ?? false;
+    this.isFailed = save.isFailed ?? false;
+    this.ending = save.ending ?? null;
+  }
+
+  /**
+   * Bring a quest save up to QUEST_SAVE_VERSION
+   * v1 → v2: the single `currentNodeId` becomes the active node set.
+   * @param {Object} data - Quest save entry
+   * @returns {Object} Save entry in the current format
+   */
+  static migrateSave(data) {
+    if ((data.version ?? 1) >= QUEST_SAVE_VERSION) return data;
+    const { currentNodeId, ...rest } = data;
+    return {
+      ...rest,
+      version: QUEST_SAVE_VERSION,
+      activeNodes: currentNodeId && !data.isComplete ? [currentNodeId] : []
+    };
   }
 
   static async loadFromFile(campaignId, questId) {
@@ -69,4 +203,121 @@ export class QuestGraph {
     const data = await response.json();
     return new QuestGraph(data);
   }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  /**
+   * Complete nodes and activate successors until the graph settles, then emit.
+   * Events go out last so listeners never see a half-updated node set.
+   * @param {Array<string>} toComplete - Active node ids to close
+   * @param {Array<string>} toActivate - Node ids to offer for activation
+   */
+  _run(toComplete, toActivate) {
+    const completed = [];
+    const queue = [...toActivate];
+
+    const activate = (nodeId) => {
+      if (!this._activate(nodeId, completed)) return;
+      if (this._passesThrough(this.nodes.get(nodeId))) toComplete.push(nodeId);
+    };
+    queue.forEach(activate);
+
+    while (toComplete.length > 0 && !this.isFailed) {
+      const nodeId = toComplete.shift();
+      if (!this.activeNodes.has(nodeId)) continue;
+      const node = this.nodes.get(nodeId);
+
+      this._chooseBranch(node);
+      this.activeNodes.delete(nodeId);
+      this.completedNodes.add(nodeId);
+      if (node.ending) this.ending = node.ending;
+      completed.push(nodeId);
+
+      for (const next of node.nextNodes ?? []) activate(next);
+    }
+
+    if (!this.isFailed && this.activeNodes.size === 0 && this.completedNodes.size > 0) {
+      this.isComplete = true;
+    }
+
+    for (const nodeId of completed) {
+      EventBus.emit(EventTypes.QUEST_OBJECTIVE_COMPLETED, {
+        questId: this.questId,
+        objectiveNodeId: nodeId
+      });
+    }
+  }
+
+  /**
+   * @param {string} nodeId
+   * @param {Array<string>} completed - _run's event list; a reached fail node joins it
+   * @returns {boolean} True if the node became active
+   */
+  _activate(nodeId, completed) {
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      console.warn(`QuestGraph: unknown node ${nodeId} in quest ${this.questId}`);
+      return false;
+    }
+    if (this.activeNodes.has(nodeId) || this.completedNodes.has(nodeId) || this.cancelledNodes.has(nodeId)) {
+      return false;
+    }
+    if (!this._isJoinSatisfied(node)) return false;
+
+    if (node.fail) {
+      this.completedNodes.add(nodeId);
+      this.activeNodes.clear();
+      this.isFailed = true;
+      this.ending = node.ending ?? nodeId;
+      completed.push(nodeId);
+      return false;
+    }
+
+    this.activeNodes.add(nodeId);
+    return true;
+  }
+
+  /** Objective-less joins and terminal nodes complete as soon as they are reached. */
+  _passesThrough(node) {
+    if ((node.objectives ?? []).length > 0) return false;
+    return node.join !== undefined || (node.nextNodes ?? []).length === 0;
+  }
+
+  _isJoinSatisfied(node) {
+    const predecessors = this._predecessorsOf(node.id).filter(id => !this.cancelledNodes.has(id));
+    if (predecessors.length === 0) return true;
+    const done = predecessors.filter(id => this.completedNodes.has(id)).length;
+
+    const join = node.join ?? 'any';
+    if (join === 'all') return done === predecessors.length;
+    if (typeof join === 'number') return done >= Math.min(join, predecessors.length);
+    return done >= 1;
+  }
+
+  _predecessorsOf(nodeId) {
+    const ids = [];
+    for (const node of this.nodes.values()) {
+      if ((node.nextNodes ?? []).includes(nodeId)) ids.push(node.id);
+    }
+    return ids;
+  }
+
+  _activePredecessorOf(nodeId) {
+    for (const id of this.activeNodes) {
+      if ((this.nodes.get(id)?.nextNodes ?? []).includes(nodeId)) return id;
+    }
+    return null;
+  }
+
+  /** Lock in an exclusive branch — cancel every other node in its group. */
+  _chooseBranch(node) {
+    const group = node?.exclusive;
+    if (!group || this.branchChoices[group]) return;
+    this.branchChoices[group] = node.id;
+    for (const other of this.nodes.values()) {
+      if (other.exclusive !== group || other.id === node.id) continue;
+      this.activeNodes.delete(other.id);
+      this.cancelledNodes.add(other.id);
+    }
+  }
 }
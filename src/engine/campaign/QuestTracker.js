@@ -0,0 +1,130 @@
+/**
+ * QuestTracker - Auto-advances QuestGraph objectives from gameplay events
+ * Listens on EventBus, bumps per-objective counters on every active node of
+ * every active quest and asks CampaignManager to complete a node once all of
+ * its objectives are met.
+ * Pure event-driven — never polls.
+ */
+
+import { EventBus, EventTypes } from '../core/EventBus.js';
+import { Logger } from '../utils/Logger.js';
+
+const log = Logger.tag('QuestTracker');
+
+export class QuestTracker {
+  /**
+   * @param {CampaignManager} campaignManager - Owner of the active quest graphs
+   * @param {Object} [options]
+   * @param {Function} [options.getLevelId] - Returns the current level id (for 'reach' objectives)
+   */
+  constructor(campaignManager, options = {}) {
+    this.campaignManager = campaignManager;
+    this.getLevelId = options.getLevelId ?? (() => null);
+    this._bindEvents();
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  _bindEvents() {
+    EventBus.on(EventTypes.COMBAT_VICTORY, e => this._onCombatVictory(e.detail));
+    EventBus.on(EventTypes.MOVEMENT_COMPLETED, e => this._onMovementCompleted(e.detail));
+    EventBus.on(EventTypes.ITEM_PICKUP, e => this._onItemPickup(e.detail));
+    EventBus.on(EventTypes.NARRATIVE_KNOT_REACHED, e => this._onKnotReached(e.detail));
+    EventBus.on(EventTypes.NPC_DIALOGUE_STARTED, e => this._onDialogueStarted(e.detail));
+    EventBus.on(EventTypes.CAMPAIGN_FLAG_CHANGED, e => this._onFlagChanged(e.detail));
+    // Newly active nodes may already be satisfied (flag set earlier)
+    EventBus.on(EventTypes.QUEST_STARTED, e => this._checkStateObjectives(e.detail?.questId));
+    EventBus.on(EventTypes.QUEST_ADVANCED, e => this._checkStateObjectives(e.detail?.questId));
+  }
+
+  _onCombatVictory(payload) {
+    const defeated = (payload?.enemies ?? []).filter(e => e.isAlive === false || e.currentHP <= 0);
+    if (defeated.length === 0) return;
+    this._progress('kill', objective => defeated.filter(e => e.type === objective.enemyType).length);
+  }
+
+  _onMovementCompleted(payload) {
+    const pos = payload?.newPosition;
+    if (!pos) return;
+    const levelId = this.getLevelId();
+    this._progress('reach', objective =>
+      objective.x === pos.x && objective.z === pos.z &&
+      (!objective.levelId || objective.levelId === levelId) ? 1 : 0
+    );
+  }
+
+  _onItemPickup(payload) {
+    if (!payload?.itemId) return;
+    this._progress('obtain', objective =>
+      objective.itemId === payload.itemId ? (payload.quantity ?? 1) : 0
+    );
+  }
+
+  _onKnotReached(payload) {
+    if (!payload?.knot) return;
+    this._progress('talk', objective => objective.knot === payload.knot ? 1 : 0);
+  }
+
+  _onDialogueStarted(payload) {
+    if (!payload?.npcId) return;
+    this._progress('talk', objective =>
+      objective.npcId === payload.npcId && !objective.knot ? 1 : 0
+    );
+  }
+
+  _onFlagChanged(payload) {
+    if (!payload?.flag || !payload.value) return;
+    this._progress('flag', objective => objective.flag === payload.flag ? 1 : 0);
+  }
+
+  _checkStateObjectives(questId) {
+    const graph = this.campaignManager.activeQuests.get(questId);
+    if (!graph) return;
+    this._progressGraph(graph, 'flag', objective =>
+      this.campaignManager.getWorldFlag(objective.flag) ? 1 : 0
+    );
+  }
+
+  /**
+   * Apply progress to every matching objective across all active quests
+   * @param {string} type - Objective type
+   * @param {Function} amountFor - objective → progress to add (0 = no match)
+   */
+  _progress(type, amountFor) {
+    for (const graph of [...this.campaignManager.activeQuests.values()]) {
+      this._progressGraph(graph, type, amountFor);
+    }
+  }
+
+  _progressGraph(graph, type, amountFor) {
+    // Snapshot — completing one node can activate or cancel others
+    for (const nodeId of [...graph.activeNodes]) {
+      if (!graph.isOpen) return;
+      if (graph.isNodeActive(nodeId)) this._progressNode(graph, nodeId, type, amountFor);
+    }
+  }
+
+  _progressNode(graph, nodeId, type, amountFor) {
+    let changed = false;
+
+    for (const objective of graph.getObjectives(nodeId)) {
+      if (objective.type !== type) continue;
+      const amount = amountFor(objective);
+      if (amount <= 0 || !graph.recordObjectiveProgress(nodeId, objective.id, amount)) continue;
+
+      changed = true;
+      EventBus.emit(EventTypes.QUEST_OBJECTIVE_PROGRESS, {
+        questId: graph.questId,
+        nodeId,
+        objectiveId: objective.id,
+        progress: graph.getObjectiveProgress(objective.id, nodeId),
+        required: graph.getObjectiveRequired(objective)
+      });
+      log.info('objective progress', { questId: graph.questId, nodeId, objectiveId: objective.id });
+    }
+
+    if (changed && graph.areObjectivesComplete(nodeId)) {
+      this.campaignManager.completeQuestNode(graph.questId, nodeId);
+    }
+  }
+}
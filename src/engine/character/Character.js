@@ -3,6 +3,10 @@
  * Handles character creation, stat management, leveling, and skill progression
  */
 
+import { createEmptyEquipment } from '../equipment/EquipmentSystem.js';
+import { getAffixBonuses, AFFIX_RESISTANCE_CAP } from '../inventory/ItemAffixes.js';
+import { itemDatabase } from '../inventory/ItemDatabase.js';
+
 export class Character {
   constructor(characterClass, name = null) {
     // Basic character info
@@ -33,12 +37,9 @@ export class Character {
     this.maxAP = 3;
     this.statusEffects = [];
     
-    // Equipment slots
-    this.equipment = {
-      weapon: null,
-      armor: null,
-      accessory: null
-    };
+    // Equipment slots (mainHand, offHand, head, body, feet, ring1, ring2)
+    this.equipment = createEmptyEquipment();
+    this.setBonuses = { stats: {}, resistances: {}, skills: [] }; // active item set tiers (recalculateStats)
     
     // Skills and abilities
     this.skills = []; // Array of skill objects with full data
@@ -364,6 +365,7 @@ export class Character {
       'cleric': [
         { level: 1, skillId: 'heal' },
         { level: 3, skillId: 'bless' },
+        { level: 4, skillId: 'dispel_magic' },
         { level: 5, skillId: 'mass_heal' },
         { level: 7, skillId: 'resurrect' },
         { level: 10, skillId: 'divine_shield' }
@@ -380,6 +382,8 @@ export class Character {
   unlockSkill(skillId) {
     if (!this.hasSkill(skillId)) {
       this.unlockedSkills.push(skillId);
+      // Replace any copy a set bonus granted so the skill isn't listed twice
+      this.skills = this.skills.filter(skill => skill.id !== skillId);
       
       // Add skill object to skills array
       const skillData = this.getSkillData(skillId);
@@ -534,6 +538,14 @@ export class Character {
         cooldown: 1,
         type: 'buff'
       },
+      'dispel_magic': {
+        id: 'dispel_magic',
+        name: 'Dispel Magic',
+        description: 'Strips an enemy\'s buffs',
+        apCost: 2,
+        cooldown: 2,
+        type: 'utility'
+      },
       'mass_heal': {
         id: 'mass_heal',
         name: 'Mass Heal',
@@ -575,7 +587,7 @@ export class Character {
   /**
    * Equip an item using the equipment system
    * @param {Object} item - The item to equip
-   * @param {string} slot - The equipment slot (weapon, armor, accessory)
+   * @param {string} slot - The equipment slot (see EQUIPMENT_SLOTS)
    * @returns {Object} Result with success status and previous item
    */
   equipItem(item, slot) {
@@ -640,7 +652,7 @@ export class Character {
   }
 
   /**
-   * Recalculate all stats including equipment bonuses
+   * Recalculate all stats including equipment and set bonuses
    * This method is called by the EquipmentSystem when equipment changes
    */
   recalculateStats() {
@@ -663,6 +675,15 @@ export class Character {
         }
       }
     }
+
+    // Add bonuses from matching set pieces worn
+    this.setBonuses = itemDatabase.getSetBonuses(this.equipment);
+    for (const [stat, value] of Object.entries(this.setBonuses.stats)) {
+      if (this.stats.hasOwnProperty(stat)) {
+        this.stats[stat] += value;
+      }
+    }
+    this._applySetSkills(this.setBonuses.skills);
     
     // Update max HP and ensure current HP doesn't exceed max
     this.maxHP = this.stats.HP;
@@ -671,6 +692,24 @@ export class Character {
     }
   }
 
+  /**
+   * Sync skills granted by set bonuses. Granted skills live only in `skills`
+   * (flagged grantedBySet), never in unlockedSkills, so they are not saved
+   * and disappear when the set is broken.
+   * @private
+   * @param {Array<string>} skillIds - Skills the active set tiers grant
+   */
+  _applySetSkills(skillIds) {
+    this.skills = this.skills.filter(skill => !skill.grantedBySet || skillIds.includes(skill.id));
+    for (const skillId of skillIds) {
+      if (this.hasSkill(skillId) || this.skills.some(skill => skill.id === skillId)) continue;
+      const skillData = this.getSkillData(skillId);
+      if (skillData) {
+        this.skills.push({ ...skillData, grantedBySet: true });
+      }
+    }
+  }
+
   /**
    * Take damage
    * @param {number} damage - Amount of damage to take
@@ -688,6 +727,29 @@ export class Character {
     return died;
   }
 
+  /**
+   * Take elemental damage, reduced by equipment affix and set resistances
+   * @param {number} damage - Base damage amount
+   * @param {string} element - Damage element type
+   * @param {Array<{element: string, amount: number}>} bonusDamage - Extra elemental components
+   * @returns {number} Actual damage dealt
+   */
+  takeDamageWithElement(damage, element = 'Physical', bonusDamage = []) {
+    const { resistances } = getAffixBonuses(this);
+    const setResistances = this.setBonuses?.resistances ?? {};
+    const resist = (amount, type) => {
+      const total = Math.min(AFFIX_RESISTANCE_CAP, (resistances[type] ?? 0) + (setResistances[type] ?? 0));
+      return Math.floor(amount * (1 - total));
+    };
+
+    let actualDamage = resist(damage, element);
+    for (const bonus of bonusDamage) {
+      actualDamage += resist(bonus.amount, bonus.element);
+    }
+    this.takeDamage(actualDamage);
+    return actualDamage;
+  }
+
   /**
    * Heal character
    * @param {number} amount - Amount to heal
@@ -858,7 +920,7 @@ export class Character {
     character.experience = data.experience;
     character.baseStats = { ...data.baseStats };
     character.currentHP = data.currentHP;
-    character.equipment = { ...data.equipment };
+    character.equipment = { ...createEmptyEquipment(), ...data.equipment };
     character.unlockedSkills = [...data.unlockedSkills];
     character.statusEffects = [...data.statusEffects];
     
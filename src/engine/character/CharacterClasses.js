@@ -38,6 +38,8 @@ export class CharacterClasses {
           DEF: 2,    // +2 DEF per level
           SPD: 1     // +1 SPD per level
         },
+        // Equipment proficiencies — checked by EquipmentSystem.canEquip
+        equipment: { shields: true, twoHanded: true, dualWield: false, heavyArmor: true },
         startingSkill: 'power_strike',
         skillProgression: [
           { level: 1, skillId: 'power_strike', name: 'Power Strike' },
@@ -78,6 +80,7 @@ export class CharacterClasses {
           DEF: 1,    // +1 DEF per level
           SPD: 2     // +2 SPD per level
         },
+        equipment: { shields: false, twoHanded: false, dualWield: true, heavyArmor: false },
         startingSkill: 'backstab',
         skillProgression: [
           { level: 1, skillId: 'backstab', name: 'Backstab' },
@@ -118,6 +121,7 @@ export class CharacterClasses {
           DEF: 1,    // +1 DEF per level
           SPD: 1     // +1 SPD per level
         },
+        equipment: { shields: false, twoHanded: true, dualWield: false, heavyArmor: false },
         startingSkill: 'fireball',
         skillProgression: [
           { level: 1, skillId: 'fireball', name: 'Fireball' },
@@ -158,10 +162,12 @@ export class CharacterClasses {
           DEF: 2,    // +2 DEF per level
           SPD: 1     // +1 SPD per level
         },
+        equipment: { shields: true, twoHanded: false, dualWield: false, heavyArmor: true },
         startingSkill: 'heal',
         skillProgression: [
           { level: 1, skillId: 'heal', name: 'Heal' },
           { level: 3, skillId: 'bless', name: 'Bless' },
+          { level: 4, skillId: 'dispel_magic', name: 'Dispel Magic' },
           { level: 5, skillId: 'mass_heal', name: 'Mass Heal' },
           { level: 7, skillId: 'resurrect', name: 'Resurrect' },
           { level: 10, skillId: 'divine_shield', name: 'Divine Shield' }
@@ -203,6 +209,17 @@ export class CharacterClasses {
     return definition ? definition.growth : null;
   }
 
+  /**
+   * Get equipment proficiencies for a class
+   * @param {string} className - Name of the class
+   * @returns {{shields: boolean, twoHanded: boolean, dualWield: boolean, heavyArmor: boolean}}
+   *   Unknown classes get no restrictions
+   */
+  static getEquipmentProficiencies(className) {
+    const definition = className ? this.getClassDefinition(className) : null;
+    return definition?.equipment ?? { shields: true, twoHanded: true, dualWield: true, heavyArmor: true };
+  }
+
   /**
    * Get skill progression for a class
    * @param {string} className - Name of the class
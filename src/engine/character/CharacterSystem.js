@@ -158,7 +158,7 @@ export class CharacterSystem {
    * Equip an item to a character
    * @param {string} characterId - Character ID
    * @param {Object} item - Item to equip
-   * @param {string} slot - Equipment slot (weapon, armor, accessory)
+   * @param {string} slot - Equipment slot id (see EQUIPMENT_SLOTS)
    * @returns {Object} Equipment result
    */
   equipItem(characterId, item, slot) {
@@ -189,15 +189,16 @@ export class CharacterSystem {
    * Check if a character can equip an item
    * @param {string} characterId - Character ID
    * @param {Object} item - Item to check
+   * @param {string} [slot] - Target slot (off-hand checks)
    * @returns {Object} Validation result
    */
-  canEquipItem(characterId, item) {
+  canEquipItem(characterId, item, slot = null) {
     const character = this.getCharacter(characterId);
     if (!character) {
       return { success: false, reason: 'Character not found' };
     }
 
-    return this.equipmentSystem.canEquip(character, item);
+    return this.equipmentSystem.canEquip(character, item, slot);
   }
 
   /**
@@ -3,6 +3,8 @@
  * Handles up to 4 characters with front/back row positioning
  */
 
+import { statusEffectRegistry } from '../combat/StatusEffectRegistry.js';
+
 export class PartyManager {
   constructor() {
     // Party composition (max 4 characters)
@@ -377,7 +379,7 @@ export class PartyManager {
   applyPartyStatusEffect(statusEffect, aliveOnly = true) {
     for (const character of this.party) {
       if (character && (!aliveOnly || character.isAlive())) {
-        character.statusEffects.push({ ...statusEffect });
+        statusEffectRegistry.apply(character, { ...statusEffect });
       }
     }
     
@@ -5,6 +5,10 @@
 
 import { combatBalanceConfig } from '../balance/CombatBalanceConfig.js';
 import { Dice } from '../utils/Dice.js';
+import { statusEffectRegistry } from '../combat/StatusEffectRegistry.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const combatRng = rng.stream(RNGStreams.COMBAT);
 
 export class SkillSystem {
     constructor() {
@@ -338,6 +342,21 @@ export class SkillSystem {
             ]
         });
 
+        this.registerSkill({
+            id: 'dispel_magic',
+            name: 'Dispel Magic',
+            description: 'Remove every dispellable buff from an enemy',
+            class: 'cleric',
+            apCost: 2,
+            cooldown: 2,
+            targetType: 'enemy_single',
+            effects: [
+                {
+                    type: 'dispel'
+                }
+            ]
+        });
+
         this.registerSkill({
             id: 'mass_heal',
             name: 'Mass Heal',
@@ -423,8 +442,8 @@ export class SkillSystem {
                 const dmg = Dice.parse('2d8').roll();
                 return (targets ?? []).map(t => {
                     const actual = t.takeDamageWithElement?.(dmg, 'Ice') ?? dmg;
-                    if (Math.random() < 0.4 && t.statusEffects) {
-                        t.statusEffects.push({ type: 'slow', duration: 2 });
+                    if (combatRng.next() < 0.4 && t.statusEffects) {
+                        statusEffectRegistry.apply(t, { type: 'slow', duration: 2 }, 'ice_bolt');
                     }
                     return { target: t.name, damage: actual, element: 'Ice' };
                 });
@@ -629,6 +648,9 @@ export class SkillSystem {
             case 'resurrect':
                 return this.applyResurrect(target, effect);
 
+            case 'dispel':
+                return this.applyDispel(target, effect);
+
             default:
                 console.warn(`Unknown effect type: ${effect.type}`);
                 return { type: 'unknown', success: false };
@@ -653,13 +675,13 @@ export class SkillSystem {
         const finalDamage = Math.max(1, Math.floor(baseDamage - (target.stats.DEF / 2)));
 
         // Apply damage variance (±10%)
-        const variance = 0.9 + (Math.random() * 0.2);
+        const variance = 0.9 + (combatRng.next() * 0.2);
         let actualDamage = Math.floor(finalDamage * variance);
 
         // Check for critical hit
         let isCritical = false;
         const critChance = 0.05 + (caster.stats.SPD / 300) + (effect.criticalBonus || 0);
-        if (Math.random() < critChance) {
+        if (combatRng.next() < critChance) {
             isCritical = true;
             actualDamage *= 2;
         }
@@ -708,20 +730,17 @@ export class SkillSystem {
      */
     applyStatus(target, effect) {
         // Add status effect to target
-        const statusEffect = {
+        const applied = statusEffectRegistry.apply(target, {
             type: effect.statusType,
             duration: effect.duration,
-            value: effect.value,
-            source: 'skill'
-        };
-
-        target.statusEffects.push(statusEffect);
+            value: effect.value
+        }, 'skill');
 
         return {
             type: 'status',
             statusType: effect.statusType,
             duration: effect.duration,
-            applied: true
+            applied: applied.applied
         };
     }
 
@@ -838,6 +857,22 @@ export class SkillSystem {
         };
     }
 
+    /**
+     * Apply dispel effect
+     * @param {Object} target - Target losing its buffs
+     * @param {Object} effect - Dispel effect (optional `filters`: effect ids or tags)
+     * @returns {Object} Dispel result
+     */
+    applyDispel(target, effect) {
+        const removed = statusEffectRegistry.dispel(target, effect.filters);
+
+        return {
+            type: 'dispel',
+            success: removed.length > 0,
+            removed: removed.map(e => e.type)
+        };
+    }
+
     /**
      * Get elemental damage modifier
      * @param {string} attackElement - Attacking element
@@ -973,6 +1008,7 @@ export class SkillSystem {
             'cleric': [
                 { level: 1, skillId: 'heal', name: 'Heal' },
                 { level: 3, skillId: 'bless', name: 'Bless' },
+                { level: 4, skillId: 'dispel_magic', name: 'Dispel Magic' },
                 { level: 5, skillId: 'mass_heal', name: 'Mass Heal' },
                 { level: 7, skillId: 'resurrect', name: 'Resurrect' },
                 { level: 10, skillId: 'divine_shield', name: 'Divine Shield' }
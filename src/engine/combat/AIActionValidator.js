@@ -3,6 +3,10 @@
  * Ensures AI actions are legal and handles edge cases
  */
 
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const aiRng = rng.stream(RNGStreams.AI);
+
 export class AIActionValidator {
   constructor() {
     this.validationRules = this.initializeValidationRules();
@@ -460,7 +464,7 @@ export class AIActionValidator {
     // Try basic attack first
     const aliveMembers = playerParty.getAliveMembers();
     if (aliveMembers.length > 0 && enemy.hasAP(1)) {
-      const randomTarget = aliveMembers[Math.floor(Math.random() * aliveMembers.length)];
+      const randomTarget = aliveMembers[Math.floor(aiRng.next() * aliveMembers.length)];
       
       return {
         action: {
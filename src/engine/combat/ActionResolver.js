@@ -179,7 +179,10 @@ export class ActionResolver {
     }
 
     // Handle manual target selection
-    const targetArray = Array.isArray(selectedTargets) ? selectedTargets : [selectedTargets];
+    const selectedArray = Array.isArray(selectedTargets) ? selectedTargets : [selectedTargets];
+    const targetArray = this.targetingSystem.applyTargetingLocks(
+      action, caster, selectedArray, playerParty, enemies
+    );
     
     // Filter out invalid targets (dead, etc.)
     return targetArray.filter(target => {
@@ -350,8 +353,8 @@ export class ActionResolver {
       
       console.log(`Applied ${effect.type} to ${target.name} for ${effect.duration} turns`);
       
-      // Status effects are already added to target in ActionSystem
-      // This is where we could add additional processing like stacking rules
+      // Status effects are already added to target in ActionSystem;
+      // stacking rules are resolved there by StatusEffectRegistry.apply()
     }
   }
 
@@ -4,6 +4,13 @@
  */
 
 import { CombatBalanceConfig, combatBalanceConfig } from '../balance/CombatBalanceConfig.js';
+import { statusEffectRegistry } from './StatusEffectRegistry.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+import { getAffixBonuses } from '../inventory/ItemAffixes.js';
+import { Dice, SAVE_STAT } from '../utils/Dice.js';
+
+const combatRng = rng.stream(RNGStreams.COMBAT);
+const d20 = new Dice(1, 20);
 
 export class ActionSystem {
   constructor() {
@@ -15,6 +22,7 @@ export class ActionSystem {
     };
     
     this.balanceConfig = combatBalanceConfig;
+    this.statusEffects = statusEffectRegistry;
     
     console.log('ActionSystem initialized with balance configuration');
   }
@@ -70,7 +78,8 @@ export class ActionSystem {
       actions.push(this.getFleeAction());
     }
 
-    return actions;
+    // Drop action types locked by status effects (silence → no skills, etc.)
+    return actions.filter(action => !this.statusEffects.isActionLocked(character, action.type));
   }
 
   /**
@@ -172,9 +181,17 @@ export class ActionSystem {
       damage: [],
       healing: [],
       statusEffects: [],
+      rolls: [],     // { kind, actor, target, dice, roll, modifier, total, dc, success } — for CombatRecorder
       messages: []
     };
 
+    const lock = this.statusEffects.getActionLock(attacker, action.type);
+    if (lock) {
+      result.success = false;
+      result.messages.push(`${attacker.name} can't ${action.type} while ${lock.name.toLowerCase()}!`);
+      return result;
+    }
+
     switch (action.type) {
       case 'attack':
         return this.executeAttack(action, attacker, targets, result);
@@ -221,26 +238,23 @@ export class ActionSystem {
         continue;
       }
 
-      // Roll to-hit: d20 + ATK_BONUS vs target AC (DEF + SPD modifier)
-      const atkBonus = Math.floor((attacker.stats?.ATK ?? 10) / 4);
-      const targetAC = Math.floor((target.stats?.DEF ?? 5) / 2) + Math.floor((target.stats?.SPD ?? 5) / 6);
-      const hitRoll  = Math.floor(Math.random() * 20) + 1 + atkBonus;
-      if (hitRoll < targetAC) {
+      if (!this.rollToHit(attacker, target, result.rolls)) {
         result.messages.push(`${attacker.name} misses ${target.name}!`);
         continue;
       }
 
       // Calculate damage
-      const damageResult = this.calculateDamage(attacker, target, action);
+      const damageResult = this.calculateDamage(attacker, target, action, result.rolls);
 
       // Apply damage — use elemental resistance if target supports it
       let actualDamage = Math.max(1, damageResult.finalDamage);
       let died;
       const element = attacker.stats?.element ?? 'Physical';
       if (typeof target.takeDamageWithElement === 'function') {
-        actualDamage = Math.max(1, target.takeDamageWithElement(actualDamage, element));
+        actualDamage = Math.max(1, target.takeDamageWithElement(actualDamage, element, damageResult.bonusDamage));
         died = target.currentHP === 0;
       } else {
+        actualDamage += damageResult.bonusDamage.reduce((sum, bonus) => sum + bonus.amount, 0);
         died = target.takeDamage(actualDamage);
       }
 
@@ -248,7 +262,8 @@ export class ActionSystem {
       if (!died && target.tier === 'boss' && typeof target.checkPhaseTransition === 'function') {
         const phaseChanged = target.checkPhaseTransition();
         if (phaseChanged) {
-          result.messages.push(`${target.name} enters a new phase!`);
+          result.messages.push(target.phases[target.currentPhase].message ?? `${target.name} enters a new phase!`);
+          result.effects.push({ type: 'phase_change', target, phase: target.currentPhase });
         }
       }
 
@@ -266,6 +281,8 @@ export class ActionSystem {
 
       if (died) {
         result.messages.push(`${target.name} has been defeated!`);
+      } else {
+        this.applyOnHitAffixes(attacker, target, result);
       }
     }
 
@@ -290,9 +307,10 @@ export class ActionSystem {
     const skill = action.skillData;
     const targetArray = Array.isArray(targets) ? targets : [targets];
 
-    // Set skill cooldown on use
+    // Set skill cooldown on use — affix reductions never remove it entirely
     if (skill.cooldown > 0) {
-      skill.currentCooldown = skill.cooldown;
+      const reduction = getAffixBonuses(attacker).cooldownReduction;
+      skill.currentCooldown = Math.max(1, skill.cooldown - reduction);
     }
 
     // Handle different skill types
@@ -330,9 +348,6 @@ export class ActionSystem {
   executeSkillAttack(skill, attacker, targets, result) {
     const skillMultiplier = this.getSkillDamageMultiplier(skill.id);
 
-    // Saving throw stat map: Fortitude→DEF, Reflex→SPD, Will→SPD
-    const SAVE_STAT = { Fortitude: 'DEF', Reflex: 'SPD', Will: 'SPD' };
-
     for (const target of targets) {
       if (!target || !target.isAlive()) {
         continue;
@@ -343,7 +358,13 @@ export class ActionSystem {
       let savedFull = false;
       if (skill.savingThrow && skill.savingThrowDC) {
         const saveStat = target.stats[SAVE_STAT[skill.savingThrow] ?? 'DEF'] ?? 10;
-        const saveRoll = Math.floor(Math.random() * 20) + 1 + Math.floor((saveStat - 10) / 2);
+        const saveDie = d20.roll(combatRng);
+        const saveMod = Math.floor((saveStat - 10) / 2);
+        const saveRoll = saveDie + saveMod;
+        result.rolls.push({
+          kind: 'save', save: skill.savingThrow, actor: target, target: attacker, dice: d20.toString(),
+          roll: saveDie, modifier: saveMod, total: saveRoll, dc: skill.savingThrowDC, success: saveRoll >= skill.savingThrowDC
+        });
         if (saveRoll >= skill.savingThrowDC) {
           if (skill.savingThrow === 'Reflex') savedHalf = true;
           else savedFull = true;
@@ -356,7 +377,7 @@ export class ActionSystem {
       }
 
       // Calculate skill damage
-      const damageResult = this.calculateDamage(attacker, target, { type: 'skill', skillMultiplier });
+      const damageResult = this.calculateDamage(attacker, target, { type: 'skill', skillMultiplier }, result.rolls);
       
       // Apply damage — use elemental resistance if target supports it
       let actualDamage = Math.max(1, savedHalf ? Math.floor(damageResult.finalDamage / 2) : damageResult.finalDamage);
@@ -364,9 +385,10 @@ export class ActionSystem {
       if (savedHalf) result.messages.push(`${target.name} partially evades ${skill.name}!`);
       const element = skill.element ?? attacker.stats?.element ?? 'Physical';
       if (typeof target.takeDamageWithElement === 'function') {
-        actualDamage = Math.max(1, target.takeDamageWithElement(actualDamage, element));
+        actualDamage = Math.max(1, target.takeDamageWithElement(actualDamage, element, damageResult.bonusDamage));
         died = target.currentHP === 0;
       } else {
+        actualDamage += damageResult.bonusDamage.reduce((sum, bonus) => sum + bonus.amount, 0);
         died = target.takeDamage(actualDamage);
       }
 
@@ -374,7 +396,8 @@ export class ActionSystem {
       if (!died && target.tier === 'boss' && typeof target.checkPhaseTransition === 'function') {
         const phaseChanged = target.checkPhaseTransition();
         if (phaseChanged) {
-          result.messages.push(`${target.name} enters a new phase!`);
+          result.messages.push(target.phases[target.currentPhase].message ?? `${target.name} enters a new phase!`);
+          result.effects.push({ type: 'phase_change', target, phase: target.currentPhase });
         }
       }
 
@@ -393,24 +416,17 @@ export class ActionSystem {
       if (died) {
         result.messages.push(`${target.name} has been defeated!`);
       } else {
-        // Apply any status effects defined on the skill
-        for (const effect of skill.effects || []) {
-          if (effect.type === 'status') {
-            const immune = target.immunities?.includes(effect.statusType);
-            if (immune) {
-              result.messages.push(`${target.name} is immune to ${effect.statusType}!`);
-              continue;
-            }
-            target.statusEffects.push({
-              type: effect.statusType,
-              value: effect.value,
-              duration: effect.duration,
-              source: skill.id
-            });
-            result.statusEffects.push({ target, effect });
-            result.messages.push(`${target.name} is affected by ${effect.statusType}!`);
-          }
+        // Apply any status effects defined on the skill — player skills list
+        // { type: 'status', statusType } entries, enemy skills a single statusEffect
+        const statusSpecs = (skill.effects || [])
+          .filter(effect => effect?.type === 'status')
+          .map(({ type, statusType, ...fields }) => ({ ...fields, type: statusType }));
+        if (skill.statusEffect) statusSpecs.push(skill.statusEffect);
+
+        for (const spec of statusSpecs) {
+          this.applyStatusEffect(target, spec, skill.id, result);
         }
+        this.applyOnHitAffixes(attacker, target, result);
       }
     }
 
@@ -467,12 +483,11 @@ export class ActionSystem {
       }
       
       // Apply buff status effect
-      target.statusEffects.push({
-        type: buffEffect.type,
-        value: buffEffect.value,
-        duration: buffEffect.duration,
-        source: skill.id
-      });
+      const applied = this.statusEffects.apply(target, buffEffect, skill.id);
+      if (!applied.applied) {
+        result.messages.push(`${target.name} is unaffected by ${skill.name}`);
+        continue;
+      }
       
       result.statusEffects.push({
         target: target,
@@ -498,21 +513,35 @@ export class ActionSystem {
   executeSkillUtility(skill, caster, targets, result) {
     // Handle specific utility skills
     switch (skill.id) {
-      case 'taunt':
+      case 'taunt': {
         // Force enemies to target this character
+        const effect = { type: 'taunt', value: 1, duration: 2 };
+        this.statusEffects.apply(caster, effect, skill.id);
+        result.statusEffects.push({ target: caster, effect });
         result.messages.push(`${caster.name} taunts the enemies!`);
         break;
+      }
       
-      case 'evasion':
+      case 'evasion': {
         // Increase evasion for several turns
-        caster.statusEffects.push({
-          type: 'evasion_boost',
-          value: 0.3, // +30% evasion
-          duration: 3,
-          source: skill.id
-        });
+        const effect = { type: 'evasion_boost', value: 0.3, duration: 3 }; // +30% evasion
+        this.statusEffects.apply(caster, effect, skill.id);
+        result.statusEffects.push({ target: caster, effect });
         result.messages.push(`${caster.name} becomes more evasive!`);
         break;
+      }
+
+      case 'dispel_magic': {
+        // Strip dispellable buffs; taunt and defend are flagged non-dispellable
+        for (const target of targets) {
+          if (!target || !target.isAlive()) continue;
+          const removed = this.statusEffects.dispel(target);
+          result.messages.push(removed.length > 0
+            ? `${caster.name} dispels ${removed.map(effect => effect.type).join(', ')} from ${target.name}!`
+            : `${caster.name}'s dispel finds nothing on ${target.name}`);
+        }
+        break;
+      }
       
       default:
         result.messages.push(`${caster.name} uses ${skill.name}`);
@@ -551,9 +580,8 @@ export class ActionSystem {
             target.currentAP = Math.min(target.maxAP ?? 3, (target.currentAP ?? 0) + effect.value);
             result.messages.push(`${user.name} uses ${item.name}, restoring ${effect.value} AP`);
           } else if (effect.type === 'cure' && Array.isArray(effect.conditions)) {
-            target.statusEffects = (target.statusEffects ?? []).filter(
-              se => !effect.conditions.includes(se.type)
-            );
+            // Conditions may name effect types or cleanse tags (e.g. 'dot')
+            this.statusEffects.cleanse(target, effect.conditions);
             result.messages.push(`${user.name} uses ${item.name}, curing ${effect.conditions.join(', ')}`);
           }
         }
@@ -573,12 +601,11 @@ export class ActionSystem {
    */
   executeDefend(action, defender, result) {
     // Apply defense buff
-    defender.statusEffects.push({
+    this.statusEffects.apply(defender, {
       type: 'defense_boost',
       value: 0.5, // 50% damage reduction
-      duration: 1, // Until next turn
-      source: 'defend'
-    });
+      duration: 1 // Until next turn
+    }, 'defend');
 
     result.messages.push(`${defender.name} takes a defensive stance (+50% defense until next turn)`);
     return result;
@@ -594,7 +621,9 @@ export class ActionSystem {
   executeFlee(action, character, result) {
     // Calculate flee chance based on speed
     const fleeChance = Math.min(0.8, 0.3 + (character.stats.SPD / 100));
-    const success = Math.random() < fleeChance;
+    const fleeRoll = combatRng.next();
+    const success = fleeRoll < fleeChance;
+    result.rolls.push({ kind: 'flee', actor: character, roll: fleeRoll, dc: fleeChance, success });
     
     if (success) {
       result.messages.push(`${character.name} successfully flees from combat!`);
@@ -612,12 +641,14 @@ export class ActionSystem {
    * @param {Object} attacker - Attacking character
    * @param {Object} defender - Defending character
    * @param {Object} action - Action being performed
-   * @returns {Object} Damage calculation result
+   * @param {Array} [rolls] - Action result's roll log; the crit roll is appended
+   * @returns {Object} Damage calculation result; bonusDamage lists
+   *   [{ element, amount }] from the attacker's equipment affixes
    */
-  calculateDamage(attacker, defender, action) {
-    // Base damage calculation: ATK - (DEF/2)
-    const attackPower = attacker.stats.ATK;
-    const defense = defender.stats.DEF;
+  calculateDamage(attacker, defender, action, rolls = null) {
+    // Base damage calculation: ATK - (DEF/2), including status stat modifiers
+    const attackPower = attacker.stats.ATK + this.statusEffects.getStatModifier(attacker, 'ATK');
+    const defense = Math.max(0, defender.stats.DEF + this.statusEffects.getStatModifier(defender, 'DEF'));
     let baseDamage = attackPower - Math.floor(defense / 2);
     
     // Apply skill multiplier if applicable
@@ -629,16 +660,20 @@ export class ActionSystem {
     baseDamage = Math.max(1, baseDamage);
     
     // Apply variance (±10%)
-    const variance = 0.9 + (Math.random() * 0.2);
+    const variance = 0.9 + (combatRng.next() * 0.2);
     let finalDamage = Math.floor(baseDamage * variance);
     
-    // Check for critical hit via d20 roll against configurable range
+    // Check for critical hit via d20 roll against configurable range;
+    // equipment affixes widen the range (a natural 1 never crits) and add to the multiplier
+    const affixes = getAffixBonuses(attacker);
     const critCfg = action?.critConfig ?? attacker.critConfig ?? CombatBalanceConfig.CRIT_DEFAULTS;
-    const critRoll = Math.floor(Math.random() * 20) + 1;
-    const isCritical = critRoll >= critCfg.minimum && critRoll <= critCfg.maximum;
+    const critMinimum = Math.max(2, critCfg.minimum - affixes.critRange);
+    const critRoll = d20.roll(combatRng);
+    const isCritical = critRoll >= critMinimum && critRoll <= critCfg.maximum;
+    rolls?.push({ kind: 'crit', actor: attacker, target: defender, dice: d20.toString(), roll: critRoll, dc: critMinimum, success: isCritical });
 
     if (isCritical) {
-      finalDamage *= critCfg.multiplier;
+      finalDamage = Math.floor(finalDamage * (critCfg.multiplier + affixes.critMultiplier));
     }
     
     // Apply elemental modifiers
@@ -649,17 +684,46 @@ export class ActionSystem {
     finalDamage = Math.floor(finalDamage * elementalModifier);
     
     // Apply status effect modifiers
-    finalDamage = this.applyStatusEffectModifiers(finalDamage, attacker, defender);
+    finalDamage = this.applyStatusEffectModifiers(finalDamage, attacker, defender, action?.element ?? attacker.stats.element);
+
+    // Elemental affix damage rides along as separate components so the
+    // target's resistances apply to each element on its own
+    const bonusDamage = Object.entries(affixes.elementalDamage)
+      .map(([element, amount]) => ({ element, amount }));
     
     return {
       baseDamage: baseDamage,
       finalDamage: Math.max(1, finalDamage), // Minimum 1 damage
+      bonusDamage: bonusDamage,
       isCritical: isCritical,
       elementalModifier: elementalModifier,
       variance: variance
     };
   }
 
+  /**
+   * Expected damage of an action before variance, crits and the to-hit roll.
+   * Used to preview enemy intents, so it never draws from the combat RNG.
+   * @param {Object} attacker - Attacking character
+   * @param {Object} defender - Defending character
+   * @param {Object} action - Attack or skill action
+   * @returns {number} Estimated damage
+   */
+  estimateDamage(attacker, defender, action) {
+    const attackPower = attacker.stats.ATK + this.statusEffects.getStatModifier(attacker, 'ATK');
+    const defense = Math.max(0, defender.stats.DEF + this.statusEffects.getStatModifier(defender, 'DEF'));
+    let damage = attackPower - Math.floor(defense / 2);
+
+    if (action.type !== 'attack') {
+      damage *= this.getSkillDamageMultiplier(action.skillData?.id ?? action.id);
+    }
+    damage = Math.max(1, damage);
+
+    damage = Math.floor(damage * this.getElementalModifier(attacker.stats.element, defender.stats.element));
+    damage = this.applyStatusEffectModifiers(damage, attacker, defender, action.skillData?.element ?? attacker.stats.element);
+    return Math.max(1, damage);
+  }
+
   /**
    * Calculate critical hit chance
    * @param {Object} character - Character to calculate for
@@ -690,30 +754,74 @@ export class ActionSystem {
    * @param {number} damage - Base damage
    * @param {Object} attacker - Attacking character
    * @param {Object} defender - Defending character
+   * @param {string} element - Damage element (for element-specific shields)
    * @returns {number} Modified damage
    */
-  applyStatusEffectModifiers(damage, attacker, defender) {
-    let modifiedDamage = damage;
-    
-    // Check defender's status effects
-    for (const effect of defender.statusEffects || []) {
-      if (effect.type === 'defense_boost') {
-        modifiedDamage *= (1 - effect.value);
-      } else if (effect.type === 'stat_boost') {
-        modifiedDamage *= (1 - effect.value * 0.5); // stat_boost gives 50% of value as defense
+  applyStatusEffectModifiers(damage, attacker, defender, element = null) {
+    return Math.floor(damage * this.statusEffects.getDamageMultiplier(attacker, defender, element));
+  }
+
+  /**
+   * Roll to-hit: d20 + ATK bonus + accuracy vs target AC (DEF + SPD modifier),
+   * then the target's evasion chance. Accuracy modifiers are percentages (5% per d20 step).
+   * @param {Object} attacker - Attacking character
+   * @param {Object} target - Defending character
+   * @param {Array} [rolls] - Action result's roll log; to-hit and evasion rolls are appended
+   * @returns {boolean} True if the attack hits
+   */
+  rollToHit(attacker, target, rolls = null) {
+    const atkBonus = Math.floor((attacker.stats?.ATK ?? 10) / 4);
+    const accuracy = Math.round(this.statusEffects.getModifier(attacker, 'accuracy') / 5);
+    const targetSPD = (target.stats?.SPD ?? 5) + this.statusEffects.getStatModifier(target, 'SPD');
+    const targetAC = Math.floor((target.stats?.DEF ?? 5) / 2) + Math.floor(targetSPD / 6);
+    const die = d20.roll(combatRng);
+    const hitRoll  = die + atkBonus + accuracy;
+    rolls?.push({
+      kind: 'to_hit', actor: attacker, target, dice: d20.toString(),
+      roll: die, modifier: atkBonus + accuracy, total: hitRoll, dc: targetAC, success: hitRoll >= targetAC
+    });
+    if (hitRoll < targetAC) return false;
+
+    const evasion = this.statusEffects.getModifier(target, 'evasion');
+    if (!(evasion > 0)) return true;
+    const evasionRoll = combatRng.next();
+    rolls?.push({ kind: 'evasion', actor: target, target: attacker, roll: evasionRoll, dc: evasion, success: evasionRoll < evasion });
+    return evasionRoll >= evasion;
+  }
+
+  /**
+   * Roll the attacker's on-hit affix effects (e.g. "Venomous") against a target
+   * @param {Object} attacker - Attacking character
+   * @param {Object} target - Character that was hit
+   * @param {Object} result - Result object to populate
+   */
+  applyOnHitAffixes(attacker, target, result) {
+    for (const { chance, ...effect } of getAffixBonuses(attacker).onHit) {
+      if (combatRng.chance(chance)) {
+        this.applyStatusEffect(target, effect, 'affix', result);
       }
     }
+  }
 
-    // Check attacker's status effects
-    for (const effect of attacker.statusEffects || []) {
-      if (effect.type === 'attack_boost') {
-        modifiedDamage *= (1 + effect.value);
-      } else if (effect.type === 'stat_boost') {
-        modifiedDamage *= (1 + effect.value * 0.5); // stat_boost gives 50% of value as attack
-      }
+  /**
+   * Apply a status effect through the registry and record it on the result
+   * @param {Object} target - Target receiving the effect
+   * @param {Object} effect - Effect instance data ({ type, duration, value, ... })
+   * @param {string} source - Source skill/item id
+   * @param {Object} result - Action result to populate
+   * @returns {boolean} True if applied
+   */
+  applyStatusEffect(target, effect, source, result) {
+    const applied = this.statusEffects.apply(target, effect, source);
+    if (applied.reason === 'immune') {
+      result.messages.push(`${target.name} is immune to ${effect.type}!`);
+      return false;
     }
-    
-    return Math.floor(modifiedDamage);
+    if (!applied.applied) return false;
+
+    result.statusEffects.push({ target, effect });
+    result.messages.push(`${target.name} is affected by ${this.statusEffects.get(effect.type).name}!`);
+    return true;
   }
 
   /**
@@ -816,6 +924,7 @@ export class ActionSystem {
       'meteor': 'all_enemies',
       'heal': 'single_ally',
       'bless': 'single_ally',
+      'dispel_magic': 'single_enemy',
       'mass_heal': 'all_allies',
       'resurrect': 'single_ally',
       'divine_shield': 'single_ally'
@@ -848,6 +957,7 @@ export class ActionSystem {
       'meteor': ['damage', 'fire', 'aoe'],
       'heal': ['healing'],
       'bless': ['buff', 'stats'],
+      'dispel_magic': ['dispel'],
       'mass_heal': ['healing', 'aoe'],
       'resurrect': ['healing', 'resurrect'],
       'divine_shield': ['buff', 'immunity']
@@ -24,7 +24,7 @@ export class BattleActionExecutor {
     this.screenShake     = null;  // Phase 5
     this.entityRegistry  = null;  // Map<id, CombatantEntity> — Phase 3
 
-    // Hit stop duration in ms (spec: 60–100ms)
+    // Hit stop duration in ms (spec: 60–100ms); 0 disables it for headless runs
     this.hitStopDuration = 80;
   }
 
@@ -138,7 +138,7 @@ export class BattleActionExecutor {
       screenPos = { x: rect.left + rect.width * 0.5, y: rect.top + rect.height * 0.25 };
     }
     if (!screenPos) return Promise.resolve();
-    this.combatText.spawnText(damage, screenPos, isCritical);
+    this.combatText.spawnText(damage, screenPos, isCritical, 'damage', targetEntity.combatant?.name ?? null);
     return Promise.resolve();
   }
 
@@ -150,6 +150,7 @@ export class BattleActionExecutor {
   }
 
   _hitStop() {
+    if (this.hitStopDuration <= 0) return Promise.resolve();
     return new Promise(resolve => setTimeout(resolve, this.hitStopDuration));
   }
 }
@@ -101,6 +101,27 @@ export class BattleGrid {
     log.info('grid populated', { players: playerMembers.length, enemies: enemies.length });
   }
 
+  /**
+   * Place one enemy mid-combat (boss summons). Takes the first enemy-side block
+   * that is empty or only holds the fallen, scanning from the back column.
+   * @param {Object} enemy - Enemy object
+   * @param {THREE.Scene} scene
+   * @returns {boolean} False when the enemy side is full
+   */
+  addEntity(enemy, scene) {
+    const gs = enemy.gridSize ?? { w: 1, h: 1 };
+    for (let col = BattleGrid.COLS - gs.w; col >= BattleGrid.COLS / 2; col--) {
+      for (let row = 0; row + gs.h <= BattleGrid.ROWS; row++) {
+        if (!this._isBlockFree(col, row, gs.w, gs.h)) continue;
+        this._reclaimBlock(col, row, gs.w, gs.h);
+        this._placeEntity(enemy, col, row, gs.w, gs.h, scene);
+        return true;
+      }
+    }
+    log.warn('no free cell for summon', { id: enemy.id });
+    return false;
+  }
+
   /**
    * Get CombatantEntity for a character/enemy by id.
    * @param {string} id
@@ -149,6 +170,42 @@ export class BattleGrid {
     log.debug('placed', { id: combatant.id, col, row, w, h });
   }
 
+  _isBlockFree(col, row, w, h) {
+    for (let dc = 0; dc < w; dc++) {
+      for (let dr = 0; dr < h; dr++) {
+        const id = this._cells[col + dc][row + dr];
+        if (id !== null && this.entities.get(id)?.combatant?.isAlive?.() !== false) return false;
+      }
+    }
+    return true;
+  }
+
+  /** Drop fallen combatants still occupying a block so it can be reused. */
+  _reclaimBlock(col, row, w, h) {
+    for (let dc = 0; dc < w; dc++) {
+      for (let dr = 0; dr < h; dr++) {
+        const id = this._cells[col + dc][row + dr];
+        if (id !== null) this._removeEntity(id);
+      }
+    }
+  }
+
+  _removeEntity(id) {
+    const entity = this.entities.get(id);
+    if (entity) {
+      entity.mesh?.parent?.remove(entity.mesh);
+      entity.mesh?.geometry?.dispose();
+      entity.mesh?.material?.dispose();
+      if (entity.combatant) delete entity.combatant._combatEntity;
+      this.entities.delete(id);
+    }
+    for (let c = 0; c < BattleGrid.COLS; c++) {
+      for (let r = 0; r < BattleGrid.ROWS; r++) {
+        if (this._cells[c][r] === id) this._cells[c][r] = null;
+      }
+    }
+  }
+
   _makePlaceholderMesh(combatant, w, h) {
     const width  = w * BattleGrid.CELL * 0.85;
     const height = h * BattleGrid.CELL * 0.85;
@@ -0,0 +1,205 @@
+/**
+ * CombatRecorder - Structured record of every fight for replay and export
+ * Listens to CombatSystem's combatEvent stream and keeps the last few fights
+ * as JSON-safe event lists: initiative, each action with its dice rolls,
+ * damage, saves, status ticks and boss phase changes. Every event carries an
+ * HP snapshot so CombatReplayUI can step through a fight without re-simulating
+ * it; exportRecord() produces the file attached to balance bug reports.
+ */
+
+export const COMBAT_RECORD_VERSION = 1;
+
+const ref = (c) => c?.id ?? null;
+
+export class CombatRecorder {
+  /**
+   * @param {number} maxRecords - Finished fights kept in memory (oldest dropped)
+   */
+  constructor(maxRecords = 5) {
+    this.maxRecords = maxRecords;
+    this.records = [];      // finished fights, newest last
+    this.current = null;    // fight being recorded
+    this.combatSystem = null;
+    this._live = new Map(); // id → combatant, for HP snapshots
+    this._onCombatEvent = (event) => this.handleCombatEvent(event.detail);
+  }
+
+  /**
+   * Start recording the combat events of a CombatSystem
+   * @param {Object} combatSystem - CombatSystem instance
+   */
+  attach(combatSystem) {
+    this.combatSystem = combatSystem;
+    window.removeEventListener('combatEvent', this._onCombatEvent);
+    window.addEventListener('combatEvent', this._onCombatEvent);
+  }
+
+  detach() {
+    window.removeEventListener('combatEvent', this._onCombatEvent);
+    this.combatSystem = null;
+    this.current = null;
+  }
+
+  /**
+   * Most recent finished fight
+   * @returns {Object|null} Combat record
+   */
+  getLatest() {
+    return this.records[this.records.length - 1] ?? null;
+  }
+
+  /**
+   * Serialize a record for download
+   * @param {Object} [record] - Defaults to the latest fight
+   * @returns {Object} {success, fileName, content} or {success: false, error}
+   */
+  exportRecord(record = this.getLatest()) {
+    if (!record) {
+      return { success: false, error: 'No combat recorded yet' };
+    }
+    const stamp = new Date(record.startedAt).toISOString().replace(/[:.]/g, '-');
+    return {
+      success: true,
+      fileName: `combat-${record.result ?? 'unfinished'}-${stamp}.json`,
+      content: JSON.stringify(record, null, 2)
+    };
+  }
+
+  /**
+   * Route one combatEvent into the current record
+   * @param {Object} detail - { type, data, timestamp } from CombatSystem.emitCombatEvent
+   */
+  handleCombatEvent({ type, data, timestamp }) {
+    if (type === 'combatStarted') {
+      this._begin(data, timestamp);
+      return;
+    }
+    if (!this.current) return;
+
+    switch (type) {
+      case 'initiativeRolled':
+        this._push('initiative', { order: this._initiative(data.initiative) });
+        break;
+      case 'roundStarted':
+        this.current.rounds = data.turnNumber;
+        this._push('round', { round: data.turnNumber });
+        break;
+      case 'turnStarted':
+        if (data.currentCharacter) this._push('turn', { actor: data.currentCharacter.id });
+        break;
+      case 'actionExecuted':
+        this._push('action', this._action(data.character, data.action, data.result));
+        break;
+      case 'statusEffectTick':
+        this._push('status_tick', {
+          actor: ref(data.character),
+          timing: data.timing,
+          messages: [...data.messages],
+          expired: data.expired.map(effect => effect.type)
+        });
+        break;
+      case 'turnSkipped':
+        this._push('turn_skipped', { actor: ref(data.character), reason: data.reason, message: data.message });
+        break;
+      case 'phaseEffect':
+        this._push('phase_effect', { actor: ref(data.enemy), effect: { ...data.effect }, message: data.message });
+        break;
+      case 'enemyCharging':
+        this._push('charging', { actor: ref(data.enemy), skillId: data.skillId, turnsLeft: data.turnsLeft });
+        break;
+      case 'enemiesSummoned': {
+        const summoned = this.combatSystem?.enemies.filter(e => data.enemies.some(s => s.id === e.id)) ?? [];
+        summoned.forEach(enemy => this._addParticipant(enemy, 'enemy'));
+        this._push('summon', { actor: ref(data.summoner), summoned: data.enemies.map(e => e.id) });
+        break;
+      }
+      case 'combatEnded':
+        this._finish(data, timestamp);
+        break;
+    }
+  }
+
+  // ── Private ───────────────────────────────────────────────────────────────
+
+  _begin(data, timestamp) {
+    const cs = this.combatSystem;
+    this._live.clear();
+    this.current = {
+      version: COMBAT_RECORD_VERSION,
+      startedAt: timestamp,
+      endedAt: null,
+      result: null,
+      rounds: 1,
+      surprise: data.surprise ?? null,
+      rngState: data.rngState ?? null,
+      participants: [],
+      events: []
+    };
+    for (const member of cs?.playerParty?.getAliveMembers() ?? []) this._addParticipant(member, 'party');
+    for (const enemy of cs?.enemies ?? []) this._addParticipant(enemy, 'enemy');
+    this._push('initiative', { order: this._initiative(data.initiative ?? []) });
+  }
+
+  _finish(data, timestamp) {
+    const record = this.current;
+    this._push('end', {
+      result: data.result,
+      rewards: data.rewards ? {
+        experience: data.rewards.experience ?? 0,
+        gold: data.rewards.gold ?? 0,
+        loot: (data.rewards.loot ?? []).map(item => item.name ?? item.id)
+      } : null
+    });
+    record.result = data.result;
+    record.endedAt = timestamp;
+    this.current = null;
+
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) this.records.shift();
+  }
+
+  _addParticipant(combatant, side) {
+    this._live.set(combatant.id, combatant);
+    this.current.participants.push({
+      id: combatant.id,
+      name: combatant.name,
+      side,
+      class: combatant.class ?? null,
+      type: combatant.type ?? null,
+      level: combatant.level ?? 1,
+      maxHP: combatant.maxHP,
+      stats: { ...combatant.stats }
+    });
+  }
+
+  _push(type, payload) {
+    const hp = {};
+    for (const [id, combatant] of this._live) hp[id] = combatant.currentHP;
+    this.current.events.push({ seq: this.current.events.length, round: this.current.rounds, type, ...payload, hp });
+  }
+
+  _initiative(rolls) {
+    return rolls.map(({ combatant, speed, initiative }) => ({
+      id: ref(combatant),
+      speed,
+      initiative: Math.round(initiative * 100) / 100
+    }));
+  }
+
+  _action(actor, action, result) {
+    return {
+      actor: ref(actor),
+      action: { id: action.id, name: action.name, type: action.type },
+      targets: (result?.targets ?? []).map(ref),
+      success: result?.success ?? false,
+      rolls: (result?.rolls ?? []).map(({ actor: by, target, ...roll }) => ({ ...roll, actor: ref(by), target: ref(target) })),
+      damage: (result?.damage ?? []).map(d => ({ target: ref(d.target), amount: d.damage, critical: d.isCritical, died: d.died })),
+      healing: (result?.healing ?? []).map(h => ({ target: ref(h.target), amount: h.healing })),
+      statuses: (result?.statusEffects ?? []).map(s => ({ target: ref(s.target), type: s.effect.type, duration: s.effect.duration ?? null })),
+      phaseChanges: (result?.effects ?? []).filter(e => e.type === 'phase_change').map(e => ({ target: ref(e.target), phase: e.phase })),
+      messages: [...(result?.messages ?? [])]
+    };
+  }
+}
+
+export const combatRecorder = new CombatRecorder();
@@ -5,12 +5,19 @@
 
 import { ActionSystem } from './ActionSystem.js';
 import { ActionResolver } from './ActionResolver.js';
+import { Enemy } from './Enemy.js';
 import { EnemyAI } from './EnemyAI.js';
+import { EnemyIntentPlanner } from './EnemyIntentPlanner.js';
 import { AIActionValidator } from './AIActionValidator.js';
 import { lootSystem } from '../loot/LootSystem.js';
 import { BattleFSM, BattleState } from './BattleFSM.js';
 import { BattleActionExecutor } from './BattleActionExecutor.js';
 import { BattleGrid } from './BattleGrid.js';
+import { statusEffectRegistry } from './StatusEffectRegistry.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+import { EventBus, EventTypes } from '../core/EventBus.js';
+
+const combatRng = rng.stream(RNGStreams.COMBAT);
 
 export class CombatSystem {
   constructor() {
@@ -20,6 +27,7 @@ export class CombatSystem {
     this.aiValidator     = new AIActionValidator();
     this.battleExecutor  = new BattleActionExecutor(this.actionResolver);
     this.battleGrid      = new BattleGrid();
+    this.intentPlanner   = new EnemyIntentPlanner(this.actionSystem);
 
     // Scene reference — set by main.js after systems init
     this._scene = null;
@@ -42,10 +50,13 @@ export class CombatSystem {
     this.currentTurnIndex = 0;
     this.currentCharacter = null;
     this.turnNumber = 1;
+    this.initiativeRolls = [];
     
     // Combat settings
     this.maxAP = 3; // Action Points per turn
     this.animationsEnabled = false; // Set true to add AI turn delays for visual pacing
+    this.turnStartDelay = 250; // ms before the first turn so the UI can render — 0 for headless runs
+    this.telegraphIntents = false; // Enemies commit to shown intents each round — per difficulty, set by GameLoopManager
     
     // Combat results
     this.combatResults = null;
@@ -77,10 +88,15 @@ export class CombatSystem {
       return false;
     }
 
+    // RNG position before initiative — lets a combat record be replayed from the same rolls
+    const rngState = rng.getState();
+
     // Set up combat participants
     this.playerParty = playerParty;
     this.enemies = [...enemies];
     this.zoneXPMultiplier = encounterData.xpMultiplier ?? 1;
+    // 'party' | 'enemies' — that side takes round 1 alone
+    this.surprise = encounterData.surprise ?? null;
     
     // Initialize AI for enemies
     this.initializeEnemyAI();
@@ -102,6 +118,12 @@ export class CombatSystem {
     // Set current character
     this.currentCharacter = this.turnOrder[0];
 
+    // Round 1 intents ride along in the combatStarted enemy summaries
+    this.intentPlanner.clear();
+    if (this.telegraphIntents) {
+      this.intentPlanner.planRound(this.getEnemyActors(), this.playerParty, this.enemies);
+    }
+
     console.log('Combat initialized:', {
       playerParty: this.playerParty.getAliveMembers().length,
       enemies: this.enemies.length,
@@ -122,7 +144,10 @@ export class CombatSystem {
     this.emitCombatEvent('combatStarted', {
       playerParty: this.playerParty.getPartySummary(),
       enemies: this.enemies.map(e => this.getEnemySummary(e)),
-      turnOrder: this.getTurnOrderSummary()
+      turnOrder: this.getTurnOrderSummary(),
+      initiative: this.initiativeRolls,
+      surprise: this.surprise,
+      rngState
     });
 
     // Kick off first turn after the UI has had time to render (combatStarted handler runs first)
@@ -134,7 +159,7 @@ export class CombatSystem {
       if (this.combatState === 'ENEMY_TURN') {
         this.handleEnemyTurn();
       }
-    }, 250);
+    }, this.turnStartDelay);
 
     return true;
   }
@@ -157,11 +182,24 @@ export class CombatSystem {
     const initiative = new Map();
     for (const c of this.turnOrder) {
       const spd = (c.stats ? c.stats.SPD : (c.speed || 5)) || 5;
-      initiative.set(c, spd + Math.random() * spd * 0.5);
+      initiative.set(c, spd + combatRng.next() * spd * 0.5);
     }
 
     this.turnOrder.sort((a, b) => (initiative.get(b) ?? 0) - (initiative.get(a) ?? 0));
 
+    // Kept for the combat record — [{ combatant, speed, initiative }] in turn order
+    this.initiativeRolls = this.turnOrder.map(c => ({
+      combatant: c,
+      speed: (c.stats ? c.stats.SPD : (c.speed || 5)) || 5,
+      initiative: initiative.get(c)
+    }));
+
+    // Surprise round: only the side that got the jump acts
+    if (this.surprise) {
+      const enemySide = this.surprise === 'enemies';
+      this.turnOrder = this.turnOrder.filter(c => this.enemies.includes(c) === enemySide);
+    }
+
     console.log('Turn order calculated:', this.turnOrder.map(c => ({
       name: c.name || c.id,
       spd: c.stats ? c.stats.SPD : (c.speed || 5),
@@ -214,6 +252,8 @@ export class CombatSystem {
 
     // Emit turn-end event for the character whose turn just finished
     if (this.currentCharacter) {
+      this.tickStatusEffects(this.currentCharacter, 'turn_end');
+      this.intentPlanner.spend(this.currentCharacter);
       this.emitCombatEvent('turnEnded', { character: this.currentCharacter, turnNumber: this.turnNumber });
     }
 
@@ -226,8 +266,17 @@ export class CombatSystem {
       this.turnNumber++;
       this.emitCombatEvent('roundStarted', { turnNumber: this.turnNumber });
 
-      // Recalculate turn order (remove dead characters)
-      this.updateTurnOrder();
+      if (this.surprise) {
+        // Surprise round over — everyone rolls into the normal order
+        this.surprise = null;
+        this.calculateTurnOrder();
+        this.emitCombatEvent('initiativeRolled', { initiative: this.initiativeRolls });
+      } else {
+        // Recalculate turn order (remove dead characters)
+        this.updateTurnOrder();
+      }
+
+      if (this.telegraphIntents) this.planIntents();
 
       console.log(`Starting round ${this.turnNumber}`);
     }
@@ -253,7 +302,7 @@ export class CombatSystem {
         this.currentCharacter.currentAP = this.currentCharacter.maxAP || this.maxAP;
       }
 
-      this.tickStatusEffects(this.currentCharacter);
+      this.tickStatusEffects(this.currentCharacter, 'turn_start');
       this.tickSkillCooldowns(this.currentCharacter);
 
       // Determine combat state based on current character
@@ -275,6 +324,11 @@ export class CombatSystem {
     // Emit turn start event
     this.emitCombatEvent('turnStarted', turnInfo);
 
+    // Stun/freeze (or a DoT tick that killed them) forfeits the whole turn
+    if (this._forfeitsTurn(this.currentCharacter)) {
+      return turnInfo;
+    }
+
     // Handle AI turn if current character is an enemy
     if (this.combatState === 'ENEMY_TURN') {
       this.handleEnemyTurn();
@@ -307,48 +361,57 @@ export class CombatSystem {
   }
 
   /**
-   * Tick status effects for a character at the start of their turn.
-   * Applies per-turn effects (poison/burn/regen) and decrements duration.
-   * Removes expired effects.
+   * Tick status effects for a character.
+   * Per-turn damage/healing, duration countdown and expiry are driven by
+   * StatusEffectRegistry definitions; only effects whose tickTiming matches run.
+   * @param {Object} character - Character whose effects tick
+   * @param {string} timing - 'turn_start' or 'turn_end'
    */
-  tickStatusEffects(character) {
+  tickStatusEffects(character, timing = 'turn_start') {
     if (!Array.isArray(character.statusEffects) || character.statusEffects.length === 0) return;
 
-    const messages = [];
-    const remaining = [];
-
-    for (const effect of character.statusEffects) {
-      // Per-turn damage/healing
-      switch (effect.type) {
-        case 'poison':
-        case 'burn': {
-          const dmg = Math.max(1, Math.floor(effect.value ?? 5));
-          if (typeof character.takeDamage === 'function') character.takeDamage(dmg);
-          messages.push(`${character.name} takes ${dmg} ${effect.type} damage`);
-          break;
-        }
-        case 'regen': {
-          const hp = Math.max(1, Math.floor(effect.value ?? 5));
-          if (typeof character.heal === 'function') character.heal(hp);
-          messages.push(`${character.name} regenerates ${hp} HP`);
-          break;
-        }
-        default:
-          break;
-      }
+    const { messages, expired } = statusEffectRegistry.tick(character, timing);
 
-      // Decrement duration
-      effect.duration = (effect.duration ?? 1) - 1;
-      if (effect.duration > 0) {
-        remaining.push(effect);
-      }
+    if (messages.length > 0 || expired.length > 0) {
+      this.emitCombatEvent('statusEffectTick', { character, messages, expired, timing });
     }
+  }
+
+  /**
+   * Skip the current turn when a status effect locks every action or a
+   * status tick just killed the character. Deferred so turnStarted listeners
+   * run before the turn moves on.
+   * @param {Object} character - Character whose turn is starting
+   * @returns {boolean} True if the turn was forfeited
+   */
+  _forfeitsTurn(character) {
+    if (!character) return false;
 
-    character.statusEffects = remaining;
+    const alive = character.isAlive ? character.isAlive() : character.currentHP > 0;
+    const lock = alive ? statusEffectRegistry.getTurnLock(character) : null;
+    if (alive && !lock) return false;
 
-    if (messages.length > 0) {
-      this.emitCombatEvent('statusEffectTick', { character, messages });
+    if (lock) {
+      this.emitCombatEvent('turnSkipped', { character, reason: lock.id, message: `${character.name} is ${lock.name.toLowerCase()}!` });
     }
+
+    setTimeout(() => {
+      if (!this.isActive || this.currentCharacter !== character) return;
+      if (this.fsm.isOneOf(BattleState.PLAYER_INPUT_ACTION, BattleState.ACTION_RESOLUTION)) {
+        this.fsm.transition(BattleState.TURN_END);
+      }
+      const endCondition = this.checkCombatEnd();
+      if (endCondition) {
+        let rewards = null;
+        if (endCondition === 'victory') {
+          try { rewards = this.calculateRewards(); } catch (e) { console.error('calculateRewards failed:', e); }
+        }
+        this.endCombat(endCondition, rewards);
+        return;
+      }
+      this.skipTurn();
+    }, 0);
+    return true;
   }
 
   /**
@@ -446,6 +509,7 @@ export class CombatSystem {
       turnNumber: this.turnNumber,
       rewards: rewards,
       partyState: this.playerParty.getPartySummary(),
+      enemies: this.enemies.map(e => this.getEnemySummary(e)),
       timestamp: Date.now()
     };
 
@@ -513,6 +577,11 @@ export class CombatSystem {
 
       this.updateTurnOrder();
 
+      // Boss phase scripts queued by this action (summons, mid-fight dialogue)
+      await this.resolvePhaseEffects();
+
+      if (this.telegraphIntents) this.refreshIntents();
+
       const effects = resolution.executionResult?.effects ?? [];
       if (effects.some(e => e.type === 'flee_success')) {
         this.fsm.transition(BattleState.TURN_END);
@@ -666,6 +735,8 @@ export class CombatSystem {
       maxHP: enemy.maxHP,
       currentAP: enemy.currentAP ?? 0,
       maxAP: enemy.maxAP ?? 3,
+      charge: enemy.charge ? { ...enemy.charge } : null,
+      intent: this.telegraphIntents ? this.intentPlanner.describe(enemy) : null,
       isAlive: enemy.isAlive ? enemy.isAlive() : enemy.currentHP > 0
     };
   }
@@ -736,7 +807,15 @@ export class CombatSystem {
 
     if (this.animationsEnabled) await this.delay(500);
 
-    const aiDecision = this.getAIActionWithFallback(enemy);
+    // Telegraphed charge: the wind-up spends whole turns, then the skill fires
+    if (enemy.charge && enemy.charge.turnsLeft > 0) {
+      this.advanceCharge(enemy);
+      return;
+    }
+
+    const aiDecision = enemy.charge
+      ? this.releaseCharge(enemy)
+      : this.takeIntent(enemy) ?? this.getAIActionWithFallback(enemy);
 
     if (!aiDecision) {
       console.warn(`${enemy.name} has no valid AI decision, skipping turn`);
@@ -865,6 +944,162 @@ export class CombatSystem {
     return null;
   }
 
+  /**
+   * Enemies that still act this round, in turn order
+   * @returns {Array} Enemy combatants
+   */
+  getEnemyActors() {
+    return this.turnOrder.filter(c => this.enemies.includes(c));
+  }
+
+  /**
+   * Commit every enemy's intent for the new round and tell the UI
+   */
+  planIntents() {
+    this.intentPlanner.planRound(this.getEnemyActors(), this.playerParty, this.enemies);
+    this.emitCombatEvent('intentsUpdated', { enemies: this.enemies.map(e => this.getEnemySummary(e)), changes: [] });
+  }
+
+  /**
+   * Re-check intents after an action — stuns cancel them, taunts redirect them,
+   * fallen targets get re-picked
+   */
+  refreshIntents() {
+    const changes = this.intentPlanner.refresh(this.getEnemyActors(), this.playerParty, this.enemies);
+    this.emitCombatEvent('intentsUpdated', { enemies: this.enemies.map(e => this.getEnemySummary(e)), changes });
+  }
+
+  /**
+   * Carry out the intent the enemy committed to at round start
+   * @param {Object} enemy - Enemy whose turn it is
+   * @returns {Object|null} AI decision, or null to let the AI decide afresh
+   */
+  takeIntent(enemy) {
+    if (!this.telegraphIntents) return null;
+    const decision = this.intentPlanner.take(enemy);
+    if (!decision) return null;
+
+    const validation = this.aiValidator.validateAction(
+      enemy, decision.action, decision.target, this.playerParty, this.enemies
+    );
+    if (!validation.isValid) {
+      console.warn(`Intent no longer valid for ${enemy.name}:`, validation.errors);
+      return null;
+    }
+    return decision;
+  }
+
+  /**
+   * Spend an enemy's turn winding up its charged skill
+   * @param {Object} enemy - Charging enemy
+   */
+  advanceCharge(enemy) {
+    const charge = enemy.charge;
+    charge.turnsLeft--;
+    this.emitCombatEvent('enemyCharging', {
+      enemy,
+      skillId: charge.skillId,
+      turnsLeft: charge.turnsLeft,
+      message: charge.message ?? `${enemy.name} is charging ${charge.name}...`
+    });
+    this.skipTurn();
+  }
+
+  /**
+   * Build the decision that unleashes a fully charged skill
+   * @param {Object} enemy - Enemy whose charge completed
+   * @returns {Object|null} AI decision, or the normal AI pick if the skill can't land
+   */
+  releaseCharge(enemy) {
+    const { skillId } = enemy.charge;
+    enemy.charge = null;
+
+    const skill = enemy.skills.find(s => s.id === skillId);
+    if (skill && enemy.ai && enemy.hasAP(skill.apCost)) {
+      const action = enemy.ai.buildSkillAction(skill);
+      const target = enemy.ai.selectTarget(action, enemy, this.playerParty, this.enemies);
+      if (target) {
+        return { action, target, score: 1 };
+      }
+    }
+    return this.getAIActionWithFallback(enemy);
+  }
+
+  /**
+   * Run the phase effects bosses queued during the last action. Effects that
+   * only touch the boss were applied by Enemy.applyPhaseEffect already; here the
+   * ones needing the battle run and every effect's message reaches the log.
+   */
+  async resolvePhaseEffects() {
+    for (const enemy of [...this.enemies]) {
+      if (!enemy.drainPhaseEffects) continue;
+      for (const effect of enemy.drainPhaseEffects()) {
+        if (effect.type === 'summon') {
+          this.summonEnemies(enemy, effect);
+        } else if (effect.type === 'narrative') {
+          await this.playPhaseNarrative(effect);
+        }
+        if (effect.message) {
+          this.emitCombatEvent('phaseEffect', { enemy, effect, message: effect.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Bring reinforcements into the fight. Summons join the end of the current
+   * round's turn order and take a free cell on the battle grid.
+   * @param {Object} summoner - Boss that called them
+   * @param {Object} effect - { enemyType, count, level }
+   * @returns {Array} Enemies that entered combat
+   */
+  summonEnemies(summoner, effect) {
+    const summoned = [];
+    for (let i = 0; i < (effect.count ?? 1); i++) {
+      const add = new Enemy(effect.enemyType, effect.level ?? summoner.level);
+      if (this._scene && !this.battleGrid.addEntity(add, this._scene)) break;
+      add.setAI(EnemyAI.createForEnemyType(add.type));
+      add.summonedBy = summoner.id;
+      this.enemies.push(add);
+      this.turnOrder.push(add);
+      summoned.push(add);
+    }
+
+    if (summoned.length > 0) {
+      console.log(`${summoner.name} summons ${summoned.map(e => e.name).join(', ')}`);
+      this.emitCombatEvent('enemiesSummoned', {
+        summoner,
+        enemies: summoned.map(e => this.getEnemySummary(e))
+      });
+    }
+    return summoned;
+  }
+
+  /**
+   * Play an Ink knot mid-fight through NarrativeManager and hold the battle
+   * until the story completes. Skipped when nothing handles the request
+   * (headless simulations, test pages).
+   * @param {Object} effect - { storyId, knot }
+   * @returns {Promise<void>}
+   */
+  playPhaseNarrative(effect) {
+    if (!EventBus.listenerCounts.get(EventTypes.NARRATIVE_PLAY_REQUEST)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const off = EventBus.on(EventTypes.NARRATIVE_STORY_COMPLETE, (e) => {
+        if (e.detail?.storyId !== effect.storyId) return;
+        off();
+        resolve();
+      });
+      EventBus.emit(EventTypes.NARRATIVE_PLAY_REQUEST, {
+        storyId: effect.storyId,
+        knot: effect.knot ?? null,
+        source: 'combat'
+      });
+    });
+  }
+
   /**
    * Utility delay function for AI animations
    * @param {number} ms - Milliseconds to delay
@@ -932,6 +1167,8 @@ export class CombatSystem {
     this.turnNumber = 1;
     this.combatResults = null;
     this._pendingAction = null;
+    this.surprise = null;
+    this.intentPlanner.clear();
     this.fsm.reset();
 
     console.log('CombatSystem reset');
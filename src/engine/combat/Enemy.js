@@ -4,6 +4,10 @@
  */
 
 import { enemyDatabase } from '../data/EnemyDatabase.js';
+import { EnemyAI } from './EnemyAI.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const lootRng = rng.stream(RNGStreams.LOOT);
 
 export class Enemy {
   constructor(enemyType, level = 1) {
@@ -33,12 +37,15 @@ export class Enemy {
     
     // AI behavior and skills
     this.aiType = this.enemyData.aiType;
-    this.skills = this.enemyData.skills || [];
-    this.resistances = this.enemyData.resistances || {};
+    // Copied so phase effects (new_skills, immune, …) don't leak into the database entry
+    this.skills = [...(this.enemyData.skills || [])];
+    this.resistances = { ...(this.enemyData.resistances || {}) };
     this.immunities  = this.enemyData.immunities  || [];
     this.flags       = this.enemyData.flags       || {};
     this.phases = this.enemyData.phases || null; // For boss enemies
     this.currentPhase = 0;
+    this.pendingPhaseEffects = []; // Drained by CombatSystem after each action
+    this.charge = null;            // { skillId, name, turnsLeft, message } while winding up
     this.ai = null; // Will be set by combat system
 
     // Feature #16: Extended monster struct
@@ -50,7 +57,7 @@ export class Enemy {
     this.hasHealMagic   = this.enemyData.flags?.hasHealMagic ?? false;
     this.canMove        = this.enemyData.canMove         ?? true;
     this.attackSpeed    = this.enemyData.attackSpeed     ?? 1000;
-    this.aiState        = 'idle'; // 'idle' | 'pursuing' | 'fleeing'
+    this.aiState        = 'idle'; // 'idle' | 'pursuing' | 'returning' | 'fleeing'
     this.gridX          = 0;     // exploration grid position (set by dungeon loader)
     this.gridZ          = 0;
     this.baseX          = 0;     // spawn position (home for patrol)
@@ -190,16 +197,14 @@ export class Enemy {
    * Apply damage with resistance calculation
    * @param {number} damage - Base damage amount
    * @param {string} element - Damage element type
+   * @param {Array<{element: string, amount: number}>} bonusDamage - Extra elemental
+   *   components (equipment affixes), each resisted on its own
    * @returns {number} Actual damage dealt
    */
-  takeDamageWithElement(damage, element = 'Physical') {
-    let actualDamage = damage;
-    
-    // Apply elemental resistance
-    if (this.resistances && element in this.resistances) {
-      const res = this.resistances[element];
-      if (res === 'immune') return 0;
-      actualDamage = Math.floor(damage * res);
+  takeDamageWithElement(damage, element = 'Physical', bonusDamage = []) {
+    let actualDamage = this.applyResistance(damage, element);
+    for (const bonus of bonusDamage) {
+      actualDamage += this.applyResistance(bonus.amount, bonus.element);
     }
     
     this.currentHP = Math.max(0, this.currentHP - actualDamage);
@@ -212,6 +217,19 @@ export class Enemy {
     return actualDamage;
   }
 
+  /**
+   * Scale damage by this enemy's resistance to an element
+   * @param {number} damage - Incoming damage
+   * @param {string} element - Damage element type
+   * @returns {number} Damage after resistance (0 when immune)
+   */
+  applyResistance(damage, element) {
+    if (!this.resistances || !(element in this.resistances)) return damage;
+    const res = this.resistances[element];
+    if (res === 'immune') return 0;
+    return Math.floor(damage * res);
+  }
+
   /**
    * Check if enemy has specific skill
    * @param {string} skillId - Skill ID to check
@@ -254,20 +272,20 @@ export class Enemy {
     }
     
     const hpPercentage = this.getHPPercentage();
-    const currentPhaseData = this.phases[this.currentPhase];
+    let changed = false;
     
-    // Check if we should advance to next phase
+    // Advance through every phase crossed — a big hit that skips a threshold
+    // still runs that phase's scripted effects, in order
     for (let i = this.currentPhase + 1; i < this.phases.length; i++) {
       const nextPhase = this.phases[i];
-      if (hpPercentage <= nextPhase.hpThreshold) {
-        console.log(`${this.name} enters phase ${i + 1}!`);
-        this.currentPhase = i;
-        this.onPhaseTransition(nextPhase);
-        return true;
-      }
+      if (hpPercentage > nextPhase.hpThreshold) break;
+      console.log(`${this.name} enters phase ${i + 1}!`);
+      this.currentPhase = i;
+      this.onPhaseTransition(nextPhase);
+      changed = true;
     }
     
-    return false;
+    return changed;
   }
 
   /**
@@ -280,10 +298,12 @@ export class Enemy {
       this.currentPhaseSkills = phaseData.skills;
     }
     
-    // Apply phase-specific effects
+    // Apply phase-specific effects. Every effect is also queued so CombatSystem
+    // can run the ones that need the battle (summon, narrative) and log messages.
     if (phaseData.effects) {
       for (const effect of phaseData.effects) {
         this.applyPhaseEffect(effect);
+        this.pendingPhaseEffects.push(effect);
       }
     }
     
@@ -292,7 +312,17 @@ export class Enemy {
   }
 
   /**
-   * Apply phase-specific effect
+   * Apply phase-specific effect. Phase effects are plain data in EnemyDatabase:
+   *   { type: 'heal', amount }                      restore HP (default 20% max)
+   *   { type: 'stat_boost', stat, amount }          flat stat increase
+   *   { type: 'new_skills', skills }                append skill definitions
+   *   { type: 'set_ai', archetype }                 swap EnemyAI archetype
+   *   { type: 'immune', element }                   take no damage from element
+   *   { type: 'resistance', element, value }        set a damage multiplier
+   *   { type: 'charge', skillId, turns, message }   wind up a skill over several turns
+   *   { type: 'summon', enemyType, count, level }   resolved by CombatSystem
+   *   { type: 'narrative', storyId, knot }          resolved by CombatSystem
+   * Any effect may carry a `message` shown in the combat log.
    * @param {Object} effect - Effect to apply
    */
   applyPhaseEffect(effect) {
@@ -310,9 +340,52 @@ export class Enemy {
           this.skills.push(...effect.skills);
         }
         break;
+      case 'set_ai': {
+        const ai = new EnemyAI(effect.archetype);
+        ai.isBossAI = this.ai?.isBossAI ?? false;
+        this.aiType = effect.archetype;
+        this.setAI(ai);
+        break;
+      }
+      case 'immune':
+        this.resistances[effect.element] = 'immune';
+        break;
+      case 'resistance':
+        this.resistances[effect.element] = effect.value;
+        break;
+      case 'charge': {
+        const skill = this.skills.find(s => s.id === effect.skillId);
+        if (!skill) {
+          console.warn(`${this.name} cannot charge unknown skill: ${effect.skillId}`);
+          break;
+        }
+        this.charge = {
+          skillId: skill.id,
+          name: skill.name,
+          turnsLeft: effect.turns ?? 1,
+          message: effect.message ?? null
+        };
+        break;
+      }
+      case 'summon':
+      case 'narrative':
+        // Need the live battle — CombatSystem picks these up from pendingPhaseEffects
+        break;
+      default:
+        console.warn(`Unknown phase effect type: ${effect.type}`);
     }
   }
 
+  /**
+   * Take and clear the effects queued by phase transitions
+   * @returns {Array} Effects in the order they were applied
+   */
+  drainPhaseEffects() {
+    const effects = this.pendingPhaseEffects;
+    this.pendingPhaseEffects = [];
+    return effects;
+  }
+
   /**
    * Get current phase skills (for boss enemies)
    * @returns {Array} Available skills for current phase
@@ -356,17 +429,17 @@ export class Enemy {
     // Calculate gold drop
     if (lootTable.gold) {
       drops.gold = Math.floor(
-        Math.random() * (lootTable.gold.max - lootTable.gold.min + 1) + lootTable.gold.min
+        lootRng.next() * (lootTable.gold.max - lootTable.gold.min + 1) + lootTable.gold.min
       );
     }
     
     // Calculate item drops
     if (lootTable.items) {
       for (const itemDrop of lootTable.items) {
-        if (Math.random() < itemDrop.chance) {
+        if (lootRng.next() < itemDrop.chance) {
           const quantity = itemDrop.quantity || { min: 1, max: 1 };
           const dropQuantity = Math.floor(
-            Math.random() * (quantity.max - quantity.min + 1) + quantity.min
+            lootRng.next() * (quantity.max - quantity.min + 1) + quantity.min
           );
           
           drops.items.push({
@@ -3,6 +3,13 @@
  * Implements 4 AI archetypes: Aggressive, Defensive, Tactical, Berserker
  */
 
+import { statusEffectRegistry } from './StatusEffectRegistry.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+import { Dir } from '../core/Direction.js';
+import { ViewFieldSystem } from '../systems/ViewFieldSystem.js';
+
+const aiRng = rng.stream(RNGStreams.AI);
+
 export class EnemyAI {
   constructor(archetype = 'AGGRESSIVE') {
     this.archetype = archetype;
@@ -93,14 +100,14 @@ export class EnemyAI {
    * @param {Object} enemy - Enemy making the decision
    * @param {Object} playerParty - Player party manager
    * @param {Array} enemies - All enemies in combat
+   * @param {Array} [availableActions] - Candidate actions (defaults to the enemy's own skill list)
    * @returns {Object} Selected action with target
    */
-  selectAction(enemy, playerParty, enemies) {
+  selectAction(enemy, playerParty, enemies, availableActions = this.getAvailableActions(enemy)) {
     if (!enemy.isAlive()) {
       return null;
     }
 
-    const availableActions = this.getAvailableActions(enemy);
     if (availableActions.length === 0) {
       return null;
     }
@@ -130,6 +137,25 @@ export class EnemyAI {
     };
   }
 
+  /**
+   * Commit to the opening action of the enemy's next turn at round start, so it
+   * can be telegraphed. Planned with a full AP pool since AP refills when the
+   * turn begins. A charging enemy's intent is its charged skill.
+   * @param {Object} enemy - Enemy making the decision
+   * @param {Object} playerParty - Player party manager
+   * @param {Array} enemies - All enemies in combat
+   * @returns {Object|null} { action, target } — target is null while charging
+   */
+  commitIntent(enemy, playerParty, enemies) {
+    if (enemy.charge) {
+      const skill = enemy.skills.find(s => s.id === enemy.charge.skillId);
+      return skill ? { action: this.buildSkillAction(skill), target: null } : null;
+    }
+
+    const decision = this.selectAction(enemy, playerParty, enemies, this.getAvailableActions(enemy, enemy.maxAP));
+    return decision ? { action: decision.action, target: decision.target } : null;
+  }
+
   /**
    * Score an action based on AI archetype and situation
    * @param {Object} action - Action to score
@@ -252,7 +278,7 @@ export class EnemyAI {
         baseScore *= 0.1;
       }
     } else {
-      baseScore *= (0.7 + Math.random() * 0.6);
+      baseScore *= (0.7 + aiRng.next() * 0.6);
     }
     
     return baseScore;
@@ -393,7 +419,7 @@ export class EnemyAI {
       if (attackActions.length > 0) {
         const weightedActions = attackActions.map(a => ({
           ...a,
-          score: a.score * (0.8 + Math.random() * 0.4)
+          score: a.score * (0.8 + aiRng.next() * 0.4)
         }));
         
         return weightedActions.reduce((best, current) => 
@@ -402,7 +428,7 @@ export class EnemyAI {
       }
     }
     
-    const randomIndex = Math.floor(Math.random() * validActions.length);
+    const randomIndex = Math.floor(aiRng.next() * validActions.length);
     return validActions[randomIndex];
   }
 
@@ -424,8 +450,15 @@ export class EnemyAI {
     }
     
     switch (action.targetType) {
-      case 'single_enemy':
-        return this.selectSingleEnemyTarget(aliveMembers, enemy);
+      case 'single_enemy': {
+        // Taunting party members must be targeted; blinded enemies can't pick
+        const forced = statusEffectRegistry.getForcedTargets(aliveMembers);
+        const candidates = forced.length > 0 ? forced : aliveMembers;
+        if (statusEffectRegistry.isActionLocked(enemy, 'target_selection')) {
+          return candidates[Math.floor(aiRng.next() * candidates.length)];
+        }
+        return this.selectSingleEnemyTarget(candidates, enemy);
+      }
       case 'all_enemies':
         return aliveMembers;
       case 'front_row_enemies':
@@ -520,7 +553,7 @@ export class EnemyAI {
     const isRaging = hpPercentage < this.targetPriority.rageThreshold;
     
     if (isRaging) {
-      const randomChoice = Math.random();
+      const randomChoice = aiRng.next();
       if (randomChoice < 0.4) {
         return this.selectWeakestTarget(targets);
       } else if (randomChoice < 0.7) {
@@ -528,7 +561,7 @@ export class EnemyAI {
       }
     }
     
-    return targets[Math.floor(Math.random() * targets.length)];
+    return targets[Math.floor(aiRng.next() * targets.length)];
   }
 
   /**
@@ -574,12 +607,14 @@ export class EnemyAI {
 
   /**
    * Get available actions for an enemy
+   * @param {Object} enemy - Enemy choosing
+   * @param {number} [apBudget] - AP to plan with (defaults to what the enemy has left)
    */
-  getAvailableActions(enemy) {
+  getAvailableActions(enemy, apBudget = enemy.currentAP) {
     const actions = [];
     
     // Basic attack (always available if has AP)
-    if (enemy.hasAP(1)) {
+    if (apBudget >= 1) {
       actions.push({
         id: 'basic_attack',
         name: 'Attack',
@@ -600,22 +635,14 @@ export class EnemyAI {
       }
       
       for (const skill of availableSkills) {
-        if (enemy.hasAP(skill.apCost)) {
-          actions.push({
-            id: skill.id,
-            name: skill.name,
-            type: skill.type || 'skill',
-            apCost: skill.apCost,
-            targetType: skill.targetType || 'single_enemy',
-            effects: skill.effects || ['damage'],
-            skillData: skill
-          });
+        if (apBudget >= skill.apCost) {
+          actions.push(this.buildSkillAction(skill));
         }
       }
     }
     
     // Defend action (always available if has AP)
-    if (enemy.hasAP(1)) {
+    if (apBudget >= 1) {
       actions.push({
         id: 'defend',
         name: 'Defend',
@@ -626,7 +653,25 @@ export class EnemyAI {
       });
     }
     
-    return actions;
+    // Status effects may lock whole action types (silence → no skills)
+    return actions.filter(action => !statusEffectRegistry.isActionLocked(enemy, action.type));
+  }
+
+  /**
+   * Wrap an enemy skill definition as a combat action
+   * @param {Object} skill - Skill from EnemyDatabase
+   * @returns {Object} Action consumable by ActionSystem
+   */
+  buildSkillAction(skill) {
+    return {
+      id: skill.id,
+      name: skill.name,
+      type: skill.type || 'skill',
+      apCost: skill.apCost,
+      targetType: skill.targetType || 'single_enemy',
+      effects: skill.effects || ['damage'],
+      skillData: skill
+    };
   }
 
   /**
@@ -638,7 +683,7 @@ export class EnemyAI {
       return null;
     }
     
-    const randomTarget = aliveMembers[Math.floor(Math.random() * aliveMembers.length)];
+    const randomTarget = aliveMembers[Math.floor(aiRng.next() * aliveMembers.length)];
     
     return {
       action: {
@@ -713,53 +758,126 @@ export class EnemyAI {
   // ── Feature #22: Exploration AI with detectionRange / sightRange ────────────
 
   /**
-   * Update enemy state during exploration (called once per move tick).
-   * @param {Object} enemy   - Enemy with gridX/gridZ/aiState/detectionRange/sightRange
+   * Whether an exploring enemy sees the party: inside its ViewField cone out to
+   * sightRange with a clear line of sight. smartAI enemies, and any enemy
+   * already pursuing, also sense the party all around within detectionRange.
+   * @param {Object} enemy - Enemy with gridX/gridZ/facing/aiState
+   * @param {{x:number,z:number}} playerPos
+   * @param {import('../core/GridSystem.js').GridSystem} grid
+   * @returns {boolean} True if the party is seen
+   */
+  canSee(enemy, playerPos, grid) {
+    const dist = Math.abs(enemy.gridX - playerPos.x) + Math.abs(enemy.gridZ - playerPos.z);
+    const sensed = (enemy.smartAI || enemy.aiState === 'pursuing') && dist <= (enemy.detectionRange ?? 3);
+    if (!sensed && !ViewFieldSystem.inCone(enemy.gridX, enemy.gridZ, enemy.facing ?? 0,
+      playerPos.x, playerPos.z, enemy.sightRange ?? 5)) {
+      return false;
+    }
+    return ViewFieldSystem.hasLineOfSight(grid, enemy.gridX, enemy.gridZ, playerPos.x, playerPos.z);
+  }
+
+  /**
+   * Update enemy state during exploration (called once per player step).
+   * idle → wanders near its base; pursuing → chases the party, or its last
+   * sighting once out of view; returning → walks home after losing interest
+   * past sightRange.
+   * @param {Object} enemy   - Enemy with gridX/gridZ/baseX/baseZ/facing/aiState/detectionRange/sightRange
    * @param {{x:number,z:number}} playerPos
    * @param {import('../core/GridSystem.js').GridSystem} grid
+   * @param {Function} [isBlocked] - (x, z) → true if another enemy holds the tile
    */
-  updateExploration(enemy, playerPos, grid) {
+  updateExploration(enemy, playerPos, grid, isBlocked = () => false) {
     if (!enemy.canMove) return;
     const dist = Math.abs(enemy.gridX - playerPos.x) + Math.abs(enemy.gridZ - playerPos.z);
-    const detection = enemy.detectionRange ?? 3;
-    const sight     = enemy.sightRange     ?? 5;
+    const sight = enemy.sightRange ?? 5;
 
-    if (dist <= detection) {
+    if (this.canSee(enemy, playerPos, grid)) {
       enemy.aiState = 'pursuing';
+      enemy.lastSeen = { x: playerPos.x, z: playerPos.z };
       if (enemy.smartAI || dist > 1) {
-        this._stepToward(enemy, playerPos, grid);
+        this._stepToward(enemy, playerPos, grid, isBlocked);
       }
-    } else if (enemy.aiState === 'pursuing' && dist > sight) {
-      enemy.aiState = 'idle';
+      return;
+    }
+
+    if (enemy.aiState === 'pursuing') {
+      const atLastSeen = enemy.lastSeen && enemy.gridX === enemy.lastSeen.x && enemy.gridZ === enemy.lastSeen.z;
+      if (dist > sight || atLastSeen || !enemy.lastSeen ||
+          !this._stepToward(enemy, enemy.lastSeen, grid, isBlocked)) {
+        enemy.aiState = 'returning';
+      }
+      return;
+    }
+
+    if (enemy.aiState === 'returning') {
       // Return toward base position
-      this._stepToward(enemy, { x: enemy.baseX, z: enemy.baseZ }, grid);
+      if (!this._stepToward(enemy, { x: enemy.baseX, z: enemy.baseZ }, grid, isBlocked) ||
+          (enemy.gridX === enemy.baseX && enemy.gridZ === enemy.baseZ)) {
+        enemy.aiState = 'idle';
+      }
+      return;
     }
+
+    this._wander(enemy, grid, isBlocked);
+  }
+
+  /**
+   * Idle patrol: sometimes hold, sometimes turn, otherwise step to a random
+   * open neighbour within patrolRadius of base
+   */
+  _wander(enemy, grid, isBlocked) {
+    const roll = aiRng.next();
+    if (roll < 0.3) return;
+    if (roll < 0.5) {
+      enemy.facing = aiRng.int(0, 3);
+      return;
+    }
+    const radius = enemy.patrolRadius ?? 2;
+    const options = [0, 1, 2, 3].filter(dir => {
+      const d = Dir.delta(dir);
+      const x = enemy.gridX + d.x, z = enemy.gridZ + d.z;
+      return Math.abs(x - enemy.baseX) + Math.abs(z - enemy.baseZ) <= radius &&
+        grid?.getTile(x, z)?.walkable && !isBlocked(x, z);
+    });
+    if (options.length === 0) return;
+    const dir = aiRng.pick(options);
+    enemy.gridX += Dir.delta(dir).x;
+    enemy.gridZ += Dir.delta(dir).z;
+    enemy.facing = dir;
   }
 
-  _stepToward(enemy, target, grid) {
+  /**
+   * Take one step toward target, primary axis first
+   * @returns {boolean} True if the enemy moved
+   */
+  _stepToward(enemy, target, grid, isBlocked = () => false) {
     const dx = target.x - enemy.gridX;
     const dz = target.z - enemy.gridZ;
-    if (dx === 0 && dz === 0) return;
+    if (dx === 0 && dz === 0) return false;
 
     // Try primary axis first, then secondary
     const candidates = [];
     if (Math.abs(dx) >= Math.abs(dz)) {
-      candidates.push({ x: enemy.gridX + Math.sign(dx), z: enemy.gridZ });
-      candidates.push({ x: enemy.gridX, z: enemy.gridZ + Math.sign(dz) });
+      candidates.push({ x: Math.sign(dx), z: 0 });
+      candidates.push({ x: 0, z: Math.sign(dz) });
     } else {
-      candidates.push({ x: enemy.gridX, z: enemy.gridZ + Math.sign(dz) });
-      candidates.push({ x: enemy.gridX + Math.sign(dx), z: enemy.gridZ });
-    }
-
-    for (const c of candidates) {
-      const tile = grid?.getTile(c.x, c.z);
-      if (tile?.walkable) {
-        // Check no other enemy occupies this tile
-        enemy.gridX = c.x;
-        enemy.gridZ = c.z;
-        return;
+      candidates.push({ x: 0, z: Math.sign(dz) });
+      candidates.push({ x: Math.sign(dx), z: 0 });
+    }
+
+    for (const step of candidates) {
+      if (step.x === 0 && step.z === 0) continue;
+      const x = enemy.gridX + step.x;
+      const z = enemy.gridZ + step.z;
+      const tile = grid?.getTile(x, z);
+      if (tile?.walkable && !isBlocked(x, z)) {
+        enemy.gridX = x;
+        enemy.gridZ = z;
+        enemy.facing = [0, 1, 2, 3].find(dir => Dir.delta(dir).x === step.x && Dir.delta(dir).z === step.z);
+        return true;
       }
     }
+    return false;
   }
 
   /**
@@ -0,0 +1,227 @@
+/**
+ * EnemyIntentPlanner - Telegraphed enemy intents
+ * At the start of each round every enemy commits to its opening action
+ * (EnemyAI.commitIntent) and carries it out on its turn. Player actions in
+ * between can change it: stun/freeze cancel it, silence forces a re-plan of
+ * skills, taunt pulls single-target attacks onto the taunter and a fallen
+ * target is re-picked.
+ */
+
+import { statusEffectRegistry } from './StatusEffectRegistry.js';
+
+const AOE_TARGET_TYPES = new Set(['all_enemies', 'front_row_enemies', 'back_row_enemies', 'battlefield']);
+const ALLY_TARGET_TYPES = new Set(['self', 'single_ally', 'all_allies']);
+
+const isAlive = (c) => c && (c.isAlive ? c.isAlive() : c.currentHP > 0);
+
+export class EnemyIntentPlanner {
+  /**
+   * @param {import('./ActionSystem.js').ActionSystem} actionSystem - For damage estimates
+   */
+  constructor(actionSystem) {
+    this.actionSystem = actionSystem;
+    // enemyId → { action, target, status: 'planned'|'changed'|'cancelled'|'spent', reason }
+    this.intents = new Map();
+  }
+
+  /**
+   * Commit intents for every enemy acting this round
+   * @param {Array} actors - Enemies in this round's turn order
+   * @param {Object} playerParty - Player party manager
+   * @param {Array} enemies - All enemies in combat
+   */
+  planRound(actors, playerParty, enemies) {
+    this.intents.clear();
+    for (const enemy of actors) {
+      this.plan(enemy, playerParty, enemies);
+    }
+  }
+
+  /**
+   * Commit (or re-commit) one enemy's intent
+   * @returns {Object|null} The new intent
+   */
+  plan(enemy, playerParty, enemies, status = 'planned') {
+    const committed = isAlive(enemy) && enemy.ai ? enemy.ai.commitIntent(enemy, playerParty, enemies) : null;
+    if (!committed) {
+      this.intents.delete(enemy.id);
+      return null;
+    }
+    const intent = { ...committed, status, reason: null };
+    this._applyTurnLock(enemy, intent);
+    this.intents.set(enemy.id, intent);
+    return intent;
+  }
+
+  /**
+   * Re-check every open intent against the battle as it is now
+   * @param {Array} actors - Enemies in this round's turn order
+   * @param {Object} playerParty - Player party manager
+   * @param {Array} enemies - All enemies in combat
+   * @returns {Array<string>} Log lines for intents that changed
+   */
+  refresh(actors, playerParty, enemies) {
+    const changes = [];
+
+    for (const [id, intent] of this.intents) {
+      if (!actors.some(e => e.id === id)) this.intents.delete(id);
+    }
+
+    for (const enemy of actors) {
+      const intent = this.intents.get(enemy.id);
+      if (intent?.status === 'spent') continue;
+
+      // Summons and phase changes: nothing committed yet, or a charge began mid-round
+      if (!intent || (enemy.charge && intent.target !== null) || (!enemy.charge && intent.target === null)) {
+        this.plan(enemy, playerParty, enemies);
+        continue;
+      }
+
+      const wasCancelled = intent.status === 'cancelled';
+
+      if (this._applyTurnLock(enemy, intent)) {
+        if (!wasCancelled) {
+          changes.push(`${enemy.name}'s intent is cancelled — ${intent.reason.toLowerCase()}!`);
+        }
+        continue;
+      }
+
+      if (wasCancelled ||
+          statusEffectRegistry.isActionLocked(enemy, intent.action.type) ||
+          (intent.target && !this._retarget(intent))) {
+        // Lock lifted, action sealed or target gone — decide again
+        const replanned = this.plan(enemy, playerParty, enemies, 'changed');
+        if (replanned && !wasCancelled) {
+          changes.push(`${enemy.name} changes plans: ${this.describe(enemy).label}`);
+        }
+        continue;
+      }
+
+      // Taunt pulls a committed single-target attack onto the taunter
+      if (intent.action.targetType === 'single_enemy') {
+        const forced = statusEffectRegistry.getForcedTargets(playerParty.getAliveMembers());
+        if (forced.length > 0 && !forced.includes(intent.target)) {
+          // No pick (nobody targetable) keeps the committed, still-living target
+          const target = enemy.ai.selectTarget(intent.action, enemy, playerParty, enemies);
+          if (target) {
+            intent.target = target;
+            intent.status = 'changed';
+            changes.push(`${enemy.name} turns on ${target.name}!`);
+          }
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Hand over the committed action when the enemy's turn begins. Each intent
+   * is used once; remaining AP falls back to the regular AI.
+   * @param {Object} enemy - Enemy whose turn it is
+   * @returns {Object|null} AI decision { action, target, score }
+   */
+  take(enemy) {
+    const intent = this.intents.get(enemy.id);
+    if (!intent || intent.status === 'spent' || intent.status === 'cancelled' || !intent.target) {
+      return null;
+    }
+    intent.status = 'spent';
+    return { action: intent.action, target: intent.target, score: 1 };
+  }
+
+  /** Close the enemy's intent once its turn is over. */
+  spend(enemy) {
+    const intent = this.intents.get(enemy?.id);
+    if (intent) intent.status = 'spent';
+  }
+
+  clear() {
+    this.intents.clear();
+  }
+
+  /**
+   * UI-facing summary of an enemy's open intent
+   * @param {Object} enemy - Enemy to describe
+   * @returns {Object|null} { kind, label, targetIds, estimate, status }
+   */
+  describe(enemy) {
+    const intent = this.intents.get(enemy.id);
+    if (!intent || intent.status === 'spent') return null;
+
+    const { action, target } = intent;
+    const aoe = AOE_TARGET_TYPES.has(action.targetType);
+    const targets = target ? (Array.isArray(target) ? target : [target]) : [];
+
+    if (intent.status === 'cancelled') {
+      return { kind: 'cancelled', label: intent.reason, targetIds: [], estimate: null, status: intent.status };
+    }
+
+    if (enemy.charge) {
+      const verb = enemy.charge.turnsLeft > 0 ? 'Charging' : 'Unleashing';
+      return {
+        kind: 'charge',
+        label: `${verb} ${aoe ? 'AoE: ' : ''}${action.name}`,
+        targetIds: [],
+        estimate: null,
+        status: intent.status
+      };
+    }
+
+    if (action.type === 'defend') {
+      return { kind: 'defend', label: 'Defending', targetIds: [enemy.id], estimate: null, status: intent.status };
+    }
+
+    if (ALLY_TARGET_TYPES.has(action.targetType)) {
+      const on = action.targetType === 'self' ? '' : ` on ${targets.length === 1 ? targets[0].name : 'allies'}`;
+      return {
+        kind: 'support',
+        label: `${action.name}${on}`,
+        targetIds: targets.map(t => t.id),
+        estimate: null,
+        status: intent.status
+      };
+    }
+
+    const estimates = targets.map(t => this.actionSystem.estimateDamage(enemy, t, action));
+    const low = Math.min(...estimates);
+    const high = Math.max(...estimates);
+    const amount = low === high ? `~${high}` : `~${low}-${high}`;
+    const verb = action.type === 'attack' ? 'Attacking' : action.name;
+    const label = aoe
+      ? `AoE: ${action.name} for ${amount}`
+      : `${verb}${action.type === 'attack' ? '' : ' on'} ${targets[0]?.name ?? '?'} for ${amount}`;
+
+    return {
+      kind: aoe ? 'aoe' : 'attack',
+      label,
+      targetIds: targets.map(t => t.id),
+      estimate: targets.length ? high : null,
+      status: intent.status
+    };
+  }
+
+  /**
+   * Stun/freeze cancel the intent outright
+   * @returns {boolean} True if a turn lock is active
+   */
+  _applyTurnLock(enemy, intent) {
+    const lock = statusEffectRegistry.getTurnLock(enemy);
+    if (!lock) return false;
+    intent.status = 'cancelled';
+    intent.reason = lock.name;
+    return true;
+  }
+
+  /**
+   * Drop fallen targets; AoE keeps whoever is still standing in the area
+   * @returns {boolean} False when nothing is left to hit
+   */
+  _retarget(intent) {
+    if (Array.isArray(intent.target)) {
+      intent.target = intent.target.filter(isAlive);
+      return intent.target.length > 0;
+    }
+    return isAlive(intent.target);
+  }
+}
@@ -0,0 +1,512 @@
+/**
+ * StatusEffectRegistry - Data-driven status effect definitions and rules
+ * Owns stacking, tick timing, stat modifiers, action locks and cleanse/dispel tags
+ * so CombatSystem, ActionSystem, EnemyAI and TargetingSystem never special-case
+ * an effect type. New effects are added with register() — no code changes needed.
+ *
+ * Definition fields (all optional except id):
+ *   name          Display name
+ *   category      'buff' | 'debuff'
+ *   tags          Cleanse/dispel/immunity tags, e.g. ['dot', 'poison']
+ *   stacking      'refresh' (default) | 'stack' | 'independent' | 'ignore'
+ *   maxStacks     Cap for 'stack' stacking
+ *   tickTiming    'turn_start' (default) | 'turn_end' — when ticks and duration countdown run
+ *   tick          { kind: 'damage' | 'heal', fields: [...], default: n } — per-turn HP change,
+ *                 read from the first instance field present (value, damage, healPerTurn, ...)
+ *   modifiers     { ATK|DEF|SPD|damageDealt|damageTaken|accuracy|evasion: spec }
+ *                 spec = number (constant) or { field, scale = 1, default = 0, elements }
+ *   locks         Action types the bearer can't use: 'attack', 'skill', 'item', 'defend',
+ *                 'flee', 'all', or 'target_selection' (single targets are picked at random)
+ *   forcesTarget  Opponents' single-target actions must target the bearer (taunt)
+ *   cleansable    Removable by cleanse() — defaults to true for debuffs
+ *   dispellable   Removable by dispel() — defaults to true for buffs
+ */
+
+const DEFAULT_TICK_FIELDS = ['value', 'damage', 'damagePerTurn', 'healPerTurn'];
+
+export class StatusEffectRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this._warnedUnknown = new Set();
+    this.registerDefaults();
+  }
+
+  /**
+   * Register built-in status effects
+   */
+  registerDefaults() {
+    // Damage / healing over time
+    this.register({
+      id: 'poison', name: 'Poison', category: 'debuff', tags: ['dot', 'poison'],
+      stacking: 'stack', maxStacks: 3,
+      tick: { kind: 'damage', default: 5 }
+    });
+    this.register({
+      id: 'burn', name: 'Burn', category: 'debuff', tags: ['dot', 'fire'],
+      tick: { kind: 'damage', default: 5 }
+    });
+    this.register({
+      id: 'bleed', name: 'Bleed', category: 'debuff', tags: ['dot', 'physical'],
+      stacking: 'stack', maxStacks: 3,
+      tick: { kind: 'damage', default: 3 }
+    });
+    this.register({
+      id: 'doom', name: 'Doom', category: 'debuff', tags: ['dot', 'curse', 'magic'],
+      tickTiming: 'turn_end', cleansable: false,
+      tick: { kind: 'damage', default: 10 }
+    });
+    this.register({
+      id: 'elemental_doom', name: 'Elemental Doom', category: 'debuff', tags: ['dot', 'curse', 'magic'],
+      tickTiming: 'turn_end', cleansable: false,
+      tick: { kind: 'damage', default: 15 }
+    });
+    this.register({
+      id: 'regen', name: 'Regeneration', category: 'buff', tags: ['hot', 'magic'],
+      tick: { kind: 'heal', default: 5 }
+    });
+    this.register({
+      id: 'regeneration', name: 'Regeneration', category: 'buff', tags: ['hot', 'magic'],
+      tick: { kind: 'heal', default: 8 }
+    });
+
+    // Action locks — count down at turn end so a 1-turn lock costs the bearer's next turn
+    this.register({
+      id: 'stun', name: 'Stunned', category: 'debuff', tags: ['control'],
+      tickTiming: 'turn_end',
+      locks: ['all']
+    });
+    this.register({
+      id: 'freeze', name: 'Frozen', category: 'debuff', tags: ['control', 'ice'],
+      tickTiming: 'turn_end',
+      locks: ['all']
+    });
+    this.register({
+      id: 'silence', name: 'Silenced', category: 'debuff', tags: ['control', 'magic'],
+      tickTiming: 'turn_end',
+      locks: ['skill']
+    });
+    this.register({
+      id: 'blind', name: 'Blinded', category: 'debuff', tags: ['control'],
+      tickTiming: 'turn_end',
+      locks: ['target_selection'],
+      modifiers: { accuracy: { field: 'accuracyReduction', scale: -1, default: 25 } }
+    });
+    this.register({
+      id: 'paralysis', name: 'Paralyzed', category: 'debuff', tags: ['control'],
+      tickTiming: 'turn_end',
+      modifiers: { accuracy: { field: 'accuracyReduction', scale: -1, default: 50 } }
+    });
+
+    // Stat debuffs
+    this.register({
+      id: 'slow', name: 'Slowed', category: 'debuff', tags: ['ice'],
+      modifiers: { SPD: { field: 'spdReduction', scale: -1, default: 3 } }
+    });
+    this.register({
+      id: 'fear', name: 'Afraid', category: 'debuff', tags: ['mind'],
+      modifiers: { ATK: { field: 'atkReduction', scale: -1, default: 3 } }
+    });
+    this.register({
+      id: 'weakness', name: 'Weakened', category: 'debuff', tags: ['curse'],
+      modifiers: { ATK: { field: 'atkReduction', scale: -1, default: 4 } }
+    });
+    this.register({
+      id: 'despair', name: 'Despair', category: 'debuff', tags: ['mind'],
+      modifiers: {
+        ATK: { field: 'atkReduction', scale: -1 },
+        SPD: { field: 'spdReduction', scale: -1 }
+      }
+    });
+    this.register({
+      id: 'terror', name: 'Terror', category: 'debuff', tags: ['mind'],
+      modifiers: {
+        ATK: { field: 'atkReduction', scale: -1 },
+        DEF: { field: 'defReduction', scale: -1 }
+      }
+    });
+
+    // Buffs
+    this.register({
+      id: 'taunt', name: 'Taunting', category: 'buff', tags: ['stance'],
+      forcesTarget: true, dispellable: false
+    });
+    this.register({
+      id: 'defense_boost', name: 'Defending', category: 'buff', tags: ['stance'],
+      dispellable: false,
+      modifiers: { damageTaken: { field: 'value', scale: -1 } }
+    });
+    this.register({
+      id: 'attack_boost', name: 'Empowered', category: 'buff', tags: ['magic'],
+      modifiers: { damageDealt: { field: 'value' } }
+    });
+    this.register({
+      id: 'stat_boost', name: 'Blessed', category: 'buff', tags: ['magic', 'holy'],
+      modifiers: {
+        damageDealt: { field: 'value', scale: 0.5 },
+        damageTaken: { field: 'value', scale: -0.5 }
+      }
+    });
+    this.register({
+      id: 'evasion_boost', name: 'Evasive', category: 'buff', tags: ['stance'],
+      modifiers: { evasion: { field: 'value' } }
+    });
+    this.register({
+      id: 'magic_shield', name: 'Mana Shield', category: 'buff', tags: ['magic'],
+      modifiers: { damageTaken: { field: 'value', scale: -1, elements: ['Fire', 'Ice', 'Lightning', 'Dark', 'Light'] } }
+    });
+    this.register({
+      id: 'immunity', name: 'Divine Shield', category: 'buff', tags: ['magic', 'holy'],
+      modifiers: { damageTaken: -1 }
+    });
+    this.register({
+      id: 'pack_bonus', name: 'Pack Tactics', category: 'buff', tags: ['morale'],
+      modifiers: {
+        ATK: { field: 'atkBonus' },
+        SPD: { field: 'spdBonus' }
+      }
+    });
+    this.register({
+      id: 'command', name: 'Commanded', category: 'buff', tags: ['morale'],
+      modifiers: {
+        ATK: { field: 'atkBonus' },
+        SPD: { field: 'spdBonus' }
+      }
+    });
+    this.register({
+      id: 'dark_blessing', name: 'Dark Blessing', category: 'buff', tags: ['magic', 'dark'],
+      modifiers: { ATK: { field: 'atkBonus' } }
+    });
+
+    // Consumable stat buffs (ConsumableSystem stores the stat name as the type)
+    for (const stat of ['ATK', 'DEF', 'SPD']) {
+      this.register({
+        id: stat, name: `${stat} Up`, category: 'buff', tags: ['consumable'],
+        modifiers: { [stat]: { field: 'value' } }
+      });
+    }
+  }
+
+  /**
+   * Register (or replace) a status effect definition
+   * @param {Object} definition - Status effect definition (see module header)
+   * @returns {Object} Normalized definition
+   */
+  register(definition) {
+    if (!definition?.id) {
+      throw new Error('Status effect definition requires an id');
+    }
+
+    const category = definition.category ?? 'debuff';
+    const normalized = {
+      name: definition.id,
+      tags: [],
+      stacking: 'refresh',
+      maxStacks: 1,
+      tickTiming: 'turn_start',
+      tick: null,
+      modifiers: {},
+      locks: [],
+      forcesTarget: false,
+      cleansable: category === 'debuff',
+      dispellable: category === 'buff',
+      ...definition,
+      category
+    };
+
+    this.definitions.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  /**
+   * Get definition for an effect type. Unknown types get a plain countdown definition.
+   * @param {string} type - Effect type id
+   * @returns {Object} Status effect definition
+   */
+  get(type) {
+    const definition = this.definitions.get(type);
+    if (definition) return definition;
+
+    if (!this._warnedUnknown.has(type)) {
+      this._warnedUnknown.add(type);
+      console.warn(`Unknown status effect '${type}' — treating as duration-only`);
+    }
+    return { id: type, name: type, category: 'debuff', tags: [], stacking: 'refresh', maxStacks: 1,
+      tickTiming: 'turn_start', tick: null, modifiers: {}, locks: [], forcesTarget: false,
+      cleansable: true, dispellable: false };
+  }
+
+  /**
+   * Check if an effect type is registered
+   * @param {string} type - Effect type id
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  /**
+   * Apply a status effect to a target, honouring immunities and stacking rules
+   * @param {Object} target - Character or enemy receiving the effect
+   * @param {Object} effect - Effect instance data ({ type, duration, value, ...fields })
+   * @param {string} source - Source id (skill, item, 'defend', ...)
+   * @returns {Object} { applied, effect, reason }
+   */
+  apply(target, effect, source = effect?.source ?? 'unknown') {
+    if (!target || !effect?.type) {
+      return { applied: false, effect: null, reason: 'invalid' };
+    }
+
+    const definition = this.get(effect.type);
+    if (this.isImmune(target, definition)) {
+      return { applied: false, effect: null, reason: 'immune' };
+    }
+
+    if (!Array.isArray(target.statusEffects)) {
+      target.statusEffects = [];
+    }
+
+    const instance = { ...effect, duration: effect.duration ?? 1, source, stacks: 1 };
+    const existing = target.statusEffects.find(se => se.type === effect.type);
+
+    if (existing) {
+      switch (definition.stacking) {
+        case 'ignore':
+          return { applied: false, effect: existing, reason: 'already_active' };
+
+        case 'stack':
+          existing.stacks = Math.min(definition.maxStacks, (existing.stacks ?? 1) + 1);
+          existing.duration = Math.max(existing.duration ?? 0, instance.duration);
+          return { applied: true, effect: existing, reason: 'stacked' };
+
+        case 'independent':
+          break;
+
+        case 'refresh':
+        default: {
+          // Keep the longer duration and the stronger value
+          const duration = Math.max(existing.duration ?? 0, instance.duration);
+          const hasValue = existing.value !== undefined || instance.value !== undefined;
+          const value = Math.max(existing.value ?? 0, instance.value ?? 0);
+          Object.assign(existing, instance, { duration });
+          if (hasValue) existing.value = value;
+          return { applied: true, effect: existing, reason: 'refreshed' };
+        }
+      }
+    }
+
+    target.statusEffects.push(instance);
+    return { applied: true, effect: instance, reason: 'applied' };
+  }
+
+  /**
+   * Check immunity by effect id or any of its tags
+   * @param {Object} target - Target to check
+   * @param {Object} definition - Status effect definition
+   * @returns {boolean} True if target is immune
+   */
+  isImmune(target, definition) {
+    const immunities = target.immunities ?? [];
+    if (immunities.length === 0) return false;
+    return immunities.includes(definition.id) || definition.tags.some(tag => immunities.includes(tag));
+  }
+
+  /**
+   * Tick effects whose timing matches, then count down their duration.
+   * @param {Object} character - Character whose effects tick
+   * @param {string} timing - 'turn_start' or 'turn_end'
+   * @returns {Object} { messages, expired }
+   */
+  tick(character, timing = 'turn_start') {
+    const messages = [];
+    const expired = [];
+    if (!Array.isArray(character?.statusEffects) || character.statusEffects.length === 0) {
+      return { messages, expired };
+    }
+
+    const remaining = [];
+    for (const effect of character.statusEffects) {
+      const definition = this.get(effect.type);
+      if (definition.tickTiming !== timing) {
+        remaining.push(effect);
+        continue;
+      }
+
+      if (definition.tick) {
+        const amount = this._tickAmount(effect, definition.tick);
+        if (definition.tick.kind === 'heal') {
+          if (typeof character.heal === 'function') character.heal(amount);
+          messages.push(`${character.name} regenerates ${amount} HP`);
+        } else {
+          if (typeof character.takeDamage === 'function') character.takeDamage(amount);
+          messages.push(`${character.name} takes ${amount} ${effect.type} damage`);
+        }
+      }
+
+      effect.duration = (effect.duration ?? 1) - 1;
+      if (effect.duration > 0) {
+        remaining.push(effect);
+      } else {
+        expired.push(effect);
+      }
+    }
+
+    character.statusEffects = remaining;
+    return { messages, expired };
+  }
+
+  /**
+   * Resolve per-tick HP change for an effect instance
+   * @private
+   */
+  _tickAmount(effect, tick) {
+    const fields = tick.fields ?? DEFAULT_TICK_FIELDS;
+    const field = fields.find(f => typeof effect[f] === 'number');
+    const base = field ? effect[field] : (tick.default ?? 5);
+    return Math.max(1, Math.floor(base * (effect.stacks ?? 1)));
+  }
+
+  /**
+   * Sum a modifier across all of a character's active effects
+   * @param {Object} character - Character to check
+   * @param {string} key - Modifier key (ATK, DEF, SPD, damageDealt, damageTaken, accuracy, evasion)
+   * @param {string} element - Optional damage element for element-filtered modifiers
+   * @returns {number} Total modifier
+   */
+  getModifier(character, key, element = null) {
+    let total = 0;
+    for (const effect of character?.statusEffects ?? []) {
+      const spec = this.get(effect.type).modifiers[key];
+      if (spec === undefined) continue;
+
+      if (typeof spec === 'number') {
+        total += spec;
+        continue;
+      }
+      if (spec.elements && element && !spec.elements.includes(element)) continue;
+      if (spec.elements && !element) continue;
+
+      const raw = typeof effect[spec.field] === 'number' ? effect[spec.field] : (spec.default ?? 0);
+      total += raw * (spec.scale ?? 1) * (effect.stacks ?? 1);
+    }
+    return total;
+  }
+
+  /**
+   * Flat stat modifier (ATK/DEF/SPD) from active effects
+   * @param {Object} character - Character to check
+   * @param {string} stat - Stat key
+   * @returns {number} Flat modifier
+   */
+  getStatModifier(character, stat) {
+    return Math.round(this.getModifier(character, stat));
+  }
+
+  /**
+   * Damage multiplier for an attacker/defender pair
+   * @param {Object} attacker - Attacking character
+   * @param {Object} defender - Defending character
+   * @param {string} element - Damage element
+   * @returns {number} Multiplier (never negative)
+   */
+  getDamageMultiplier(attacker, defender, element = null) {
+    const dealt = 1 + this.getModifier(attacker, 'damageDealt', element);
+    const taken = 1 + this.getModifier(defender, 'damageTaken', element);
+    return Math.max(0, dealt) * Math.max(0, taken);
+  }
+
+  /**
+   * Find the first active effect that locks an action type
+   * @param {Object} character - Character to check
+   * @param {string} actionType - Action type (attack, skill, item, defend, flee)
+   * @returns {Object|null} Locking effect definition or null
+   */
+  getActionLock(character, actionType) {
+    for (const effect of character?.statusEffects ?? []) {
+      const definition = this.get(effect.type);
+      if (definition.locks.includes('all') || definition.locks.includes(actionType)) {
+        return definition;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if an action type is locked
+   * @param {Object} character - Character to check
+   * @param {string} actionType - Action type
+   * @returns {boolean} True if locked
+   */
+  isActionLocked(character, actionType) {
+    return this.getActionLock(character, actionType) !== null;
+  }
+
+  /**
+   * Check if the character loses their whole turn (stun, freeze)
+   * @param {Object} character - Character to check
+   * @returns {Object|null} Locking effect definition or null
+   */
+  getTurnLock(character) {
+    for (const effect of character?.statusEffects ?? []) {
+      const definition = this.get(effect.type);
+      if (definition.locks.includes('all')) return definition;
+    }
+    return null;
+  }
+
+  /**
+   * Get the subset of candidates that force targeting (taunt)
+   * @param {Array} candidates - Potential targets
+   * @returns {Array} Forced targets (empty if none)
+   */
+  getForcedTargets(candidates) {
+    return (candidates ?? []).filter(c =>
+      (c.statusEffects ?? []).some(effect => this.get(effect.type).forcesTarget)
+    );
+  }
+
+  /**
+   * Remove cleansable effects matching effect ids or tags
+   * @param {Object} character - Character to cleanse
+   * @param {Array<string>} filters - Effect ids or tags; omit to cleanse every debuff
+   * @returns {Array} Removed effects
+   */
+  cleanse(character, filters = null) {
+    return this._removeWhere(character, definition =>
+      definition.cleansable && this._matches(definition, filters)
+    );
+  }
+
+  /**
+   * Remove dispellable effects matching effect ids or tags
+   * @param {Object} character - Character to dispel
+   * @param {Array<string>} filters - Effect ids or tags; omit to dispel every buff
+   * @returns {Array} Removed effects
+   */
+  dispel(character, filters = null) {
+    return this._removeWhere(character, definition =>
+      definition.dispellable && this._matches(definition, filters)
+    );
+  }
+
+  /** @private */
+  _matches(definition, filters) {
+    if (!filters || filters.length === 0) return true;
+    return filters.includes(definition.id) || definition.tags.some(tag => filters.includes(tag));
+  }
+
+  /** @private */
+  _removeWhere(character, predicate) {
+    if (!Array.isArray(character?.statusEffects)) return [];
+    const removed = [];
+    character.statusEffects = character.statusEffects.filter(effect => {
+      if (predicate(this.get(effect.type))) {
+        removed.push(effect);
+        return false;
+      }
+      return true;
+    });
+    return removed;
+  }
+}
+
+export const statusEffectRegistry = new StatusEffectRegistry();
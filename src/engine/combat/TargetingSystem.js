@@ -3,6 +3,11 @@
  * Supports single, AoE, and ally targeting with range restrictions
  */
 
+import { statusEffectRegistry } from './StatusEffectRegistry.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const combatRng = rng.stream(RNGStreams.COMBAT);
+
 export class TargetingSystem {
   constructor() {
     console.log('TargetingSystem initialized');
@@ -59,13 +64,13 @@ export class TargetingSystem {
    * @returns {Array} Valid enemy targets
    */
   getSingleEnemyTargets(isPlayerCharacter, playerParty, enemies) {
-    if (isPlayerCharacter) {
-      // Player targeting enemies
-      return enemies.filter(enemy => enemy.isAlive());
-    } else {
-      // Enemy targeting player characters
-      return playerParty.getAliveMembers();
-    }
+    const candidates = isPlayerCharacter
+      ? enemies.filter(enemy => enemy.isAlive())   // Player targeting enemies
+      : playerParty.getAliveMembers();             // Enemy targeting player characters
+
+    // Taunting combatants must be targeted while the effect lasts
+    const forced = statusEffectRegistry.getForcedTargets(candidates);
+    return forced.length > 0 ? forced : candidates;
   }
 
   /**
@@ -359,6 +364,26 @@ export class TargetingSystem {
     }
   }
 
+  /**
+   * Re-roll single-target selections for casters whose status effects lock
+   * target selection (blind). The hit lands on a random valid target instead.
+   * @param {Object} action - Action being performed
+   * @param {Object} caster - Character performing the action
+   * @param {Array} targets - Selected targets
+   * @param {Object} playerParty - Player party manager
+   * @param {Array} enemies - Array of enemies
+   * @returns {Array} Targets after applying target-selection locks
+   */
+  applyTargetingLocks(action, caster, targets, playerParty, enemies) {
+    if (action.targetType !== 'single_enemy') return targets;
+    if (!statusEffectRegistry.isActionLocked(caster, 'target_selection')) return targets;
+
+    const validTargets = this.getValidTargets(action, caster, playerParty, enemies);
+    if (validTargets.length === 0) return targets;
+
+    return targets.map(() => validTargets[Math.floor(combatRng.next() * validTargets.length)]);
+  }
+
   /**
    * Get targeting information for UI
    * @param {Object} action - Action to get info for
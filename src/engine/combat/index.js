@@ -6,4 +6,5 @@ export { CombatSystem } from './CombatSystem.js';
 export { ActionSystem } from './ActionSystem.js';
 export { TargetingSystem } from './TargetingSystem.js';
 export { ActionResolver } from './ActionResolver.js';
-export { Enemy } from './Enemy.js';
\ No newline at end of file
+export { Enemy } from './Enemy.js';
+export { StatusEffectRegistry, statusEffectRegistry } from './StatusEffectRegistry.js';
\ No newline at end of file
@@ -30,6 +30,7 @@ export const EventTypes = Object.freeze({
 
   // Encounters / scaling
   ENCOUNTER_EVENT: 'encounterEvent',
+  ENCOUNTER_START_REQUEST: 'encounter:start_request',
   SAFE_ZONE_EVENT: 'safeZoneEvent',
   DIFFICULTY_SCALING_EVENT: 'difficultyScalingEvent',
 
@@ -37,6 +38,7 @@ export const EventTypes = Object.freeze({
   CHARACTER_LEVEL_UP: 'characterLevelUp',
   PARTY_CHANGE: 'partyChange',
   GOLD_CHANGE: 'goldChange',
+  PARTY_TELEPORT_REQUEST: 'party:teleport_request',
 
   // Equipment / Items
   ITEM_EQUIPPED: 'itemEquipped',
@@ -45,6 +47,12 @@ export const EventTypes = Object.freeze({
   EQUIPMENT_CHANGE: 'equipmentChange',
   OPEN_EQUIPMENT_SELECTION: 'openEquipmentSelection',
 
+  // Crafting
+  CRAFTING_OPEN: 'crafting:open',
+  CRAFTING_RECIPE_DISCOVERED: 'crafting:recipe_discovered',
+  CRAFTING_RECIPE_LEARNED: 'crafting:recipe_learned',
+  CRAFTING_ITEM_CRAFTED: 'crafting:item_crafted',
+
   // UI / Game state
   MODAL_OPEN: 'modalOpen',
   MODAL_CLOSE: 'modalClose',
@@ -73,7 +81,9 @@ export const EventTypes = Object.freeze({
   QUEST_STARTED: 'quest:started',
   QUEST_ADVANCED: 'quest:advanced',
   QUEST_COMPLETED: 'quest:completed',
+  QUEST_FAILED: 'quest:failed',
   QUEST_OBJECTIVE_COMPLETED: 'quest:objective_completed',
+  QUEST_OBJECTIVE_PROGRESS: 'quest:objective_progress',
 
   // Narrative
   NARRATIVE_STORY_LOADED: 'narrative:story_loaded',
@@ -86,10 +96,13 @@ export const EventTypes = Object.freeze({
   NARRATIVE_DIALOGUE_READY: 'narrative:dialogue_ready',
   NARRATIVE_STORY_COMPLETE: 'narrative:story_complete',
   NARRATIVE_VARIABLE_SET: 'narrative:variable_set',
+  NARRATIVE_PLAY_REQUEST: 'narrative:play_request',
+  NARRATIVE_SKILL_CHECK: 'narrative:skill_check',
 
   // NPC
   NPC_SPAWNED: 'npc:spawned',
   NPC_DESPAWNED: 'npc:despawned',
+  NPC_MOVED: 'npc:moved',
   NPC_DIALOGUE_STARTED: 'npc:dialogue_started',
   NPC_AFFINITY_CHANGED: 'npc:affinity_changed',
   NPC_STATE_CHANGED: 'npc:state_changed',
@@ -115,16 +115,26 @@ export class GridSystem {
         this.zones = Array.isArray(zones) ? zones : [];
     }
 
-    getZoneMultiplier(x, z) {
+    /**
+     * First zone whose rectangle contains the tile
+     * @param {number} x - Grid X coordinate
+     * @param {number} z - Grid Z coordinate
+     * @returns {Object|null} Zone definition or null
+     */
+    getZoneAt(x, z) {
         for (const zone of this.zones) {
             if (!zone.tiles || zone.tiles.length < 2) continue;
             const [[x1, z1], [x2, z2]] = zone.tiles;
             if (x >= Math.min(x1, x2) && x <= Math.max(x1, x2) &&
                 z >= Math.min(z1, z2) && z <= Math.max(z1, z2)) {
-                return zone.xpMultiplier ?? 1;
+                return zone;
             }
         }
-        return 1;
+        return null;
+    }
+
+    getZoneMultiplier(x, z) {
+        return this.getZoneAt(x, z)?.xpMultiplier ?? 1;
     }
 
     setTileExplored(x, z) {
@@ -3,6 +3,10 @@
  * Contains 15 enemy types across 3 tiers plus 3 bosses with unique abilities
  */
 
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const encounterRng = rng.stream(RNGStreams.ENCOUNTER);
+
 export class EnemyDatabase {
   constructor() {
     this.enemies = new Map();
@@ -163,7 +167,8 @@ export class EnemyDatabase {
         experience: 30,
         items: [
           { itemId: 'dark_crystal', chance: 0.3 },
-          { itemId: 'mana_potion', chance: 0.4 }
+          { itemId: 'mana_potion', chance: 0.4 },
+          { itemId: 'recipe_panacea', chance: 0.08 }
         ]
       }
     });
@@ -305,7 +310,8 @@ export class EnemyDatabase {
         experience: 60,
         items: [
           { itemId: 'steel_sword', chance: 0.25 },
-          { itemId: 'chain_mail', chance: 0.2 }
+          { itemId: 'chain_mail', chance: 0.2 },
+          { itemId: 'recipe_mithril_temper', chance: 0.1 }
         ]
       }
     });
@@ -607,11 +613,26 @@ export class EnemyDatabase {
         },
         {
           hpThreshold: 0.6,
-          skills: ['shadow_wave', 'dark_command', 'void_shield', 'summon_minions']
+          message: 'Malachar tears open the shadows!',
+          skills: ['shadow_wave', 'dark_command', 'void_shield'],
+          effects: [
+            { type: 'narrative', storyId: 'shadow_lord_battle', knot: 'phase_two' },
+            { type: 'summon', enemyType: 'shadow_minion', count: 2, level: 8 },
+            { type: 'immune', element: 'Dark', message: 'Malachar drinks the darkness — Dark attacks no longer harm him!' }
+          ]
         },
         {
           hpThreshold: 0.3,
-          skills: ['apocalypse', 'shadow_regeneration', 'final_darkness']
+          message: 'Malachar abandons all restraint!',
+          skills: ['apocalypse', 'shadow_regeneration', 'final_darkness'],
+          effects: [
+            { type: 'narrative', storyId: 'shadow_lord_battle', knot: 'phase_three' },
+            { type: 'set_ai', archetype: 'BERSERKER' },
+            {
+              type: 'charge', skillId: 'final_darkness', turns: 1,
+              message: 'Malachar gathers the dark for a Final Darkness...'
+            }
+          ]
         }
       ],
       skills: [
@@ -648,18 +669,6 @@ export class EnemyDatabase {
           duration: 3,
           description: 'Creates protective void barrier'
         },
-        {
-          id: 'summon_minions',
-          name: 'Summon Shadow Minions',
-          type: 'skill',
-          apCost: 3,
-          targetType: 'battlefield',
-          effects: ['summon'],
-          summonCount: 2,
-          summonType: 'shadow_minion',
-          summonLevel: 8,
-          description: 'Calls forth shadow minions'
-        },
         {
           id: 'apocalypse',
           name: 'Shadow Apocalypse',
@@ -1051,7 +1060,8 @@ export class EnemyDatabase {
         gold: { min: 8, max: 18 }, experience: 38,
         items: [
           { itemId: 'fungal_spore', chance: 0.6 },
-          { itemId: 'antidote', chance: 0.4 }
+          { itemId: 'antidote', chance: 0.4 },
+          { itemId: 'recipe_panacea', chance: 0.08 }
         ]
       }
     });
@@ -1122,7 +1132,32 @@ export class EnemyDatabase {
         items: [
           { itemId: 'void_crystal', chance: 0.45 },
           { itemId: 'dark_crystal', chance: 0.35 },
-          { itemId: 'mana_potion', chance: 0.3 }
+          { itemId: 'mana_potion', chance: 0.3 },
+          { itemId: 'recipe_dark_elixir', chance: 0.1 }
+        ]
+      }
+    });
+
+    // Summoned by Malachar and the Shadow General; weak alone, dangerous in numbers
+    this.addEnemy('shadow_minion', {
+      name: 'Shadow Minion',
+      tier: 2,
+      baseLevel: 6,
+      baseStats: { HP: 34, ATK: 16, DEF: 6, SPD: 10, element: 'Dark' },
+      aiType: 'AGGRESSIVE',
+      skills: [
+        {
+          id: 'shadow_claw', name: 'Shadow Claw', type: 'skill', apCost: 2,
+          targetType: 'single_enemy', effects: ['damage'],
+          damageMultiplier: 1.3, element: 'Dark',
+          description: 'Rakes with claws of solid shadow'
+        }
+      ],
+      resistances: { 'Dark': 0.5, 'Light': 1.8 },
+      lootTable: {
+        gold: { min: 4, max: 10 }, experience: 20,
+        items: [
+          { itemId: 'shadow_core', chance: 0.1 }
         ]
       }
     });
@@ -1159,7 +1194,8 @@ export class EnemyDatabase {
         items: [
           { itemId: 'shadow_core', chance: 0.5 },
           { itemId: 'warden_plate', chance: 0.15 },
-          { itemId: 'large_health_potion', chance: 0.4 }
+          { itemId: 'large_health_potion', chance: 0.4 },
+          { itemId: 'recipe_mithril_temper', chance: 0.1 }
         ]
       }
     });
@@ -1287,11 +1323,27 @@ export class EnemyDatabase {
         },
         {
           hpThreshold: 0.65,
-          skills: ['hollow_grasp', 'void_step', 'sanctum_shatter', 'call_void', 'hollow_scream']
+          message: 'The Hollow King calls the void!',
+          skills: ['hollow_grasp', 'void_step', 'sanctum_shatter', 'hollow_scream'],
+          effects: [
+            { type: 'narrative', storyId: 'ss_hollow_king_battle', knot: 'phase_two' },
+            { type: 'summon', enemyType: 'shadow_acolyte', count: 2, level: 10 },
+            { type: 'immune', element: 'Fire', message: 'The void swallows flame — the King is immune to Fire!' }
+          ]
         },
         {
           hpThreshold: 0.35,
-          skills: ['annihilation_pulse', 'hollow_scream', 'soul_devour', 'void_regeneration']
+          message: 'The Hollow King\'s crown cracks open!',
+          skills: ['annihilation_pulse', 'hollow_scream', 'soul_devour', 'void_regeneration'],
+          effects: [
+            { type: 'narrative', storyId: 'ss_hollow_king_battle', knot: 'phase_three' },
+            { type: 'set_ai', archetype: 'BERSERKER' },
+            { type: 'resistance', element: 'Light', value: 1.6, message: 'Void floods the cracks — Light burns him less.' },
+            {
+              type: 'charge', skillId: 'annihilation_pulse', turns: 2,
+              message: 'The void howls toward the King — an Annihilation Pulse is coming...'
+            }
+          ]
         }
       ],
       skills: [
@@ -1313,12 +1365,6 @@ export class EnemyDatabase {
           damageMultiplier: 1.5, element: 'Dark',
           description: 'The sanctum itself cracks around him, raining stone'
         },
-        {
-          id: 'call_void', name: 'Call the Void', type: 'skill', apCost: 3,
-          targetType: 'battlefield', effects: ['summon'],
-          summonCount: 2, summonType: 'shadow_acolyte', summonLevel: 10,
-          description: 'Rips open the void, pulling acolytes into battle'
-        },
         {
           id: 'hollow_scream', name: 'Hollow Scream', type: 'skill', apCost: 2,
           targetType: 'all_enemies', effects: ['debuff'],
@@ -1419,7 +1465,7 @@ export class EnemyDatabase {
       return null;
     }
     
-    const randomIndex = Math.floor(Math.random() * tierEnemies.length);
+    const randomIndex = Math.floor(encounterRng.next() * tierEnemies.length);
     return tierEnemies[randomIndex];
   }
 
@@ -1467,21 +1513,21 @@ export class EnemyDatabase {
    * Create easy encounter (1-2 enemies, level -1 to +0)
    */
   createEasyEncounter(partyLevel) {
-    const enemyLevel = Math.max(1, partyLevel - 1 + Math.floor(Math.random() * 2));
+    const enemyLevel = Math.max(1, partyLevel - 1 + Math.floor(encounterRng.next() * 2));
     const suitableEnemies = this.getEnemiesByLevelRange(enemyLevel - 1, enemyLevel + 1);
     
     if (suitableEnemies.length === 0) {
       return [{ type: 'goblin', level: enemyLevel }];
     }
 
-    const enemyCount = Math.random() < 0.7 ? 1 : 2;
+    const enemyCount = encounterRng.next() < 0.7 ? 1 : 2;
     const enemies = [];
 
     for (let i = 0; i < enemyCount; i++) {
-      const randomEnemy = suitableEnemies[Math.floor(Math.random() * suitableEnemies.length)];
+      const randomEnemy = suitableEnemies[Math.floor(encounterRng.next() * suitableEnemies.length)];
       enemies.push({
         type: randomEnemy.id,
-        level: enemyLevel + Math.floor(Math.random() * 2)
+        level: enemyLevel + Math.floor(encounterRng.next() * 2)
       });
     }
 
@@ -1492,21 +1538,21 @@ export class EnemyDatabase {
    * Create normal encounter (2-3 enemies, level -0 to +1)
    */
   createNormalEncounter(partyLevel) {
-    const enemyLevel = partyLevel + Math.floor(Math.random() * 2);
+    const enemyLevel = partyLevel + Math.floor(encounterRng.next() * 2);
     const suitableEnemies = this.getEnemiesByLevelRange(enemyLevel - 1, enemyLevel + 1);
     
     if (suitableEnemies.length === 0) {
       return [{ type: 'goblin', level: enemyLevel }];
     }
 
-    const enemyCount = 2 + Math.floor(Math.random() * 2); // 2-3 enemies
+    const enemyCount = 2 + Math.floor(encounterRng.next() * 2); // 2-3 enemies
     const enemies = [];
 
     for (let i = 0; i < enemyCount; i++) {
-      const randomEnemy = suitableEnemies[Math.floor(Math.random() * suitableEnemies.length)];
+      const randomEnemy = suitableEnemies[Math.floor(encounterRng.next() * suitableEnemies.length)];
       enemies.push({
         type: randomEnemy.id,
-        level: enemyLevel + Math.floor(Math.random() * 2) - 1
+        level: enemyLevel + Math.floor(encounterRng.next() * 2) - 1
       });
     }
 
@@ -1517,21 +1563,21 @@ export class EnemyDatabase {
    * Create hard encounter (3-4 enemies, level +0 to +2)
    */
   createHardEncounter(partyLevel) {
-    const enemyLevel = partyLevel + 1 + Math.floor(Math.random() * 2);
+    const enemyLevel = partyLevel + 1 + Math.floor(encounterRng.next() * 2);
     const suitableEnemies = this.getEnemiesByLevelRange(enemyLevel - 1, enemyLevel + 1);
     
     if (suitableEnemies.length === 0) {
       return [{ type: 'orc', level: enemyLevel }];
     }
 
-    const enemyCount = 3 + Math.floor(Math.random() * 2); // 3-4 enemies
+    const enemyCount = 3 + Math.floor(encounterRng.next() * 2); // 3-4 enemies
     const enemies = [];
 
     for (let i = 0; i < enemyCount; i++) {
-      const randomEnemy = suitableEnemies[Math.floor(Math.random() * suitableEnemies.length)];
+      const randomEnemy = suitableEnemies[Math.floor(encounterRng.next() * suitableEnemies.length)];
       enemies.push({
         type: randomEnemy.id,
-        level: enemyLevel + Math.floor(Math.random() * 2)
+        level: enemyLevel + Math.floor(encounterRng.next() * 2)
       });
     }
 
@@ -1549,17 +1595,17 @@ export class EnemyDatabase {
       return [{ type: 'ancient_lich', level: bossLevel }];
     }
 
-    const randomBoss = tier3Enemies[Math.floor(Math.random() * tier3Enemies.length)];
+    const randomBoss = tier3Enemies[Math.floor(encounterRng.next() * tier3Enemies.length)];
     const enemies = [{ type: randomBoss.id, level: bossLevel }];
 
     // 50% chance to add minions
-    if (Math.random() < 0.5) {
-      const minionCount = 1 + Math.floor(Math.random() * 2);
+    if (encounterRng.next() < 0.5) {
+      const minionCount = 1 + Math.floor(encounterRng.next() * 2);
       const tier2Enemies = this.getEnemiesByTier(2);
       
       for (let i = 0; i < minionCount; i++) {
         if (tier2Enemies.length > 0) {
-          const randomMinion = tier2Enemies[Math.floor(Math.random() * tier2Enemies.length)];
+          const randomMinion = tier2Enemies[Math.floor(encounterRng.next() * tier2Enemies.length)];
           enemies.push({
             type: randomMinion.id,
             level: Math.max(1, bossLevel - 2)
@@ -1591,7 +1637,7 @@ export class EnemyDatabase {
       selectedBoss = this.getEnemy('ancient_lich');
     } else {
       // Scale down boss for lower levels
-      selectedBoss = bossEnemies[Math.floor(Math.random() * bossEnemies.length)];
+      selectedBoss = bossEnemies[Math.floor(encounterRng.next() * bossEnemies.length)];
     }
 
     return [{
@@ -3,18 +3,150 @@
  * Handles equipping/unequipping items and real-time stat recalculation
  */
 
+import { CharacterClasses } from '../character/CharacterClasses.js';
+
+/**
+ * Default slot set. `accepts` lists item categories (see getItemCategory):
+ * weapon, shield, head, body, feet, accessory.
+ */
+export const EQUIPMENT_SLOTS = [
+    { id: 'mainHand', label: 'Main Hand', icon: '⚔', accepts: ['weapon'] },
+    { id: 'offHand',  label: 'Off Hand',  icon: '🛡', accepts: ['shield', 'weapon'] },
+    { id: 'head',     label: 'Head',      icon: '⛑', accepts: ['head'] },
+    { id: 'body',     label: 'Body',      icon: '🥋', accepts: ['body'] },
+    { id: 'feet',     label: 'Feet',      icon: '👢', accepts: ['feet'] },
+    { id: 'ring1',    label: 'Ring',      icon: '💍', accepts: ['accessory'] },
+    { id: 'ring2',    label: 'Ring',      icon: '💍', accepts: ['accessory'] }
+];
+
+/** Pre-expansion slot names, still accepted by equipItem/unequipItem */
+export const LEGACY_SLOT_ALIASES = {
+    weapon: 'mainHand',
+    armor: 'body',
+    accessory: 'ring1'
+};
+
+/**
+ * Empty equipment object for a slot set
+ * @param {Array} [slots] - Slot definitions
+ * @returns {Object} slotId → null
+ */
+export function createEmptyEquipment(slots = EQUIPMENT_SLOTS) {
+    return Object.fromEntries(slots.map(slot => [slot.id, null]));
+}
+
+/**
+ * Final stats for an item including rarity bonuses — shared with
+ * Character.recalculateStats so both paths agree
+ * @param {Object} item - Item to get stats for
+ * @returns {Object} Final item stats
+ */
+export function getFinalItemStats(item) {
+    if (!item.stats) return {};
+
+    // If item has getFinalStats method (from Item class), use it
+    if (typeof item.getFinalStats === 'function') {
+        return item.getFinalStats();
+    }
+
+    // Otherwise calculate manually
+    const rarity = item.rarity || 'common';
+    const rarityBonuses = {
+        'common': 1.0,
+        'uncommon': 1.1,
+        'rare': 1.2,
+        'epic': 1.35
+    };
+
+    const bonus = rarityBonuses[rarity] || 1.0;
+    const finalStats = {};
+
+    Object.entries(item.stats).forEach(([stat, value]) => {
+        finalStats[stat] = Math.floor(value * bonus);
+    });
+
+    return finalStats;
+}
+
 export class EquipmentSystem {
-    constructor() {
+    /**
+     * @param {Array} [slots] - Slot definitions (defaults to EQUIPMENT_SLOTS)
+     */
+    constructor(slots = EQUIPMENT_SLOTS) {
+        this.slots = slots;
         this.listeners = new Set();
         console.log('EquipmentSystem initialized');
     }
 
+    /**
+     * Equipment category of an item — explicit `slot` field, otherwise by type
+     * @param {Object} item - Item to classify
+     * @returns {string|null} weapon, shield, head, body, feet, accessory
+     */
+    static getItemCategory(item) {
+        if (!item) return null;
+        if (item.slot) return item.slot;
+        const typeCategories = { weapon: 'weapon', armor: 'body', accessory: 'accessory' };
+        return typeCategories[item.type] ?? null;
+    }
+
+    /**
+     * Map legacy slot names (weapon/armor/accessory) to current slot ids
+     * @param {string} slot - Slot id or legacy name
+     * @returns {string} Slot id
+     */
+    resolveSlot(slot) {
+        return LEGACY_SLOT_ALIASES[slot] ?? slot;
+    }
+
+    /**
+     * @param {string} slot - Slot id or legacy name
+     * @returns {Object|null} Slot definition
+     */
+    getSlotDefinition(slot) {
+        const id = this.resolveSlot(slot);
+        return this.slots.find(def => def.id === id) ?? null;
+    }
+
+    /**
+     * Slot ids that accept an item's category
+     * @param {Object} item - Item to place
+     * @returns {Array<string>} Slot ids
+     */
+    getSlotsForItem(item) {
+        const category = EquipmentSystem.getItemCategory(item);
+        return this.slots.filter(def => def.accepts.includes(category)).map(def => def.id);
+    }
+
+    /**
+     * Best slot for an item: the first compatible slot the character may use
+     * that is empty, otherwise the first compatible one
+     * @param {Object} character - Character equipping
+     * @param {Object} item - Item to place
+     * @returns {string|null} Slot id
+     */
+    getDefaultSlot(character, item) {
+        const usable = this.getSlotsForItem(item)
+            .filter(slot => this.canEquip(character, item, slot).success);
+        return usable.find(slot => !character.equipment?.[slot]) ?? usable[0] ?? null;
+    }
+
+    /**
+     * Whether the off hand is blocked by a two-handed main hand weapon
+     * @param {Object} character - Character to check
+     * @returns {boolean}
+     */
+    isOffHandLocked(character) {
+        return !!character.equipment?.mainHand?.twoHanded;
+    }
+
     /**
      * Equip an item to a character
      * @param {Object} character - Character to equip item on
      * @param {Object} item - Item to equip
-     * @param {string} slot - Equipment slot (weapon, armor, accessory)
-     * @returns {Object} Result with success status and previous item
+     * @param {string} slot - Equipment slot id (see EQUIPMENT_SLOTS; legacy names accepted)
+     * @returns {Object} Result with success status, previous item and any
+     *   items displaced from other slots (off hand cleared by a two-handed weapon)
      */
     equipItem(character, item, slot) {
         // Validate inputs
@@ -27,7 +159,8 @@ export class EquipmentSystem {
         }
 
         // Validate slot type
-        if (!['weapon', 'armor', 'accessory'].includes(slot)) {
+        slot = this.resolveSlot(slot);
+        if (!this.getSlotDefinition(slot)) {
             return { 
                 success: false, 
                 message: 'Invalid equipment slot',
@@ -45,7 +178,7 @@ export class EquipmentSystem {
         }
 
         // Check equipment requirements
-        const canEquip = this.canEquip(character, item);
+        const canEquip = this.canEquip(character, item, slot);
         if (!canEquip.success) {
             return { 
                 success: false, 
@@ -54,8 +187,23 @@ export class EquipmentSystem {
             };
         }
 
+        if (slot === 'offHand' && this.isOffHandLocked(character)) {
+            return {
+                success: false,
+                message: `Off hand is locked by ${character.equipment.mainHand.name}`,
+                previousItem: null
+            };
+        }
+
         // Store previous item
-        const previousItem = character.equipment[slot];
+        const previousItem = character.equipment[slot] ?? null;
+
+        // Two-handed weapons take the off hand with them
+        const displacedItems = [];
+        if (slot === 'mainHand' && item.twoHanded && character.equipment.offHand) {
+            displacedItems.push(character.equipment.offHand);
+            character.equipment.offHand = null;
+        }
 
         // Equip the new item
         character.equipment[slot] = item;
@@ -71,7 +219,8 @@ export class EquipmentSystem {
         return { 
             success: true, 
             message: `Equipped ${item.name}`,
-            previousItem: previousItem 
+            previousItem: previousItem,
+            displacedItems: displacedItems
         };
     }
 
@@ -92,7 +241,8 @@ export class EquipmentSystem {
         }
 
         // Validate slot type
-        if (!['weapon', 'armor', 'accessory'].includes(slot)) {
+        slot = this.resolveSlot(slot);
+        if (!this.getSlotDefinition(slot)) {
             return { 
                 success: false, 
                 message: 'Invalid equipment slot',
@@ -132,9 +282,10 @@ export class EquipmentSystem {
      * Check if a character can equip an item
      * @param {Object} character - Character to check
      * @param {Object} item - Item to check
+     * @param {string} [slot] - Target slot; enables off-hand (dual-wield) checks
      * @returns {Object} Validation result
      */
-    canEquip(character, item) {
+    canEquip(character, item, slot = null) {
         // Check level requirement
         if (item.requirements && item.requirements.level) {
             if (character.level < item.requirements.level) {
@@ -165,6 +316,27 @@ export class EquipmentSystem {
             }
         }
 
+        // Class proficiencies (CharacterClasses definition `equipment`)
+        const proficiency = CharacterClasses.getEquipmentProficiencies(character.class);
+        const category = EquipmentSystem.getItemCategory(item);
+        if (item.twoHanded && !proficiency.twoHanded) {
+            return { success: false, reason: `${character.class} cannot use two-handed weapons` };
+        }
+        if (category === 'shield' && !proficiency.shields) {
+            return { success: false, reason: `${character.class} cannot use shields` };
+        }
+        if (item.heavy && !proficiency.heavyArmor) {
+            return { success: false, reason: `${character.class} cannot wear heavy armor` };
+        }
+        if (this.resolveSlot(slot) === 'offHand' && category === 'weapon') {
+            if (item.twoHanded) {
+                return { success: false, reason: 'Two-handed weapons go in the main hand' };
+            }
+            if (!proficiency.dualWield) {
+                return { success: false, reason: `${character.class} cannot dual-wield` };
+            }
+        }
+
         return { success: true };
     }
 
@@ -204,7 +376,7 @@ export class EquipmentSystem {
      * @returns {Object} Comparison data
      */
     getEquipmentComparison(character, newItem, slot) {
-        const currentItem = character.equipment[slot];
+        const currentItem = character.equipment[this.resolveSlot(slot)];
         
         if (!currentItem) {
             // No current item, show new item stats as pure gains
@@ -283,14 +455,8 @@ export class EquipmentSystem {
             return false;
         }
 
-        const slotTypeMapping = {
-            'weapon': ['weapon'],
-            'armor': ['armor'],
-            'accessory': ['accessory']
-        };
-
-        const allowedTypes = slotTypeMapping[slot];
-        return allowedTypes && allowedTypes.includes(item.type);
+        const definition = this.getSlotDefinition(slot);
+        return !!definition && definition.accepts.includes(EquipmentSystem.getItemCategory(item));
     }
 
     /**
@@ -299,30 +465,7 @@ export class EquipmentSystem {
      * @returns {Object} Final item stats
      */
     _getFinalItemStats(item) {
-        if (!item.stats) return {};
-
-        // If item has getFinalStats method (from Item class), use it
-        if (typeof item.getFinalStats === 'function') {
-            return item.getFinalStats();
-        }
-
-        // Otherwise calculate manually
-        const rarity = item.rarity || 'common';
-        const rarityBonuses = {
-            'common': 1.0,
-            'uncommon': 1.1,
-            'rare': 1.2,
-            'epic': 1.35
-        };
-
-        const bonus = rarityBonuses[rarity] || 1.0;
-        const finalStats = {};
-
-        Object.entries(item.stats).forEach(([stat, value]) => {
-            finalStats[stat] = Math.floor(value * bonus);
-        });
-
-        return finalStats;
+        return getFinalItemStats(item);
     }
 
     /**
@@ -330,6 +473,13 @@ export class EquipmentSystem {
      * @param {Object} character - Character to recalculate stats for
      */
     _recalculateCharacterStats(character) {
+        // Characters own their stat pipeline (equipment + set bonuses)
+        if (typeof character.recalculateStats === 'function') {
+            character.recalculateStats();
+            console.log(`Recalculated stats for ${character.name}:`, character.stats);
+            return;
+        }
+
         // Start with base stats
         character.stats = { ...character.baseStats };
 
@@ -3,6 +3,8 @@
  * Manages potions, elixirs, and other consumable items during gameplay
  */
 
+import { statusEffectRegistry } from '../combat/StatusEffectRegistry.js';
+
 export class ConsumableSystem {
     constructor() {
         this.activeEffects = new Map(); // Track active temporary effects
@@ -246,26 +248,12 @@ export class ConsumableSystem {
             target.statusEffects = [];
         }
 
-        // Check if same buff type already exists
-        const existingEffect = target.statusEffects.find(se => 
-            se.type === effect.stat && se.source === 'consumable'
-        );
-
-        if (existingEffect) {
-            // Refresh duration and update value if new buff is stronger
-            existingEffect.duration = effect.duration || 3;
-            if (effect.value > existingEffect.value) {
-                existingEffect.value = effect.value;
-            }
-        } else {
-            // Add new buff
-            target.statusEffects.push({
-                type: effect.stat,
-                value: effect.value,
-                duration: effect.duration || 3,
-                source: 'consumable'
-            });
-        }
+        // Registry stacking rules refresh duration and keep the stronger value
+        statusEffectRegistry.apply(target, {
+            type: effect.stat,
+            value: effect.value,
+            duration: effect.duration || 3
+        }, 'consumable');
 
         return {
             success: true,
@@ -284,14 +272,9 @@ export class ConsumableSystem {
             };
         }
 
+        // Conditions may name effect types or cleanse tags (e.g. 'dot', 'control')
         const conditions = effect.conditions || ['poison', 'burn', 'freeze', 'paralysis'];
-        const beforeCount = target.statusEffects.length;
-        
-        target.statusEffects = target.statusEffects.filter(se => 
-            !conditions.includes(se.type)
-        );
-        
-        const curedCount = beforeCount - target.statusEffects.length;
+        const curedCount = statusEffectRegistry.cleanse(target, conditions).length;
 
         return {
             success: curedCount > 0,
@@ -260,6 +260,15 @@ export class InventorySystem {
     return items;
   }
 
+  /**
+   * Total quantity of an item across all stacks
+   * @param {string} itemId - Item ID
+   * @returns {number} Quantity held
+   */
+  getItemCount(itemId) {
+    return this.slots.reduce((total, slot) => total + (slot?.item.id === itemId ? slot.quantity : 0), 0);
+  }
+
   /**
    * Find empty slot
    * @returns {number} Empty slot index or -1 if none
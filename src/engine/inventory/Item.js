@@ -3,6 +3,8 @@
  * Defines item structure, types, and rarity system
  */
 
+import { statusEffectRegistry } from '../combat/StatusEffectRegistry.js';
+
 export const ItemTypes = {
     WEAPON: 'weapon',
     ARMOR: 'armor',
@@ -59,6 +61,9 @@ export class Item {
         // Equipment specific properties
         this.stats = config.stats || {};
         this.requirements = config.requirements || {};
+        this.slot = config.slot || null;          // weapon/shield/head/body/feet/accessory; null = by type
+        this.twoHanded = config.twoHanded || false;
+        this.heavy = config.heavy || false;
         
         // Consumable specific properties
         this.effects = config.effects || [];
@@ -67,6 +72,12 @@ export class Item {
         // Special properties and modifiers
         this.modifiers = config.modifiers || [];
         this.setBonus = config.setBonus || null;
+        this.setId = config.setId || null;         // ItemDatabase item set this piece belongs to
+        this.affixes = config.affixes || [];       // resolved prefix/suffix data (ItemAffixes)
+        this.baseName = config.baseName || this.name;
+        this.upgradeLevel = config.upgradeLevel || 0;   // forge upgrades applied (CraftingSystem)
+        this.upgradeBonuses = config.upgradeBonuses || [];       // statBonus of each of those upgrades
+        this.unupgradedStats = config.unupgradedStats || null;   // stats before the first upgrade
     }
 
     /**
@@ -293,12 +304,11 @@ export class Item {
             target.statusEffects = [];
         }
 
-        target.statusEffects.push({
+        statusEffectRegistry.apply(target, {
             type: effect.stat,
             value: effect.value,
-            duration: effect.duration || 3,
-            source: this.name
-        });
+            duration: effect.duration || 3
+        }, this.name);
 
         return {
             success: true,
@@ -312,11 +322,7 @@ export class Item {
             return { success: false, message: 'No status effects to cure' };
         }
 
-        const beforeCount = target.statusEffects.length;
-        target.statusEffects = target.statusEffects.filter(se => 
-            !effect.conditions.includes(se.type)
-        );
-        const curedCount = beforeCount - target.statusEffects.length;
+        const curedCount = statusEffectRegistry.cleanse(target, effect.conditions).length;
 
         return {
             success: curedCount > 0,
@@ -0,0 +1,316 @@
+/**
+ * ItemAffixes - Prefix/suffix pools for procedurally generated magic items
+ * ItemDatabase.generateRandomItem rolls affixes by rarity; ActionSystem,
+ * Enemy and Character read the summed bonuses of whatever a character has
+ * equipped through getAffixBonuses().
+ *
+ * Affix definition fields:
+ *   kind        'prefix' | 'suffix'
+ *   appliesTo   Equipment categories (EquipmentSystem.getItemCategory)
+ *   minLevel    Lowest item level the affix can roll on (maxLevel caps it)
+ *   weights     { uncommon|rare|epic: weight } — missing rarity = never rolls
+ *   effects     Scaled values, resolved per item by resolveAffix():
+ *     stats             { HP|ATK|DEF|SPD } — folded into the item's stats
+ *     elementalDamage   { element } — extra damage added to each hit
+ *     resistances       { element } — fraction of incoming damage ignored
+ *     onHit             { type, chance, ...status fields } — StatusEffectRegistry spec
+ *     critRange         d20 crit threshold lowered by this much
+ *     critMultiplier    Added to the crit damage multiplier
+ *     cooldownReduction Turns removed from skill cooldowns (never below 1)
+ */
+
+import { EquipmentSystem } from '../equipment/EquipmentSystem.js';
+
+/** Affixes per rarity and how hard they scale */
+export const AFFIX_RARITY_RULES = {
+  common:   { count: 0, power: 1.0 },
+  uncommon: { count: 1, power: 1.0 },
+  rare:     { count: 2, power: 1.25 },
+  epic:     { count: 2, power: 1.5 }
+};
+
+/** Highest total resistance equipment can grant to one element */
+export const AFFIX_RESISTANCE_CAP = 0.75;
+
+const ARMOR = ['shield', 'head', 'body', 'feet'];
+
+/** Value that grows with item level; `fraction` values keep two decimals */
+const scaled = (base, perLevel = 0, fraction = false) => ({ base, perLevel, fraction });
+
+export const ITEM_AFFIXES = [
+  // Prefixes
+  {
+    id: 'flaming', name: 'Flaming', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 1, weights: { uncommon: 10, rare: 8, epic: 6 },
+    effects: { elementalDamage: { Fire: scaled(2, 0.5) } }
+  },
+  {
+    id: 'freezing', name: 'Freezing', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 1, weights: { uncommon: 10, rare: 8, epic: 6 },
+    effects: { elementalDamage: { Ice: scaled(2, 0.5) } }
+  },
+  {
+    id: 'shocking', name: 'Shocking', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 3, weights: { uncommon: 6, rare: 8, epic: 6 },
+    effects: { elementalDamage: { Lightning: scaled(3, 0.5) } }
+  },
+  {
+    id: 'hallowed', name: 'Hallowed', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 5, weights: { rare: 5, epic: 8 },
+    effects: { elementalDamage: { Light: scaled(4, 0.75) } }
+  },
+  {
+    id: 'venomous', name: 'Venomous', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 2, weights: { uncommon: 6, rare: 6, epic: 4 },
+    effects: { onHit: { type: 'poison', chance: scaled(0.15, 0.01, true), duration: 3, damage: scaled(2, 0.25) } }
+  },
+  {
+    id: 'serrated', name: 'Serrated', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 1, weights: { uncommon: 6, rare: 6, epic: 4 },
+    effects: { onHit: { type: 'bleed', chance: scaled(0.2, 0.01, true), duration: 3, damage: scaled(2, 0.25) } }
+  },
+  {
+    id: 'keen', name: 'Keen', kind: 'prefix', appliesTo: ['weapon', 'accessory'],
+    minLevel: 1, weights: { uncommon: 8, rare: 6, epic: 4 },
+    effects: { critRange: scaled(1) }
+  },
+  {
+    id: 'vicious', name: 'Vicious', kind: 'prefix', appliesTo: ['weapon'],
+    minLevel: 6, weights: { rare: 4, epic: 8 },
+    effects: { critMultiplier: scaled(0.25, 0.02, true) }
+  },
+  {
+    id: 'sturdy', name: 'Sturdy', kind: 'prefix', appliesTo: ARMOR,
+    minLevel: 1, maxLevel: 8, weights: { uncommon: 12, rare: 8, epic: 4 },
+    effects: { stats: { DEF: scaled(2, 0.5) } }
+  },
+  {
+    id: 'fortified', name: 'Fortified', kind: 'prefix', appliesTo: ARMOR,
+    minLevel: 6, weights: { uncommon: 4, rare: 8, epic: 8 },
+    effects: { stats: { DEF: scaled(4, 0.75) } }
+  },
+  {
+    id: 'warded', name: 'Warded', kind: 'prefix', appliesTo: ['shield', 'body', 'accessory'],
+    minLevel: 4, weights: { rare: 6, epic: 6 },
+    effects: { resistances: { Dark: scaled(0.15, 0.01, true), Light: scaled(0.15, 0.01, true) } }
+  },
+
+  // Suffixes
+  {
+    id: 'of_the_bear', name: 'of the Bear', kind: 'suffix', appliesTo: ['weapon', ...ARMOR, 'accessory'],
+    minLevel: 1, weights: { uncommon: 10, rare: 8, epic: 6 },
+    effects: { stats: { HP: scaled(8, 2) } }
+  },
+  {
+    id: 'of_the_fox', name: 'of the Fox', kind: 'suffix', appliesTo: ['weapon', 'feet', 'accessory'],
+    minLevel: 1, weights: { uncommon: 10, rare: 8, epic: 6 },
+    effects: { stats: { SPD: scaled(1, 0.25) } }
+  },
+  {
+    id: 'of_the_salamander', name: 'of the Salamander', kind: 'suffix', appliesTo: [...ARMOR, 'accessory'],
+    minLevel: 1, weights: { uncommon: 8, rare: 6, epic: 4 },
+    effects: { resistances: { Fire: scaled(0.15, 0.01, true) } }
+  },
+  {
+    id: 'of_the_yeti', name: 'of the Yeti', kind: 'suffix', appliesTo: [...ARMOR, 'accessory'],
+    minLevel: 1, weights: { uncommon: 8, rare: 6, epic: 4 },
+    effects: { resistances: { Ice: scaled(0.15, 0.01, true) } }
+  },
+  {
+    id: 'of_grounding', name: 'of Grounding', kind: 'suffix', appliesTo: [...ARMOR, 'accessory'],
+    minLevel: 3, weights: { uncommon: 6, rare: 6, epic: 4 },
+    effects: { resistances: { Lightning: scaled(0.15, 0.01, true) } }
+  },
+  {
+    id: 'of_the_dawn', name: 'of the Dawn', kind: 'suffix', appliesTo: [...ARMOR, 'accessory'],
+    minLevel: 5, weights: { uncommon: 3, rare: 6, epic: 6 },
+    effects: { resistances: { Dark: scaled(0.2, 0.01, true) } }
+  },
+  {
+    id: 'of_precision', name: 'of Precision', kind: 'suffix', appliesTo: ['weapon', 'accessory'],
+    minLevel: 2, weights: { uncommon: 6, rare: 6, epic: 4 },
+    effects: { critRange: scaled(1) }
+  },
+  {
+    id: 'of_slaughter', name: 'of Slaughter', kind: 'suffix', appliesTo: ['weapon'],
+    minLevel: 8, weights: { epic: 6 },
+    effects: { critMultiplier: scaled(0.5, 0.02, true) }
+  },
+  {
+    id: 'of_the_glacier', name: 'of the Glacier', kind: 'suffix', appliesTo: ['weapon'],
+    minLevel: 3, weights: { uncommon: 4, rare: 6, epic: 4 },
+    effects: { onHit: { type: 'slow', chance: scaled(0.2, 0.01, true), duration: 2, spdReduction: scaled(2, 0.25) } }
+  },
+  {
+    id: 'of_alacrity', name: 'of Alacrity', kind: 'suffix', appliesTo: ['weapon', 'head', 'accessory'],
+    minLevel: 4, weights: { rare: 5, epic: 8 },
+    effects: { cooldownReduction: scaled(1) }
+  }
+];
+
+/**
+ * Resolve a scaled value (or nested object of them) at an item level
+ * @private
+ */
+function resolveValue(spec, level, power) {
+  if (spec && typeof spec === 'object' && 'base' in spec) {
+    const value = (spec.base + spec.perLevel * (level - 1)) * power;
+    return spec.fraction ? Math.round(value * 100) / 100 : Math.max(1, Math.floor(value));
+  }
+  if (spec && typeof spec === 'object') {
+    return Object.fromEntries(Object.entries(spec).map(([key, value]) => [key, resolveValue(value, level, power)]));
+  }
+  return spec;
+}
+
+/**
+ * Affixes that can roll on an item
+ * @param {Object} item - Item (template or instance)
+ * @param {number} level - Item level
+ * @param {string} rarity - Rarity name
+ * @param {string} kind - 'prefix' | 'suffix'
+ * @returns {Array<{affix: Object, weight: number}>}
+ */
+export function getAffixPool(item, level, rarity, kind) {
+  const category = EquipmentSystem.getItemCategory(item);
+  if (!category) return [];
+  return ITEM_AFFIXES
+    .filter(affix => affix.kind === kind
+      && affix.appliesTo.includes(category)
+      && level >= affix.minLevel
+      && level <= (affix.maxLevel ?? Infinity)
+      && (affix.weights[rarity] ?? 0) > 0)
+    .map(affix => ({ affix, weight: affix.weights[rarity] }));
+}
+
+/**
+ * Resolve an affix definition into the plain data stored on an item
+ * @param {Object} affix - Entry from ITEM_AFFIXES
+ * @param {number} level - Item level
+ * @param {string} rarity - Rarity name
+ * @returns {{id: string, name: string, kind: string, effects: Object}}
+ */
+export function resolveAffix(affix, level, rarity) {
+  const power = AFFIX_RARITY_RULES[rarity]?.power ?? 1;
+  return { id: affix.id, name: affix.name, kind: affix.kind, effects: resolveValue(affix.effects, level, power) };
+}
+
+/**
+ * Roll affixes for an item. Uncommon items get a prefix or a suffix,
+ * rare and epic items one of each.
+ * @param {Object} item - Item instance
+ * @param {number} level - Item level
+ * @param {string} rarity - Rarity name
+ * @param {import('../utils/RNG.js').RNGStream} stream - Loot RNG stream
+ * @returns {Array<Object>} Resolved affixes, prefix first
+ */
+export function rollAffixes(item, level, rarity, stream) {
+  const count = AFFIX_RARITY_RULES[rarity]?.count ?? 0;
+  if (count === 0) return [];
+
+  const kinds = count >= 2 ? ['prefix', 'suffix'] : [stream.chance(0.5) ? 'prefix' : 'suffix'];
+  const affixes = [];
+  for (const kind of kinds) {
+    const pool = getAffixPool(item, level, rarity, kind);
+    const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total === 0) continue;
+
+    let roll = stream.next() * total;
+    const picked = pool.find(entry => (roll -= entry.weight) < 0) ?? pool[pool.length - 1];
+    affixes.push(resolveAffix(picked.affix, level, rarity));
+  }
+  return affixes;
+}
+
+/**
+ * Display name built only from the base name and affixes, so the same
+ * affixes always give the same name: "Flaming Basic Sword of the Bear"
+ * @param {string} baseName - Template name
+ * @param {Array<Object>} affixes - Resolved affixes
+ * @returns {string}
+ */
+export function buildAffixedName(baseName, affixes = []) {
+  const prefix = affixes.find(affix => affix.kind === 'prefix');
+  const suffix = affixes.find(affix => affix.kind === 'suffix');
+  return [prefix?.name, baseName, suffix?.name].filter(Boolean).join(' ');
+}
+
+/**
+ * Attach affixes to an item instance: stores them, renames the item and
+ * folds stat affixes into its stats
+ * @param {Object} item - Item instance (mutated)
+ * @param {Array<Object>} affixes - Resolved affixes
+ * @returns {Object} The item
+ */
+export function applyAffixes(item, affixes) {
+  if (affixes.length === 0) return item;
+
+  item.baseName = item.name;
+  item.name = buildAffixedName(item.name, affixes);
+  item.affixes = affixes;
+  item.stats = { ...item.stats };
+  for (const affix of affixes) {
+    for (const [stat, value] of Object.entries(affix.effects.stats ?? {})) {
+      item.stats[stat] = (item.stats[stat] ?? 0) + value;
+    }
+  }
+  item.value = Math.floor((item.value ?? 0) * (1 + 0.25 * affixes.length));
+  return item;
+}
+
+/**
+ * Strip an item's affixes — the inverse of applyAffixes. Stat affixes are
+ * taken back out of its stats and the name and value return to the base item.
+ * @param {Object} item - Item instance (mutated)
+ * @returns {Object} The item
+ */
+export function removeAffixes(item) {
+  const affixes = item.affixes ?? [];
+  if (affixes.length === 0) return item;
+
+  item.stats = { ...item.stats };
+  for (const affix of affixes) {
+    for (const [stat, value] of Object.entries(affix.effects.stats ?? {})) {
+      item.stats[stat] = (item.stats[stat] ?? 0) - value;
+      if (item.stats[stat] === 0) delete item.stats[stat];
+    }
+  }
+  item.value = Math.round((item.value ?? 0) / (1 + 0.25 * affixes.length));
+  item.name = item.baseName ?? item.name;
+  item.affixes = [];
+  return item;
+}
+
+/**
+ * Sum the combat affixes of everything a combatant has equipped.
+ * Enemies and characters without equipment get all-zero bonuses.
+ * @param {Object} combatant - Character (or anything with `equipment`)
+ * @returns {{elementalDamage: Object, resistances: Object, onHit: Array,
+ *   critRange: number, critMultiplier: number, cooldownReduction: number}}
+ */
+export function getAffixBonuses(combatant) {
+  const bonuses = {
+    elementalDamage: {},
+    resistances: {},
+    onHit: [],
+    critRange: 0,
+    critMultiplier: 0,
+    cooldownReduction: 0
+  };
+
+  for (const item of Object.values(combatant?.equipment ?? {})) {
+    for (const { effects } of item?.affixes ?? []) {
+      for (const [element, amount] of Object.entries(effects.elementalDamage ?? {})) {
+        bonuses.elementalDamage[element] = (bonuses.elementalDamage[element] ?? 0) + amount;
+      }
+      for (const [element, amount] of Object.entries(effects.resistances ?? {})) {
+        bonuses.resistances[element] = Math.min(AFFIX_RESISTANCE_CAP, (bonuses.resistances[element] ?? 0) + amount);
+      }
+      if (effects.onHit) bonuses.onHit.push(effects.onHit);
+      bonuses.critRange += effects.critRange ?? 0;
+      bonuses.critMultiplier += effects.critMultiplier ?? 0;
+      bonuses.cooldownReduction += effects.cooldownReduction ?? 0;
+    }
+  }
+  return bonuses;
+}
@@ -3,17 +3,28 @@
  * Provides simple item creation for testing purposes
  */
 
+import { rng, RNGStreams } from '../utils/RNG.js';
+import { rollAffixes, applyAffixes } from './ItemAffixes.js';
+
+const lootRng = rng.stream(RNGStreams.LOOT);
+
 export class ItemDatabase {
   constructor() {
     this.items = new Map();
     this.itemTypes = ['weapon', 'armor', 'accessory', 'consumable', 'material', 'key_item'];
     this.rarities = ['common', 'uncommon', 'rare', 'epic'];
+    this.itemSets = new Map();
     
     this.initializeBasicItems();
+    this.initializeItemSets();
   }
 
   /**
-   * Initialize basic items for testing
+   * Initialize basic items for testing.
+   * Equipment fields (EquipmentSystem): `slot` — weapon, shield, head, body,
+   * feet or accessory, defaulting from `type`; `twoHanded` weapons lock the
+   * off hand; `heavy` armor needs the class's heavyArmor proficiency.
+   * `setId` marks a set piece (see initializeItemSets).
    */
   initializeBasicItems() {
     // Basic weapons
@@ -28,6 +39,7 @@ export class ItemDatabase {
     this.addItem('staff_basic', {
       name: 'Basic Staff',
       type: 'weapon',
+      twoHanded: true,
       rarity: 'common',
       stats: { ATK: 8, SPD: 2 },
       value: 45
@@ -37,6 +49,7 @@ export class ItemDatabase {
     this.addItem('leather_armor', {
       name: 'Leather Armor',
       type: 'armor',
+      slot: 'body',
       rarity: 'common',
       stats: { DEF: 5, HP: 10 },
       value: 40
@@ -271,6 +284,7 @@ export class ItemDatabase {
     this.addItem('iron_shield', {
       name: 'Iron Shield',
       type: 'armor',
+      slot: 'shield',
       rarity: 'common',
       stats: { DEF: 8 },
       value: 70
@@ -278,10 +292,63 @@ export class ItemDatabase {
     this.addItem('chain_mail', {
       name: 'Chain Mail',
       type: 'armor',
+      slot: 'body',
+      heavy: true,
       rarity: 'uncommon',
       stats: { DEF: 14, HP: 20 },
       value: 150
     });
+    this.addItem('steel_dagger', {
+      name: 'Steel Dagger',
+      type: 'weapon',
+      rarity: 'common',
+      stats: { ATK: 7, SPD: 3 },
+      value: 45,
+      description: 'Light enough for the off hand.'
+    });
+    this.addItem('greatsword', {
+      name: 'Greatsword',
+      type: 'weapon',
+      twoHanded: true,
+      rarity: 'uncommon',
+      stats: { ATK: 22 },
+      value: 160,
+      description: 'Needs both hands to swing.'
+    });
+    this.addItem('leather_cap', {
+      name: 'Leather Cap',
+      type: 'armor',
+      slot: 'head',
+      rarity: 'common',
+      stats: { DEF: 2 },
+      value: 25
+    });
+    this.addItem('iron_helm', {
+      name: 'Iron Helm',
+      type: 'armor',
+      slot: 'head',
+      heavy: true,
+      rarity: 'common',
+      stats: { DEF: 5, HP: 5 },
+      value: 65
+    });
+    this.addItem('leather_boots', {
+      name: 'Leather Boots',
+      type: 'armor',
+      slot: 'feet',
+      rarity: 'common',
+      stats: { DEF: 1, SPD: 2 },
+      value: 30
+    });
+    this.addItem('iron_greaves', {
+      name: 'Iron Greaves',
+      type: 'armor',
+      slot: 'feet',
+      heavy: true,
+      rarity: 'uncommon',
+      stats: { DEF: 4, HP: 5 },
+      value: 80
+    });
 
     // ── SHATTERED SANCTUM ITEMS ─────────────────────────────────────────────
 
@@ -342,7 +409,7 @@ export class ItemDatabase {
     // Weapons
     this.addItem('iron_spear', {
       name: 'Iron Spear',
-      type: 'weapon', rarity: 'uncommon',
+      type: 'weapon', twoHanded: true, rarity: 'uncommon',
       stats: { ATK: 18, SPD: 1 }, value: 120,
       description: 'A well-balanced spear. Reach gives an edge in close quarters.'
     });
@@ -354,7 +421,7 @@ export class ItemDatabase {
     });
     this.addItem('sanctum_blade', {
       name: 'Sanctum Blade',
-      type: 'weapon', rarity: 'epic',
+      type: 'weapon', rarity: 'epic', setId: 'sanctum_regalia',
       stats: { ATK: 35, DEF: 5 }, value: 0,
       description: 'Forged from crystallised seal energy. Hums with restrained power.'
     });
@@ -362,13 +429,13 @@ export class ItemDatabase {
     // Armor
     this.addItem('warden_plate', {
       name: 'Warden\'s Plate',
-      type: 'armor', rarity: 'uncommon',
+      type: 'armor', slot: 'body', heavy: true, rarity: 'uncommon', setId: 'wardens_vigil',
       stats: { DEF: 18, HP: 25 }, value: 200,
       description: 'Dented plate armor worn by the Outpost Warden. Heavy but solid.'
     });
     this.addItem('shadow_cloak', {
       name: 'Shadow Cloak',
-      type: 'armor', rarity: 'rare',
+      type: 'armor', slot: 'body', rarity: 'rare', setId: 'nightstalker',
       stats: { DEF: 10, SPD: 6 }, value: 250,
       description: 'Woven from solidified shadow. Offers both protection and evasion.'
     });
@@ -376,7 +443,7 @@ export class ItemDatabase {
     // Accessories
     this.addItem('sanctum_amulet', {
       name: 'Sanctum Amulet',
-      type: 'accessory', rarity: 'rare',
+      type: 'accessory', rarity: 'rare', setId: 'sanctum_regalia',
       stats: { HP: 40, DEF: 6 }, value: 300,
       description: 'Amulet bearing the Order\'s seal. Reinforces the wearer against dark energy.'
     });
@@ -455,6 +522,205 @@ export class ItemDatabase {
         return { success: true, consumed: true, learned };
       }
     });
+
+    // Recipe scrolls — read at a forge to learn the recipe (CraftingSystem)
+    this.addItem('recipe_dark_elixir', {
+      name: 'Recipe: Dark Elixir',
+      type: 'scroll', category: 'recipe_scroll', rarity: 'rare',
+      icon: '📜', recipeId: 'brew_dark_elixir',
+      value: 120, stackable: false,
+      description: 'Alchemist\'s notes on distilling void essence. Read it at a forge.'
+    });
+    this.addItem('recipe_panacea', {
+      name: 'Recipe: Panacea',
+      type: 'scroll', category: 'recipe_scroll', rarity: 'uncommon',
+      icon: '📜', recipeId: 'brew_panacea',
+      value: 80, stackable: false,
+      description: 'A herbalist\'s cure-all, written in a careful hand. Read it at a forge.'
+    });
+    this.addItem('recipe_mithril_temper', {
+      name: 'Recipe: Mithril Temper',
+      type: 'scroll', category: 'recipe_scroll', rarity: 'rare',
+      icon: '📜', recipeId: 'mithril_temper',
+      value: 150, stackable: false,
+      description: 'Smithing notes on folding mithril into finished gear. Read it at a forge.'
+    });
+  }
+
+  /**
+   * Equipment sets. Wearing `pieces` of a set unlocks each bonus tier whose
+   * `pieces` count is met; tiers stack. A tier may grant `stats`,
+   * `resistances` (fraction of that element's damage ignored) and `skills`
+   * (skill ids the wearer can use while the tier is active). Set pieces are
+   * boss drops (LootSystem._generateBossLoot) rather than random loot.
+   */
+  initializeItemSets() {
+    // Warden's Vigil — heavy guard gear from the Outpost
+    this.addItem('warden_helm', {
+      name: 'Warden\'s Helm',
+      type: 'armor', slot: 'head', heavy: true, rarity: 'uncommon', setId: 'wardens_vigil',
+      stats: { DEF: 7, HP: 10 }, value: 140,
+      description: 'Visored helm stamped with the Outpost crest.'
+    });
+    this.addItem('warden_greaves', {
+      name: 'Warden\'s Greaves',
+      type: 'armor', slot: 'feet', heavy: true, rarity: 'uncommon', setId: 'wardens_vigil',
+      stats: { DEF: 6, HP: 10 }, value: 130,
+      description: 'Plated greaves made for standing a post, not running from it.'
+    });
+    this.addItem('warden_bulwark', {
+      name: 'Warden\'s Bulwark',
+      type: 'armor', slot: 'shield', rarity: 'uncommon', setId: 'wardens_vigil',
+      stats: { DEF: 12 }, value: 160,
+      description: 'Tower shield scarred by a hundred sieges.'
+    });
+    this.addItemSet('wardens_vigil', {
+      name: 'Warden\'s Vigil',
+      minLevel: 1,
+      pieces: ['warden_plate', 'warden_helm', 'warden_greaves', 'warden_bulwark'],
+      bonuses: [
+        { pieces: 2, stats: { DEF: 6 } },
+        { pieces: 3, stats: { HP: 30 }, resistances: { Dark: 0.2 } },
+        { pieces: 4, skills: ['iron_will'] }
+      ]
+    });
+
+    // Nightstalker — light gear for fighters who strike first
+    this.addItem('nightstalker_hood', {
+      name: 'Nightstalker Hood',
+      type: 'armor', slot: 'head', rarity: 'rare', setId: 'nightstalker',
+      stats: { DEF: 3, SPD: 3 }, value: 180,
+      description: 'A deep hood that swallows lamplight.'
+    });
+    this.addItem('nightstalker_treads', {
+      name: 'Nightstalker Treads',
+      type: 'armor', slot: 'feet', rarity: 'rare', setId: 'nightstalker',
+      stats: { DEF: 2, SPD: 4 }, value: 180,
+      description: 'Soft-soled boots that leave no echo on stone.'
+    });
+    this.addItem('nightstalker_fang', {
+      name: 'Nightstalker Fang',
+      type: 'weapon', rarity: 'rare', setId: 'nightstalker',
+      stats: { ATK: 14, SPD: 4 }, value: 220,
+      description: 'A blackened dagger, balanced for either hand.'
+    });
+    this.addItemSet('nightstalker', {
+      name: 'Nightstalker',
+      minLevel: 4,
+      pieces: ['shadow_cloak', 'nightstalker_hood', 'nightstalker_treads', 'nightstalker_fang'],
+      bonuses: [
+        { pieces: 2, stats: { SPD: 4 } },
+        { pieces: 3, stats: { ATK: 6 }, resistances: { Dark: 0.15 } },
+        { pieces: 4, skills: ['evasion'] }
+      ]
+    });
+
+    // Sanctum Regalia — the Order's ceremonial arms
+    this.addItem('sanctum_circlet', {
+      name: 'Sanctum Circlet',
+      type: 'armor', slot: 'head', rarity: 'rare', setId: 'sanctum_regalia',
+      stats: { DEF: 4, HP: 20 }, value: 260,
+      description: 'Silver circlet set with a shard of the seal.'
+    });
+    this.addItemSet('sanctum_regalia', {
+      name: 'Sanctum Regalia',
+      minLevel: 6,
+      pieces: ['sanctum_blade', 'sanctum_amulet', 'sanctum_circlet'],
+      bonuses: [
+        { pieces: 2, stats: { HP: 25 }, resistances: { Dark: 0.2 } },
+        { pieces: 3, stats: { ATK: 5 }, skills: ['bless'] }
+      ]
+    });
+  }
+
+  /**
+   * Add an equipment set
+   * @param {string} id - Set ID (referenced by items' `setId`)
+   * @param {Object} setData - { name, minLevel, pieces: [itemId], bonuses: [{ pieces, stats?, resistances?, skills? }] }
+   */
+  addItemSet(id, setData) {
+    this.itemSets.set(id, {
+      id,
+      minLevel: 1,
+      ...setData,
+      bonuses: [...setData.bonuses].sort((a, b) => a.pieces - b.pieces)
+    });
+  }
+
+  /**
+   * @param {string} id - Set ID
+   * @returns {Object|null} Set definition
+   */
+  getItemSet(id) {
+    return this.itemSets.get(id) || null;
+  }
+
+  /**
+   * Progress toward every set with at least one piece in an equipment object.
+   * Duplicate pieces (two copies of one ring) count once.
+   * @param {Object} equipment - slotId → item
+   * @returns {Array<{set: Object, equipped: Array<string>, count: number, total: number,
+   *   tiers: Array<Object>}>} tiers carry `active`
+   */
+  getSetProgress(equipment) {
+    const worn = new Map(); // setId → Set of piece ids
+    for (const item of Object.values(equipment ?? {})) {
+      if (!item?.setId || !this.itemSets.has(item.setId)) continue;
+      if (!worn.has(item.setId)) worn.set(item.setId, new Set());
+      worn.get(item.setId).add(item.id);
+    }
+
+    return [...worn].map(([setId, pieceIds]) => {
+      const set = this.itemSets.get(setId);
+      const count = set.pieces.filter(id => pieceIds.has(id)).length;
+      return {
+        set,
+        equipped: [...pieceIds],
+        count,
+        total: set.pieces.length,
+        tiers: set.bonuses.map(tier => ({ ...tier, active: count >= tier.pieces }))
+      };
+    });
+  }
+
+  /**
+   * Sum every active set tier for an equipment object
+   * @param {Object} equipment - slotId → item
+   * @returns {{stats: Object, resistances: Object, skills: Array<string>}}
+   */
+  getSetBonuses(equipment) {
+    const bonuses = { stats: {}, resistances: {}, skills: [] };
+    for (const { tiers } of this.getSetProgress(equipment)) {
+      for (const tier of tiers.filter(t => t.active)) {
+        for (const [stat, value] of Object.entries(tier.stats ?? {})) {
+          bonuses.stats[stat] = (bonuses.stats[stat] ?? 0) + value;
+        }
+        for (const [element, value] of Object.entries(tier.resistances ?? {})) {
+          bonuses.resistances[element] = (bonuses.resistances[element] ?? 0) + value;
+        }
+        for (const skillId of tier.skills ?? []) {
+          if (!bonuses.skills.includes(skillId)) bonuses.skills.push(skillId);
+        }
+      }
+    }
+    return bonuses;
+  }
+
+  /**
+   * Create a random set piece for boss loot
+   * @param {number} level - Item level (also gates sets by minLevel)
+   * @param {string} setId - Restrict to one set (optional)
+   * @returns {Object|null} Item instance, or null when no set is available
+   */
+  generateSetPiece(level = 1, setId = null) {
+    const sets = setId
+      ? [this.getItemSet(setId)].filter(Boolean)
+      : [...this.itemSets.values()].filter(set => level >= set.minLevel);
+    if (sets.length === 0) return null;
+
+    const set = sets[Math.floor(lootRng.next() * sets.length)];
+    const pieceId = set.pieces[Math.floor(lootRng.next() * set.pieces.length)];
+    return this.createItem(pieceId, level);
   }
 
   /**
@@ -505,29 +771,33 @@ export class ItemDatabase {
    */
   getRandomItem() {
     const itemIds = Array.from(this.items.keys());
-    const randomId = itemIds[Math.floor(Math.random() * itemIds.length)];
+    const randomId = itemIds[Math.floor(lootRng.next() * itemIds.length)];
     return this.createItem(randomId);
   }
 
   /**
-   * Generate a random item matching optional filters.
-   * STUB: the original implementation was never written; ShopSystem expected this method
-   * and crashed at module-load when it didn't exist. Returns a random matching item
-   * from the current sparse database, or null if no match.
+   * Generate a random item matching optional filters. Equipment above common
+   * rarity rolls prefix/suffix affixes (see ItemAffixes) from the loot stream,
+   * so a given seed always yields the same item and name. Set pieces are excluded.
    * @param {number} level - target item level
    * @param {string} type - ItemTypes.WEAPON / ARMOR / ACCESSORY / CONSUMABLE
-   * @param {string} rarity - ItemRarity.* (ignored for now, no rarity data on items)
+   * @param {string|Object} rarity - rarity name or ItemRarity entry; null keeps the template's
    * @returns {Object|null}
    */
   generateRandomItem(level = 1, type = null, rarity = null) {
     const candidates = [];
     for (const item of this.items.values()) {
       if (type && item.type !== type) continue;
+      if (item.setId) continue; // set pieces only come from generateSetPiece
       candidates.push(item);
     }
     if (candidates.length === 0) return null;
-    const template = candidates[Math.floor(Math.random() * candidates.length)];
-    return this.createItem(template.id, level);
+    const template = candidates[Math.floor(lootRng.next() * candidates.length)];
+    const item = this.createItem(template.id, level);
+
+    const rarityName = rarity?.name ?? rarity;
+    if (rarityName) item.rarity = rarityName;
+    return applyAffixes(item, rollAffixes(item, level, item.rarity, lootRng));
   }
 
   /**
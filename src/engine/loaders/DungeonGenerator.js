@@ -0,0 +1,532 @@
+/**
+ * @fileoverview DungeonGenerator - Seeded procedural floors for the endless Deep Crypt
+ * Emits the same level JSON schema DungeonLoader.validateLevelData accepts, so a
+ * generated floor loads, saves and transitions exactly like a hand-authored one.
+ * The same (floor, seed) pair always produces the same floor.
+ */
+
+import { Dir } from '../core/Direction.js';
+import { RNGStream, rng } from '../utils/RNG.js';
+import { LevelValidator } from './LevelValidator.js';
+
+export const DEEP_CRYPT_ID = 'deep-crypt';
+
+// Room 0 always covers this tile, so a floor's stairs can point at the next
+// floor's spawn without generating that floor first
+export const DEEP_CRYPT_SPAWN = Object.freeze({ x: 2, z: 2, direction: Dir.SOUTH });
+
+const TILE = Object.freeze({ FLOOR: 1, WALL: 2, TRANSITION: 3 });
+const SIDES = ['north', 'east', 'south', 'west'];
+const KEY_TYPES = ['bronze', 'silver', 'gold'];
+const MAX_ATTEMPTS = 10;
+
+/**
+ * DungeonGenerator carves rooms + corridors, then places gates (locked doors and
+ * switch doors) on chokepoints of the spawn → stairs path, with each key or switch
+ * placed in the section reachable before its gate.
+ */
+export class DungeonGenerator {
+  /**
+   * @param {string} levelId - Level id, e.g. "deep-crypt-floor-3"
+   * @returns {boolean} True if the id names a generated Deep Crypt floor
+   */
+  static isGeneratedLevel(levelId) {
+    return new RegExp(`^${DEEP_CRYPT_ID}-floor-\\d+$`).test(levelId ?? '');
+  }
+
+  /**
+   * @param {number} floor - Floor number (1-based)
+   * @returns {string} Level id for that floor
+   */
+  static levelId(floor) {
+    return `${DEEP_CRYPT_ID}-floor-${floor}`;
+  }
+
+  /**
+   * Generate the floor named by a level id
+   * @param {string} levelId - Generated level id (see isGeneratedLevel)
+   * @param {number|string} [seed] - Run seed, defaults to the master RNG seed
+   * @returns {Object} Level data
+   */
+  generateForLevelId(levelId, seed = rng.seed) {
+    if (!DungeonGenerator.isGeneratedLevel(levelId)) {
+      throw new Error(`"${levelId}" is not a generated level id`);
+    }
+    return this.generateFloor(parseInt(levelId.match(/-floor-(\d+)$/)[1], 10), seed);
+  }
+
+  /**
+   * Generate one Deep Crypt floor. Layouts that fail verifyLevel() are rerolled.
+   * @param {number} floor - Floor number (1-based); size, gates and traps scale with it
+   * @param {number|string} [seed] - Run seed, defaults to the master RNG seed
+   * @returns {Object} Level data
+   */
+  generateFloor(floor, seed = rng.seed) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const random = new RNGStream(`${DEEP_CRYPT_ID}:${floor}:${attempt}`, seed);
+      const level = this._build(floor, random);
+      level.generated = { seed: String(seed), floor, attempt };
+
+      const check = DungeonGenerator.verifyLevel(level);
+      if (check.valid) {
+        console.log(`Generated ${level.id} (${level.width}x${level.height}, attempt ${attempt})`);
+        return level;
+      }
+      console.warn(`Rejected ${level.id} attempt ${attempt}: ${check.errors.join('; ')}`);
+    }
+    throw new Error(`Could not generate a connected Deep Crypt floor ${floor} (seed ${seed})`);
+  }
+
+  /**
+   * Check that a level can be finished from its spawn: every transition and every
+   * walkable tile reachable once keys are collected and switches pulled
+   * @param {Object} level - Level data
+   * @returns {{valid: boolean, errors: Array<string>}} Verification result
+   */
+  static verifyLevel(level) {
+    const report = new LevelValidator().validate(level);
+    return { valid: report.isValid, errors: report.errors };
+  }
+
+  /**
+   * Build a single candidate floor
+   * @param {number} floor - Floor number
+   * @param {RNGStream} random - Stream for this attempt
+   * @returns {Object} Level data (unverified)
+   * @private
+   */
+  _build(floor, random) {
+    const size = Math.min(17 + 2 * (floor - 1), 33);
+    const ctx = {
+      floor,
+      random,
+      width: size,
+      height: size,
+      tiles: new Array(size * size).fill(TILE.WALL),
+      roomAt: new Array(size * size).fill(-1),
+      used: new Set(),
+      meta: new Map()
+    };
+
+    const rooms = this._placeRooms(ctx);
+    this._connectRooms(ctx, rooms);
+
+    const spawn = { ...DEEP_CRYPT_SPAWN };
+    ctx.used.add(key(spawn.x, spawn.z));
+
+    // Stairs go on the room tile farthest (by walking distance) from spawn
+    const dist = distances(ctx, spawn, new Set());
+    let stairs = null;
+    for (let i = 0; i < ctx.tiles.length; i++) {
+      if (ctx.roomAt[i] > 0 && dist[i] > (stairs ? dist[stairs.i] : -1)) {
+        stairs = { i, x: i % ctx.width, z: Math.floor(i / ctx.width) };
+      }
+    }
+    ctx.tiles[stairs.i] = TILE.TRANSITION;
+    ctx.used.add(key(stairs.x, stairs.z));
+    const path = shortestPath(ctx, dist, stairs);
+    ctx.path = new Set(path.map(p => key(p.x, p.z)));
+
+    const gates = this._placeGates(ctx, path, spawn, stairs);
+    const doors = [...gates.doors, ...this._placeOpenDoors(ctx)];
+    const safeZones = this._placeShrine(ctx, rooms, dist, dist[stairs.i]);
+    this._placePits(ctx);
+    this._decorateRooms(ctx, rooms);
+
+    return {
+      id: DungeonGenerator.levelId(floor),
+      name: `Deep Crypt - Floor ${floor}`,
+      theme: 'crypt',
+      width: ctx.width,
+      height: ctx.height,
+      spawn,
+      tiles: ctx.tiles,
+      doors,
+      transitions: [{
+        x: stairs.x,
+        z: stairs.z,
+        type: 'stairs',
+        target: DungeonGenerator.levelId(floor + 1),
+        spawn: { ...DEEP_CRYPT_SPAWN }
+      }],
+      safeZones,
+      keyItems: gates.keyItems,
+      zones: this._buildZones(ctx, rooms, dist, dist[stairs.i]),
+      tileMetadata: [...ctx.meta.values()]
+    };
+  }
+
+  /**
+   * Scatter non-overlapping rooms; room 0 is pinned to the top-left to hold the spawn
+   * @private
+   */
+  _placeRooms(ctx) {
+    const { random, width, height } = ctx;
+    const rooms = [{ x: 1, z: 1, w: random.int(3, 5), h: random.int(3, 5) }];
+    const target = Math.min(5 + Math.floor(ctx.floor / 2), 12);
+
+    for (let tries = 0; tries < 300 && rooms.length < target; tries++) {
+      const w = random.int(3, 6);
+      const h = random.int(3, 6);
+      const room = { x: random.int(1, width - w - 1), z: random.int(1, height - h - 1), w, h };
+      // Keep at least one wall tile between rooms
+      const overlaps = rooms.some(r =>
+        room.x <= r.x + r.w && r.x <= room.x + room.w &&
+        room.z <= r.z + r.h && r.z <= room.z + room.h);
+      if (!overlaps) rooms.push(room);
+    }
+
+    rooms.forEach((room, index) => {
+      room.index = index;
+      room.cx = room.x + Math.floor(room.w / 2);
+      room.cz = room.z + Math.floor(room.h / 2);
+      for (let z = room.z; z < room.z + room.h; z++) {
+        for (let x = room.x; x < room.x + room.w; x++) {
+          ctx.tiles[z * width + x] = TILE.FLOOR;
+          ctx.roomAt[z * width + x] = index;
+        }
+      }
+    });
+    return rooms;
+  }
+
+  /**
+   * Chain rooms nearest-first from room 0 with L-shaped corridors, which keeps every
+   * room connected; one optional extra corridor adds a loop
+   * @private
+   */
+  _connectRooms(ctx, rooms) {
+    const { random } = ctx;
+    const remaining = rooms.slice(1);
+    let current = rooms[0];
+    while (remaining.length > 0) {
+      remaining.sort((a, b) =>
+        (Math.abs(a.cx - current.cx) + Math.abs(a.cz - current.cz)) -
+        (Math.abs(b.cx - current.cx) + Math.abs(b.cz - current.cz)));
+      const next = remaining.shift();
+      this._carveCorridor(ctx, current, next);
+      current = next;
+    }
+
+    if (rooms.length > 3 && random.chance(0.5)) {
+      const a = random.pick(rooms.slice(1));
+      const b = random.pick(rooms.slice(1).filter(r => r !== a));
+      this._carveCorridor(ctx, a, b);
+    }
+  }
+
+  /** @private */
+  _carveCorridor(ctx, from, to) {
+    const carve = (x, z) => {
+      if (ctx.tiles[z * ctx.width + x] === TILE.WALL) ctx.tiles[z * ctx.width + x] = TILE.FLOOR;
+    };
+    const horizontalFirst = ctx.random.chance(0.5);
+    const corner = horizontalFirst ? { x: to.cx, z: from.cz } : { x: from.cx, z: to.cz };
+
+    for (const [a, b] of [[{ x: from.cx, z: from.cz }, corner], [corner, { x: to.cx, z: to.cz }]]) {
+      const stepX = Math.sign(b.x - a.x);
+      const stepZ = Math.sign(b.z - a.z);
+      for (let x = a.x, z = a.z; ; x += stepX, z += stepZ) {
+        carve(x, z);
+        if (x === b.x && z === b.z) break;
+      }
+    }
+  }
+
+  /**
+   * Put locked doors (and, from floor 2, one switch door) on chokepoints of the main
+   * path, ordered so deeper gates take better keys. Each key or switch lands in the
+   * section that opens up right before its gate.
+   * @private
+   */
+  _placeGates(ctx, path, spawn, stairs) {
+    const { random, floor } = ctx;
+    const nearEnds = p =>
+      Math.abs(p.x - spawn.x) + Math.abs(p.z - spawn.z) < 3 ||
+      Math.abs(p.x - stairs.x) + Math.abs(p.z - stairs.z) < 3;
+
+    const chokepoints = path.filter(p => {
+      if (nearEnds(p) || !doorOrientation(ctx, p.x, p.z)) return false;
+      return distances(ctx, spawn, new Set([key(p.x, p.z)]))[stairs.i] === -1;
+    });
+
+    const lockCount = Math.min(KEY_TYPES.length, 1 + Math.floor((floor - 1) / 2));
+    const wanted = Math.min(chokepoints.length, lockCount + (floor >= 2 ? 1 : 0));
+    const gates = [];
+    for (let g = 0; g < wanted; g++) {
+      const p = chokepoints[Math.floor((g + 1) * chokepoints.length / (wanted + 1))];
+      if (gates.some(other => Math.abs(other.x - p.x) + Math.abs(other.z - p.z) < 3)) continue;
+      gates.push(p);
+    }
+
+    const switchGate = floor >= 2 && gates.length > lockCount ? random.int(0, gates.length - 1) : -1;
+    const doors = [];
+    const keyItems = [];
+    let keyIndex = 0;
+
+    for (const gate of gates) {
+      gate.orientation = doorOrientation(ctx, gate.x, gate.z);
+      ctx.used.add(key(gate.x, gate.z));
+    }
+
+    gates.forEach((gate, g) => {
+      const isSwitch = g === switchGate;
+      const spot = this._pickGateSection(ctx, spawn, gates, g, isSwitch);
+      if (isSwitch) {
+        const { side, d } = random.pick(wallSides(ctx, spot.x, spot.z));
+        // The switch face points back at the tile the party stands on
+        this._meta(ctx, spot.x + d.x, spot.z + d.z).wallSwitch = {
+          side: SIDES[(SIDES.indexOf(side) + 2) % 4],
+          reusable: false,
+          scripts: [{ action: 'openDoor', target: { x: gate.x, z: gate.z } }]
+        };
+        doors.push({ x: gate.x, z: gate.z, orientation: gate.orientation, locked: true, keyType: null });
+      } else {
+        const keyType = KEY_TYPES[Math.min(keyIndex++, KEY_TYPES.length - 1)];
+        keyItems.push({ x: spot.x, z: spot.z, itemId: `${keyType}_key`, respawn: false });
+        doors.push({ x: gate.x, z: gate.z, orientation: gate.orientation, locked: true, keyType });
+      }
+      ctx.used.add(key(spot.x, spot.z));
+    });
+
+    return { doors, keyItems };
+  }
+
+  /**
+   * Pick a free room tile reachable before gate g, preferring the newest section
+   * (past gate g-1) and tiles off the main path. Switches need a wall to mount on.
+   * @private
+   */
+  _pickGateSection(ctx, spawn, gates, g, needsWall) {
+    const blockedFrom = from => new Set(gates.slice(from).map(p => key(p.x, p.z)));
+    const reach = distances(ctx, spawn, blockedFrom(g));
+    const previous = g > 0 ? distances(ctx, spawn, blockedFrom(g - 1)) : null;
+
+    const free = [];
+    for (let i = 0; i < ctx.tiles.length; i++) {
+      const x = i % ctx.width;
+      const z = Math.floor(i / ctx.width);
+      if (reach[i] === -1 || ctx.tiles[i] !== TILE.FLOOR || ctx.used.has(key(x, z))) continue;
+      if (needsWall && wallSides(ctx, x, z).length === 0) continue;
+      free.push({ x, z, inRoom: ctx.roomAt[i] >= 0, isNew: !previous || previous[i] === -1, onPath: ctx.path.has(key(x, z)) });
+    }
+
+    const tiers = [
+      t => t.inRoom && t.isNew && !t.onPath,
+      t => t.inRoom && t.isNew,
+      t => t.isNew,
+      () => true
+    ];
+    for (const tier of tiers) {
+      const options = free.filter(tier);
+      if (options.length > 0) return ctx.random.pick(options);
+    }
+    throw new Error('no free tile before gate');
+  }
+
+  /**
+   * Plain closed doors on a few corridor mouths that are not gates
+   * @private
+   */
+  _placeOpenDoors(ctx) {
+    const candidates = [];
+    for (let i = 0; i < ctx.tiles.length; i++) {
+      const x = i % ctx.width;
+      const z = Math.floor(i / ctx.width);
+      if (ctx.tiles[i] === TILE.FLOOR && ctx.roomAt[i] === -1 && !ctx.used.has(key(x, z)) && doorOrientation(ctx, x, z)) {
+        candidates.push({ x, z });
+      }
+    }
+
+    const doors = [];
+    const count = 2 + Math.floor(ctx.floor / 3);
+    while (doors.length < count && candidates.length > 0) {
+      const { x, z } = candidates.splice(ctx.random.int(0, candidates.length - 1), 1)[0];
+      if ([...ctx.used].some(k => { const [ux, uz] = k.split(',').map(Number); return Math.abs(ux - x) + Math.abs(uz - z) < 2; })) continue;
+      doors.push({ x, z, orientation: doorOrientation(ctx, x, z), locked: false, keyType: null });
+      ctx.used.add(key(x, z));
+    }
+    return doors;
+  }
+
+  /**
+   * One shrine in the room nearest the halfway point of the descent
+   * @private
+   */
+  _placeShrine(ctx, rooms, dist, stairsDistance) {
+    const candidates = rooms.slice(1).filter(r => !ctx.used.has(key(r.cx, r.cz)));
+    if (candidates.length === 0) return [];
+    const halfway = stairsDistance / 2;
+    candidates.sort((a, b) =>
+      Math.abs(dist[a.cz * ctx.width + a.cx] - halfway) - Math.abs(dist[b.cz * ctx.width + b.cx] - halfway));
+    const room = candidates[0];
+    ctx.used.add(key(room.cx, room.cz));
+
+    return [{
+      x: room.cx,
+      z: room.cz,
+      type: 'shrine',
+      name: 'Forgotten Shrine',
+      description: 'A cracked shrine, still warm with old prayers',
+      services: ['save', 'heal'],
+      healAmount: 50,
+      cooldown: 0
+    }];
+  }
+
+  /**
+   * Pit traps on room tiles off the main path, away from doors and pickups
+   * @private
+   */
+  _placePits(ctx) {
+    const { random, floor } = ctx;
+    const damage = floor <= 3 ? '1d6' : floor <= 6 ? '2d6' : '3d6';
+    const count = Math.min(1 + Math.floor(floor / 2), 6);
+
+    const candidates = [];
+    for (let i = 0; i < ctx.tiles.length; i++) {
+      const x = i % ctx.width;
+      const z = Math.floor(i / ctx.width);
+      if (ctx.roomAt[i] < 1 || ctx.tiles[i] !== TILE.FLOOR || ctx.path.has(key(x, z))) continue;
+      const crowded = SIDES.some((_, dir) => {
+        const d = Dir.delta(dir);
+        return ctx.used.has(key(x + d.x, z + d.z));
+      });
+      if (!crowded && !ctx.used.has(key(x, z))) candidates.push({ x, z });
+    }
+
+    for (let n = 0; n < count && candidates.length > 0; n++) {
+      const { x, z } = candidates.splice(random.int(0, candidates.length - 1), 1)[0];
+      this._meta(ctx, x, z).pit = { damage, hidden: random.chance(0.5), difficulty: 10 + floor };
+      ctx.used.add(key(x, z));
+    }
+  }
+
+  /**
+   * A wall torch per room, plus face decorations and loose props for dressing
+   * @private
+   */
+  _decorateRooms(ctx, rooms) {
+    const { random } = ctx;
+    for (const room of rooms) {
+      // Room edge tiles paired with the wall side they touch
+      const edges = [];
+      for (let z = room.z; z < room.z + room.h; z++) {
+        for (let x = room.x; x < room.x + room.w; x++) {
+          for (const { side } of wallSides(ctx, x, z)) edges.push({ x, z, side });
+        }
+      }
+      if (edges.length === 0) continue;
+
+      const torch = random.pick(edges);
+      (this._meta(ctx, torch.x, torch.z).props ??= []).push({ type: 'torch_wall', side: torch.side, interactive: false });
+
+      if (random.chance(0.6)) {
+        const spot = random.pick(edges);
+        const meta = this._meta(ctx, spot.x, spot.z);
+        meta.decorations = { ...(meta.decorations ?? {}), [spot.side]: random.pick(['barrel', 'shelf']) };
+      }
+
+      if (room.w * room.h >= 16 && random.chance(0.5)) {
+        const x = random.int(room.x, room.x + room.w - 1);
+        const z = random.int(room.z, room.z + room.h - 1);
+        if (!ctx.used.has(key(x, z)) && !ctx.path.has(key(x, z))) {
+          (this._meta(ctx, x, z).props ??= []).push({ type: random.pick(['debris', 'candle', 'barrel']) });
+        }
+      }
+    }
+  }
+
+  /**
+   * One MazeZone per room — XP grows with depth on the floor and with the floor
+   * number; a floor-wide zone at the end covers corridors
+   * @private
+   */
+  _buildZones(ctx, rooms, dist, stairsDistance) {
+    const base = 1 + 0.1 * (ctx.floor - 1);
+    const round = n => Math.round(n * 100) / 100;
+    const zones = rooms.slice(1).map(room => {
+      const depth = Math.max(0, dist[room.cz * ctx.width + room.cx]) / Math.max(1, stairsDistance);
+      return {
+        id: `room-${room.index}`,
+        xpMultiplier: round(base * (1 + 0.5 * Math.min(1, depth))),
+        tiles: [[room.x, room.z], [room.x + room.w - 1, room.z + room.h - 1]]
+      };
+    });
+    zones.push({ id: 'floor', xpMultiplier: round(base), tiles: [[0, 0], [ctx.width - 1, ctx.height - 1]] });
+    return zones;
+  }
+
+  /** @private */
+  _meta(ctx, x, z) {
+    const k = key(x, z);
+    if (!ctx.meta.has(k)) ctx.meta.set(k, { x, z });
+    return ctx.meta.get(k);
+  }
+}
+
+function key(x, z) {
+  return `${x},${z}`;
+}
+
+/**
+ * Door orientation for a one-tile corridor gap, or null if the tile isn't one
+ * (DungeonLoader convention: 'vertical' doors span an east-west passage)
+ */
+function doorOrientation(ctx, x, z) {
+  const open = (dx, dz) => ctx.tiles[(z + dz) * ctx.width + x + dx] !== TILE.WALL;
+  if (!open(0, -1) && !open(0, 1) && open(-1, 0) && open(1, 0)) return 'vertical';
+  if (!open(-1, 0) && !open(1, 0) && open(0, -1) && open(0, 1)) return 'horizontal';
+  return null;
+}
+
+/** Wall neighbours of a tile as [{ side, d }] */
+function wallSides(ctx, x, z) {
+  return SIDES.map((side, dir) => ({ side, d: Dir.delta(dir) }))
+    .filter(({ d }) => ctx.tiles[(z + d.z) * ctx.width + x + d.x] === TILE.WALL);
+}
+
+/** BFS walking distance from start over non-wall tiles; -1 = unreachable */
+function distances(ctx, start, blocked) {
+  const { width, height, tiles } = ctx;
+  const dist = new Array(width * height).fill(-1);
+  const queue = [start.z * width + start.x];
+  dist[queue[0]] = 0;
+  for (let head = 0; head < queue.length; head++) {
+    const i = queue[head];
+    const x = i % width;
+    const z = Math.floor(i / width);
+    for (let dir = 0; dir < 4; dir++) {
+      const d = Dir.delta(dir);
+      const nx = x + d.x;
+      const nz = z + d.z;
+      const n = nz * width + nx;
+      if (nx < 0 || nz < 0 || nx >= width || nz >= height) continue;
+      if (dist[n] !== -1 || tiles[n] === TILE.WALL || blocked.has(key(nx, nz))) continue;
+      dist[n] = dist[i] + 1;
+      queue.push(n);
+    }
+  }
+  return dist;
+}
+
+/** Walk the distance field back from the target; returns spawn → target */
+function shortestPath(ctx, dist, target) {
+  const path = [{ x: target.x, z: target.z }];
+  let { x, z } = target;
+  while (dist[z * ctx.width + x] > 0) {
+    for (let dir = 0; dir < 4; dir++) {
+      const d = Dir.delta(dir);
+      const n = (z + d.z) * ctx.width + x + d.x;
+      if (dist[n] === dist[z * ctx.width + x] - 1) {
+        x += d.x;
+        z += d.z;
+        break;
+      }
+    }
+    path.push({ x, z });
+  }
+  return path.reverse();
+}
+
+export const dungeonGenerator = new DungeonGenerator();
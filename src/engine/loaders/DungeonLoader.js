@@ -15,6 +15,8 @@ export class DungeonLoader {
     this.geometryFactory = geometryFactory;
     this.currentLevel = null;
     this.levelGeometry = new Map();
+    /** @type {import('../systems/WorldStateSystem.js').WorldStateSystem|null} */
+    this.worldState = null;
     // Derived from level id on load — used by SaveSystem
     this.currentDungeon = '';
     this.currentFloor   = 0;
@@ -36,6 +38,15 @@ export class DungeonLoader {
     this.geometryFactory = geometryFactory;
   }
 
+  /**
+   * Set world state reference — the outgoing level is captured before it is
+   * cleared and the incoming level's recorded changes are reapplied
+   * @param {import('../systems/WorldStateSystem.js').WorldStateSystem} worldState
+   */
+  setWorldState(worldState) {
+    this.worldState = worldState;
+  }
+
   /**
    * Load level from JSON data (requirement 6.1)
    * @param {Object|string} levelData - Level data object or JSON string
@@ -45,6 +56,9 @@ export class DungeonLoader {
     try {
       console.log('Loading level...');
       
+      // Remember what the party changed on the outgoing level
+      this.worldState?.captureCurrentLevel();
+
       // Clear existing level and dispose resources (requirement 6.5)
       this.clearLevel();
       
@@ -81,6 +95,9 @@ export class DungeonLoader {
         this.gridSystem.setZones(level.zones ?? []);
       }
 
+      // Reapply opened doors, taken pickups, dropped items and used switches
+      this.worldState?.applyLevel(level.id);
+
       this.currentLevel = level;
 
       // Parse dungeon + floor from level id: "dungeon-name-floor-N"
@@ -185,7 +202,8 @@ export class DungeonLoader {
           if (meta.ceilingHeight != null) tileData.ceilingHeight = meta.ceilingHeight;
           if (Array.isArray(meta.triggers)) tileData.triggers    = meta.triggers;
           if (meta.decorations)           tileData.decorations   = meta.decorations;
-          if (meta.wallSwitch)            tileData.wallSwitch    = meta.wallSwitch;
+          // Copied — handleWallSwitch mutates it and the level data may be reused
+          if (meta.wallSwitch)            tileData.wallSwitch    = { ...meta.wallSwitch };
           if (meta.forceField)            tileData.forceField    = meta.forceField;
           if (meta.pit)                   tileData.pit           = meta.pit;
         }
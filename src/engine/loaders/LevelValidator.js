@@ -0,0 +1,371 @@
+/**
+ * @fileoverview LevelValidator - Semantic checks for level JSON
+ * DungeonLoader.validateLevelData only checks shape; this walks the level the
+ * way a player would (keys, switches, doors) and resolves its references.
+ * Pure data in, report out — file access lives in validate-levels.js.
+ */
+
+import { enemyDatabase } from '../data/EnemyDatabase.js';
+import { EncounterSystem } from '../systems/EncounterSystem.js';
+
+const WALKABLE_TILES = new Set([1, 3]);
+const KNOWN_TILES = new Set([0, 1, 2, 3]);
+const DOOR_SCRIPTS = new Set(['openDoor', 'closeDoor', 'toggleDoor']);
+const DELTAS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * Where a level hands out keys: keyItems plus `<type>_key` drops from chests,
+ * scripted encounter rewards and secret areas
+ * @param {Object} level - Level data
+ * @returns {Array<{x: number, z: number, keyType: string, source: string}>} Key sources
+ */
+export function findKeySources(level) {
+  const sources = [];
+  const add = (x, z, itemId, source) => {
+    if (typeof itemId === 'string' && itemId.endsWith('_key')) {
+      sources.push({ x, z, keyType: itemId.slice(0, -'_key'.length), source });
+    }
+  };
+
+  for (const k of level.keyItems ?? []) add(k.x, k.z, k.itemId, 'keyItem');
+  for (const chest of level.lootChests ?? []) {
+    for (const loot of chest.loot ?? []) add(chest.x, chest.z, loot.itemId ?? loot.id, 'chest');
+  }
+  for (const enc of level.scriptedEncounters ?? []) {
+    for (const loot of enc.rewards?.loot ?? []) add(enc.x, enc.z, loot.itemId, `encounter ${enc.id}`);
+  }
+  for (const area of level.secretAreas ?? []) {
+    for (const loot of area.loot ?? []) add(area.x, area.z, loot.itemId, 'secret area');
+  }
+  return sources;
+}
+
+/**
+ * Flood-fill from spawn, picking up keys and pulling wall switches until nothing
+ * new opens. Doors open once their key is held or a reached switch targets them.
+ * @param {Object} level - Level data (tiles, spawn, doors, keys, tileMetadata)
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.carriedKeys] - Key types held on arrival
+ * @returns {{reached: Set<string>, ownedKeys: Set<string>, openedDoors: Set<string>}} "x,z" keys
+ */
+export function solveLevel(level, options = {}) {
+  const { width, height, tiles, spawn } = level;
+  // Doors replace whatever tile they sit on (DoorSystem.createDoor), usually a wall
+  const doors = new Map((level.doors ?? []).map(d => [`${d.x},${d.z}`, d]));
+  const isWalkable = (x, z) =>
+    x >= 0 && z >= 0 && x < width && z < height &&
+    (WALKABLE_TILES.has(tiles[z * width + x]) || doors.has(`${x},${z}`));
+
+  const keySources = findKeySources(level);
+  const switches = (level.tileMetadata ?? []).filter(m => m.wallSwitch);
+  const ownedKeys = new Set(options.carriedKeys ?? []);
+  const openedDoors = new Set();
+
+  let reached = new Set();
+  let progress = true;
+  while (progress) {
+    reached = new Set();
+    if (spawn && isWalkable(spawn.x, spawn.z)) {
+      reached.add(`${spawn.x},${spawn.z}`);
+      const queue = [[spawn.x, spawn.z]];
+      while (queue.length > 0) {
+        const [x, z] = queue.pop();
+        for (const [dx, dz] of DELTAS) {
+          const nx = x + dx;
+          const nz = z + dz;
+          const k = `${nx},${nz}`;
+          if (reached.has(k) || !isWalkable(nx, nz)) continue;
+          const door = doors.get(k);
+          if (door?.locked && !ownedKeys.has(door.keyType) && !openedDoors.has(k)) continue;
+          reached.add(k);
+          queue.push([nx, nz]);
+        }
+      }
+    }
+
+    progress = false;
+    for (const source of keySources) {
+      if (!ownedKeys.has(source.keyType) && reached.has(`${source.x},${source.z}`)) {
+        ownedKeys.add(source.keyType);
+        progress = true;
+      }
+    }
+    for (const meta of switches) {
+      if (!DELTAS.some(([dx, dz]) => reached.has(`${meta.x + dx},${meta.z + dz}`))) continue;
+      for (const script of meta.wallSwitch.scripts ?? []) {
+        const target = `${script.target?.x},${script.target?.z}`;
+        if ((script.action === 'openDoor' || script.action === 'toggleDoor') && !openedDoors.has(target)) {
+          openedDoors.add(target);
+          progress = true;
+        }
+      }
+    }
+  }
+
+  return { reached, ownedKeys, openedDoors };
+}
+
+/**
+ * LevelValidator collects errors (the level is broken) and warnings (probably a
+ * mistake, or depends on state from another floor) for one level.
+ */
+export class LevelValidator {
+  /**
+   * @param {Object} [context] - Cross-file data the level refers to
+   * @param {Function} [context.resolveLevel] - id → level data or null (transition targets)
+   * @param {Array<Object>} [context.npcs] - NPC definitions that spawn on this level
+   * @param {Object} [context.encounterTable] - Campaign encounter table for this level id (an inline level.encounterTable wins)
+   */
+  constructor(context = {}) {
+    this.context = context;
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Run every check
+   * @param {Object} level - Level data
+   * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>}} Report
+   */
+  validate(level) {
+    this.errors = [];
+    this.warnings = [];
+
+    if (!this.validateShape(level)) {
+      return this._report();
+    }
+    this.validateReachability(level);
+    this.validateTransitions(level);
+    this.validateNPCs(level);
+    this.validateWallSwitches(level);
+    this.validateEnemyReferences(level);
+    return this._report();
+  }
+
+  /**
+   * Dimensions, tile codes and spawn
+   * @returns {boolean} False if the level is too malformed to check further
+   */
+  validateShape(level) {
+    const { width, height, tiles } = level;
+    if (!width || !height || !Array.isArray(tiles)) {
+      this.errors.push('missing required properties (width, height, tiles)');
+      return false;
+    }
+    if (tiles.length !== width * height) {
+      this.errors.push(`tiles array length ${tiles.length} does not match ${width}x${height}`);
+      return false;
+    }
+
+    const unknown = new Set(tiles.filter(t => !KNOWN_TILES.has(t)));
+    if (unknown.size > 0) {
+      this.warnings.push(`unknown tile codes ${[...unknown].join(', ')} (loaded as walls)`);
+    }
+
+    if (!level.spawn) {
+      this.errors.push('no spawn point (loader falls back to (0, 0))');
+      return false;
+    }
+    if (!this._isWalkable(level, level.spawn.x, level.spawn.z)) {
+      this.errors.push(`spawn (${level.spawn.x}, ${level.spawn.z}) is not on a walkable tile`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Unreachable tiles, and locked doors whose key or switch only appears behind them
+   */
+  validateReachability(level) {
+    // Keys that never drop on this floor must be carried in from an earlier one
+    const onFloor = new Set(findKeySources(level).map(s => s.keyType));
+    const switchTargets = new Set((level.tileMetadata ?? [])
+      .flatMap(m => m.wallSwitch?.scripts ?? [])
+      .map(s => `${s.target?.x},${s.target?.z}`));
+    const carriedKeys = new Set();
+    for (const door of level.doors ?? []) {
+      if (!door.locked || switchTargets.has(`${door.x},${door.z}`)) continue;
+      if (!door.keyType) {
+        this.errors.push(`door at (${door.x}, ${door.z}) is locked with no keyType and no switch opens it`);
+      } else if (!onFloor.has(door.keyType)) {
+        this.warnings.push(`door at (${door.x}, ${door.z}) needs a ${door.keyType} key that is not on this floor — must be carried in`);
+        carriedKeys.add(door.keyType);
+      }
+    }
+
+    const { reached, ownedKeys, openedDoors } = solveLevel(level, { carriedKeys });
+    const doors = new Set((level.doors ?? []).map(d => `${d.x},${d.z}`));
+
+    for (const door of level.doors ?? []) {
+      const k = `${door.x},${door.z}`;
+      if (!door.locked || !door.keyType || reached.has(k)) continue;
+      if (onFloor.has(door.keyType) && !ownedKeys.has(door.keyType)) {
+        this.errors.push(`door at (${door.x}, ${door.z}) needs a ${door.keyType} key that cannot be obtained before it`);
+      }
+    }
+    for (const door of level.doors ?? []) {
+      const k = `${door.x},${door.z}`;
+      if (door.locked && !door.keyType && switchTargets.has(k) && !openedDoors.has(k)) {
+        this.errors.push(`door at (${door.x}, ${door.z}) is only opened by a switch that cannot be reached before it`);
+      }
+    }
+
+    const unreachable = [];
+    for (let z = 0; z < level.height; z++) {
+      for (let x = 0; x < level.width; x++) {
+        if (!this._isWalkable(level, x, z) || reached.has(`${x},${z}`)) continue;
+        if (!doors.has(`${x},${z}`)) unreachable.push(`(${x}, ${z})`);
+      }
+    }
+    if (unreachable.length > 0) {
+      const sample = unreachable.slice(0, 5).join(' ');
+      this.errors.push(`${unreachable.length} walkable tiles unreachable from spawn: ${sample}${unreachable.length > 5 ? ' …' : ''}`);
+    }
+  }
+
+  /**
+   * Targets must resolve to a level (or 'victory'), and the arrival tile must be walkable
+   */
+  validateTransitions(level) {
+    const transitions = level.transitions ?? [];
+    if (transitions.length === 0) {
+      this.warnings.push('no transitions — the level is a dead end');
+    }
+
+    for (const t of transitions) {
+      const at = `transition at (${t.x}, ${t.z})`;
+      if (!this._isWalkable(level, t.x, t.z)) {
+        this.errors.push(`${at} is not on a walkable tile`);
+      }
+      if (!t.target) {
+        this.errors.push(`${at} has no target`);
+        continue;
+      }
+      if (t.target === 'victory') continue;
+
+      const target = this.context.resolveLevel?.(t.target);
+      if (target === undefined) continue; // no resolver — cannot check
+      if (!target) {
+        this.errors.push(`${at} targets missing level "${t.target}"`);
+        continue;
+      }
+
+      // DungeonLoader defaults a missing spawn to (0, 0), not the target's own spawn
+      const spawn = t.spawn ?? { x: 0, z: 0 };
+      if (!this._isWalkable(target, spawn.x, spawn.z)) {
+        this.errors.push(`${at} arrives at (${spawn.x}, ${spawn.z}) in "${t.target}", which is not walkable${t.spawn ? '' : ' (no spawn given, loader uses (0, 0))'}`);
+      }
+    }
+  }
+
+  /**
+   * NPCs must stand on walkable tiles, and so must every position and patrol
+   * waypoint in their schedule
+   */
+  validateNPCs(level) {
+    for (const npc of this.context.npcs ?? []) {
+      const pos = npc.position;
+      if (!pos) {
+        this.errors.push(`NPC ${npc.id} has no position`);
+      } else if (!this._isWalkable(level, pos.x, pos.z)) {
+        this.errors.push(`NPC ${npc.id} at (${pos.x}, ${pos.z}) is on a wall or outside the map`);
+      }
+
+      (npc.schedule ?? []).forEach((entry, i) => {
+        const at = `NPC ${npc.id} schedule[${i}]`;
+        const mode = entry.mode ?? 'stay';
+        if (!['stay', 'patrol', 'follow'].includes(mode)) {
+          this.errors.push(`${at} has unknown mode "${mode}"`);
+          return;
+        }
+        if (mode === 'patrol' && !entry.path?.length) {
+          this.errors.push(`${at} is a patrol with no path`);
+        }
+        const tiles = mode === 'patrol' ? entry.path ?? [] : (entry.position ? [entry.position] : []);
+        for (const tile of tiles) {
+          if (!this._isWalkable(level, tile.x, tile.z)) {
+            this.errors.push(`${at} goes to (${tile.x}, ${tile.z}), which is not walkable`);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Switches mount on walls, and door scripts must target a door
+   */
+  validateWallSwitches(level) {
+    const doors = new Set((level.doors ?? []).map(d => `${d.x},${d.z}`));
+    for (const meta of level.tileMetadata ?? []) {
+      if (!meta.wallSwitch) continue;
+      const at = `wallSwitch at (${meta.x}, ${meta.z})`;
+      if (this._isWalkable(level, meta.x, meta.z)) {
+        this.warnings.push(`${at} is on a walkable tile — switches are activated by facing a wall`);
+      }
+      for (const script of meta.wallSwitch.scripts ?? []) {
+        if (!DOOR_SCRIPTS.has(script.action)) continue;
+        const target = `${script.target?.x},${script.target?.z}`;
+        if (!doors.has(target)) {
+          this.errors.push(`${at} ${script.action} targets (${target.replace(',', ', ')}), which has no door`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Scripted encounters, final-challenge waves, elite patrols and the level's
+   * random encounter table must name enemies that exist in EnemyDatabase
+   */
+  validateEnemyReferences(level) {
+    const check = (type, where) => {
+      if (!type) {
+        this.errors.push(`${where} has an enemy with no type`);
+      } else if (!enemyDatabase.getEnemy(type)) {
+        this.errors.push(`${where} references unknown enemy "${type}"`);
+      }
+    };
+
+    for (const enc of level.scriptedEncounters ?? []) {
+      for (const enemy of enc.enemies ?? []) check(enemy.type, `encounter ${enc.id ?? `at (${enc.x}, ${enc.z})`}`);
+      if (!this._isWalkable(level, enc.x, enc.z)) {
+        this.errors.push(`encounter ${enc.id} at (${enc.x}, ${enc.z}) is not on a walkable tile`);
+      }
+    }
+    for (const challenge of level.finalChallenges ?? []) {
+      for (const wave of challenge.waves ?? []) {
+        for (const enemy of wave.enemies ?? []) check(enemy.type, `final challenge ${challenge.id ?? challenge.type}`);
+      }
+    }
+    for (const patrol of level.elitePatrols ?? []) {
+      check(patrol.enemy?.type, `elite patrol ${patrol.id ?? ''}`.trim());
+    }
+    const table = level.encounterTable ?? this.context.encounterTable;
+    if (table) {
+      EncounterSystem.validateEncounterTable(table).errors
+        .forEach(error => this.errors.push(`encounter table: ${error}`));
+      const zoneIds = new Set((level.zones ?? []).map(zone => zone.id));
+      for (const zoneId of Object.keys(table.zones ?? {})) {
+        if (!zoneIds.has(zoneId)) this.warnings.push(`encounter table has a zone table for ${zoneId}, which the level does not define`);
+      }
+    }
+    for (const zone of level.zones ?? []) {
+      if (!Array.isArray(zone.tiles) || zone.tiles.length < 2) {
+        this.errors.push(`zone ${zone.id} needs tiles: [[x1, z1], [x2, z2]]`);
+      } else if (zone.tiles.some(([x, z]) => x < 0 || z < 0 || x >= level.width || z >= level.height)) {
+        this.warnings.push(`zone ${zone.id} extends outside the map`);
+      }
+    }
+  }
+
+  /** @private */
+  _isWalkable(level, x, z) {
+    return Number.isInteger(x) && Number.isInteger(z) &&
+      x >= 0 && z >= 0 && x < level.width && z < level.height &&
+      WALKABLE_TILES.has(level.tiles[z * level.width + x]);
+  }
+
+  /** @private */
+  _report() {
+    return { isValid: this.errors.length === 0, errors: this.errors, warnings: this.warnings };
+  }
+}
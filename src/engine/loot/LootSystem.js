@@ -6,6 +6,9 @@
 import { itemDatabase } from '../inventory/ItemDatabase.js';
 import { ItemRarity, ItemTypes } from '../inventory/Item.js';
 import { combatBalanceConfig } from '../balance/CombatBalanceConfig.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const lootRng = rng.stream(RNGStreams.LOOT);
 
 export class LootSystem {
     constructor() {
@@ -265,6 +268,7 @@ export class LootSystem {
             goldRange: { min: 50, max: 100 },
             dropChance: 1.0, // Bosses always drop items
             guaranteedDrops: 2, // Minimum number of items
+            setDropChance: 0.15, // Chance of one extra item set piece
             items: [
                 { type: ItemTypes.WEAPON, chance: 0.3, rarity: ItemRarity.RARE.name },
                 { type: ItemTypes.ARMOR, chance: 0.3, rarity: ItemRarity.RARE.name },
@@ -278,6 +282,7 @@ export class LootSystem {
             goldRange: { min: 100, max: 200 },
             dropChance: 1.0,
             guaranteedDrops: 3,
+            setDropChance: 0.3,
             items: [
                 { type: ItemTypes.WEAPON, chance: 0.25, rarity: ItemRarity.RARE.name },
                 { type: ItemTypes.ARMOR, chance: 0.25, rarity: ItemRarity.RARE.name },
@@ -292,6 +297,7 @@ export class LootSystem {
             goldRange: { min: 200, max: 400 },
             dropChance: 1.0,
             guaranteedDrops: 4,
+            setDropChance: 0.5,
             items: [
                 { type: ItemTypes.WEAPON, chance: 0.3, rarity: ItemRarity.EPIC.name },
                 { type: ItemTypes.ARMOR, chance: 0.3, rarity: ItemRarity.EPIC.name },
@@ -316,7 +322,7 @@ export class LootSystem {
         let goldAmount = goldEconomy.enemyGoldBase * enemyLevel;
         
         // Add variance from loot table
-        const variance = 0.5 + Math.random(); // 50% to 150% of base
+        const variance = 0.5 + lootRng.next(); // 50% to 150% of base
         goldAmount = Math.floor(goldAmount * variance);
         
         // Boss multiplier from balance config
@@ -331,13 +337,13 @@ export class LootSystem {
         const items = [];
         
         // Check if any loot drops
-        if (Math.random() > lootTable.dropChance) {
+        if (lootRng.next() > lootTable.dropChance) {
             return items; // No loot this time
         }
         
         // Generate items based on loot table
         for (const itemEntry of lootTable.items) {
-            if (Math.random() <= itemEntry.chance) {
+            if (lootRng.next() <= itemEntry.chance) {
                 const item = this._generateLevelAppropriateItem(
                     itemEntry.type,
                     enemyLevel,
@@ -373,7 +379,7 @@ export class LootSystem {
             attempts++;
             
             // Select random item entry from boss table
-            const itemEntry = bossTable.items[Math.floor(Math.random() * bossTable.items.length)];
+            const itemEntry = bossTable.items[Math.floor(lootRng.next() * bossTable.items.length)];
             
             const item = this._generateLevelAppropriateItem(
                 itemEntry.type,
@@ -400,7 +406,7 @@ export class LootSystem {
             );
             
             if (rareEpicEntries.length > 0) {
-                const rareEntry = rareEpicEntries[Math.floor(Math.random() * rareEpicEntries.length)];
+                const rareEntry = rareEpicEntries[Math.floor(lootRng.next() * rareEpicEntries.length)];
                 const rareItem = this._generateLevelAppropriateItem(
                     rareEntry.type,
                     enemyLevel,
@@ -417,7 +423,7 @@ export class LootSystem {
         
         // Additional chance for bonus items (lower probability)
         for (const itemEntry of bossTable.items) {
-            if (Math.random() <= itemEntry.chance * 0.25) { // 25% of normal chance for bonus items
+            if (lootRng.next() <= itemEntry.chance * 0.25) { // 25% of normal chance for bonus items
                 const item = this._generateLevelAppropriateItem(
                     itemEntry.type,
                     enemyLevel,
@@ -431,6 +437,15 @@ export class LootSystem {
                 }
             }
         }
+
+        // Item set pieces only drop from bosses
+        if (lootRng.next() < (bossTable.setDropChance ?? 0)) {
+            const piece = itemDatabase.generateSetPiece(Math.max(1, enemyLevel, partyLevel));
+            if (piece) {
+                items.push(piece);
+                console.log(`Boss set drop: ${piece.name} (${itemDatabase.getItemSet(piece.setId)?.name})`);
+            }
+        }
         
         return items;
     }
@@ -457,7 +472,7 @@ export class LootSystem {
     _generateLevelAppropriateItem(itemType, enemyLevel, partyLevel, rarity) {
         // Calculate target level (±2 levels from party average)
         // Use party level as base, with ±2 level variance
-        const levelVariance = Math.floor(Math.random() * 5) - 2; // -2 to +2
+        const levelVariance = Math.floor(lootRng.next() * 5) - 2; // -2 to +2
         const targetLevel = Math.max(1, partyLevel + levelVariance);
         
         try {
@@ -53,6 +53,7 @@ export class GameLoopManager {
       this.encounterSystem = new EncounterSystem(this.combatSystem, this.partyManager);
       this.safeZoneSystem = new SafeZoneSystem(this.saveSystem, this.shopSystem, this.partyManager);
       this.difficultyScaling = new DifficultyScalingSystem(this.partyManager, this.lootSystem);
+      this.applyDifficultyToCombat();
       
       // Set up event listeners
       this.setupEventListeners();
@@ -438,7 +439,11 @@ export class GameLoopManager {
           safeZoneConfig.x,
           safeZoneConfig.z,
           safeZoneConfig.type,
-          safeZoneConfig.config || {}
+          {
+            ...(safeZoneConfig.config || {}),
+            // A level-supplied service list replaces the template's
+            ...(safeZoneConfig.services && { services: safeZoneConfig.services })
+          }
         );
       }
     } else {
@@ -574,7 +579,17 @@ export class GameLoopManager {
       return false;
     }
     
-    return this.difficultyScaling.setDifficulty(difficulty);
+    const changed = this.difficultyScaling.setDifficulty(difficulty);
+    if (changed) this.applyDifficultyToCombat();
+    return changed;
+  }
+
+  /**
+   * Push per-difficulty combat options (telegraphed enemy intents) to CombatSystem
+   */
+  applyDifficultyToCombat() {
+    const { modifiers } = this.difficultyScaling.getCurrentDifficulty();
+    this.combatSystem.telegraphIntents = modifiers.enemyIntents ?? false;
   }
 
   /**
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Gamepad Input - Polls the Gamepad API once per frame and feeds
+ * InputManager.injectAction, so a pad goes through the same blocking/cooldown
+ * path as keyboard and touch. Bindings depend on context: exploring, the
+ * player's combat turn, or an open menu/screen.
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+const log = Logger.tag('Gamepad');
+
+/** Standard-mapping button indices (Xbox names) */
+export const PAD_BUTTONS = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9, L3: 10, R3: 11,
+  UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15,
+};
+
+/**
+ * Button → action per context. The left stick doubles as the D-pad.
+ * In combat the face buttons pick action 1-5 on the action bar, or target
+ * 1-5 while targeting; B cancels.
+ */
+export const GAMEPAD_BINDINGS = {
+  explore: {
+    UP: 'forward', DOWN: 'backward', LEFT: 'turnLeft', RIGHT: 'turnRight',
+    LB: 'strafeLeft', RB: 'strafeRight',
+    A: 'interact', X: 'openCharacterSheet', Y: 'openInventory',
+    LT: 'openMap', RT: 'openCamp',
+    BACK: 'openQuestLog', START: 'openMenu',
+  },
+  combat: {
+    A: 'combatAction1', X: 'combatAction2', Y: 'combatAction3',
+    LB: 'combatAction4', RB: 'combatAction5',
+    B: 'menuBack',
+    UP: 'menuUp', DOWN: 'menuDown', LEFT: 'menuLeft', RIGHT: 'menuRight',
+  },
+  menu: {
+    UP: 'menuUp', DOWN: 'menuDown', LEFT: 'menuLeft', RIGHT: 'menuRight',
+    A: 'menuConfirm', B: 'menuBack', START: 'menuBack',
+  },
+};
+
+// Held inputs that auto-repeat (walking, scrolling a list); everything else fires once per press
+const REPEAT_ACTIONS = new Set([
+  'forward', 'backward', 'turnLeft', 'turnRight', 'strafeLeft', 'strafeRight',
+  'menuUp', 'menuDown', 'menuLeft', 'menuRight',
+]);
+
+const defaultGetGamepads = () =>
+  (typeof navigator !== 'undefined' && navigator.getGamepads) ? navigator.getGamepads() : [];
+
+/**
+ * Gamepad poller. Call poll() from the game loop.
+ */
+export class GamepadInput {
+  /**
+   * @param {import('./InputManager.js').InputManager} inputManager
+   * @param {Object} [options]
+   * @param {Function} [options.getContext] - () => 'explore' | 'combat' | 'menu'
+   * @param {Function} [options.getGamepads] - Defaults to navigator.getGamepads
+   * @param {number} [options.deadzone] - Stick deflection that counts as a press
+   * @param {number} [options.repeatDelay] - ms before a held input starts repeating
+   * @param {number} [options.repeatInterval] - ms between repeats
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.getContext = options.getContext ?? (() => 'explore');
+    this.getGamepads = options.getGamepads ?? defaultGetGamepads;
+    this.deadzone = options.deadzone ?? 0.5;
+    this.repeatDelay = options.repeatDelay ?? 350;
+    this.repeatInterval = options.repeatInterval ?? 150;
+
+    // button name → { action, next } for inputs currently held down
+    this.held = new Map();
+    this.padId = null;
+
+    this.handleConnected = this.handleConnected.bind(this);
+    this.handleDisconnected = this.handleDisconnected.bind(this);
+  }
+
+  initialize() {
+    if (typeof window === 'undefined') return;
+    window.addEventListener('gamepadconnected', this.handleConnected);
+    window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+  }
+
+  destroy() {
+    if (typeof window === 'undefined') return;
+    window.removeEventListener('gamepadconnected', this.handleConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+  }
+
+  handleConnected(event) {
+    log.info(`connected: ${event.gamepad?.id} (${event.gamepad?.mapping || 'non-standard mapping'})`);
+  }
+
+  handleDisconnected(event) {
+    log.info(`disconnected: ${event.gamepad?.id}`);
+    this.held.clear();
+  }
+
+  /**
+   * Read the first connected pad and inject actions for new presses and
+   * due repeats
+   * @param {number} [now] - Timestamp in ms
+   * @returns {Array<string>} Actions accepted this poll
+   */
+  poll(now = performance.now()) {
+    const pad = this._activePad();
+    if (!pad) {
+      this.held.clear();
+      this.padId = null;
+      return [];
+    }
+    this.padId = pad.id;
+
+    const bindings = GAMEPAD_BINDINGS[this.getContext()] ?? GAMEPAD_BINDINGS.explore;
+    const pressed = this._readPressed(pad);
+    const fired = [];
+
+    for (const name of this.held.keys()) {
+      if (!pressed.has(name)) this.held.delete(name);
+    }
+
+    for (const name of pressed) {
+      const action = bindings[name];
+      const held = this.held.get(name);
+
+      // Context changed under a held button: wait for release
+      if (held && held.action !== action) continue;
+      if (!action) {
+        this.held.set(name, { action, next: Infinity });
+        continue;
+      }
+
+      const repeats = REPEAT_ACTIONS.has(action);
+      if (held && (!repeats || now < held.next)) continue;
+
+      const accepted = this.inputManager.injectAction(action);
+      if (accepted) fired.push(action);
+
+      if (!repeats) {
+        this.held.set(name, { action, next: Infinity });
+      } else if (accepted) {
+        this.held.set(name, { action, next: now + (held ? this.repeatInterval : this.repeatDelay) });
+      } else {
+        // Blocked (animation, cooldown) — retry next poll while still held
+        this.held.set(name, { action, next: now });
+      }
+    }
+
+    if (fired.length) log.debug(`poll -> ${fired.join(', ')}`);
+    return fired;
+  }
+
+  /**
+   * @returns {boolean} True if a pad is connected
+   */
+  isConnected() {
+    return this._activePad() !== null;
+  }
+
+  _activePad() {
+    const pads = this.getGamepads() ?? [];
+    for (const pad of pads) {
+      if (pad && pad.connected !== false) return pad;
+    }
+    return null;
+  }
+
+  /**
+   * Button names currently down, with the left stick folded into the D-pad
+   * @returns {Set<string>}
+   */
+  _readPressed(pad) {
+    const pressed = new Set();
+    for (const [name, index] of Object.entries(PAD_BUTTONS)) {
+      const button = pad.buttons?.[index];
+      if (button && (button.pressed || button.value > 0.5)) pressed.add(name);
+    }
+
+    const [x = 0, y = 0] = pad.axes ?? [];
+    if (y < -this.deadzone) pressed.add('UP');
+    if (y > this.deadzone) pressed.add('DOWN');
+    if (x < -this.deadzone) pressed.add('LEFT');
+    if (x > this.deadzone) pressed.add('RIGHT');
+
+    return pressed;
+  }
+}
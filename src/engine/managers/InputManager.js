@@ -6,51 +6,122 @@ import { Logger } from '../utils/Logger.js';
 
 const log = Logger.tag('Input');
 
+const BINDINGS_STORAGE_KEY = 'dungeonKeyBindings';
+
+/** Keys per action shown in Options (primary + alternate) */
+export const MAX_KEYS_PER_ACTION = 2;
+
+/**
+ * Canonical bindings: action → key codes. W=forward, A=turnLeft, etc.
+ * Order is the Options screen order and breaks ties between conflicting binds.
+ */
+export const DEFAULT_BINDINGS = {
+  // Movement
+  forward:            ['KeyW', 'ArrowUp'],
+  backward:           ['KeyS', 'ArrowDown'],
+  turnLeft:           ['KeyA', 'ArrowLeft'],
+  turnRight:          ['KeyD', 'ArrowRight'],
+  strafeLeft:         ['KeyQ'],
+  strafeRight:        ['KeyE'],
+
+  // Interact
+  interact:           ['Space'],
+
+  // UI / screens
+  openInventory:      ['KeyI'],
+  openCharacterSheet: ['KeyC'],
+  openQuestLog:       ['KeyJ'],
+  openParty:          ['KeyP'],
+  openMap:            ['KeyM'],
+  openCamp:           ['KeyZ'],
+  openMenu:           ['Escape'],
+  quickSave:          ['F5'],
+  quickLoad:          ['F9'],
+
+  // Combat actions (1-5 on number row)
+  combatAction1:      ['Digit1'],
+  combatAction2:      ['Digit2'],
+  combatAction3:      ['Digit3'],
+  combatAction4:      ['Digit4'],
+  combatAction5:      ['Digit5'],
+};
+
+/** Player-facing names for the rebindable actions */
+export const ACTION_LABELS = {
+  forward:            'Move Forward',
+  backward:           'Move Backward',
+  turnLeft:           'Turn Left',
+  turnRight:          'Turn Right',
+  strafeLeft:         'Strafe Left',
+  strafeRight:        'Strafe Right',
+  interact:           'Interact',
+  openInventory:      'Inventory',
+  openCharacterSheet: 'Character Sheet',
+  openQuestLog:       'Quest Log',
+  openParty:          'Party',
+  openMap:            'Toggle Minimap',
+  openCamp:           'Camp',
+  openMenu:           'Pause Menu',
+  quickSave:          'Quick Save',
+  quickLoad:          'Quick Load',
+  combatAction1:      'Combat Action 1',
+  combatAction2:      'Combat Action 2',
+  combatAction3:      'Combat Action 3',
+  combatAction4:      'Combat Action 4',
+  combatAction5:      'Combat Action 5',
+};
+
+// Dev / debug (kept from previous build) — not rebindable, player binds win
+const DEV_KEY_MAP = {
+  'KeyT': 'loadTest',
+  'KeyL': 'loadTest',
+};
+
+// Handled outside InputManager; binding them would fire both
+const RESERVED_KEYS = {
+  'F1': 'Debug overlay',
+};
+
+/**
+ * Menu navigation for non-keyboard input. Menus listen to raw keydown, so
+ * these are delivered as the keys they already handle.
+ */
+export const MENU_ACTION_KEYS = {
+  menuUp:      { code: 'ArrowUp',    key: 'ArrowUp' },
+  menuDown:    { code: 'ArrowDown',  key: 'ArrowDown' },
+  menuLeft:    { code: 'ArrowLeft',  key: 'ArrowLeft' },
+  menuRight:   { code: 'ArrowRight', key: 'ArrowRight' },
+  menuConfirm: { code: 'Enter',      key: 'Enter' },
+  menuBack:    { code: 'Escape',     key: 'Escape' },
+};
+
+const KEY_LABELS = {
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  Escape: 'Esc', Space: 'Space', Enter: 'Enter', Backquote: '`',
+  Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backslash: '\\',
+};
+
+/**
+ * Short display name for a key code ('KeyW' → 'W', 'Digit1' → '1', 'ArrowUp' → '↑')
+ * @param {string|null} code - KeyboardEvent.code
+ * @returns {string}
+ */
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+}
+
 /**
  * Input Manager class that handles keyboard events and manages action queuing
  */
 export class InputManager {
   constructor() {
-    // Canonical keymap. W=forward, A=turnLeft, etc. No more compensatory inversion.
-    this.keyMap = {
-      // Movement
-      'KeyW':       'forward',
-      'ArrowUp':    'forward',
-      'KeyS':       'backward',
-      'ArrowDown':  'backward',
-      'KeyA':       'turnLeft',
-      'ArrowLeft':  'turnLeft',
-      'KeyD':       'turnRight',
-      'ArrowRight': 'turnRight',
-      'KeyQ':       'strafeLeft',
-      'KeyE':       'strafeRight',
-
-      // Interact
-      'Space':      'interact',
-
-      // UI / screens
-      'KeyI':       'openInventory',
-      'KeyC':       'openCharacterSheet',
-      'KeyP':       'openParty',
-      'KeyM':       'openMap',
-      'Escape':     'openMenu',
-      'F5':         'quickSave',
-      'F9':         'quickLoad',
-
-      // Combat actions (1-5 on number row)
-      'Digit1':     'combatAction1',
-      'Digit2':     'combatAction2',
-      'Digit3':     'combatAction3',
-      'Digit4':     'combatAction4',
-      'Digit5':     'combatAction5',
-
-      // Camp / rest (Feature #18)
-      'KeyZ':       'openCamp',
-
-      // Dev / debug (kept from previous build)
-      'KeyT':       'loadTest',
-      'KeyL':       'loadTest',
-    };
+    // action → key codes; keyMap (code → action) is derived from it
+    this.bindings = {};
+    this.keyMap = {};
+    this.loadBindings();
 
     // Action queue to prevent input loss during animations
     this.actionQueue = [];
@@ -65,6 +136,9 @@ export class InputManager {
     // Track pressed keys to prevent key repeat
     this.pressedKeys = new Set();
 
+    // Set while menu keys are synthesized so handleKeyDown ignores them
+    this._synthesizing = false;
+
     // Bind event handlers
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
@@ -100,6 +174,8 @@ export class InputManager {
    * @param {KeyboardEvent} event - The keyboard event
    */
   handleKeyDown(event) {
+    if (this._synthesizing) return;
+
     // Never intercept keys when user is typing in a form element
     const tag = event.target?.tagName?.toLowerCase();
     if (tag === 'input' || tag === 'textarea' || tag === 'select'
@@ -232,10 +308,14 @@ export class InputManager {
   }
 
   /**
-   * Inject an action directly — used by TouchControls and any non-keyboard input.
-   * Respects inputBlocked and cooldown, same as keyboard path.
+   * Inject an action directly — used by TouchControls, GamepadInput and any non-keyboard input.
+   * Respects inputBlocked and cooldown, same as keyboard path. Menu actions
+   * (MENU_ACTION_KEYS) go straight to the open screen instead of the queue.
    */
   injectAction(actionType) {
+    const menuKey = MENU_ACTION_KEYS[actionType];
+    if (menuKey) return this._dispatchMenuKey(menuKey);
+
     if (this.inputBlocked) return false;
     const now = performance.now();
     if (now - this.lastActionTime < this.cooldownDuration) return false;
@@ -251,15 +331,128 @@ export class InputManager {
    * @returns {boolean} True if the action type is valid
    */
   isValidActionType(actionType) {
-    const validActions = [
-      'forward', 'backward', 'turnLeft', 'turnRight', 'strafeLeft', 'strafeRight',
-      'interact',
-      'openInventory', 'openCharacterSheet', 'openParty', 'openMap', 'openMenu',
-      'quickSave', 'quickLoad',
-      'combatAction1', 'combatAction2', 'combatAction3', 'combatAction4', 'combatAction5',
-      'loadTest',
-    ];
-    return validActions.includes(actionType);
+    return actionType in DEFAULT_BINDINGS
+      || actionType in MENU_ACTION_KEYS
+      || Object.values(DEV_KEY_MAP).includes(actionType);
+  }
+
+  /**
+   * Current bindings (copy)
+   * @returns {Object<string, Array<string>>} action → key codes
+   */
+  getBindings() {
+    return Object.fromEntries(Object.entries(this.bindings).map(([action, codes]) => [action, [...codes]]));
+  }
+
+  /**
+   * Bind a key to one of an action's slots; null clears the slot.
+   * Keys already bound elsewhere are accepted and reported as conflicts.
+   * @param {string} action - Action from DEFAULT_BINDINGS
+   * @param {number} slot - 0 = primary, 1 = alternate
+   * @param {string|null} code - KeyboardEvent.code
+   * @returns {Object} {success, conflicts} or {success: false, error}
+   */
+  setBinding(action, slot, code) {
+    if (!(action in DEFAULT_BINDINGS)) {
+      return { success: false, error: `Unknown action: ${action}` };
+    }
+    if (slot < 0 || slot >= MAX_KEYS_PER_ACTION) {
+      return { success: false, error: `Invalid slot: ${slot}` };
+    }
+    if (code && RESERVED_KEYS[code]) {
+      return { success: false, error: `${keyLabel(code)} is reserved for ${RESERVED_KEYS[code]}` };
+    }
+
+    const codes = [...this.bindings[action]];
+    codes[slot] = code;
+    // Drop empty slots and a duplicate of the same key in the other slot
+    this.bindings[action] = codes.filter((c, i) => c && codes.indexOf(c) === i);
+
+    this._rebuildKeyMap();
+    this.saveBindings();
+    log.info(`bind ${action}[${slot}] = ${code ?? '(none)'}`);
+
+    return { success: true, conflicts: this.findConflicts().filter(c => c.actions.includes(action)) };
+  }
+
+  /**
+   * Keys bound to more than one action. The first action in DEFAULT_BINDINGS
+   * order is the one that fires.
+   * @returns {Array<{code: string, actions: Array<string>}>}
+   */
+  findConflicts() {
+    const byCode = new Map();
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      for (const code of codes) {
+        if (!byCode.has(code)) byCode.set(code, []);
+        byCode.get(code).push(action);
+      }
+    }
+    return [...byCode].filter(([, actions]) => actions.length > 1).map(([code, actions]) => ({ code, actions }));
+  }
+
+  resetBindings() {
+    this.bindings = Object.fromEntries(Object.entries(DEFAULT_BINDINGS).map(([action, codes]) => [action, [...codes]]));
+    this._rebuildKeyMap();
+    this.saveBindings();
+  }
+
+  /**
+   * Load bindings from storage over the defaults. Only changed actions are
+   * stored, so new actions pick up their default keys.
+   */
+  loadBindings() {
+    this.bindings = Object.fromEntries(Object.entries(DEFAULT_BINDINGS).map(([action, codes]) => [action, [...codes]]));
+    try {
+      const stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) ?? 'null');
+      for (const [action, codes] of Object.entries(stored ?? {})) {
+        if (!(action in DEFAULT_BINDINGS) || !Array.isArray(codes)) continue;
+        this.bindings[action] = codes
+          .filter(code => typeof code === 'string' && !RESERVED_KEYS[code])
+          .slice(0, MAX_KEYS_PER_ACTION);
+      }
+    } catch { /* no storage or bad JSON — keep defaults */ }
+    this._rebuildKeyMap();
+  }
+
+  saveBindings() {
+    const changed = Object.fromEntries(Object.entries(this.bindings)
+      .filter(([action, codes]) => codes.join() !== DEFAULT_BINDINGS[action].join()));
+    try {
+      if (Object.keys(changed).length) localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(changed));
+      else localStorage.removeItem(BINDINGS_STORAGE_KEY);
+    } catch { /* ignore */ }
+  }
+
+  _rebuildKeyMap() {
+    this.keyMap = { ...DEV_KEY_MAP };
+    const bound = new Set();
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      for (const code of codes) {
+        if (bound.has(code)) continue; // conflict — earlier action keeps the key
+        bound.add(code);
+        this.keyMap[code] = action;
+      }
+    }
+  }
+
+  /**
+   * Deliver a menu action as a synthetic keydown/keyup on the focused element
+   * (bubbles to document and window listeners)
+   * @returns {boolean} True if dispatched
+   */
+  _dispatchMenuKey({ code, key }) {
+    if (typeof document === 'undefined') return false;
+    const target = document.activeElement ?? document;
+    this._synthesizing = true;
+    try {
+      target.dispatchEvent(new KeyboardEvent('keydown', { code, key, bubbles: true, cancelable: true }));
+      target.dispatchEvent(new KeyboardEvent('keyup', { code, key, bubbles: true }));
+    } finally {
+      this._synthesizing = false;
+    }
+    log.debug(`menu key -> ${code}`);
+    return true;
   }
 
   /**
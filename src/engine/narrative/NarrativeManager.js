@@ -2,13 +2,64 @@
  * NarrativeManager - inkjs bridge for Ink narrative scripts
  * Loads compiled .ink JSON, manages story state, binds game variables, processes tags.
  * Requires inkjs loaded via CDN (window.inkjs.Story).
+ *
+ * Tags are `# name` or `# name:arg1:arg2` and dispatch through a handler
+ * registry — other systems add their own with registerTagHandler().
+ * A `# skill_check:<stat>:<dc>` tag on a choice rolls when the choice is picked,
+ * before the story continues, so the branch after it can read the result.
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
+import { Dice, DC, SAVE_STAT } from '../utils/Dice.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
 import { Logger } from '../utils/Logger.js';
 
 const log = Logger.tag('Narrative');
 
+const d20 = new Dice(1, 20);
+
+// Party stats a skill_check can test; saving throw names map through SAVE_STAT.
+// HP is left out: at 40+ its (stat - 10) / 2 modifier passes almost any DC
+const CHECK_STATS = ['ATK', 'DEF', 'SPD'];
+const SAVES = Object.keys(SAVE_STAT);
+
+/**
+ * Thrown by tag handlers when a tag's payload is malformed or refers to
+ * something that doesn't exist; _processTags logs it with the full tag
+ */
+export class TagPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagPayloadError';
+  }
+}
+
+/**
+ * Parse an integer tag argument ("5", "-10", "+3")
+ * @param {string} value - Raw argument
+ * @param {string} label - Argument name for the error message
+ * @returns {number}
+ * @throws {TagPayloadError} When the argument is missing or not an integer
+ */
+export function tagInt(value, label) {
+  if (!/^[+-]?\d+$/.test(value ?? '')) {
+    throw new TagPayloadError(`${label} must be an integer, got "${value ?? ''}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Require a non-empty tag argument
+ * @param {string} value - Raw argument
+ * @param {string} label - Argument name for the error message
+ * @returns {string}
+ * @throws {TagPayloadError} When the argument is missing
+ */
+export function tagString(value, label) {
+  if (!value) throw new TagPayloadError(`missing ${label}`);
+  return value;
+}
+
 export class NarrativeManager {
   constructor(campaignManager, party, inventorySystem) {
     this.campaignManager = campaignManager;
@@ -21,8 +72,10 @@ export class NarrativeManager {
     this.bindings = [];
     this.isNarrativeActive = false;
     this._themeId = null;
+    this._afterStoryQueue = []; // effects held until the current story closes
+    this._choiceCheckTag = null; // skill_check already rolled by the picked choice
 
-    this._tagHandlers = this._buildTagHandlers();
+    this._tagHandlers = new Map(Object.entries(this._buildTagHandlers()));
     this._bindEvents();
   }
 
@@ -32,11 +85,12 @@ export class NarrativeManager {
    * Load a compiled Ink JSON story.
    * @param {string} storyId - filename without extension (e.g. "intro")
    * @param {string|null} startingKnot
+   * @returns {Promise<boolean>} True once the story is loaded and active
    */
   async loadStory(storyId, startingKnot = null) {
     if (!this._inkAvailable()) {
       log.warn('inkjs not loaded — narrative unavailable');
-      return;
+      return false;
     }
     try {
       const storyPath = `narratives/${this._themeId ?? 'crypt-of-shadows'}/${storyId}.json`;
@@ -58,8 +112,10 @@ export class NarrativeManager {
       this.isNarrativeActive = true;
       EventBus.emit(EventTypes.NARRATIVE_STORY_LOADED, { storyId, startingKnot });
       log.info('story loaded', { storyId, startingKnot });
+      return true;
     } catch (err) {
       log.warn('loadStory failed', { storyId, err: err.message });
+      return false;
     }
   }
 
@@ -74,6 +130,7 @@ export class NarrativeManager {
       const text = this.story.Continue();
       const tags = this.story.currentTags ?? [];
       this._processTags(tags);
+      this._choiceCheckTag = null;
 
       // Tag-only lines (empty text) are inkjs tag containers — skip to next line
       if (text.trim() === '' && this.story.canContinue) {
@@ -96,7 +153,7 @@ export class NarrativeManager {
         text: null,
         tags: [],
         hasChoices: true,
-        choices: this.story.currentChoices.map(c => ({ text: c.text, index: c.index }))
+        choices: this.story.currentChoices.map(c => ({ text: c.text, index: c.index, check: this._choiceCheck(c) }))
       };
       EventBus.emit(EventTypes.NARRATIVE_CHOICES_READY, choiceResult);
       return choiceResult;
@@ -112,10 +169,24 @@ export class NarrativeManager {
     if (choiceIndex < 0 || choiceIndex >= this.story.currentChoices.length) {
       throw new Error(`chooseChoice: index ${choiceIndex} out of bounds`);
     }
-    const choiceText = this.story.currentChoices[choiceIndex].text;
+    const choice = this.story.currentChoices[choiceIndex];
+    const choiceText = choice.text;
+
+    // Roll before choosing so the branch that follows sees the result
+    const check = this._choiceCheck(choice);
+    let checkResult = null;
+    if (check) {
+      try {
+        checkResult = this._resolveCheck(check);
+      } catch (err) {
+        log.warn(`#${check.tag} failed: ${err.message}`, { storyId: this.currentStoryId, knot: this.currentKnot });
+      }
+    }
+    this._choiceCheckTag = check?.tag ?? null;
+
     this.story.ChooseChoiceIndex(choiceIndex);
     this._syncInkToGameState();
-    EventBus.emit(EventTypes.NARRATIVE_CHOICE_MADE, { choiceIndex, choiceText });
+    EventBus.emit(EventTypes.NARRATIVE_CHOICE_MADE, { choiceIndex, choiceText, check: checkResult });
     return this.continue();
   }
 
@@ -166,6 +237,78 @@ export class NarrativeManager {
     await this.loadStory(data.currentStoryId, data.currentKnot ?? null);
   }
 
+  /**
+   * Register a handler for `# name` / `# name:args` tags.
+   * Handlers receive the raw payload (text after the first colon) and the
+   * colon-split args; throw TagPayloadError to reject a malformed tag.
+   * @param {string} name - Tag name (letters, digits, underscore)
+   * @param {Function} handler - (payload, { args, tag }) => void
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Allow overriding an existing handler
+   * @returns {boolean} True if registered
+   */
+  registerTagHandler(name, handler, { replace = false } = {}) {
+    if (!/^\w+$/.test(name ?? '') || typeof handler !== 'function') {
+      log.warn('registerTagHandler: invalid name or handler', { name });
+      return false;
+    }
+    if (this._tagHandlers.has(name) && !replace) {
+      log.warn(`registerTagHandler: #${name} already registered (pass { replace: true } to override)`);
+      return false;
+    }
+    this._tagHandlers.set(name, handler);
+    return true;
+  }
+
+  unregisterTagHandler(name) {
+    return this._tagHandlers.delete(name);
+  }
+
+  hasTagHandler(name) {
+    return this._tagHandlers.has(name);
+  }
+
+  /**
+   * @returns {Array<string>} Registered tag names
+   */
+  getTagNames() {
+    return [...this._tagHandlers.keys()];
+  }
+
+  /**
+   * Run an effect once the current story closes (fights, shops, teleports
+   * shouldn't start under the dialogue panel). Runs now if no story is active.
+   * @param {Function} effect
+   */
+  afterStory(effect) {
+    if (this.isNarrativeActive) {
+      this._afterStoryQueue.push(effect);
+    } else {
+      effect();
+    }
+  }
+
+  /**
+   * Roll d20 + stat modifier for the party member best at a stat
+   * @param {string} stat - ATK, DEF, SPD, HP, or a saving throw (Fortitude,
+   *   Reflex, Will) which rolls its SAVE_STAT; case-insensitive
+   * @param {number} dc - Difficulty class (see DC in Dice.js)
+   * @returns {Object|null} { stat, save, dc, character, roll, modifier, total, success },
+   *   or null if nobody in the party can attempt it
+   */
+  skillCheck(stat, dc) {
+    const save = SAVES.find(name => name.toLowerCase() === String(stat).toLowerCase()) ?? null;
+    const key = save ? SAVE_STAT[save] : String(stat).toUpperCase();
+    const members = this.party?.getAliveMembers?.() ?? [];
+    const best = members.reduce((a, b) => ((b.stats?.[key] ?? 0) > (a?.stats?.[key] ?? -Infinity) ? b : a), null);
+    if (!best) return null;
+
+    const roll = d20.roll(rng.stream(RNGStreams.NARRATIVE));
+    const modifier = Math.floor(((best.stats[key] ?? 10) - 10) / 2);
+    const total = roll + modifier;
+    return { stat: key, save, dc, character: best, roll, modifier, total, success: total >= dc };
+  }
+
   // ─── Private ───────────────────────────────────────────────────────────────
 
   _inkAvailable() {
@@ -175,6 +318,7 @@ export class NarrativeManager {
   _bindEvents() {
     EventBus.on(EventTypes.CAMPAIGN_PHASE_CHANGED, e => this._onPhaseChanged(e.detail));
     EventBus.on(EventTypes.NPC_DIALOGUE_STARTED, e => this._onDialogueStarted(e.detail));
+    EventBus.on(EventTypes.NARRATIVE_PLAY_REQUEST, e => this._onPlayRequest(e.detail));
   }
 
   async _loadBindings() {
@@ -241,24 +385,100 @@ export class NarrativeManager {
   }
 
   _processTags(tags) {
-    for (const tag of tags) {
+    for (const rawTag of tags) {
+      const tag = rawTag.trim();
       const colonIdx = tag.indexOf(':');
       const prefix = colonIdx >= 0 ? tag.slice(0, colonIdx) : tag;
       const payload = colonIdx >= 0 ? tag.slice(colonIdx + 1) : '';
-      const handler = this._tagHandlers[prefix];
-      if (handler) {
-        handler(payload);
-      } else {
-        log.warn('unknown tag', { tag });
+      const handler = this._tagHandlers.get(prefix);
+      if (!handler) {
+        log.warn('unknown tag', { tag, storyId: this.currentStoryId });
+        continue;
       }
+      try {
+        handler(payload, { args: payload ? payload.split(':') : [], tag });
+      } catch (err) {
+        log.warn(`#${tag} failed: ${err.message}`, { storyId: this.currentStoryId, knot: this.currentKnot });
+      }
+    }
+  }
+
+  /**
+   * Write a story variable if the story declares it (inkjs throws on
+   * undeclared globals)
+   * @returns {boolean} True if written
+   */
+  _setInkVariable(name, value) {
+    const vars = this.story?.variablesState;
+    if (!vars) return false;
+    if (vars.GlobalVariableExistsWithName && !vars.GlobalVariableExistsWithName(name)) return false;
+    try {
+      vars[name] = value;
+      return true;
+    } catch (err) {
+      log.warn('ink variable write failed', { name, err: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * Parse skill_check args into a check
+   * @param {Array<string>} args - [stat or save, dc as a number or a DC name]
+   * @returns {Object} { stat, dc, label }
+   * @throws {TagPayloadError} On an unknown stat or DC
+   */
+  _parseCheck(args) {
+    const raw = tagString(args[0], 'stat');
+    const save = SAVES.find(name => name.toLowerCase() === raw.toLowerCase());
+    const stat = save ?? raw.toUpperCase();
+    if (!save && !CHECK_STATS.includes(stat)) {
+      throw new TagPayloadError(`unknown stat "${raw}" (expected ${[...CHECK_STATS, ...SAVES].join(', ')})`);
+    }
+    const named = Object.keys(DC).find(name => name.toLowerCase() === (args[1] ?? '').toLowerCase());
+    const dc = named ? DC[named] : tagInt(args[1], 'DC');
+    return { stat, dc, label: `${save ? `${save} save` : stat} DC ${dc}` };
+  }
+
+  /**
+   * The skill check tagged on an Ink choice (inkjs 2.x choice.tags), if any
+   * @returns {Object|null} { stat, dc, label, tag }
+   */
+  _choiceCheck(choice) {
+    const tag = choice.tags?.map(t => t.trim()).find(t => t.startsWith('skill_check:'));
+    if (!tag) return null;
+    try {
+      return { ...this._parseCheck(tag.split(':').slice(1)), tag };
+    } catch (err) {
+      log.warn(`#${tag} failed: ${err.message}`, { storyId: this.currentStoryId, knot: this.currentKnot });
+      return null;
     }
   }
 
+  /**
+   * Roll a parsed check and report it: Ink variables skill_check_passed,
+   * skill_check_total and skill_check_roll, plus NARRATIVE_SKILL_CHECK for the UI
+   * @returns {Object} skillCheck() result
+   * @throws {TagPayloadError} When nobody in the party can roll
+   */
+  _resolveCheck({ stat, dc, label }) {
+    const result = this.skillCheck(stat, dc);
+    if (!result) throw new TagPayloadError('no living party member to roll');
+
+    this._setInkVariable('skill_check_passed', result.success);
+    this._setInkVariable('skill_check_total', result.total);
+    this._setInkVariable('skill_check_roll', result.roll);
+    EventBus.emit(EventTypes.NARRATIVE_SKILL_CHECK, { ...result, label, storyId: this.currentStoryId });
+    log.info(`skill check ${label}: ${result.character.name} ${result.roll}${result.modifier >= 0 ? '+' : ''}${result.modifier} = ${result.total} → ${result.success ? 'pass' : 'fail'}`);
+    return result;
+  }
+
   _buildTagHandlers() {
     return {
       give_item: payload => {
         const [itemId, qty] = payload.split(':');
-        this.inventorySystem?.addItem?.(itemId, parseInt(qty ?? '1', 10));
+        const quantity = parseInt(qty ?? '1', 10);
+        this.inventorySystem?.addItem?.(itemId, quantity);
+        EventBus.emit(EventTypes.ITEM_PICKUP, { itemId, quantity, source: 'narrative' });
       },
       remove_item: payload => {
         const [itemId, qty] = payload.split(':');
@@ -294,6 +514,9 @@ export class NarrativeManager {
       complete_quest: payload => {
         this.campaignManager?.completeQuest(payload);
       },
+      learn_recipe: payload => {
+        EventBus.emit(EventTypes.CRAFTING_RECIPE_DISCOVERED, { recipeId: payload, source: 'dialogue' });
+      },
       spawn_npc: payload => {
         EventBus.emit(EventTypes.NPC_SPAWN_REQUEST, { npcId: payload });
       },
@@ -312,6 +535,41 @@ export class NarrativeManager {
       },
       end: () => {
         this._onStoryComplete();
+      },
+
+      // # start_combat:<encounterId> — encounter table id, scripted encounter id or enemy type
+      start_combat: (payload, { args }) => {
+        const encounterId = tagString(args[0], 'encounter id');
+        this.afterStory(() => EventBus.emit(EventTypes.ENCOUNTER_START_REQUEST, { encounterId, source: 'narrative' }));
+      },
+      // # teleport:<levelId>:<x>:<z>
+      teleport: (payload, { args }) => {
+        const levelId = tagString(args[0], 'level id');
+        const x = tagInt(args[1], 'x');
+        const z = tagInt(args[2], 'z');
+        if (x < 0 || z < 0) throw new TagPayloadError(`(${x}, ${z}) is off the grid`);
+        this.afterStory(() => EventBus.emit(EventTypes.PARTY_TELEPORT_REQUEST, { levelId, x, z, source: 'narrative' }));
+      },
+      // # heal_party (full heal) / # heal_party:<hp> / # heal_party:<percent>%
+      heal_party: payload => {
+        if (!this.party) throw new TagPayloadError('no party');
+        if (!payload) {
+          this.party.fullHealParty();
+          return;
+        }
+        const percent = payload.endsWith('%');
+        const amount = tagInt(percent ? payload.slice(0, -1) : payload, 'heal amount');
+        if (amount <= 0) throw new TagPayloadError(`heal amount must be positive, got ${amount}`);
+        this.party.healParty(percent ? amount / 100 : amount, percent);
+      },
+      // # skill_check:<stat|save>:<dc> — result lands in skill_check_passed / _total / _roll
+      skill_check: (payload, { args, tag }) => {
+        // A choice tag outside [] also lands on the chosen line — it already rolled
+        if (tag === this._choiceCheckTag) {
+          this._choiceCheckTag = null;
+          return;
+        }
+        this._resolveCheck(this._parseCheck(args));
       }
     };
   }
@@ -321,6 +579,16 @@ export class NarrativeManager {
     EventBus.emit(EventTypes.NARRATIVE_STORY_COMPLETE, { storyId: this.currentStoryId });
     EventBus.emit(EventTypes.NARRATIVE_DIALOGUE_COMPLETE, { storyId: this.currentStoryId });
     log.info('story complete', { storyId: this.currentStoryId });
+
+    const deferred = this._afterStoryQueue;
+    this._afterStoryQueue = [];
+    for (const effect of deferred) {
+      try {
+        effect();
+      } catch (err) {
+        log.warn('deferred tag effect failed', { err: err.message });
+      }
+    }
   }
 
   _onPhaseChanged({ actId, phaseId }) {
@@ -339,6 +607,18 @@ export class NarrativeManager {
     });
   }
 
+  /**
+   * Systems that wait on a story (boss phase dialogue holds combat) listen for
+   * NARRATIVE_STORY_COMPLETE — report a story that failed to load as complete
+   * so they never hang.
+   */
+  async _onPlayRequest({ storyId, knot = null } = {}) {
+    const loaded = await this.loadStory(storyId, knot);
+    if (!loaded) {
+      EventBus.emit(EventTypes.NARRATIVE_STORY_COMPLETE, { storyId, skipped: true });
+    }
+  }
+
   _getLeader() {
     return this.party?.getLeader?.() ?? this.party?.getAliveMembers?.()[0] ?? null;
   }
@@ -1,6 +1,6 @@
 /**
  * NPC - Entity class for non-player characters
- * Holds identity, position, dialogue config, and behavior state.
+ * Holds identity, position, dialogue config, schedule, and behavior state.
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
@@ -15,8 +15,9 @@ export class NPC {
     this.isShopkeeper = data.isShopkeeper ?? false;
     this.portrait = data.portrait ?? null;
 
-    // Grid position
+    // Grid position; home is where the NPC stands when no schedule entry applies
     this.position = { x: data.position?.x ?? 0, z: data.position?.z ?? 0 };
+    this.home = { ...this.position };
     this.dungeonId = data.dungeonId ?? null;
     this.isAlive = true;
 
@@ -25,6 +26,13 @@ export class NPC {
     this.dialogueKnot = data.dialogueKnot ?? null;
     this.dialogueConditions = data.dialogueConditions ?? { knotOverrides: [] };
 
+    // Schedule: entries checked in order, first whose condition holds wins —
+    // { condition?, mode: 'stay'|'patrol'|'follow', position?, path?, loop?, distance? }
+    this.schedule = data.schedule ?? [];
+    this.scheduleIndex = -1; // active entry, -1 = none (stay home)
+    this.patrolIndex = 0;    // next waypoint on the active patrol path
+    this.patrolStep = 1;     // +1 / -1 while walking a non-looping path back and forth
+
     // Behavior state machine
     this.behavior = new NPCBehavior(this);
 
@@ -45,6 +53,39 @@ export class NPC {
     return this.dialogueKnot;
   }
 
+  /**
+   * Pick the schedule entry for the current campaign state. Switching entries
+   * restarts the patrol from its first waypoint.
+   * @returns {Object|null} Active entry, or null to stay at home
+   */
+  resolveSchedule(campaignManager) {
+    const index = this.schedule.findIndex(entry =>
+      !entry.condition || this._checkCondition(entry.condition, campaignManager));
+    if (index !== this.scheduleIndex) {
+      this.scheduleIndex = index;
+      this.patrolIndex = 0;
+      this.patrolStep = 1;
+    }
+    return this.schedule[index] ?? null;
+  }
+
+  /**
+   * Move on to the next waypoint of a patrol path (wraps when loop !== false,
+   * otherwise walks the path back)
+   */
+  advancePatrol(entry) {
+    const last = entry.path.length - 1;
+    if (last <= 0) return;
+    if (entry.loop !== false) {
+      this.patrolIndex = (this.patrolIndex + 1) % entry.path.length;
+      return;
+    }
+    if (this.patrolIndex + this.patrolStep > last || this.patrolIndex + this.patrolStep < 0) {
+      this.patrolStep = -this.patrolStep;
+    }
+    this.patrolIndex += this.patrolStep;
+  }
+
   startDialogue(resolvedKnot) {
     if (!this.behavior.canInteract()) return false;
     this.behavior.transition(NPCState.INTERACTING);
@@ -78,13 +119,16 @@ export class NPC {
       id: this.id,
       gridPosition: { dungeonId: this.dungeonId, x: this.position.x, z: this.position.z },
       isAlive: this.isAlive,
-      behaviorState: this.behavior.state
+      behaviorState: this.behavior.state,
+      patrolIndex: this.patrolIndex,
+      patrolStep: this.patrolStep
     };
   }
 
   _checkCondition(condition, campaignManager) {
     if (!campaignManager || !condition) return false;
     if (condition.flag) return campaignManager.getWorldFlag(condition.flag);
+    if (condition.phase) return campaignManager.getCurrentPhase()?.id === condition.phase;
     if (condition.variable) {
       const val = campaignManager.getCampaignVariable(condition.variable.key);
       return val === condition.variable.value;
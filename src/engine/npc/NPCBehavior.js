@@ -1,24 +1,32 @@
 /**
  * NPCBehavior - State machine for NPC behavior
- * States: Idle, Interacting, Shop, Hostile, Dead
+ * States: Idle, Patrolling, Following, Interacting, Shop, Hostile, Dead
+ * Patrolling / Following are set by the NPC's schedule (NPCEngine.updateSchedules)
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
 
 export const NPCState = Object.freeze({
   IDLE: 'Idle',
+  PATROLLING: 'Patrolling',
+  FOLLOWING: 'Following',
   INTERACTING: 'Interacting',
   SHOP: 'Shop',
   HOSTILE: 'Hostile',
   DEAD: 'Dead'
 });
 
+// States a schedule may move the NPC in; they can all be talked to
+const FREE_STATES = [NPCState.IDLE, NPCState.PATROLLING, NPCState.FOLLOWING];
+
 export class NPCBehavior {
   constructor(npc) {
     this.npc = npc;
     this.state = NPCState.IDLE;
     this._validTransitions = {
-      [NPCState.IDLE]:        [NPCState.INTERACTING, NPCState.SHOP, NPCState.HOSTILE, NPCState.DEAD],
+      [NPCState.IDLE]:        [NPCState.PATROLLING, NPCState.FOLLOWING, NPCState.INTERACTING, NPCState.SHOP, NPCState.HOSTILE, NPCState.DEAD],
+      [NPCState.PATROLLING]:  [NPCState.IDLE, NPCState.FOLLOWING, NPCState.INTERACTING, NPCState.SHOP, NPCState.HOSTILE, NPCState.DEAD],
+      [NPCState.FOLLOWING]:   [NPCState.IDLE, NPCState.PATROLLING, NPCState.INTERACTING, NPCState.SHOP, NPCState.HOSTILE, NPCState.DEAD],
       [NPCState.INTERACTING]: [NPCState.IDLE, NPCState.SHOP, NPCState.DEAD],
       [NPCState.SHOP]:        [NPCState.IDLE, NPCState.DEAD],
       [NPCState.HOSTILE]:     [NPCState.IDLE, NPCState.DEAD],
@@ -34,7 +42,8 @@ export class NPCBehavior {
     return true;
   }
 
-  canInteract() { return this.state === NPCState.IDLE; }
+  canInteract() { return FREE_STATES.includes(this.state); }
+  canMove() { return FREE_STATES.includes(this.state); }
   isInteracting() { return this.state === NPCState.INTERACTING; }
   isDead() { return this.state === NPCState.DEAD; }
 }
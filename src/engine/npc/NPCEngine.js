@@ -1,19 +1,32 @@
 /**
  * NPCEngine - Manager for all NPC instances in the current dungeon
- * Handles: load, spawn/despawn, player proximity hints, interaction routing.
+ * Handles: load, spawn/despawn, schedule movement, player proximity hints,
+ * interaction routing.
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
+import { Dir } from '../core/Direction.js';
 import { NPC } from './NPC.js';
+import { NPCState } from './NPCBehavior.js';
 import { NPCRelationshipSystem } from './NPCRelationshipSystem.js';
+import { TagPayloadError, tagInt, tagString } from '../narrative/NarrativeManager.js';
 import { Logger } from '../utils/Logger.js';
 
 const log = Logger.tag('NPC');
 
+// Schedule mode → behavior state while that entry is active
+const MODE_STATE = {
+  stay: NPCState.IDLE,
+  patrol: NPCState.PATROLLING,
+  follow: NPCState.FOLLOWING
+};
+
 export class NPCEngine {
-  constructor(campaignManager, narrativeManager) {
+  constructor(campaignManager, narrativeManager, gridSystem = null) {
     this.campaignManager = campaignManager;
     this.narrativeManager = narrativeManager;
+    this.gridSystem = gridSystem;
+    this.encounterSystem = null;     // set once created — roaming groups block NPC steps
     this.relationshipSystem = new NPCRelationshipSystem();
 
     this.npcs = new Map();           // npcId -> NPC
@@ -21,27 +34,31 @@ export class NPCEngine {
     this.currentDungeonId = null;
 
     this._bindEvents();
+    this._registerNarrativeTags();
   }
 
   // ─── Public API ────────────────────────────────────────────────────────────
 
   /**
    * Load and spawn NPCs for a dungeon floor.
-   * Fetches `npcs/<dungeonId>/npcs.json`, spawns NPCs whose campaignManager
-   * content gate allows them.
+   * Fetches `npcs/<dungeonId>/npcs.json` and `npcs/<dungeonId>/floor-<floor>-npcs.json`
+   * (either may be missing), spawns NPCs whose campaignManager content gate allows them.
+   * @param {string} dungeonId
+   * @param {number|null} [floor] - Current floor; null loads only the dungeon-wide file
    */
-  async loadForDungeon(dungeonId) {
+  async loadForDungeon(dungeonId, floor = null) {
     this.currentDungeonId = dungeonId;
     this._despawnAll();
 
     try {
-      const response = await fetch(`npcs/${dungeonId}/npcs.json`, { cache: 'no-cache' });
-      if (!response.ok) {
-        log.debug('no NPC file for dungeon', { dungeonId });
+      const files = [`npcs/${dungeonId}/npcs.json`];
+      if (floor) files.push(`npcs/${dungeonId}/floor-${floor}-npcs.json`);
+      const rosters = await Promise.all(files.map(file => this._fetchRoster(file)));
+      if (rosters.every(roster => roster === null)) {
+        log.debug('no NPC file for dungeon', { dungeonId, floor });
         return;
       }
-      const data = await response.json();
-      for (const npcData of data.npcs ?? []) {
+      for (const npcData of rosters.flatMap(roster => roster ?? [])) {
         // Respect campaign content gates if defined
         const gated = this.campaignManager?.isContentAvailable('npcs', npcData.id) ?? true;
         // If campaign is not loaded yet, spawn all NPCs (fallback for test mode)
@@ -50,9 +67,9 @@ export class NPCEngine {
           this._spawn({ ...npcData, dungeonId });
         }
       }
-      log.info('NPCs loaded', { dungeonId, count: this.npcs.size });
+      log.info('NPCs loaded', { dungeonId, floor, count: this.npcs.size });
     } catch (err) {
-      log.warn('loadForDungeon failed', { dungeonId, err: err.message });
+      log.warn('loadForDungeon failed', { dungeonId, floor, err: err.message });
     }
   }
 
@@ -103,6 +120,25 @@ export class NPCEngine {
     return null;
   }
 
+  /**
+   * Walk every free NPC one tile along its schedule. Called once per party step;
+   * NPCs move in roster order, so one NPC's step can block the next.
+   * @param {{x:number, z:number}} partyPos - Party grid position after the step
+   */
+  updateSchedules(partyPos) {
+    if (!this.gridSystem) return;
+    for (const npc of this.npcs.values()) {
+      if (!npc.behavior.canMove()) continue;
+      const entry = npc.resolveSchedule(this.campaignManager);
+      const state = MODE_STATE[entry?.mode ?? 'stay'] ?? NPCState.IDLE;
+      if (npc.behavior.state !== state) npc.behavior.transition(state);
+
+      const isGoal = this._scheduleGoal(npc, entry, partyPos);
+      const step = isGoal && this._nextStep(npc.position, isGoal, partyPos);
+      if (step) this._moveNPC(npc, step.x, step.z);
+    }
+  }
+
   getSaveData() {
     return {
       spawnedNpcs: [...this.npcs.values()].map(n => n.getSaveData()),
@@ -110,17 +146,45 @@ export class NPCEngine {
     };
   }
 
+  /**
+   * Restore relationships, and where scheduled NPCs had walked to on this
+   * floor — call after loadForDungeon
+   */
   loadSaveData(data) {
     if (data?.relationshipSystem) {
       this.relationshipSystem.loadSaveData(data.relationshipSystem);
     }
-    // spawnedNpcs positions are restored when loadForDungeon is called
+    for (const saved of data?.spawnedNpcs ?? []) {
+      const npc = this.npcs.get(saved.id);
+      const pos = saved.gridPosition;
+      if (!npc || !pos || pos.dungeonId !== npc.dungeonId) continue;
+      if (pos.x !== npc.position.x || pos.z !== npc.position.z) {
+        if (!this._isFree(pos.x, pos.z)) continue;
+        this._moveNPC(npc, pos.x, pos.z);
+      }
+      npc.patrolIndex = saved.patrolIndex ?? 0;
+      npc.patrolStep = saved.patrolStep ?? 1;
+    }
   }
 
   // ─── Private ───────────────────────────────────────────────────────────────
 
+  /** @returns {Promise<Array|null>} The file's NPC list, or null when there is no such file */
+  async _fetchRoster(file) {
+    const response = await fetch(file, { cache: 'no-cache' });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.npcs ?? [];
+  }
+
   _spawn(npcData) {
     const npc = new NPC(npcData);
+    // Start where the schedule puts the NPC rather than walking there from home
+    const entry = npc.resolveSchedule(this.campaignManager);
+    const start = entry?.mode === 'patrol' ? entry.path?.[0] : entry?.position;
+    if (start && !this.positionIndex.has(`${start.x},${start.z}`)) {
+      npc.position = { x: start.x, z: start.z };
+    }
     this.npcs.set(npc.id, npc);
     this.positionIndex.set(`${npc.position.x},${npc.position.z}`, npc.id);
     EventBus.emit(EventTypes.NPC_SPAWNED, {
@@ -143,6 +207,116 @@ export class NPCEngine {
     for (const id of [...this.npcs.keys()]) this._despawn(id);
   }
 
+  _moveNPC(npc, x, z) {
+    const from = { ...npc.position };
+    const fromKey = `${from.x},${from.z}`;
+    if (this.positionIndex.get(fromKey) === npc.id) this.positionIndex.delete(fromKey);
+    npc.position = { x, z };
+    this.positionIndex.set(`${x},${z}`, npc.id);
+    EventBus.emit(EventTypes.NPC_MOVED, { npcId: npc.id, from, to: { x, z } });
+  }
+
+  /**
+   * Where the active schedule entry wants the NPC
+   * @returns {Function|null} (x, z) => boolean, or null when there's nowhere to go
+   */
+  _scheduleGoal(npc, entry, partyPos) {
+    const mode = entry?.mode ?? 'stay';
+    if (mode === 'follow') {
+      // Stay close to the party without standing on it
+      const distance = entry.distance ?? 1;
+      return (x, z) => {
+        const d = Math.abs(x - partyPos.x) + Math.abs(z - partyPos.z);
+        return d > 0 && d <= distance;
+      };
+    }
+    if (mode === 'patrol') {
+      if (!entry.path?.length) return null;
+      let waypoint = entry.path[npc.patrolIndex] ?? entry.path[0];
+      if (npc.position.x === waypoint.x && npc.position.z === waypoint.z) {
+        npc.advancePatrol(entry);
+        waypoint = entry.path[npc.patrolIndex];
+      }
+      return (x, z) => x === waypoint.x && z === waypoint.z;
+    }
+    const target = entry?.position ?? npc.home;
+    return (x, z) => x === target.x && z === target.z;
+  }
+
+  /**
+   * First tile of the shortest free route to a goal tile (breadth-first, so
+   * NPCs find their way around walls and each other)
+   * @returns {{x:number, z:number}|null} Null if already there or no route
+   */
+  _nextStep(start, isGoal, partyPos = null) {
+    if (isGoal(start.x, start.z)) return null;
+    const key = (tile) => `${tile.x},${tile.z}`;
+    const cameFrom = new Map([[key(start), null]]);
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; i++) {
+      const tile = queue[i];
+      if (isGoal(tile.x, tile.z)) {
+        let step = tile;
+        while (cameFrom.get(key(step)) !== start) step = cameFrom.get(key(step));
+        return step;
+      }
+      for (let dir = 0; dir < 4; dir++) {
+        const d = Dir.delta(dir);
+        const next = { x: tile.x + d.x, z: tile.z + d.z };
+        if (cameFrom.has(key(next)) || !this._isFree(next.x, next.z, partyPos)) continue;
+        cameFrom.set(key(next), tile);
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walkable, not stairs, and nobody standing there — party, NPC or roaming group
+   */
+  _isFree(x, z, partyPos = null) {
+    if (!this.gridSystem?.isWalkable(x, z)) return false;
+    if (this.gridSystem.getTile(x, z)?.type === 'transition') return false;
+    if (partyPos && partyPos.x === x && partyPos.z === z) return false;
+    if (this.encounterSystem?.getPlacedMarkers().some(group => group.x === x && group.z === z)) return false;
+    return !this.positionIndex.has(`${x},${z}`);
+  }
+
+  /**
+   * Ink tags for NPC state: # open_shop:<npcId>, # affinity:<npcId>:<delta>,
+   * # faction:<name>:<delta>
+   */
+  _registerNarrativeTags() {
+    const narrative = this.narrativeManager;
+    if (!narrative?.registerTagHandler) return;
+
+    narrative.registerTagHandler('open_shop', (payload, { args }) => {
+      const npcId = tagString(args[0], 'npc id');
+      const npc = this.npcs.get(npcId);
+      if (!npc) throw new TagPayloadError(`NPC ${npcId} is not on this floor`);
+      if (!npc.isShopkeeper) throw new TagPayloadError(`NPC ${npcId} is not a shopkeeper`);
+      // The NPC is still Interacting until the dialogue closes
+      narrative.afterStory(() => {
+        if (!npc.openShop()) log.warn('open_shop: NPC cannot trade right now', { npcId, state: npc.behavior.state });
+      });
+    });
+
+    narrative.registerTagHandler('affinity', (payload, { args }) => {
+      const npcId = tagString(args[0], 'npc id');
+      const delta = tagInt(args[1], 'affinity delta');
+      if (!this.npcs.has(npcId)) log.debug('affinity for NPC not on this floor', { npcId });
+      this.relationshipSystem.changeAffinity(npcId, delta);
+    });
+
+    narrative.registerTagHandler('faction', (payload, { args }) => {
+      const faction = tagString(args[0], 'faction name');
+      const delta = tagInt(args[1], 'standing delta');
+      const standing = this.relationshipSystem.changeFactionStanding(faction, delta);
+      log.info('faction standing changed', { faction, delta, standing });
+    });
+  }
+
   _bindEvents() {
     // NarrativeManager tag #spawn_npc / #despawn_npc
     EventBus.on(EventTypes.NPC_SPAWN_REQUEST, e => {
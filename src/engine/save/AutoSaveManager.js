@@ -203,13 +203,13 @@ export class AutoSaveManager {
       // For auto-save, try backup auto-saves
       if (slotId === 'auto') {
         for (let i = 1; i <= this.backupCount; i++) {
-          const backupKey = `${this.saveSystem.AUTO_SAVE_KEY}_backup_${i}`;
+          const backupKey = this._getBackupKey(i);
           
-          if (localStorage.getItem(backupKey)) {
+          if (this.saveSystem.readEntry(backupKey)) {
             try {
               // Temporarily restore backup to auto-save slot
-              const backupData = localStorage.getItem(backupKey);
-              localStorage.setItem(this.saveSystem.AUTO_SAVE_KEY, backupData);
+              const backupData = this.saveSystem.readEntry(backupKey);
+              await this.saveSystem.writeEntry(this.saveSystem.AUTO_SAVE_KEY, backupData);
               
               // Validate the restored save
               const validation = await this.validateSave('auto');
@@ -242,9 +242,9 @@ export class AutoSaveManager {
       
       if (autoSaveValidation.isValid) {
         // Copy auto-save to the corrupted slot
-        const autoSaveData = localStorage.getItem(this.saveSystem.AUTO_SAVE_KEY);
+        const autoSaveData = this.saveSystem.readEntry(this.saveSystem.AUTO_SAVE_KEY);
         const targetKey = this.saveSystem._getSaveKey(slotId);
-        localStorage.setItem(targetKey, autoSaveData);
+        await this.saveSystem.writeEntry(targetKey, autoSaveData);
         
         console.log(`Recovered slot ${slotId} from auto-save`);
         this._emitEvent('saveRecovered', { slotId, source: 'auto-save' });
@@ -386,14 +386,10 @@ export class AutoSaveManager {
    * @private
    */
   _onBeforeUnload() {
-    // Perform synchronous auto-save on page unload
+    // Perform synchronous auto-save on page unload — the page won't wait for async storage
     if (this.enabled && this.gameState) {
-      try {
-        // Use synchronous localStorage operation for immediate save
-        this.saveSystem.saveGame('auto', { includeScreenshot: false });
+      if (this.saveSystem.saveEmergency()) {
         console.log('Emergency auto-save on page unload');
-      } catch (error) {
-        console.error('Emergency auto-save failed:', error);
       }
     }
   }
@@ -445,25 +441,24 @@ export class AutoSaveManager {
     }
 
     try {
-      const currentAutoSave = localStorage.getItem(this.saveSystem.AUTO_SAVE_KEY);
+      const currentAutoSave = this.saveSystem.readEntry(this.saveSystem.AUTO_SAVE_KEY);
       
       if (currentAutoSave) {
         // Shift existing backups
         for (let i = this.backupCount; i > 1; i--) {
-          const sourceKey = `${this.saveSystem.AUTO_SAVE_KEY}_backup_${i - 1}`;
-          const targetKey = `${this.saveSystem.AUTO_SAVE_KEY}_backup_${i}`;
+          const sourceKey = this._getBackupKey(i - 1);
+          const targetKey = this._getBackupKey(i);
           
-          const sourceData = localStorage.getItem(sourceKey);
+          const sourceData = this.saveSystem.readEntry(sourceKey);
           if (sourceData) {
-            localStorage.setItem(targetKey, sourceData);
+            await this.saveSystem.writeEntry(targetKey, sourceData);
           } else {
-            localStorage.removeItem(targetKey);
+            await this.saveSystem.removeEntry(targetKey);
           }
         }
         
         // Save current auto-save as backup 1
-        const backup1Key = `${this.saveSystem.AUTO_SAVE_KEY}_backup_1`;
-        localStorage.setItem(backup1Key, currentAutoSave);
+        await this.saveSystem.writeEntry(this._getBackupKey(1), currentAutoSave);
         
         console.log('Auto-save backup created');
       }
@@ -483,8 +478,7 @@ export class AutoSaveManager {
     if (slotId === 'auto') {
       // Check for backup auto-saves
       for (let i = 1; i <= this.backupCount; i++) {
-        const backupKey = `${this.saveSystem.AUTO_SAVE_KEY}_backup_${i}`;
-        if (localStorage.getItem(backupKey)) {
+        if (this.saveSystem.readEntry(this._getBackupKey(i))) {
           return true;
         }
       }
@@ -504,8 +498,7 @@ export class AutoSaveManager {
     let count = 0;
     
     for (let i = 1; i <= this.backupCount; i++) {
-      const backupKey = `${this.saveSystem.AUTO_SAVE_KEY}_backup_${i}`;
-      if (localStorage.getItem(backupKey)) {
+      if (this.saveSystem.readEntry(this._getBackupKey(i))) {
         count++;
       }
     }
@@ -513,6 +506,16 @@ export class AutoSaveManager {
     return count;
   }
 
+  /**
+   * Get storage key for an auto-save backup
+   * @param {number} index - Backup index (1 = newest)
+   * @returns {string} Storage key
+   * @private
+   */
+  _getBackupKey(index) {
+    return `${this.saveSystem.AUTO_SAVE_KEY}_backup_${index}`;
+  }
+
   /**
    * Emit event to listeners
    * @param {string} eventType - Event type
@@ -0,0 +1,109 @@
+/**
+ * IndexedDBAdapter - Default StorageAdapter backed by IndexedDB
+ * One object store of key → serialized save string. Quota is a share of free
+ * disk space instead of localStorage's fixed ~5 MB, so screenshots fit.
+ */
+
+import { StorageAdapter, StorageQuotaError, isQuotaError } from './StorageAdapter.js';
+
+export class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName] - Database name
+   * @param {string} [options.storeName] - Object store name
+   */
+  constructor(options = {}) {
+    super();
+    this.dbName = options.dbName ?? 'dungeon_crawler';
+    this.storeName = options.storeName ?? 'saves';
+    this.db = null;
+  }
+
+  get name() {
+    return 'indexedDB';
+  }
+
+  async open() {
+    if (this.db) return true;
+    if (typeof indexedDB === 'undefined' || indexedDB === null) return false;
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.storeName)) {
+            request.result.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        // Another tab holds an older version open — treat as unavailable
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      });
+      return true;
+    } catch (error) {
+      console.warn('IndexedDB unavailable:', error);
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value ?? null;
+  }
+
+  async setItem(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    const keys = await this._request('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+
+  /**
+   * Run a single request in its own transaction and wait for the commit
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - store → IDBRequest
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  _request(mode, makeRequest) {
+    if (!this.db) {
+      return Promise.reject(new Error('IndexedDB not open'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let tx;
+      let request;
+      try {
+        tx = this.db.transaction(this.storeName, mode);
+        request = makeRequest(tx.objectStore(this.storeName));
+      } catch (error) {
+        reject(this._wrapError(error));
+        return;
+      }
+
+      // Quota failures surface on the transaction, not the request
+      tx.oncomplete = () => resolve(request.result);
+      tx.onabort = () => reject(this._wrapError(tx.error ?? request.error));
+      tx.onerror = () => reject(this._wrapError(tx.error ?? request.error));
+    });
+  }
+
+  /**
+   * @param {Error|DOMException} error - Raw IndexedDB error
+   * @returns {Error} StorageQuotaError for quota failures, the original otherwise
+   * @private
+   */
+  _wrapError(error) {
+    if (isQuotaError(error)) {
+      return new StorageQuotaError('IndexedDB quota exceeded', error);
+    }
+    return error ?? new Error('IndexedDB transaction failed');
+  }
+}
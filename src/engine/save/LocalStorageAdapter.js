@@ -0,0 +1,49 @@
+/**
+ * LocalStorageAdapter - StorageAdapter over synchronous localStorage
+ * Fallback backend when IndexedDB is unavailable (private mode, old browsers).
+ * Quota is ~5 MB per origin, so screenshot saves fill it quickly.
+ */
+
+import { StorageAdapter, StorageQuotaError, isQuotaError } from './StorageAdapter.js';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  get name() {
+    return 'localStorage';
+  }
+
+  async open() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is disabled
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      if (isQuotaError(error)) {
+        throw new StorageQuotaError('localStorage quota exceeded', error);
+      }
+      throw error;
+    }
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  async keys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    return keys;
+  }
+}
@@ -1,12 +1,15 @@
 /**
  * SaveData - Complete save data structure for preserving all game state
- * Handles serialization and compression for localStorage
+ * Handles serialization and compression for the SaveSystem storage backend;
+ * older save versions are upgraded by SaveMigrator on deserialize
  */
 
+import { CURRENT_SAVE_VERSION, SaveMigrator } from './SaveMigrations.js';
+
 export class SaveData {
   constructor() {
     this.metadata = {
-      version: '2.0.0',
+      version: CURRENT_SAVE_VERSION,
       timestamp: Date.now(),
       playtime: 0,
       location: '',
@@ -36,7 +39,8 @@ export class SaveData {
       clearedEncounters: [],
       openedDoors: [],
       discoveredAreas: [],
-      visitedLocations: []
+      visitedLocations: [],
+      levels: {} // levelId → doors/pickups/groundItems/switches/defeatedEncounters (WorldStateSystem)
     };
     
     this.progress = {
@@ -56,6 +60,8 @@ export class SaveData {
     this.campaign = null;  // populated by CampaignManager.getSaveData()
     this.narrative = null; // populated by NarrativeManager.getSaveData()
     this.npcs = null;      // populated by NPCEngine.getSaveData()
+    this.rng = null;       // populated by RNGService.getState() — seed + stream positions
+    this.crafting = null;  // populated by CraftingSystem.getSaveData() — learned recipes
   }
 
   /**
@@ -100,12 +106,9 @@ export class SaveData {
       saveData.world.currentFloor = gameState.dungeonLoader.currentFloor || 0;
     }
     
-    // Copy world progress data
+    // Per-level dungeon changes (doors, pickups, switches, scripted encounters)
     if (gameState.worldState) {
-      saveData.world.clearedEncounters = [...(gameState.worldState.clearedEncounters || [])];
-      saveData.world.openedDoors = [...(gameState.worldState.openedDoors || [])];
-      saveData.world.discoveredAreas = [...(gameState.worldState.discoveredAreas || [])];
-      saveData.world.visitedLocations = [...(gameState.worldState.visitedLocations || [])];
+      saveData.world.levels = gameState.worldState.getSaveData();
     }
     
     // Progress data
@@ -128,6 +131,12 @@ export class SaveData {
     if (gameState.npcEngine) {
       saveData.npcs = gameState.npcEngine.getSaveData();
     }
+    if (gameState.rng) {
+      saveData.rng = gameState.rng.getState();
+    }
+    if (gameState.craftingSystem) {
+      saveData.crafting = gameState.craftingSystem.getSaveData();
+    }
 
     return saveData;
   }
@@ -162,8 +171,12 @@ export class SaveData {
       // Decompress data
       const decompressed = SaveData._decompressData(serializedData);
       
-      // Parse JSON
-      const data = JSON.parse(decompressed);
+      // Parse JSON and bring older versions up to date
+      const parsed = JSON.parse(decompressed);
+      const { data, steps } = SaveMigrator.migrate(parsed);
+      if (steps.length > 0) {
+        console.log(`Save migrated: ${steps.join(', ')}`);
+      }
       
       // Create new instance and copy data
       const saveData = new SaveData();
@@ -196,12 +209,15 @@ export class SaveData {
       if (data.campaign) saveData.campaign = data.campaign;
       if (data.narrative) saveData.narrative = data.narrative;
       if (data.npcs) saveData.npcs = data.npcs;
+      if (data.rng) saveData.rng = data.rng;
+      if (data.crafting) saveData.crafting = data.crafting;
 
       console.log('Save data deserialized successfully');
       return saveData;
       
     } catch (error) {
       console.error('Failed to deserialize save data:', error);
+      if (error.name === 'SaveMigrationError') throw error;
       throw new Error('Save deserialization failed');
     }
   }
@@ -256,7 +272,7 @@ export class SaveData {
     }
 
     // Version compatibility check
-    if (this.metadata.version !== '2.0.0') {
+    if (this.metadata.version !== CURRENT_SAVE_VERSION) {
       validation.warnings.push(`Save version ${this.metadata.version} may not be fully compatible`);
     }
 
@@ -380,8 +396,7 @@ export class SaveData {
    * @returns {boolean} True if compatible
    */
   isCompatible() {
-    // For now, only accept exact version match
-    // In future, could implement migration logic
-    return this.metadata.version === '2.0.0';
+    // deserialize() already migrated anything with a path to the current version
+    return this.metadata.version === CURRENT_SAVE_VERSION;
   }
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * SaveFile - Portable save file format for export/import between browsers
+ * Wraps an uncompressed SaveData snapshot in a versioned envelope with a
+ * checksum, so truncated or hand-edited files are caught before import.
+ */
+
+import { SaveData } from './SaveData.js';
+
+export const SAVE_FILE_FORMAT = 'dungeon-crawler-save';
+export const SAVE_FILE_VERSION = 1;
+
+/**
+ * Thrown when a file is not a save file, uses an unknown format version or fails its checksum
+ */
+export class SaveFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveFileError';
+  }
+}
+
+export class SaveFile {
+  /**
+   * Build the file contents for a save
+   * @param {SaveData} saveData - Save to export
+   * @param {number|string} slotId - Slot the save came from
+   * @returns {string} Pretty-printed JSON file contents
+   */
+  static create(saveData, slotId) {
+    // Round-trip through JSON so the checksum covers exactly what parse() will see
+    const data = JSON.parse(JSON.stringify(saveData));
+
+    return JSON.stringify({
+      format: SAVE_FILE_FORMAT,
+      formatVersion: SAVE_FILE_VERSION,
+      exportedAt: Date.now(),
+      slotId,
+      saveVersion: saveData.metadata.version,
+      checksum: SaveFile.checksum(JSON.stringify(data)),
+      data
+    }, null, 2);
+  }
+
+  /**
+   * Read a save file back into SaveData
+   * @param {string} text - File contents
+   * @returns {{saveData: SaveData, envelope: Object}} Parsed save and its envelope fields
+   * @throws {SaveFileError} If the file is malformed or the checksum does not match
+   */
+  static parse(text) {
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch (error) {
+      throw new SaveFileError('File is not valid JSON');
+    }
+
+    if (!envelope || envelope.format !== SAVE_FILE_FORMAT) {
+      throw new SaveFileError('File is not a dungeon crawler save');
+    }
+    if (envelope.formatVersion > SAVE_FILE_VERSION) {
+      throw new SaveFileError(`Save file format v${envelope.formatVersion} is newer than this game supports (v${SAVE_FILE_VERSION})`);
+    }
+    if (!envelope.data || typeof envelope.data !== 'object') {
+      throw new SaveFileError('Save file has no data');
+    }
+
+    const actual = SaveFile.checksum(JSON.stringify(envelope.data));
+    if (actual !== envelope.checksum) {
+      throw new SaveFileError(`Checksum mismatch (expected ${envelope.checksum}, got ${actual}) — file is damaged or was edited`);
+    }
+
+    const { data, ...fields } = envelope;
+    return {
+      saveData: SaveData.deserialize(JSON.stringify(data)),
+      envelope: fields
+    };
+  }
+
+  /**
+   * Suggested download name, e.g. dungeon-crawler-slot1-2026-10-19.json
+   * @param {SaveData} saveData - Exported save
+   * @param {number|string} slotId - Source slot
+   * @returns {string} File name
+   */
+  static getFileName(saveData, slotId) {
+    const date = new Date(saveData.metadata.timestamp || Date.now()).toISOString().slice(0, 10);
+    const slot = slotId === 'auto' ? 'autosave' : `slot${slotId}`;
+    return `dungeon-crawler-${slot}-${date}.json`;
+  }
+
+  /**
+   * FNV-1a 32-bit hash — detects damage, not tampering
+   * @param {string} text - Input
+   * @returns {string} 8-digit hex checksum
+   */
+  static checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+}
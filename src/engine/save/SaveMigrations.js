@@ -0,0 +1,130 @@
+/**
+ * SaveMigrations - Ordered chain of save format upgrades
+ * Each step moves raw (parsed, decompressed) save JSON exactly one version
+ * forward. SaveData.deserialize runs the chain on every load, so old slots,
+ * backups and imported files all reach CURRENT_SAVE_VERSION before use.
+ *
+ * Adding a schema change: bump CURRENT_SAVE_VERSION, append a step whose
+ * `from` is the previous version, and add a fixture for the old version to
+ * fixtures/saves/ (test-save-migrations.js loads every fixture).
+ * Steps are frozen snapshots — never import live game defaults into them.
+ */
+
+export const CURRENT_SAVE_VERSION = '2.4.0';
+
+/**
+ * Thrown when a save's version has no path to CURRENT_SAVE_VERSION
+ */
+export class SaveMigrationError extends Error {
+  constructor(message, version) {
+    super(message);
+    this.name = 'SaveMigrationError';
+    this.version = version;
+  }
+}
+
+export const SAVE_MIGRATIONS = [
+  {
+    from: '2.0.0',
+    to: '2.1.0',
+    description: 'Branching quest saves: the single current node becomes a set of active nodes',
+    migrate(data) {
+      // Quest saves v1 → v2: the single currentNodeId becomes the active node set
+      if (data.campaign?.activeQuests) {
+        data.campaign.activeQuests = data.campaign.activeQuests.map(q => {
+          if ((q.version ?? 1) >= 2) return q;
+          const { currentNodeId, ...rest } = q;
+          return { ...rest, version: 2, activeNodes: currentNodeId && !q.isComplete ? [currentNodeId] : [] };
+        });
+      }
+      return data;
+    }
+  },
+  {
+    from: '2.1.0',
+    to: '2.2.0',
+    description: 'Per-level world state (doors, pickups, ground items, switches, defeated scripted encounters)',
+    migrate(data) {
+      data.world ??= {};
+      data.world.levels ??= {};
+      return data;
+    }
+  },
+  {
+    from: '2.2.0',
+    to: '2.3.0',
+    description: 'Equipment slots expanded: weapon/armor/accessory become mainHand/body/ring1',
+    migrate(data) {
+      data.party.party = (data.party.party ?? []).map(character => {
+        if (!character) return character;
+        const { weapon = null, armor = null, accessory = null, ...rest } = character.equipment ?? {};
+        character.equipment = {
+          mainHand: weapon, offHand: null, head: null, body: armor, feet: null, ring1: accessory, ring2: null,
+          ...rest
+        };
+        return character;
+      });
+      return data;
+    }
+  },
+  {
+    from: '2.3.0',
+    to: '2.4.0',
+    description: 'Crafting section: recipes learned from scrolls and dialogue',
+    migrate(data) {
+      // Default recipes come back from the campaign recipe book on load
+      data.crafting ??= null;
+      return data;
+    }
+  }
+];
+
+export class SaveMigrator {
+  /**
+   * @param {string} version - Save version
+   * @returns {boolean} True if the version is current or has a migration path
+   */
+  static canMigrate(version) {
+    if (version === CURRENT_SAVE_VERSION) return true;
+    let current = version;
+    for (const step of SAVE_MIGRATIONS) {
+      if (step.from === current) current = step.to;
+    }
+    return current === CURRENT_SAVE_VERSION;
+  }
+
+  /**
+   * @param {string} version - Save version
+   * @returns {boolean} True if the save is older than CURRENT_SAVE_VERSION
+   */
+  static needsMigration(version) {
+    return version !== CURRENT_SAVE_VERSION && SaveMigrator.canMigrate(version);
+  }
+
+  /**
+   * Upgrade raw save JSON to CURRENT_SAVE_VERSION, one step at a time
+   * @param {Object} data - Parsed save JSON (mutated in place)
+   * @returns {{data: Object, steps: Array<string>}} Migrated data and applied steps ("2.0.0 → 2.1.0")
+   * @throws {SaveMigrationError} If the version is unknown or newer than this build
+   */
+  static migrate(data) {
+    const steps = [];
+    const original = data?.metadata?.version;
+    if (!original || original === CURRENT_SAVE_VERSION) {
+      return { data, steps };
+    }
+    if (!SaveMigrator.canMigrate(original)) {
+      throw new SaveMigrationError(`No migration path from save version ${original} to ${CURRENT_SAVE_VERSION}`, original);
+    }
+
+    for (const step of SAVE_MIGRATIONS) {
+      if (step.from !== data.metadata.version) continue;
+      data = step.migrate(data);
+      data.metadata.version = step.to;
+      steps.push(`${step.from} → ${step.to}`);
+    }
+
+    data.metadata.migratedFrom = original;
+    return { data, steps };
+  }
+}
@@ -1,16 +1,34 @@
 /**
  * SaveSystem - Manages save/load operations with multiple slots and auto-save
  * Handles 3 manual save slots plus 1 auto-save slot with validation and recovery
+ *
+ * Storage goes through a pluggable StorageAdapter (IndexedDB by default,
+ * localStorage as fallback). Entries are mirrored in an in-memory cache filled
+ * by open(), so slot queries (hasSave, getAllSaveMetadata) stay synchronous.
  */
 
 import { SaveData } from './SaveData.js';
+import { SaveFile } from './SaveFile.js';
+import { SaveValidator } from './SaveValidator.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { isQuotaError } from './StorageAdapter.js';
 
 export class SaveSystem {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {StorageAdapter} [options.storage] - Backend to use instead of IndexedDB → localStorage
+   */
+  constructor(options = {}) {
     this.SAVE_KEY_PREFIX = 'dungeon_crawler_save_';
     this.AUTO_SAVE_KEY = 'dungeon_crawler_autosave';
     this.MANUAL_SLOTS = 3;
     this.AUTO_SAVE_SLOT = 'auto';
+
+    // Storage backend + synchronous mirror of every save entry
+    this.storage = options.storage ?? null;
+    this.cache = new Map(); // storage key -> serialized data
+    this._openPromise = null;
     
     // Auto-save configuration
     this.autoSaveEnabled = true;
@@ -27,6 +45,18 @@ export class SaveSystem {
     console.log('SaveSystem initialized');
   }
 
+  /**
+   * Open the storage backend, migrate legacy localStorage slots and fill the cache.
+   * Safe to call more than once — later calls share the first result.
+   * @returns {Promise<string>} Name of the backend in use
+   */
+  open() {
+    if (!this._openPromise) {
+      this._openPromise = this._openStorage();
+    }
+    return this._openPromise;
+  }
+
   /**
    * Initialize save system with game state reference
    * @param {Object} gameState - Reference to current game state
@@ -76,12 +106,20 @@ export class SaveSystem {
         throw new Error(`Save validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Serialize save data
-      const serializedData = saveData.serialize();
-      
-      // Store in localStorage
+      // Serialize and store — a full quota drops the screenshot before giving up
       const saveKey = this._getSaveKey(slotId);
-      localStorage.setItem(saveKey, serializedData);
+      let serializedData = saveData.serialize();
+      let screenshotDropped = false;
+      try {
+        await this.writeEntry(saveKey, serializedData);
+      } catch (error) {
+        if (!isQuotaError(error) || !saveData.metadata.screenshot) throw error;
+        console.warn(`Storage full, retrying slot ${slotId} without screenshot`);
+        saveData.setScreenshot(null);
+        serializedData = saveData.serialize();
+        await this.writeEntry(saveKey, serializedData);
+        screenshotDropped = true;
+      }
       
       // Update last save time
       this.lastAutoSave = Date.now();
@@ -103,21 +141,25 @@ export class SaveSystem {
         slotId,
         duration,
         size: serializedData.length,
+        screenshotDropped,
         metadata: saveData.getDisplayMetadata()
       };
       
     } catch (error) {
       console.error(`Failed to save game to slot ${slotId}:`, error);
+      const quotaExceeded = isQuotaError(error);
       
       // Emit save error event
       this._emitEvent('saveError', {
         slotId,
-        error: error.message
+        error: error.message,
+        quotaExceeded
       });
       
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        quotaExceeded
       };
     }
   }
@@ -143,7 +185,7 @@ export class SaveSystem {
 
       // Load serialized data
       const saveKey = this._getSaveKey(slotId);
-      const serializedData = localStorage.getItem(saveKey);
+      const serializedData = this.readEntry(saveKey);
       
       if (!serializedData) {
         throw new Error(`Save data corrupted or missing for slot ${slotId}`);
@@ -207,16 +249,16 @@ export class SaveSystem {
   /**
    * Delete save from specific slot
    * @param {number|string} slotId - Slot ID to delete
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Resolves once storage has dropped the entry
    */
-  deleteSave(slotId) {
+  async deleteSave(slotId) {
     try {
       if (!this._isValidSlotId(slotId)) {
         throw new Error(`Invalid slot ID: ${slotId}`);
       }
 
       const saveKey = this._getSaveKey(slotId);
-      localStorage.removeItem(saveKey);
+      await this.removeEntry(saveKey);
       
       console.log(`Save deleted from slot ${slotId}`);
       
@@ -231,6 +273,114 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Export a slot as a portable save file
+   * @param {number|string} slotId - Slot to export
+   * @returns {Object} {success, fileName, content} or {success: false, error}
+   */
+  exportSave(slotId) {
+    try {
+      if (!this.hasSave(slotId)) {
+        throw new Error(`No save found in slot ${slotId}`);
+      }
+
+      const saveData = SaveData.deserialize(this.readEntry(this._getSaveKey(slotId)));
+      const content = SaveFile.create(saveData, slotId);
+
+      this._emitEvent('saveExported', { slotId, size: content.length });
+
+      return {
+        success: true,
+        fileName: SaveFile.getFileName(saveData, slotId),
+        content
+      };
+
+    } catch (error) {
+      console.error(`Failed to export slot ${slotId}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check an import file before it overwrites a slot
+   * Runs the full SaveValidator pass (including version compatibility) and
+   * compares the incoming save with whatever the slot holds now.
+   * @param {string} text - Save file contents
+   * @param {number|string} slotId - Slot the file would overwrite
+   * @returns {Object} Review: {success, saveData, errors, warnings, compatibility, changes, canImport}
+   */
+  reviewImport(text, slotId) {
+    try {
+      if (!this._isValidSlotId(slotId) || slotId === 'auto') {
+        throw new Error(`Cannot import into slot ${slotId}`);
+      }
+
+      const { saveData, envelope } = SaveFile.parse(text);
+      const validation = new SaveValidator().validate(saveData);
+
+      let current = null;
+      if (this.hasSave(slotId)) {
+        try {
+          current = SaveData.deserialize(this.readEntry(this._getSaveKey(slotId))).getDisplayMetadata();
+        } catch (error) {
+          current = null; // Corrupted slot — nothing meaningful to compare against
+        }
+      }
+
+      return {
+        success: true,
+        slotId,
+        saveData,
+        sourceSlot: envelope.slotId ?? null,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        compatibility: validation.details.compatibility ?? null,
+        changes: this._describeImportChanges(current, saveData.getDisplayMetadata()),
+        canImport: validation.isValid
+      };
+
+    } catch (error) {
+      console.error(`Import rejected for slot ${slotId}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        canImport: false
+      };
+    }
+  }
+
+  /**
+   * Write a reviewed import into a slot
+   * @param {number|string} slotId - Target manual slot
+   * @param {SaveData} saveData - Save from reviewImport()
+   * @returns {Promise<Object>} {success, slotId} or {success: false, error, quotaExceeded}
+   */
+  async importSave(slotId, saveData) {
+    try {
+      if (!this._isValidSlotId(slotId) || slotId === 'auto') {
+        throw new Error(`Cannot import into slot ${slotId}`);
+      }
+
+      await this.writeEntry(this._getSaveKey(slotId), saveData.serialize());
+
+      console.log(`Save imported into slot ${slotId}`);
+      this._emitEvent('saveImported', { slotId, metadata: saveData.getDisplayMetadata() });
+
+      return { success: true, slotId };
+
+    } catch (error) {
+      console.error(`Failed to import save into slot ${slotId}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        quotaExceeded: isQuotaError(error)
+      };
+    }
+  }
+
   /**
    * Check if save exists in slot
    * @param {number|string} slotId - Slot ID to check
@@ -242,7 +392,63 @@ export class SaveSystem {
     }
     
     const saveKey = this._getSaveKey(slotId);
-    return localStorage.getItem(saveKey) !== null;
+    return this.cache.has(saveKey);
+  }
+
+  /**
+   * Synchronous auto-save for page unload. Browsers don't wait for promises in
+   * beforeunload, so this bypasses the async backend and writes straight to
+   * localStorage; the next open() moves the entry into IndexedDB.
+   * @returns {boolean} True if the save was written
+   */
+  saveEmergency() {
+    try {
+      if (!this.gameState) return false;
+      const saveData = SaveData.fromGameState(this.gameState);
+      const validation = saveData.validate();
+      if (!validation.isValid) {
+        throw new Error(`Save validation failed: ${validation.errors.join(', ')}`);
+      }
+      const serializedData = saveData.serialize();
+      localStorage.setItem(this.AUTO_SAVE_KEY, serializedData);
+      this.cache.set(this.AUTO_SAVE_KEY, serializedData);
+      return true;
+    } catch (error) {
+      console.error('Emergency save failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read a raw storage entry from the cache
+   * @param {string} key - Storage key
+   * @returns {string|null} Serialized data or null
+   */
+  readEntry(key) {
+    return this.cache.get(key) ?? null;
+  }
+
+  /**
+   * Write a raw storage entry — the cache only updates once the backend accepts it
+   * @param {string} key - Storage key
+   * @param {string} data - Serialized data
+   * @returns {Promise<void>} Rejects with StorageQuotaError when storage is full
+   */
+  async writeEntry(key, data) {
+    await this.open();
+    await this.storage.setItem(key, data);
+    this.cache.set(key, data);
+  }
+
+  /**
+   * Remove a raw storage entry
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async removeEntry(key) {
+    this.cache.delete(key);
+    await this.open();
+    await this.storage.removeItem(key);
   }
 
   /**
@@ -260,7 +466,7 @@ export class SaveSystem {
       if (this.hasSave(i)) {
         try {
           const saveKey = this._getSaveKey(i);
-          const serializedData = localStorage.getItem(saveKey);
+          const serializedData = this.readEntry(saveKey);
           const saveData = SaveData.deserialize(serializedData);
           metadata.manual[i] = saveData.getDisplayMetadata();
         } catch (error) {
@@ -276,7 +482,7 @@ export class SaveSystem {
     if (this.hasSave('auto')) {
       try {
         const saveKey = this._getSaveKey('auto');
-        const serializedData = localStorage.getItem(saveKey);
+        const serializedData = this.readEntry(saveKey);
         const saveData = SaveData.deserialize(serializedData);
         metadata.auto = saveData.getDisplayMetadata();
       } catch (error) {
@@ -397,7 +603,7 @@ export class SaveSystem {
   }
 
   /**
-   * Get localStorage key for slot
+   * Get storage key for slot
    * @param {number|string} slotId - Slot ID
    * @returns {string} Storage key
    * @private
@@ -409,6 +615,96 @@ export class SaveSystem {
     return `${this.SAVE_KEY_PREFIX}${slotId}`;
   }
 
+  /**
+   * Field-by-field comparison of a slot's save and an incoming import
+   * @param {Object|null} current - Display metadata of the slot's save (null when empty)
+   * @param {Object} incoming - Display metadata of the imported save
+   * @returns {Array<Object>} Rows of {field, current, incoming, changed}
+   * @private
+   */
+  _describeImportChanges(current, incoming) {
+    const formatTime = ts => (ts ? new Date(ts).toLocaleString() : '—');
+    const fields = [
+      ['Saved', m => formatTime(m.timestamp)],
+      ['Location', m => m.location || 'Unknown'],
+      ['Party level', m => m.partyLevel],
+      ['Party size', m => m.partySize],
+      ['Gold', m => m.gold],
+      ['Playtime', m => `${Math.floor((m.playtime || 0) / 60000)} min`],
+      ['Version', m => m.version]
+    ];
+
+    return fields.map(([field, read]) => {
+      const before = current ? String(read(current)) : '—';
+      const after = String(read(incoming));
+      return { field, current: before, incoming: after, changed: before !== after };
+    });
+  }
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {boolean} True if the key belongs to a save slot or auto-save backup
+   * @private
+   */
+  _isSaveKey(key) {
+    return typeof key === 'string' &&
+      (key.startsWith(this.SAVE_KEY_PREFIX) || key.startsWith(this.AUTO_SAVE_KEY));
+  }
+
+  /**
+   * Pick a backend, migrate legacy slots and load every save entry into the cache
+   * @returns {Promise<string>} Backend name
+   * @private
+   */
+  async _openStorage() {
+    if (!this.storage || !(await this.storage.open())) {
+      const indexedDB = new IndexedDBAdapter();
+      this.storage = (await indexedDB.open()) ? indexedDB : new LocalStorageAdapter();
+      await this.storage.open();
+    }
+
+    if (this.storage.name !== 'localStorage') {
+      await this._migrateLegacySaves();
+    }
+
+    for (const key of await this.storage.keys()) {
+      if (!this._isSaveKey(key)) continue;
+      const data = await this.storage.getItem(key);
+      if (data !== null) this.cache.set(key, data);
+    }
+
+    console.log(`SaveSystem storage: ${this.storage.name} (${this.cache.size} entries)`);
+    return this.storage.name;
+  }
+
+  /**
+   * Move slots written by older builds, and emergency saves from page unload,
+   * from localStorage into the current backend. Either kind is newer than the
+   * backend's copy, so it replaces it. A slot only leaves localStorage after
+   * the new backend has accepted it.
+   * @private
+   */
+  async _migrateLegacySaves() {
+    const legacy = new LocalStorageAdapter();
+    if (!(await legacy.open())) return;
+
+    let migrated = 0;
+    for (const key of await legacy.keys()) {
+      if (!this._isSaveKey(key)) continue;
+      try {
+        await this.storage.setItem(key, await legacy.getItem(key));
+        await legacy.removeItem(key);
+        migrated++;
+      } catch (error) {
+        console.warn(`Failed to migrate save entry ${key}, keeping localStorage copy:`, error);
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} save entries from localStorage to ${this.storage.name}`);
+    }
+  }
+
   /**
    * Start auto-save timer
    * @private
@@ -502,7 +798,7 @@ export class SaveSystem {
     for (let i = 1; i <= this.MANUAL_SLOTS; i++) {
       if (this.hasSave(i)) {
         const saveKey = this._getSaveKey(i);
-        const data = localStorage.getItem(saveKey);
+        const data = this.readEntry(saveKey);
         const size = new Blob([data]).size;
         slotSizes[i] = size;
         totalSize += size;
@@ -512,13 +808,14 @@ export class SaveSystem {
     // Check auto-save
     if (this.hasSave('auto')) {
       const saveKey = this._getSaveKey('auto');
-      const data = localStorage.getItem(saveKey);
+      const data = this.readEntry(saveKey);
       const size = new Blob([data]).size;
       slotSizes.auto = size;
       totalSize += size;
     }
 
     return {
+      backend: this.storage?.name ?? null,
       totalSize,
       slotSizes,
       totalSizeFormatted: this._formatBytes(totalSize)
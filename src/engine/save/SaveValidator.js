@@ -3,9 +3,12 @@
  * Validates save data structure, content, and compatibility
  */
 
+import { CURRENT_SAVE_VERSION, SaveMigrator } from './SaveMigrations.js';
+import { EQUIPMENT_SLOTS, EquipmentSystem } from '../equipment/EquipmentSystem.js';
+
 export class SaveValidator {
   constructor() {
-    this.requiredVersion = '2.0.0';
+    this.requiredVersion = CURRENT_SAVE_VERSION;
     this.validationRules = this._initializeValidationRules();
   }
 
@@ -70,7 +73,8 @@ export class SaveValidator {
       if (!saveData.metadata.version) return false;
       
       // Check party has characters
-      if (!Array.isArray(saveData.party.characters) || saveData.party.characters.filter(c => c !== null).length === 0) return false;
+      const members = this._getPartyMembers(saveData.party);
+      if (!Array.isArray(members) || members.filter(c => c !== null).length === 0) return false;
       
       // Check inventory structure
       if (!Array.isArray(saveData.inventory.slots) || saveData.inventory.slots.length !== 40) return false;
@@ -157,6 +161,17 @@ export class SaveValidator {
     }
   }
 
+  /**
+   * Party member array — PartyManager.serialize() writes `party`, older saves `characters`
+   * @param {Object} party - Party section
+   * @returns {Array|undefined} Member array
+   * @private
+   */
+  _getPartyMembers(party) {
+    if (party?.characters?.length > 0) return party.characters;
+    return party?.party ?? party?.characters;
+  }
+
   /**
    * Validate metadata section
    * @param {Object} metadata - Metadata object
@@ -219,13 +234,14 @@ export class SaveValidator {
     }
 
     // Characters validation
-    if (!Array.isArray(party.characters)) {
+    const members = this._getPartyMembers(party);
+    if (!Array.isArray(members)) {
       result.errors.push('Party characters must be an array');
       result.isValid = false;
       return;
     }
 
-    const validCharacters = party.characters.filter(char => char !== null);
+    const validCharacters = members.filter(char => char !== null);
     
     if (validCharacters.length === 0) {
       result.errors.push('Party has no characters');
@@ -342,13 +358,21 @@ export class SaveValidator {
    * @private
    */
   _validateCharacterEquipment(equipment, index, result) {
-    const validSlots = ['weapon', 'armor', 'accessory'];
-    
-    for (const slot of validSlots) {
-      if (equipment[slot] && typeof equipment[slot] !== 'object') {
+    for (const slot of Object.keys(equipment)) {
+      const definition = EQUIPMENT_SLOTS.find(def => def.id === slot);
+      const item = equipment[slot];
+      if (!definition) {
+        result.warnings.push(`Character ${index} has unknown equipment slot ${slot}`);
+      } else if (item && typeof item !== 'object') {
         result.warnings.push(`Character ${index} has invalid ${slot} equipment`);
+      } else if (item && !definition.accepts.includes(EquipmentSystem.getItemCategory(item))) {
+        result.warnings.push(`Character ${index} has ${item.name ?? 'an item'} in the wrong slot (${slot})`);
       }
     }
+
+    if (equipment.mainHand?.twoHanded && equipment.offHand) {
+      result.warnings.push(`Character ${index} has an off-hand item alongside a two-handed weapon`);
+    }
   }
 
   /**
@@ -456,6 +480,11 @@ export class SaveValidator {
       result.warnings.push('Invalid current floor');
     }
 
+    // Per-level world state (WorldStateSystem)
+    if (world.levels !== undefined && (typeof world.levels !== 'object' || Array.isArray(world.levels))) {
+      result.warnings.push('World levels should be an object keyed by level id');
+    }
+
     result.details.world = {
       position: world.playerPosition,
       direction: world.playerDirection,
@@ -517,7 +546,7 @@ export class SaveValidator {
 
     // Validate formation references
     if (saveData.party && saveData.party.formation) {
-      const characterIds = saveData.party.characters
+      const characterIds = (this._getPartyMembers(saveData.party) ?? [])
         .filter(char => char !== null)
         .map(char => char.id);
       
@@ -548,15 +577,20 @@ export class SaveValidator {
     }
 
     const saveVersion = saveData.metadata.version;
+    const canMigrate = SaveMigrator.canMigrate(saveVersion);
     
-    if (saveVersion !== this.requiredVersion) {
-      result.warnings.push(`Save version ${saveVersion} may not be fully compatible with current version ${this.requiredVersion}`);
+    if (!canMigrate) {
+      result.errors.push(`Save version ${saveVersion} cannot be migrated to current version ${this.requiredVersion}`);
+      result.isValid = false;
+    } else if (saveVersion !== this.requiredVersion) {
+      result.warnings.push(`Save version ${saveVersion} will be migrated to ${this.requiredVersion} on load`);
     }
 
     result.details.compatibility = {
       saveVersion,
       requiredVersion: this.requiredVersion,
-      isCompatible: saveVersion === this.requiredVersion
+      migratedFrom: saveData.metadata.migratedFrom ?? null,
+      isCompatible: canMigrate
     };
   }
 
@@ -0,0 +1,81 @@
+/**
+ * StorageAdapter - Async key/value backend used by SaveSystem
+ * Implementations: IndexedDBAdapter (default), LocalStorageAdapter (fallback).
+ * Every method returns a Promise so slow backends never block the game loop.
+ */
+
+/**
+ * Thrown when the backend refuses a write because the browser storage quota is full
+ */
+export class StorageQuotaError extends Error {
+  constructor(message = 'Storage quota exceeded', cause = null) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.quotaExceeded = true;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether a browser error is a quota failure
+ * Browsers disagree on the name/code (QuotaExceededError, NS_ERROR_DOM_QUOTA_REACHED, 22, 1014)
+ * @param {Error|DOMException} error - Error to inspect
+ * @returns {boolean} True if the error means "storage full"
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  if (error instanceof StorageQuotaError) return true;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+export class StorageAdapter {
+  /**
+   * @returns {string} Backend name shown in storage stats
+   */
+  get name() {
+    return 'abstract';
+  }
+
+  /**
+   * Open the backend — resolves false when it is unavailable in this browser
+   * @returns {Promise<boolean>} True if the backend is usable
+   */
+  async open() {
+    return false;
+  }
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async getItem(key) {
+    throw new Error(`${this.name}: getItem not implemented`);
+  }
+
+  /**
+   * @param {string} key - Storage key
+   * @param {string} value - Serialized value
+   * @returns {Promise<void>} Rejects with StorageQuotaError when storage is full
+   */
+  async setItem(key, value) {
+    throw new Error(`${this.name}: setItem not implemented`);
+  }
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    throw new Error(`${this.name}: removeItem not implemented`);
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} All keys held by this backend
+   */
+  async keys() {
+    throw new Error(`${this.name}: keys not implemented`);
+  }
+}
@@ -6,4 +6,8 @@
 export { SaveData } from './SaveData.js';
 export { SaveSystem } from './SaveSystem.js';
 export { AutoSaveManager } from './AutoSaveManager.js';
-export { SaveValidator } from './SaveValidator.js';
\ No newline at end of file
+export { SaveValidator } from './SaveValidator.js';
+export { SaveFile, SaveFileError, SAVE_FILE_FORMAT, SAVE_FILE_VERSION } from './SaveFile.js';
+export { StorageAdapter, StorageQuotaError, isQuotaError } from './StorageAdapter.js';
+export { IndexedDBAdapter } from './IndexedDBAdapter.js';
+export { LocalStorageAdapter } from './LocalStorageAdapter.js';
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * CraftingSystem - Forge recipes that turn materials and gold into items,
+ * equipment upgrades and affix rerolls
+ * Recipes are data (campaigns/<id>/recipes.json). Recipes marked `known`
+ * are usable from the start; the rest must be discovered first, either by
+ * reading a recipe scroll (item.recipeId) or through the `learn_recipe` Ink
+ * tag. Crafting is opened by SafeZoneSystem at zones offering `forge`.
+ *
+ * Recipe fields:
+ *   type        'item' | 'upgrade' | 'reroll'
+ *   materials   [{ itemId, quantity }] — consumed from the inventory
+ *   gold        Party gold spent per craft
+ *   result      { itemId, quantity } — 'item' recipes only
+ *   appliesTo   Equipment categories a target may have (upgrade / reroll)
+ *   maxUpgrade  Highest upgradeLevel an upgrade recipe reaches
+ *   statBonus   Fraction of each current stat added per upgrade (min +1)
+ */
+
+import { EventBus, EventTypes } from '../core/EventBus.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+import { itemDatabase } from '../inventory/ItemDatabase.js';
+import { EquipmentSystem } from '../equipment/EquipmentSystem.js';
+import { AFFIX_RARITY_RULES, rollAffixes, applyAffixes, removeAffixes, buildAffixedName } from '../inventory/ItemAffixes.js';
+
+const lootRng = rng.stream(RNGStreams.LOOT);
+
+export const RecipeTypes = Object.freeze({
+  ITEM: 'item',
+  UPGRADE: 'upgrade',
+  REROLL: 'reroll'
+});
+
+export class CraftingSystem {
+  /**
+   * @param {import('../inventory/InventorySystem.js').InventorySystem} inventorySystem
+   * @param {import('../character/PartyManager.js').PartyManager} partyManager
+   */
+  constructor(inventorySystem, partyManager) {
+    this.inventorySystem = inventorySystem;
+    this.partyManager = partyManager;
+    this.recipes = new Map();     // recipeId → normalized recipe
+    this.knownRecipes = new Set();
+
+    EventBus.on(EventTypes.CRAFTING_RECIPE_DISCOVERED, e => {
+      this.learnRecipe(e.detail?.recipeId, e.detail?.source ?? 'dialogue');
+    });
+
+    console.log('CraftingSystem initialized');
+  }
+
+  /**
+   * Load a campaign's recipes (campaigns/<id>/recipes.json).
+   * A campaign without the file simply has nothing to craft.
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Promise<number>} Number of recipes registered
+   */
+  async loadRecipes(campaignId) {
+    try {
+      const response = await fetch(`campaigns/${campaignId}/recipes.json`, { cache: 'no-cache' });
+      if (!response.ok) {
+        console.log(`No recipes for campaign ${campaignId}`);
+        return 0;
+      }
+      return this.registerRecipes(await response.json(), campaignId);
+    } catch (error) {
+      console.warn(`Failed to load recipes for ${campaignId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Replace the recipe book with a campaign recipes file. Known recipes
+   * that the new book no longer has are dropped.
+   * @param {Object} data - Parsed recipes.json ({ recipes: [...] })
+   * @param {string} [source] - Label for warnings
+   * @returns {number} Number of recipes registered
+   */
+  registerRecipes(data, source = 'campaign') {
+    this.recipes.clear();
+    for (const entry of data?.recipes ?? []) {
+      const recipe = this._normalizeRecipe(entry, `${source}/recipes.json`);
+      if (!recipe) continue;
+      this.recipes.set(recipe.id, recipe);
+      if (recipe.known) this.knownRecipes.add(recipe.id);
+    }
+    for (const recipeId of this.knownRecipes) {
+      if (!this.recipes.has(recipeId)) this.knownRecipes.delete(recipeId);
+    }
+    console.log(`Recipes loaded from ${source}: ${this.recipes.size}`);
+    return this.recipes.size;
+  }
+
+  /**
+   * @param {string} recipeId - Recipe identifier
+   * @returns {Object|null} Recipe definition
+   */
+  getRecipe(recipeId) {
+    return this.recipes.get(recipeId) ?? null;
+  }
+
+  /**
+   * @returns {Array<Object>} Recipes the party has learned, in file order
+   */
+  getKnownRecipes() {
+    return [...this.recipes.values()].filter(recipe => this.knownRecipes.has(recipe.id));
+  }
+
+  /**
+   * @param {string} recipeId - Recipe identifier
+   * @returns {boolean} True if the recipe has been learned
+   */
+  isKnown(recipeId) {
+    return this.knownRecipes.has(recipeId);
+  }
+
+  /**
+   * Learn a recipe
+   * @param {string} recipeId - Recipe identifier
+   * @param {string} [source] - 'scroll' | 'dialogue' | ...
+   * @returns {boolean} True if the recipe was newly learned
+   */
+  learnRecipe(recipeId, source = 'unknown') {
+    const recipe = this.recipes.get(recipeId);
+    if (!recipe) {
+      console.warn(`Cannot learn unknown recipe: ${recipeId}`);
+      return false;
+    }
+    if (this.knownRecipes.has(recipeId)) return false;
+
+    this.knownRecipes.add(recipeId);
+    EventBus.emit(EventTypes.CRAFTING_RECIPE_LEARNED, { recipeId, name: recipe.name, source });
+    console.log(`Recipe learned: ${recipe.name} (${source})`);
+    return true;
+  }
+
+  /**
+   * Inventory slots holding recipe scrolls for recipes not yet learned
+   * @returns {Array<{slotIndex: number, item: Object, recipe: Object}>}
+   */
+  getUnreadRecipeScrolls() {
+    const scrolls = [];
+    this.inventorySystem.slots.forEach((slot, slotIndex) => {
+      const recipe = this.recipes.get(slot?.item.recipeId);
+      if (recipe && !this.knownRecipes.has(recipe.id)) scrolls.push({ slotIndex, item: slot.item, recipe });
+    });
+    return scrolls;
+  }
+
+  /**
+   * Read a recipe scroll: learns its recipe and consumes the scroll
+   * @param {number} slotIndex - Inventory slot of the scroll
+   * @returns {Object} { success, recipeId } or { success: false, reason }
+   */
+  learnFromScroll(slotIndex) {
+    const item = this.inventorySystem.getSlot(slotIndex)?.item;
+    if (!item?.recipeId) return { success: false, reason: 'not_a_recipe' };
+    if (!this.recipes.has(item.recipeId)) return { success: false, reason: 'unknown_recipe' };
+    if (!this.learnRecipe(item.recipeId, 'scroll')) return { success: false, reason: 'already_known' };
+
+    this.inventorySystem.removeItem(slotIndex, 1);
+    return { success: true, recipeId: item.recipeId };
+  }
+
+  /**
+   * Inventory slots an upgrade/reroll recipe can be used on
+   * @param {string} recipeId - Recipe identifier
+   * @returns {Array<{slotIndex: number, item: Object}>}
+   */
+  getValidTargets(recipeId) {
+    const recipe = this.recipes.get(recipeId);
+    if (!recipe || recipe.type === RecipeTypes.ITEM) return [];
+    const targets = [];
+    this.inventorySystem.slots.forEach((slot, slotIndex) => {
+      if (slot && !this._checkTarget(recipe, slot.item)) targets.push({ slotIndex, item: slot.item });
+    });
+    return targets;
+  }
+
+  /**
+   * Materials a recipe needs, with how many the party holds
+   * @param {string} recipeId - Recipe identifier
+   * @returns {Array<{itemId: string, name: string, quantity: number, owned: number}>}
+   */
+  getMaterialStatus(recipeId) {
+    const recipe = this.recipes.get(recipeId);
+    return (recipe?.materials ?? []).map(({ itemId, quantity }) => ({
+      itemId,
+      name: itemDatabase.getItem(itemId)?.name ?? itemId,
+      quantity,
+      owned: this.inventorySystem.getItemCount(itemId)
+    }));
+  }
+
+  /**
+   * Check whether a recipe can be crafted right now
+   * @param {string} recipeId - Recipe identifier
+   * @param {number} [targetSlot] - Inventory slot of the item to upgrade/reroll
+   * @returns {Object} { success: true } or { success: false, reason, missing? }
+   */
+  canCraft(recipeId, targetSlot = null) {
+    const recipe = this.recipes.get(recipeId);
+    if (!recipe) return { success: false, reason: 'unknown_recipe' };
+    if (!this.knownRecipes.has(recipeId)) return { success: false, reason: 'recipe_not_known' };
+
+    const missing = this.getMaterialStatus(recipeId).filter(material => material.owned < material.quantity);
+    if (missing.length > 0) return { success: false, reason: 'missing_materials', missing };
+    if (this.partyManager.getGold() < recipe.gold) return { success: false, reason: 'not_enough_gold' };
+
+    if (recipe.type === RecipeTypes.ITEM) return { success: true };
+
+    const target = this.inventorySystem.getSlot(targetSlot)?.item;
+    if (!target) return { success: false, reason: 'no_target' };
+    const reason = this._checkTarget(recipe, target);
+    return reason ? { success: false, reason } : { success: true };
+  }
+
+  /**
+   * Craft a recipe: spends materials and gold, then creates the item or
+   * modifies the target in place
+   * @param {string} recipeId - Recipe identifier
+   * @param {number} [targetSlot] - Inventory slot of the item to upgrade/reroll
+   * @returns {Object} { success, item } or { success: false, reason }
+   */
+  craft(recipeId, targetSlot = null) {
+    const check = this.canCraft(recipeId, targetSlot);
+    if (!check.success) return check;
+
+    const recipe = this.recipes.get(recipeId);
+    let item = null;
+    if (recipe.type === RecipeTypes.ITEM) {
+      item = itemDatabase.createItem(recipe.result.itemId, this.partyManager.getAverageLevel?.() ?? 1);
+      // Fail before anything is spent when the result has nowhere to go
+      if (!this._hasRoomFor(item, recipe.result.quantity)) {
+        return { success: false, reason: 'inventory_full' };
+      }
+    }
+
+    for (const { itemId, quantity } of recipe.materials) {
+      this.inventorySystem.removeItemById(itemId, quantity);
+    }
+    if (recipe.gold > 0) this.partyManager.spendGold(recipe.gold);
+
+    switch (recipe.type) {
+      case RecipeTypes.ITEM:
+        this.inventorySystem.addItem(item, recipe.result.quantity);
+        break;
+      case RecipeTypes.UPGRADE:
+        item = this._upgradeItem(this.inventorySystem.getSlot(targetSlot).item, recipe);
+        this.inventorySystem.notifyChange();
+        break;
+      case RecipeTypes.REROLL:
+        item = this._rerollAffixes(this.inventorySystem.getSlot(targetSlot).item);
+        this.inventorySystem.notifyChange();
+        break;
+    }
+
+    EventBus.emit(EventTypes.CRAFTING_ITEM_CRAFTED, { recipeId, type: recipe.type, item });
+    console.log(`Crafted ${recipe.name}: ${item.name}`);
+    return { success: true, item };
+  }
+
+  /**
+   * @returns {Object} Known recipe ids for SaveData.crafting
+   */
+  getSaveData() {
+    return { knownRecipes: [...this.knownRecipes] };
+  }
+
+  /**
+   * Restore from SaveData.crafting — call after loadRecipes so default
+   * recipes added to the campaign since the save stay known
+   * @param {Object|null} data - Saved crafting state
+   */
+  loadSaveData(data) {
+    for (const recipeId of data?.knownRecipes ?? []) {
+      if (this.recipes.has(recipeId)) this.knownRecipes.add(recipeId);
+    }
+  }
+
+  /** Forget learned recipes (new game); default recipes stay known */
+  reset() {
+    this.knownRecipes.clear();
+    for (const recipe of this.recipes.values()) {
+      if (recipe.known) this.knownRecipes.add(recipe.id);
+    }
+  }
+
+  // ─── Private ───────────────────────────────────────────────────────────────
+
+  /**
+   * Validate a recipe entry and fill defaults; unknown item ids drop the recipe
+   * @private
+   */
+  _normalizeRecipe(entry, source) {
+    const type = entry?.type ?? RecipeTypes.ITEM;
+    if (!entry?.id || !Object.values(RecipeTypes).includes(type)) {
+      console.warn(`${source}: skipping invalid recipe`, entry?.id);
+      return null;
+    }
+
+    const materials = (entry.materials ?? []).map(({ itemId, quantity = 1 }) => ({ itemId, quantity }));
+    const unknown = materials.map(m => m.itemId)
+      .concat(type === RecipeTypes.ITEM ? [entry.result?.itemId] : [])
+      .filter(itemId => !itemDatabase.getItem(itemId));
+    if (unknown.length > 0) {
+      console.warn(`${source}: recipe ${entry.id} references unknown items: ${unknown.join(', ')}`);
+      return null;
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name ?? entry.id,
+      description: entry.description ?? '',
+      type,
+      known: entry.known === true,
+      gold: entry.gold ?? 0,
+      materials,
+      result: type === RecipeTypes.ITEM ? { itemId: entry.result.itemId, quantity: entry.result.quantity ?? 1 } : null,
+      appliesTo: entry.appliesTo ?? ['weapon', 'shield', 'head', 'body', 'feet', 'accessory'],
+      maxUpgrade: entry.maxUpgrade ?? 3,
+      statBonus: entry.statBonus ?? 0.1
+    };
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Why the item cannot be the recipe's target, null if it can
+   */
+  _checkTarget(recipe, item) {
+    if (!recipe.appliesTo.includes(EquipmentSystem.getItemCategory(item))) return 'invalid_target';
+    if (recipe.type === RecipeTypes.UPGRADE && (item.upgradeLevel ?? 0) >= recipe.maxUpgrade) return 'max_upgrade';
+    if (recipe.type === RecipeTypes.REROLL && !(AFFIX_RARITY_RULES[item.rarity]?.count > 0)) return 'no_affix_slots';
+    return null;
+  }
+
+  /**
+   * Whether `quantity` of an item fits: top up existing stacks first, then
+   * one empty slot per full stack (or per item when it doesn't stack)
+   * @private
+   */
+  _hasRoomFor(item, quantity) {
+    if (!item.stackable) return this.inventorySystem.hasSpace(quantity);
+    const maxStack = item.maxStack || 99;
+    let remaining = quantity;
+    for (const slot of this.inventorySystem.slots) {
+      if (slot?.item.id === item.id) remaining -= Math.max(0, maxStack - slot.quantity);
+    }
+    return remaining <= 0 || this.inventorySystem.hasSpace(Math.ceil(remaining / maxStack));
+  }
+
+  /** @private */
+  _upgradeItem(item, recipe) {
+    item.baseName ??= item.name;
+    // Kept so a reroll can rebuild the stats from the unupgraded item
+    item.unupgradedStats ??= { ...item.stats };
+    item.upgradeBonuses = [...(item.upgradeBonuses ?? []), recipe.statBonus];
+    item.stats = this._scaleStats(item.stats, recipe.statBonus);
+    item.upgradeLevel = (item.upgradeLevel ?? 0) + 1;
+    item.value = Math.floor((item.value ?? 0) * (1 + recipe.statBonus));
+    this._refreshName(item);
+    return item;
+  }
+
+  /** @private */
+  _rerollAffixes(item) {
+    item.baseName ??= item.name;
+    // Upgrades scaled the affix stats too, so swap affixes on the unupgraded
+    // stats and then replay the upgrades on top of the new ones
+    if (item.unupgradedStats) item.stats = item.unupgradedStats;
+    removeAffixes(item);
+    item.name = item.baseName;
+    applyAffixes(item, rollAffixes(item, item.level ?? 1, item.rarity, lootRng));
+    if (item.unupgradedStats) {
+      item.unupgradedStats = { ...item.stats };
+      for (const bonus of item.upgradeBonuses ?? []) item.stats = this._scaleStats(item.stats, bonus);
+    }
+    this._refreshName(item);
+    return item;
+  }
+
+  /**
+   * One forge upgrade: every positive stat grows by `statBonus`, at least +1
+   * @private
+   */
+  _scaleStats(stats, statBonus) {
+    const scaled = { ...stats };
+    for (const [stat, value] of Object.entries(scaled)) {
+      if (value > 0) scaled[stat] = value + Math.max(1, Math.round(value * statBonus));
+    }
+    return scaled;
+  }
+
+  /**
+   * "Flaming Iron Sword of the Bear +2"
+   * @private
+   */
+  _refreshName(item) {
+    const upgrade = item.upgradeLevel ? ` +${item.upgradeLevel}` : '';
+    item.name = buildAffixedName(item.baseName, item.affixes) + upgrade;
+  }
+}
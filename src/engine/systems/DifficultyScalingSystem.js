@@ -60,22 +60,26 @@ export class DifficultyScalingSystem {
       easy: {
         enemyStatMultiplier: 0.8,
         lootMultiplier: 1.2,
-        experienceMultiplier: 1.1
+        experienceMultiplier: 1.1,
+        enemyIntents: true // Telegraph each enemy's committed action in combat
       },
       normal: {
         enemyStatMultiplier: 1.0,
         lootMultiplier: 1.0,
-        experienceMultiplier: 1.0
+        experienceMultiplier: 1.0,
+        enemyIntents: true
       },
       hard: {
         enemyStatMultiplier: 1.3,
         lootMultiplier: 0.9,
-        experienceMultiplier: 1.2
+        experienceMultiplier: 1.2,
+        enemyIntents: true
       },
       nightmare: {
         enemyStatMultiplier: 1.6,
         lootMultiplier: 0.8,
-        experienceMultiplier: 1.5
+        experienceMultiplier: 1.5,
+        enemyIntents: false
       }
     };
     
@@ -133,6 +133,39 @@ export class DoorSystem {
     });
   }
 
+  /**
+   * Snap a door to a saved state without animating (used when a level is
+   * rebuilt by WorldStateSystem)
+   * @param {number} x - Door grid X coordinate
+   * @param {number} z - Door grid Z coordinate
+   * @param {{closed?: boolean, locked?: boolean}} state - State to apply
+   * @returns {boolean} True if a door exists at the position
+   */
+  setDoorState(x, z, { closed, locked } = {}) {
+    const door = this.getDoor(x, z);
+    if (!door) return false;
+
+    if (closed !== undefined) door.closed = closed;
+    if (locked !== undefined) door.locked = locked;
+
+    this.gridSystem.setTile(x, z, {
+      ...this.gridSystem.getTile(x, z),
+      walkable: !door.closed,
+      closed: door.closed,
+      locked: door.locked
+    });
+
+    if (door.mesh && door.originalPosition) {
+      const offset = door.closed ? 0 : this.slideDistance;
+      door.mesh.position.set(
+        door.originalPosition.x + (door.orientation === 'vertical' ? 0 : offset),
+        door.originalPosition.y,
+        door.originalPosition.z + (door.orientation === 'vertical' ? offset : 0)
+      );
+    }
+    return true;
+  }
+
   // Start door animation with perpendicular sliding motion (requirement 4.2)
   startDoorAnimation(door, action) {
     const key = `${door.x},${door.z}`;
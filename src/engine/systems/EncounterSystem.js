@@ -1,10 +1,15 @@
 /**
  * EncounterSystem - Manages random encounters and exploration integration
- * Handles encounter triggers, cooldowns, and scripted encounters
+ * Handles encounter triggers, cooldowns, scripted encounters and roaming groups
  */
 
 import { Enemy } from '../combat/Enemy.js';
+import { EnemyAI } from '../combat/EnemyAI.js';
 import { enemyDatabase } from '../data/EnemyDatabase.js';
+import { ViewFieldSystem } from './ViewFieldSystem.js';
+import { rng, RNGStreams } from '../utils/RNG.js';
+
+const encounterRng = rng.stream(RNGStreams.ENCOUNTER);
 
 export class EncounterSystem {
   constructor(combatSystem, partyManager, gridSystem = null) {
@@ -22,231 +27,278 @@ export class EncounterSystem {
     this.isInCombat = false;
     this.scriptedEncounters = new Map(); // Position-based scripted encounters
 
-    // Pre-placed visible markers — populated by placeEncountersForLevel()
-    this._placedMarkers = new Map(); // key "x,z" → { x, z, enemies[] }
+    // Roaming groups — populated by placeEncountersForLevel(), moved every player step
+    this._placedMarkers = new Map(); // group id → { id, gridX, gridZ, facing, aiState, encounter, ... }
+    this.explorationAI = new EnemyAI('TACTICAL');
 
-    // Encounter tables by dungeon level/area
+    // Encounter tables by level id — loaded from campaigns/<id>/encounters.json
+    // and inline level `encounterTable` blocks (see loadEncounterTables)
     this.encounterTables = new Map();
-    this.initializeDefaultEncounterTables();
+
+    // Per-level visit/step counters for time-of-visit modifiers
+    this.levelVisits = new Map(); // levelId → { visits, steps }
     
     console.log('EncounterSystem initialized');
   }
 
   /**
-   * Initialize encounter tables using the enemy database
-   */
-  initializeDefaultEncounterTables() {
-    // Crypt of Shadows Floor 1 encounters (levels 1-3)
-    this.encounterTables.set('crypt-of-shadows-floor-1', {
-      minLevel: 1,
-      maxLevel: 3,
-      encounters: [
-        { 
-          id: 'goblin_scout', 
-          weight: 40, 
-          enemies: [{ type: 'goblin', level: 1 }] 
-        },
-        { 
-          id: 'rat_infestation', 
-          weight: 30, 
-          enemies: [
-            { type: 'giant_rat', level: 1 },
-            { type: 'giant_rat', level: 1 }
-          ] 
-        },
-        { 
-          id: 'skeleton_guard', 
-          weight: 20, 
-          enemies: [{ type: 'skeleton', level: 2 }] 
-        },
-        { 
-          id: 'goblin_duo', 
-          weight: 10, 
-          enemies: [
-            { type: 'goblin', level: 1 },
-            { type: 'goblin', level: 2 }
-          ] 
-        }
-      ]
-    });
+   * Load a campaign's encounter tables (campaigns/<id>/encounters.json).
+   * Missing files are fine — those levels use generateDynamicEncounter.
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Promise<number>} Number of tables registered
+   */
+  async loadEncounterTables(campaignId) {
+    // A campaign switch must not leave the previous campaign's tables behind
+    this.encounterTables.clear();
+    try {
+      const response = await fetch(`campaigns/${campaignId}/encounters.json`, { cache: 'no-cache' });
+      if (!response.ok) {
+        console.log(`No encounter tables for campaign ${campaignId}, using dynamic encounters`);
+        return 0;
+      }
+      return this.registerCampaignTables(await response.json(), campaignId);
+    } catch (error) {
+      console.warn(`Failed to load encounter tables for ${campaignId}:`, error.message);
+      return 0;
+    }
+  }
 
-    // Crypt of Shadows Floor 2 encounters (levels 3-5)
-    this.encounterTables.set('crypt-of-shadows-floor-2', {
-      minLevel: 3,
-      maxLevel: 5,
-      encounters: [
-        { 
-          id: 'orc_invader', 
-          weight: 35, 
-          enemies: [{ type: 'orc', level: 3 }] 
-        },
-        { 
-          id: 'undead_patrol', 
-          weight: 25, 
-          enemies: [
-            { type: 'skeleton', level: 3 },
-            { type: 'skeleton', level: 2 }
-          ] 
-        },
-        { 
-          id: 'shaman_ritual', 
-          weight: 20, 
-          enemies: [
-            { type: 'goblin_shaman', level: 4 },
-            { type: 'goblin', level: 2 }
-          ] 
-        },
-        { 
-          id: 'dire_wolf_hunt', 
-          weight: 20, 
-          enemies: [{ type: 'dire_wolf', level: 4 }] 
-        }
-      ]
-    });
+  /**
+   * Register every table in a campaign encounters file
+   * @param {Object} data - Parsed encounters.json ({ tables: { levelId: table } })
+   * @param {string} [source] - Label for warnings
+   * @returns {number} Number of tables registered
+   */
+  registerCampaignTables(data, source = 'campaign') {
+    let count = 0;
+    for (const [levelId, table] of Object.entries(data?.tables ?? {})) {
+      if (this.registerEncounterTable(levelId, table, `${source}/encounters.json`)) count++;
+    }
+    console.log(`Encounter tables loaded from ${source}: ${count}`);
+    return count;
+  }
 
-    // Crypt of Shadows Floor 3 encounters (levels 5-7)
-    this.encounterTables.set('crypt-of-shadows-floor-3', {
-      minLevel: 5,
-      maxLevel: 7,
-      encounters: [
-        { 
-          id: 'orc_warband', 
-          weight: 30, 
-          enemies: [
-            { type: 'orc', level: 5 },
-            { type: 'orc', level: 4 }
-          ] 
-        },
-        { 
-          id: 'fallen_knight', 
-          weight: 25, 
-          enemies: [{ type: 'undead_knight', level: 6 }] 
-        },
-        { 
-          id: 'shadow_stalker', 
-          weight: 25, 
-          enemies: [{ type: 'shadow_beast', level: 5 }] 
-        },
-        { 
-          id: 'mixed_forces', 
-          weight: 20, 
-          enemies: [
-            { type: 'orc_shaman', level: 6 },
-            { type: 'skeleton', level: 4 },
-            { type: 'goblin', level: 3 }
-          ] 
-        }
-      ]
-    });
+  /**
+   * Register a level's inline `encounterTable`, which overrides the campaign table
+   * @param {Object} levelData - Level JSON
+   * @returns {boolean} True if the level had a usable table
+   */
+  registerLevelTable(levelData) {
+    if (!levelData?.id || !levelData.encounterTable) return false;
+    return this.registerEncounterTable(levelData.id, levelData.encounterTable, `level ${levelData.id}`);
+  }
 
-    // Crypt of Shadows Floor 4 encounters (levels 7-9)
-    this.encounterTables.set('crypt-of-shadows-floor-4', {
-      minLevel: 7,
-      maxLevel: 9,
-      encounters: [
-        { 
-          id: 'lich_servants', 
-          weight: 30, 
-          enemies: [
-            { type: 'lich_lieutenant', level: 8 },
-            { type: 'skeleton', level: 6 }
-          ] 
-        },
-        { 
-          id: 'golem_guardian', 
-          weight: 25, 
-          enemies: [{ type: 'ancient_golem', level: 9 }] 
-        },
-        { 
-          id: 'shadow_legion', 
-          weight: 25, 
-          enemies: [
-            { type: 'shadow_beast', level: 7 },
-            { type: 'shadow_beast', level: 6 }
-          ] 
-        },
-        { 
-          id: 'elite_forces', 
-          weight: 20, 
-          enemies: [
-            { type: 'undead_knight', level: 8 },
-            { type: 'orc_shaman', level: 7 }
-          ] 
-        }
-      ]
-    });
+  /**
+   * Validate and register one level's table. Entries with unknown enemy
+   * types are dropped with a warning rather than failing mid-combat.
+   * @param {string} levelId - Level identifier
+   * @param {Object} table - Encounter table
+   * @param {string} [source] - Label for warnings
+   * @returns {boolean} True if the table was registered
+   */
+  registerEncounterTable(levelId, table, source = levelId) {
+    const { errors } = EncounterSystem.validateEncounterTable(table);
+    errors.forEach(error => console.warn(`Encounter table ${levelId} (${source}): ${error}`));
+
+    const clean = EncounterSystem._withValidEntries(table);
+    if (!clean) return false;
+    this.encounterTables.set(levelId, clean);
+    return true;
+  }
 
-    // Crypt of Shadows Floor 5 encounters (levels 9-12)
-    this.encounterTables.set('crypt-of-shadows-floor-5', {
-      minLevel: 9,
-      maxLevel: 12,
-      encounters: [
-        { 
-          id: 'shadow_generals', 
-          weight: 35, 
-          enemies: [{ type: 'shadow_general', level: 10 }] 
-        },
-        { 
-          id: 'ancient_powers', 
-          weight: 25, 
-          enemies: [
-            { type: 'ancient_lich', level: 11 },
-            { type: 'lich_lieutenant', level: 9 }
-          ] 
-        },
-        { 
-          id: 'final_guardians', 
-          weight: 25, 
-          enemies: [
-            { type: 'ancient_golem', level: 10 },
-            { type: 'shadow_general', level: 9 }
-          ] 
-        },
-        { 
-          id: 'shadow_army', 
-          weight: 15, 
-          enemies: [
-            { type: 'shadow_beast', level: 9 },
-            { type: 'shadow_beast', level: 8 },
-            { type: 'undead_knight', level: 8 }
-          ] 
+  /**
+   * Check a table's shape and enemy types against the EnemyDatabase
+   * @param {Object} table - Encounter table (may contain zone tables)
+   * @returns {{isValid: boolean, errors: Array<string>}} Validation result
+   */
+  static validateEncounterTable(table) {
+    const errors = [];
+    const checkTable = (t, label) => {
+      if (!t || !Array.isArray(t.encounters)) {
+        errors.push(`${label} has no encounters array`);
+        return;
+      }
+      for (const entry of t.encounters) {
+        errors.push(...EncounterSystem._entryErrors(entry).map(e => `${label} entry ${entry.id ?? '?'}: ${e}`));
+      }
+      for (const modifier of t.timeOfVisit ?? []) {
+        if (modifier.minVisits === undefined && modifier.minSteps === undefined) {
+          errors.push(`${label} timeOfVisit modifier needs minVisits or minSteps`);
         }
-      ]
-    });
+        for (const id of Object.keys(modifier.weights ?? {})) {
+          if (!t.encounters.some(entry => entry.id === id)) {
+            errors.push(`${label} timeOfVisit weights unknown entry ${id}`);
+          }
+        }
+      }
+    };
 
-    // Test room — used by debug L-key and as campaign-load fallback
-    this.encounterTables.set('test-room-10x10', {
-      minLevel: 1,
-      maxLevel: 3,
-      encounters: [
-        { id: 'test_goblins', weight: 40, enemies: [{ type: 'goblin', level: 1 }, { type: 'goblin', level: 1 }] },
-        { id: 'test_rats',    weight: 30, enemies: [{ type: 'giant_rat', level: 1 }, { type: 'giant_rat', level: 1 }] },
-        { id: 'test_skel',    weight: 20, enemies: [{ type: 'skeleton', level: 2 }] },
-        { id: 'test_duo',     weight: 10, enemies: [{ type: 'goblin', level: 1 }, { type: 'skeleton', level: 1 }] }
-      ]
-    });
+    checkTable(table, 'table');
+    for (const [zoneId, zoneTable] of Object.entries(table?.zones ?? {})) {
+      checkTable(zoneTable, `zone ${zoneId}`);
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /** @private Problems with a single table entry */
+  static _entryErrors(entry) {
+    const errors = [];
+    if (!entry.id) errors.push('missing id');
+    if (!(entry.weight > 0)) errors.push('weight must be a positive number');
+    if (!Array.isArray(entry.enemies) || entry.enemies.length === 0) {
+      errors.push('no enemies');
+      return errors;
+    }
+    for (const enemy of entry.enemies) {
+      const type = enemy.id ?? enemy.type;
+      if (!enemyDatabase.getEnemy(type)) errors.push(`unknown enemy type ${type}`);
+    }
+    return errors;
+  }
+
+  /** @private Copy of a table (and its zone tables) without broken entries */
+  static _withValidEntries(table) {
+    if (!table || !Array.isArray(table.encounters)) return null;
+    const zones = {};
+    for (const [zoneId, zoneTable] of Object.entries(table.zones ?? {})) {
+      const cleanZone = EncounterSystem._withValidEntries(zoneTable);
+      if (cleanZone) zones[zoneId] = cleanZone;
+    }
+    return {
+      ...table,
+      encounters: table.encounters.filter(entry => EncounterSystem._entryErrors(entry).length === 0),
+      zones
+    };
+  }
+
+  /**
+   * Table that applies at a position — a zone table overrides the level table
+   * @param {string} levelId - Level identifier
+   * @param {Object} [position] - Grid position {x, z}
+   * @returns {Object|null} Encounter table or null
+   */
+  getEncounterTable(levelId, position = null) {
+    const table = this.encounterTables.get(levelId);
+    if (!table) return null;
+    if (position && this.gridSystem?.getZoneAt) {
+      const zone = this.gridSystem.getZoneAt(Math.round(position.x), Math.round(position.z));
+      const zoneTable = zone && table.zones?.[zone.id];
+      if (zoneTable) {
+        return { minLevel: table.minLevel, maxLevel: table.maxLevel, timeOfVisit: table.timeOfVisit, ...zoneTable };
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Visit/step counters for a level
+   * @param {string} levelId - Level identifier
+   * @returns {{visits: number, steps: number}} Counters (live object)
+   */
+  getLevelVisit(levelId) {
+    if (!this.levelVisits.has(levelId)) {
+      this.levelVisits.set(levelId, { visits: 0, steps: 0 });
+    }
+    return this.levelVisits.get(levelId);
+  }
+
+  /**
+   * timeOfVisit modifiers that are active for a level right now
+   * @param {Object} table - Encounter table
+   * @param {string} levelId - Level identifier
+   * @returns {Array<Object>} Active modifiers
+   */
+  getActiveVisitModifiers(table, levelId) {
+    const { visits, steps } = this.getLevelVisit(levelId);
+    return (table.timeOfVisit ?? []).filter(modifier =>
+      visits >= (modifier.minVisits ?? 0) && steps >= (modifier.minSteps ?? 0));
+  }
 
-    console.log('Encounter tables initialized');
+  /**
+   * Table entries usable right now, with weights adjusted by active modifiers.
+   * Filters on party level range (minPartyLevel/maxPartyLevel) and `conditions`.
+   * @param {Object} table - Encounter table
+   * @param {Object} currentLevel - Current level data ({ id })
+   * @returns {Array<Object>} Entries with an effective `weight`
+   */
+  getEligibleEntries(table, currentLevel) {
+    const partyLevel = this.partyManager?.getAverageLevel?.() ?? 1;
+    const modifiers = this.getActiveVisitModifiers(table, currentLevel.id);
+
+    return table.encounters
+      .filter(entry => partyLevel >= (entry.minPartyLevel ?? 0) && partyLevel <= (entry.maxPartyLevel ?? Infinity))
+      .filter(entry => (entry.conditions ?? []).every(condition => this.evaluateCondition(condition, currentLevel)))
+      .map(entry => ({
+        ...entry,
+        weight: modifiers.reduce((weight, modifier) => weight * (modifier.weights?.[entry.id] ?? 1), entry.weight)
+      }))
+      .filter(entry => entry.weight > 0);
+  }
+
+  /**
+   * Apply active levelBonus modifiers, capped at the table's maxLevel
+   * @param {Object} entry - Table entry
+   * @param {Object} table - Encounter table
+   * @param {string} levelId - Level identifier
+   * @returns {Array<Object>} Enemy configs
+   */
+  applyVisitLevelBonus(entry, table, levelId) {
+    const bonus = this.getActiveVisitModifiers(table, levelId)
+      .reduce((sum, modifier) => sum + (modifier.levelBonus ?? 0), 0);
+    if (bonus === 0) return entry.enemies;
+    const cap = table.maxLevel ?? Infinity;
+    return entry.enemies.map(enemy => ({
+      ...enemy,
+      level: Math.max(enemy.level ?? 1, Math.min(cap, (enemy.level ?? 1) + bonus))
+    }));
+  }
+
+  /**
+   * Encounter chance on a level after chanceMultiplier modifiers
+   * @param {string} levelId - Level identifier
+   * @param {Object} [position] - Grid position {x, z}
+   * @returns {number} Chance (0.0 to 1.0)
+   */
+  getEncounterChance(levelId, position = null) {
+    const table = this.getEncounterTable(levelId, position);
+    if (!table) return this.encounterChance;
+    const multiplier = this.getActiveVisitModifiers(table, levelId)
+      .reduce((product, modifier) => product * (modifier.chanceMultiplier ?? 1), 1);
+    return Math.min(1, this.encounterChance * multiplier);
   }
 
   /**
    * Check for encounter when player moves to a new position
    * @param {Object} newPosition - New player position {x, z}
    * @param {Object} currentLevel - Current dungeon level data
+   * @param {number} [facing] - Party facing (Direction), decides surprise rounds
    * @returns {Promise<Object|null>} Encounter data or null
    */
-  async checkForEncounter(newPosition, currentLevel) {
+  async checkForEncounter(newPosition, currentLevel, facing = 0) {
     // Don't trigger encounters if already in combat
     if (this.isInCombat) {
       return null;
     }
 
+    if (currentLevel?.id) this.getLevelVisit(currentLevel.id).steps++;
+
     // Check for scripted encounters first
     const scriptedEncounter = this.checkScriptedEncounter(newPosition, currentLevel);
     if (scriptedEncounter) {
       return await this.triggerEncounter(scriptedEncounter, newPosition);
     }
 
+    // Roaming groups: the party's step can make contact, then the groups move
+    let group = this.findRoamingContact(newPosition);
+    if (group) {
+      return await this.triggerRoamingEncounter(group, newPosition, facing, 'party', currentLevel);
+    }
+    this.updateRoamingGroups(newPosition);
+    group = this.findRoamingContact(newPosition);
+    if (group) {
+      return await this.triggerRoamingEncounter(group, newPosition, facing, 'enemies', currentLevel);
+    }
+
     // Check encounter cooldown
     if (this.movesSinceEncounter < this.encounterCooldown) {
       this.movesSinceEncounter++;
@@ -254,8 +306,8 @@ export class EncounterSystem {
     }
 
     // Check for random encounter
-    if (Math.random() < this.encounterChance) {
-      const randomEncounter = this.generateRandomEncounter(currentLevel);
+    if (encounterRng.next() < this.getEncounterChance(currentLevel?.id, newPosition)) {
+      const randomEncounter = this.generateRandomEncounter(currentLevel, newPosition);
       if (randomEncounter) {
         return await this.triggerEncounter(randomEncounter, newPosition);
       }
@@ -295,12 +347,13 @@ export class EncounterSystem {
   /**
    * Generate random encounter based on current level
    * @param {Object} currentLevel - Current dungeon level data
+   * @param {Object} [position] - Grid position {x, z}, selects zone tables
    * @returns {Object|null} Random encounter data or null
    */
-  generateRandomEncounter(currentLevel) {
+  generateRandomEncounter(currentLevel, position = null) {
     // Determine encounter table based on level
     const floorName = currentLevel.id || 'crypt-of-shadows-floor-1';
-    let encounterTable = this.encounterTables.get(floorName);
+    const encounterTable = this.getEncounterTable(floorName, position);
     
     // Fallback to dynamic generation if no specific table found
     if (!encounterTable) {
@@ -308,34 +361,16 @@ export class EncounterSystem {
       return this.generateDynamicEncounter(currentLevel);
     }
 
-    if (!encounterTable.encounters.length) {
-      console.warn('Empty encounter table for level:', floorName);
+    const encounter = this._pickFromTable(encounterTable, currentLevel);
+    if (!encounter) {
+      console.warn('No eligible encounter table entries for level:', floorName);
       return this.generateDynamicEncounter(currentLevel);
     }
 
-    // Calculate total weight
-    const totalWeight = encounterTable.encounters.reduce((sum, enc) => sum + enc.weight, 0);
-    
-    // Select random encounter based on weight
-    let randomValue = Math.random() * totalWeight;
-    
-    for (const encounter of encounterTable.encounters) {
-      randomValue -= encounter.weight;
-      if (randomValue <= 0) {
-        return {
-          type: 'random',
-          id: encounter.id,
-          enemies: encounter.enemies,
-          environment: this.getEnvironmentData(currentLevel)
-        };
-      }
-    }
-
-    // Fallback to first encounter
     return {
       type: 'random',
-      id: encounterTable.encounters[0].id,
-      enemies: encounterTable.encounters[0].enemies,
+      id: encounter.id,
+      enemies: this.applyVisitLevelBonus(encounter, encounterTable, floorName),
       environment: this.getEnvironmentData(currentLevel)
     };
   }
@@ -353,9 +388,9 @@ export class EncounterSystem {
     const floorNumber = this.extractFloorNumber(currentLevel.id);
     
     if (floorNumber >= 4) {
-      encounterType = Math.random() < 0.3 ? 'hard' : 'normal';
+      encounterType = encounterRng.next() < 0.3 ? 'hard' : 'normal';
     } else if (floorNumber <= 2) {
-      encounterType = Math.random() < 0.3 ? 'easy' : 'normal';
+      encounterType = encounterRng.next() < 0.3 ? 'easy' : 'normal';
     }
     
     // Generate encounter group using enemy database
@@ -476,7 +511,7 @@ export class EncounterSystem {
       const levelDifference = partyLevel - enemy.level;
       
       if (Math.abs(levelDifference) > 2) {
-        const targetLevel = Math.max(1, partyLevel + (Math.random() * 4 - 2)); // ±2 levels
+        const targetLevel = Math.max(1, partyLevel + (encounterRng.next() * 4 - 2)); // ±2 levels
         enemy.scaleToLevel(Math.floor(targetLevel));
       }
     }
@@ -499,6 +534,19 @@ export class EncounterSystem {
     console.log(`Added scripted encounter "${encounterData.id}" at (${x}, ${z})`);
   }
 
+  /**
+   * Replace scripted encounters with the level's `scriptedEncounters`
+   * @param {Object} levelData - Level JSON
+   * @param {Array<string>} [defeatedIds] - Encounter ids already beaten (WorldStateSystem)
+   */
+  registerScriptedEncounters(levelData, defeatedIds = []) {
+    this.scriptedEncounters.clear();
+    for (const encounter of levelData?.scriptedEncounters ?? []) {
+      if (defeatedIds.includes(encounter.id)) continue;
+      this.addScriptedEncounter(encounter.x, encounter.z, encounter);
+    }
+  }
+
   /**
    * Remove scripted encounter at position
    * @param {number} x - Grid X position
@@ -515,6 +563,36 @@ export class EncounterSystem {
     return removed;
   }
 
+  /**
+   * Look up an encounter by id for scripted starts (Ink `# start_combat:<id>`):
+   * the given level's table first, then every table and scripted encounter,
+   * then a lone enemy of that type at party level
+   * @param {string} encounterId - Encounter entry id or enemy type
+   * @param {string} [levelId] - Level whose table is searched first
+   * @returns {Object|null} Encounter data for triggerEncounter, or null if unknown
+   */
+  findEncounter(encounterId, levelId = null) {
+    const inTable = (table) => [table, ...Object.values(table?.zones ?? {})]
+      .flatMap(t => t?.encounters ?? [])
+      .find(entry => entry.id === encounterId);
+
+    for (const table of [this.encounterTables.get(levelId), ...this.encounterTables.values()]) {
+      const entry = inTable(table);
+      if (entry) return { ...entry };
+    }
+    for (const encounter of this.scriptedEncounters.values()) {
+      if (encounter.id === encounterId) return { ...encounter };
+    }
+    if (enemyDatabase.getEnemy(encounterId)) {
+      return {
+        id: encounterId,
+        type: 'scripted',
+        enemies: [{ type: encounterId, level: this.partyManager.getAverageLevel() }]
+      };
+    }
+    return null;
+  }
+
   /**
    * Evaluate encounter conditions (for scripted encounters)
    * @param {Object} encounter - Encounter data
@@ -656,23 +734,26 @@ export class EncounterSystem {
   }
 
   /**
-   * Reset encounter system
+   * Reset encounter system, including the loaded encounter tables (campaign switch)
    */
   reset() {
+    this.encounterTables.clear();
     this.lastEncounterPosition = null;
     this.movesSinceEncounter = 0;
     this.isInCombat = false;
     this.scriptedEncounters.clear();
     this._placedMarkers.clear();
+    this.levelVisits.clear();
 
     console.log('EncounterSystem reset');
   }
 
-  // ── Pre-placed visible enemy markers ────────────────────────────────────────
+  // ── Roaming enemy groups ────────────────────────────────────────────────────
 
   /**
    * Scatter encounter groups across floor tiles at level load.
-   * Registers each as a one-time scripted encounter and tracks positions for 3D rendering.
+   * Each group roams the grid via EnemyAI.updateExploration and starts combat
+   * on contact; positions are tracked for 3D rendering.
    * @param {Object} gridSystem   - GridSystem with getTile(x,z) + width/height
    * @param {string} levelId      - Level identifier for table lookup
    * @param {number} spawnX       - Player spawn X (excluded from placement)
@@ -680,11 +761,7 @@ export class EncounterSystem {
    */
   placeEncountersForLevel(gridSystem, levelId, spawnX = 0, spawnZ = 0) {
     this._placedMarkers.clear();
-    // Clear any previous scripted encounters from prior placement
-    for (const [k, enc] of this.scriptedEncounters) {
-      if (enc._prePlaced) this.scriptedEncounters.delete(k);
-    }
-
+    this.getLevelVisit(levelId).visits++;
     const table = this.encounterTables.get(levelId);
     if (!table) return;
 
@@ -695,7 +772,7 @@ export class EncounterSystem {
         const tile = gridSystem.getTile(x, z);
         if (!tile || tile.type !== 'floor') continue;
         const dist = Math.abs(x - spawnX) + Math.abs(z - spawnZ);
-        if (dist < 3) continue; // keep spawn area clear
+        if (dist < 5) continue; // keep spawn area clear (groups start out of sight)
         candidates.push({ x, z });
       }
     }
@@ -704,43 +781,139 @@ export class EncounterSystem {
 
     // Shuffle
     for (let i = candidates.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(encounterRng.next() * (i + 1));
       [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
     }
 
-    // Place 6–10 markers (≈8% of floor tiles, capped)
+    // Place 6–10 groups (≈8% of floor tiles, capped)
     const count = Math.max(3, Math.min(10, Math.floor(candidates.length * 0.08)));
     for (let i = 0; i < count && i < candidates.length; i++) {
       const { x, z } = candidates[i];
-      const enc = this._pickFromTable(table);
+      const markerTable = this.getEncounterTable(levelId, { x, z });
+      const enc = this._pickFromTable(markerTable, { id: levelId });
       if (!enc) continue;
 
-      const key = `${x},${z}`;
-      this.scriptedEncounters.set(key, { ...enc, oneTime: true, _prePlaced: true });
-      this._placedMarkers.set(key, { x, z, enemies: enc.enemies });
+      const enemies = this.applyVisitLevelBonus(enc, markerTable, levelId);
+      const group = this._createRoamingGroup(`${levelId}:${i}`, x, z, { ...enc, enemies });
+      this._placedMarkers.set(group.id, group);
     }
 
-    console.log(`[EncounterSystem] Placed ${this._placedMarkers.size} enemy markers in ${levelId}`);
+    console.log(`[EncounterSystem] Placed ${this._placedMarkers.size} roaming groups in ${levelId}`);
   }
 
-  /** Pick a weighted-random encounter from a table. */
-  _pickFromTable(table) {
-    const total = table.encounters.reduce((s, e) => s + e.weight, 0);
-    let r = Math.random() * total;
-    for (const enc of table.encounters) {
+  /**
+   * Exploration stats for a group come from its leader; any immobile member
+   * (golems, turrets) pins the whole group in place
+   * @private
+   */
+  _createRoamingGroup(id, x, z, encounter) {
+    const members = encounter.enemies.map(e => enemyDatabase.getEnemy(e.id ?? e.type) ?? {});
+    const leader = members[0];
+    return {
+      id,
+      gridX: x, gridZ: z,
+      baseX: x, baseZ: z,
+      facing: encounterRng.int(0, 3),
+      aiState: 'idle',
+      detectionRange: leader.detectionRange ?? 3,
+      sightRange: leader.sightRange ?? 5,
+      smartAI: leader.smartAI ?? false,
+      canMove: members.every(m => m.canMove ?? true),
+      encounter
+    };
+  }
+
+  /**
+   * Move every roaming group one step (patrol, pursue or return home)
+   * @param {{x:number, z:number}} playerPos - Party grid position
+   */
+  updateRoamingGroups(playerPos) {
+    if (!this.gridSystem) return;
+    const groups = [...this._placedMarkers.values()];
+    for (const group of groups) {
+      const isBlocked = (x, z) => groups.some(g => g !== group && g.gridX === x && g.gridZ === z);
+      this.explorationAI.updateExploration(group, playerPos, this.gridSystem, isBlocked);
+    }
+  }
+
+  /**
+   * Group on or next to the party's tile, if any
+   * @param {{x:number, z:number}} playerPos - Party grid position
+   * @returns {Object|null} Roaming group
+   */
+  findRoamingContact(playerPos) {
+    const x = Math.round(playerPos.x);
+    const z = Math.round(playerPos.z);
+    for (const group of this._placedMarkers.values()) {
+      if (Math.abs(group.gridX - x) + Math.abs(group.gridZ - z) <= 1) return group;
+    }
+    return null;
+  }
+
+  /**
+   * Who gets a surprise round when a group makes contact.
+   * The party surprises an unaware group it walks into from behind; a group
+   * that reaches the party from behind surprises the party.
+   * @param {Object} group - Roaming group
+   * @param {{x:number, z:number}} playerPos - Party grid position
+   * @param {number} facing - Party facing (Direction)
+   * @param {'party'|'enemies'} mover - Whose step made contact
+   * @returns {'party'|'enemies'|null} Side that acts first, alone
+   */
+  getSurprise(group, playerPos, facing, mover) {
+    if (mover === 'party') {
+      const unaware = group.aiState !== 'pursuing';
+      return unaware && ViewFieldSystem.isBehind(group.gridX, group.gridZ, group.facing, playerPos.x, playerPos.z)
+        ? 'party' : null;
+    }
+    return ViewFieldSystem.isBehind(playerPos.x, playerPos.z, facing, group.gridX, group.gridZ) ? 'enemies' : null;
+  }
+
+  /**
+   * Remove a group from the map and start its fight
+   * @returns {Promise<Object|null>} Encounter result
+   */
+  async triggerRoamingEncounter(group, playerPos, facing, mover, currentLevel) {
+    const surprise = this.getSurprise(group, playerPos, facing, mover);
+    this._placedMarkers.delete(group.id);
+    return await this.triggerEncounter({
+      ...group.encounter,
+      type: 'roaming',
+      groupId: group.id,
+      surprise,
+      environment: this.getEnvironmentData(currentLevel ?? {})
+    }, playerPos);
+  }
+
+  /**
+   * Pick a weighted-random encounter from a table.
+   * With a level, only eligible entries count and visit modifiers adjust weights.
+   */
+  _pickFromTable(table, currentLevel = null) {
+    const entries = currentLevel ? this.getEligibleEntries(table, currentLevel) : table.encounters;
+    const total = entries.reduce((s, e) => s + e.weight, 0);
+    let r = encounterRng.next() * total;
+    for (const enc of entries) {
       r -= enc.weight;
       if (r <= 0) return enc;
     }
-    return table.encounters[0] ?? null;
+    return entries[0] ?? null;
   }
 
-  /** All currently active placed markers (for 3D sprite creation). */
+  /** All roaming groups still on the map (for 3D sprites). */
   getPlacedMarkers() {
-    return [...this._placedMarkers.values()];
+    return [...this._placedMarkers.values()].map(group => ({
+      id: group.id,
+      x: group.gridX,
+      z: group.gridZ,
+      facing: group.facing,
+      aiState: group.aiState,
+      enemies: group.encounter.enemies
+    }));
   }
 
-  /** Remove a placed marker when the encounter at that tile triggers. */
-  removePlacedMarker(x, z) {
-    this._placedMarkers.delete(`${Math.round(x)},${Math.round(z)}`);
+  /** Remove a roaming group by id. */
+  removePlacedMarker(id) {
+    this._placedMarkers.delete(id);
   }
 }
\ No newline at end of file
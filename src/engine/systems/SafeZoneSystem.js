@@ -1,8 +1,10 @@
 /**
- * SafeZoneSystem - Manages safe zones for healing, saving, and shopping
- * Handles altars, camps, towns, and rest mechanics
+ * SafeZoneSystem - Manages safe zones for healing, saving, shopping and crafting
+ * Handles altars, camps, towns, forges, and rest mechanics
  */
 
+import { EventBus, EventTypes } from '../core/EventBus.js';
+
 export class SafeZoneSystem {
   constructor(saveSystem, shopSystem, partyManager) {
     this.saveSystem = saveSystem;
@@ -15,7 +17,8 @@ export class SafeZoneSystem {
       ALTAR: 'altar',
       CAMP: 'camp', 
       TOWN: 'town',
-      SHRINE: 'shrine'
+      SHRINE: 'shrine',
+      FORGE: 'forge'
     };
     
     // Rest mechanics
@@ -66,7 +69,7 @@ export class SafeZoneSystem {
       town: {
         name: 'Underground Town',
         type: this.safeZoneTypes.TOWN,
-        services: ['heal', 'save', 'shop', 'inn'],
+        services: ['heal', 'save', 'shop', 'inn', 'forge'],
         healingAmount: 1.0, // Full healing
         apRestoration: 1.0, // Full AP restoration
         shopInventory: 'full',
@@ -83,6 +86,17 @@ export class SafeZoneSystem {
         shopInventory: null,
         description: 'A small shrine with limited healing power.',
         restMessage: 'The shrine provides some relief from your injuries.'
+      },
+
+      forge: {
+        name: 'Blacksmith\'s Forge',
+        type: this.safeZoneTypes.FORGE,
+        services: ['save', 'forge'],
+        healingAmount: 0,
+        apRestoration: 0,
+        shopInventory: null,
+        description: 'A banked forge and anvil, still warm. Materials can be worked here.',
+        restMessage: 'The heat of the forge keeps the darkness at bay.'
       }
     };
     
@@ -166,7 +180,7 @@ export class SafeZoneSystem {
 
   /**
    * Use rest services at current safe zone
-   * @param {string} serviceType - Type of service ('heal', 'save', 'shop')
+   * @param {string} serviceType - Type of service ('heal', 'save', 'shop', 'forge')
    * @returns {Promise<Object>} Service result
    */
   async useService(serviceType) {
@@ -201,6 +215,9 @@ export class SafeZoneSystem {
       case 'inn':
         return await this.useInn(safeZone);
       
+      case 'forge':
+        return this.openForge(safeZone);
+      
       default:
         return {
           success: false,
@@ -356,6 +373,21 @@ export class SafeZoneSystem {
     }
   }
 
+  /**
+   * Open the crafting screen at safe zone (CraftingSystem / CraftingUI)
+   * @param {Object} safeZone - Safe zone configuration
+   * @returns {Object} Forge result
+   */
+  openForge(safeZone) {
+    EventBus.emit(EventTypes.CRAFTING_OPEN, {
+      safeZoneId: safeZone.id,
+      stationName: safeZone.name
+    });
+    this.emitSafeZoneEvent('forgeOpened', { safeZone: safeZone });
+    
+    return { success: true };
+  }
+
   /**
    * Use inn services (full rest with cost)
    * @param {Object} safeZone - Safe zone configuration
@@ -514,6 +546,9 @@ export class SafeZoneSystem {
       case 'basic_shop':
         return 0; // Shop access is free, items have individual costs
       
+      case 'forge':
+        return 0; // Recipes carry their own gold cost
+      
       default:
         return 0;
     }
@@ -3,6 +3,8 @@
  * Handles level transitions, fade overlays, and coordination between systems
  */
 
+import { DungeonGenerator, dungeonGenerator } from '../loaders/DungeonGenerator.js';
+
 /**
  * TransitionSystem manages level transitions with smooth fade effects
  * Coordinates input blocking, level loading, and visual feedback
@@ -176,12 +178,17 @@ export class TransitionSystem {
     console.log(`Loading target level: ${targetLevel}`);
     
     try {
-      // Construct level file path
-      const levelPath = `./levels/${targetLevel}.json`;
-      
-      // Load the new level
-      console.log(`Attempting to load level from: ${levelPath}`);
-      await this.dungeonLoader.loadLevelFromFile(levelPath);
+      if (DungeonGenerator.isGeneratedLevel(targetLevel)) {
+        // Deep Crypt floors are generated from the run seed instead of fetched
+        await this.dungeonLoader.loadLevel(dungeonGenerator.generateForLevelId(targetLevel));
+      } else {
+        // Construct level file path
+        const levelPath = `./levels/${targetLevel}.json`;
+
+        // Load the new level
+        console.log(`Attempting to load level from: ${levelPath}`);
+        await this.dungeonLoader.loadLevelFromFile(levelPath);
+      }
       
       // Verify level was loaded
       if (!this.dungeonLoader.isLevelLoaded()) {
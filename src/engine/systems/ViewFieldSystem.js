@@ -14,7 +14,11 @@
  *  Positions off the view cone are not included.
  *
  * The grid is recalculated every time the player moves/turns.
+ * The static helpers apply the same cone to any observer (roaming monsters).
  */
+
+import { Dir } from '../core/Direction.js';
+
 export class ViewFieldSystem {
   // Relative (dx, dz) offsets for each ViewField slot, indexed 0–15.
   // Orientation: player faces North (z decreases).
@@ -91,8 +95,47 @@ export class ViewFieldSystem {
     return this._visible.some(v => v.x === x && v.z === z);
   }
 
+  /**
+   * Whether (x, z) is inside the cone seen by an observer at (ox, oz) facing dir.
+   * Same shape as SLOTS (1 tile wide, then 3, then 5) continued `range` rows deep.
+   */
+  static inCone(ox, oz, dir, x, z, range = 4) {
+    const { forward, lateral } = ViewFieldSystem._local(ox, oz, dir, x, z);
+    return forward >= 1 && forward <= range && lateral <= Math.min(2, forward - 1);
+  }
+
+  /** Whether (x, z) lies behind an observer at (ox, oz) facing dir. */
+  static isBehind(ox, oz, dir, x, z) {
+    return ViewFieldSystem._local(ox, oz, dir, x, z).forward < 0;
+  }
+
+  /**
+   * True if no solid tile (wall, closed door) lies strictly between the two
+   * tiles — Bresenham walk over the grid's walkable flags.
+   */
+  static hasLineOfSight(grid, x0, z0, x1, z1) {
+    const dx = Math.abs(x1 - x0), dz = Math.abs(z1 - z0);
+    const sx = Math.sign(x1 - x0), sz = Math.sign(z1 - z0);
+    let err = dx - dz;
+    let x = x0, z = z0;
+    while (x !== x1 || z !== z1) {
+      const e2 = 2 * err;
+      if (e2 > -dz) { err -= dz; x += sx; }
+      if (e2 < dx)  { err += dx; z += sz; }
+      if ((x !== x1 || z !== z1) && !grid?.getTile(x, z)?.walkable) return false;
+    }
+    return true;
+  }
+
   // ── Private ───────────────────────────────────────────────────────────────
 
+  /** Offset of (x, z) in the observer's frame: rows ahead and tiles to either side. */
+  static _local(ox, oz, dir, x, z) {
+    const f = Dir.forward(dir);
+    const dx = x - ox, dz = z - oz;
+    return { forward: dx * f.x + dz * f.z, lateral: Math.abs(dx * f.z - dz * f.x) };
+  }
+
   _rotate(dx, dz, dir) {
     switch (dir) {
       case 0: return { dx,       dz       }; // North: identity
@@ -0,0 +1,161 @@
+/**
+ * WorldStateSystem - Per-level record of what the party changed in the dungeon
+ * DungeonLoader.clearLevel throws the grid away on every floor change, so
+ * doors, taken pickups, ground items, wall switches and defeated scripted
+ * encounters are captured by level id before the clear and reapplied after
+ * the level is rebuilt. Serialized into SaveData.world.levels.
+ */
+
+export class WorldStateSystem {
+  /**
+   * @param {import('../core/GridSystem.js').GridSystem} gridSystem
+   * @param {import('./DoorSystem.js').DoorSystem} doorSystem
+   */
+  constructor(gridSystem, doorSystem) {
+    this.gridSystem = gridSystem;
+    this.doorSystem = doorSystem;
+    this.levels = new Map(); // levelId → level state (see _emptyState)
+    this.currentLevelId = null;
+  }
+
+  /** @private */
+  _emptyState() {
+    return {
+      doors: [],              // [{ x, z, closed, locked }]
+      pickups: [],            // ["x,z"] — chest / key item already taken
+      groundItems: [],        // [{ x, z, items: [item|null × 4] }]
+      switches: [],           // [{ x, z, active, used }]
+      defeatedEncounters: []  // scripted encounter ids
+    };
+  }
+
+  /**
+   * State for a level, created on first use
+   * @param {string} levelId - Level identifier
+   * @returns {Object} Level state (live object)
+   */
+  getLevelState(levelId) {
+    if (!this.levels.has(levelId)) {
+      this.levels.set(levelId, this._emptyState());
+    }
+    return this.levels.get(levelId);
+  }
+
+  /**
+   * Snapshot the live grid for a level — call before the grid is cleared.
+   * Doors and switches are stored in full; pickups and ground items only
+   * where the party changed something.
+   * @param {string} levelId - Level identifier
+   */
+  captureLevel(levelId) {
+    if (!levelId || !this.gridSystem) return;
+    const state = this.getLevelState(levelId);
+
+    state.doors = (this.doorSystem?.getAllDoors() ?? []).map(door => {
+      // Wall switch scripts flip the grid tile directly, so the tile wins
+      const tile = this.gridSystem.getTile(door.x, door.z);
+      return { x: door.x, z: door.z, closed: tile?.closed ?? door.closed, locked: door.locked };
+    });
+
+    state.pickups = [];
+    state.groundItems = [];
+    state.switches = [];
+    for (let x = 0; x < this.gridSystem.width; x++) {
+      for (let z = 0; z < this.gridSystem.height; z++) {
+        const tile = this.gridSystem.getTile(x, z);
+        if (!tile) continue;
+        if (tile.pickup?.taken) state.pickups.push(`${x},${z}`);
+        if (tile.groundItems?.some(Boolean)) {
+          state.groundItems.push({ x, z, items: tile.groundItems.map(item => item && { ...item }) });
+        }
+        if (tile.wallSwitch && (tile.wallSwitch.used || tile.wallSwitch.active)) {
+          state.switches.push({ x, z, active: !!tile.wallSwitch.active, used: !!tile.wallSwitch.used });
+        }
+      }
+    }
+  }
+
+  /**
+   * Snapshot the level last passed to applyLevel. Nothing is captured after
+   * reset/loadSaveData until a level is applied, so a stale grid from before
+   * a save load never leaks into the restored state.
+   */
+  captureCurrentLevel() {
+    this.captureLevel(this.currentLevelId);
+  }
+
+  /**
+   * Reapply a level's recorded changes to the freshly built grid
+   * @param {string} levelId - Level identifier
+   */
+  applyLevel(levelId) {
+    this.currentLevelId = levelId;
+    if (!levelId || !this.levels.has(levelId) || !this.gridSystem) return;
+    const state = this.levels.get(levelId);
+
+    for (const door of state.doors) {
+      this.doorSystem?.setDoorState(door.x, door.z, door);
+    }
+    for (const key of state.pickups) {
+      const [x, z] = key.split(',').map(Number);
+      const tile = this.gridSystem.getTile(x, z);
+      if (tile?.pickup) tile.pickup.taken = true;
+    }
+    for (const { x, z, items } of state.groundItems) {
+      const tile = this.gridSystem.getTile(x, z);
+      if (tile) tile.groundItems = items.map(item => item && { ...item });
+    }
+    for (const { x, z, active, used } of state.switches) {
+      const tile = this.gridSystem.getTile(x, z);
+      if (tile?.wallSwitch) Object.assign(tile.wallSwitch, { active, used });
+    }
+    console.log(`World state reapplied for ${levelId}`);
+  }
+
+  /**
+   * Mark a scripted encounter as beaten so it is not re-registered
+   * @param {string} levelId - Level identifier
+   * @param {string} encounterId - Scripted encounter id
+   */
+  recordEncounterDefeated(levelId, encounterId) {
+    if (!levelId || !encounterId) return;
+    const defeated = this.getLevelState(levelId).defeatedEncounters;
+    if (!defeated.includes(encounterId)) defeated.push(encounterId);
+  }
+
+  /**
+   * @param {string} levelId - Level identifier
+   * @returns {Array<string>} Defeated scripted encounter ids
+   */
+  getDefeatedEncounters(levelId) {
+    return this.levels.get(levelId)?.defeatedEncounters ?? [];
+  }
+
+  /**
+   * Serializable state — captures the current level first so a save
+   * reflects the dungeon exactly as the party left it
+   * @returns {Object} levelId → level state
+   */
+  getSaveData() {
+    this.captureCurrentLevel();
+    return JSON.parse(JSON.stringify(Object.fromEntries(this.levels)));
+  }
+
+  /**
+   * Restore from SaveData.world.levels — call before the saved level loads
+   * @param {Object} data - levelId → level state
+   */
+  loadSaveData(data) {
+    this.levels.clear();
+    for (const [levelId, state] of Object.entries(data ?? {})) {
+      this.levels.set(levelId, { ...this._emptyState(), ...state });
+    }
+    this.currentLevelId = null;
+  }
+
+  /** Forget everything (new game) */
+  reset() {
+    this.levels.clear();
+    this.currentLevelId = null;
+  }
+}
@@ -3,6 +3,9 @@
  * Shows stats, equipment, skills, and level progression
  */
 
+import { EQUIPMENT_SLOTS } from '../equipment/EquipmentSystem.js';
+import { itemDatabase } from '../inventory/ItemDatabase.js';
+
 export class CharacterSheetUI {
   constructor(characterSystem, inventorySystem = null) {
     this.characterSystem = characterSystem;
@@ -80,9 +83,9 @@ export class CharacterSheetUI {
 
         <!-- Header: party tabs + close -->
         <div class="cs-header">
-          <div class="cs-party-tabs" id="cs-party-tabs"></div>
+          <div class="cs-party-tabs" id="cs-party-tabs" role="tablist" aria-label="Party members"></div>
           <span id="character-name" class="cs-char-title">CHARACTER</span>
-          <button class="cs-close" id="close-character-sheet">✕</button>
+          <button class="cs-close" id="close-character-sheet" aria-label="Close character sheet">✕</button>
         </div>
 
         <!-- Three-column body -->
@@ -162,15 +165,16 @@ export class CharacterSheetUI {
           <div class="cs-center">
             <div class="cs-sect-lbl" style="text-align:center;margin-bottom:8px">EQUIPMENT</div>
             <div class="cs-paperdoll">
-              <!-- Top: head slot -->
-              <div class="cs-doll-slot cs-doll-head" data-slot="weapon">
-                <div class="cs-doll-label">WEAPON</div>
-                <div class="cs-doll-icon">⚔</div>
-                <div class="cs-slot-content" id="weapon-slot"><span class="cs-empty-slot">—</span></div>
-              </div>
+              <!-- Slots are placed around the silhouette by .cs-doll-<slotId> -->
+              ${EQUIPMENT_SLOTS.map(slot => `
+              <div class="cs-doll-slot cs-doll-${slot.id}" data-slot="${slot.id}">
+                <div class="cs-doll-label">${slot.label.toUpperCase()}</div>
+                <div class="cs-doll-icon">${slot.icon}</div>
+                <div class="cs-slot-content" id="${slot.id}-slot"><span class="cs-empty-slot">—</span></div>
+              </div>`).join('')}
 
               <!-- Silhouette -->
-              <div class="cs-doll-body">
+              <div class="cs-doll-figure">
                 <svg viewBox="0 0 60 120" class="cs-silhouette" xmlns="http://www.w3.org/2000/svg">
                   <!-- head -->
                   <circle cx="30" cy="12" r="9" fill="none" stroke="currentColor" stroke-width="2"/>
@@ -185,21 +189,8 @@ export class CharacterSheetUI {
                   <rect x="32" y="62" width="10" height="36" rx="3" fill="none" stroke="currentColor" stroke-width="2"/>
                 </svg>
               </div>
-
-              <!-- Armor slot -->
-              <div class="cs-doll-slot cs-doll-armor" data-slot="armor">
-                <div class="cs-doll-label">ARMOR</div>
-                <div class="cs-doll-icon">🛡</div>
-                <div class="cs-slot-content" id="armor-slot"><span class="cs-empty-slot">—</span></div>
-              </div>
-
-              <!-- Accessory slot below -->
-              <div class="cs-doll-slot cs-doll-acc" data-slot="accessory">
-                <div class="cs-doll-label">ACCESSORY</div>
-                <div class="cs-doll-icon">💍</div>
-                <div class="cs-slot-content" id="accessory-slot"><span class="cs-empty-slot">—</span></div>
-              </div>
             </div>
+            <div class="cs-set-progress" id="set-progress"></div>
           </div><!-- /cs-center -->
 
           <!-- RIGHT: skills -->
@@ -235,6 +226,8 @@ export class CharacterSheetUI {
       const btn = document.createElement('button');
       btn.className = 'cs-party-tab' + (member.id === this.currentCharacter?.id ? ' cs-tab-active' : '');
       btn.textContent = member.name.toUpperCase();
+      btn.setAttribute('role', 'tab');
+      btn.setAttribute('aria-selected', String(member.id === this.currentCharacter?.id));
       btn.addEventListener('click', () => {
         this.currentCharacter = member;
         this.updateDisplay();
@@ -465,7 +458,7 @@ export class CharacterSheetUI {
     const equipment = char.equipment;
     
     // Update each equipment slot
-    ['weapon', 'armor', 'accessory'].forEach(slot => {
+    EQUIPMENT_SLOTS.forEach(({ id: slot, label }) => {
       const slotContainer = this.container.querySelector(`#${slot}-slot`);
       const slotElement = this.container.querySelector(`[data-slot="${slot}"]`);
       const item = equipment[slot];
@@ -533,11 +526,23 @@ export class CharacterSheetUI {
         } else if (item.rarity === 'rare') {
           slotElement.classList.add('rare-glow');
         }
+      } else if (slot === 'offHand' && this.characterSystem.equipmentSystem.isOffHandLocked(char)) {
+        // Two-handed main hand weapon occupies the off hand
+        slotContainer.innerHTML = `
+          <div class="empty-slot locked-slot">
+            <div class="empty-message">
+              <p>${equipment.mainHand.name}</p>
+              <div class="slot-hint">Two-handed</div>
+            </div>
+          </div>
+        `;
+        
+        slotElement.classList.remove('has-item', 'common', 'uncommon', 'rare', 'epic');
       } else {
         slotContainer.innerHTML = `
           <div class="empty-slot">
             <div class="empty-message">
-              <p>No ${slot} equipped</p>
+              <p>No ${label.toLowerCase()} item equipped</p>
               <div class="slot-hint">Click to equip from inventory</div>
             </div>
             <button class="equip-btn" data-slot="${slot}" title="Select item from inventory">Equip Item</button>
@@ -576,6 +581,28 @@ export class CharacterSheetUI {
         this.hideEquipmentTooltip();
       });
     });
+
+    this.updateSetProgress();
+  }
+
+  /**
+   * Show progress and bonus tiers for every item set the character is wearing
+   */
+  updateSetProgress() {
+    const container = this.container.querySelector('#set-progress');
+    const progress = itemDatabase.getSetProgress(this.currentCharacter.equipment);
+
+    container.innerHTML = progress.length === 0 ? '' : `
+      <div class="cs-sect-lbl">ITEM SETS</div>
+      ${progress.map(({ set, count, total, tiers }) => `
+        <div class="cs-set">
+          <div class="cs-set-name">${set.name} (${count}/${total})</div>
+          ${tiers.map(tier => `
+            <div class="cs-set-tier ${tier.active ? 'active' : ''}">(${tier.pieces}) ${this._describeSetTier(tier)}</div>
+          `).join('')}
+        </div>
+      `).join('')}
+    `;
   }
 
   /**
@@ -627,6 +654,7 @@ export class CharacterSheetUI {
       meteor: '☄',
       heal: '💚',
       bless: '✨',
+      dispel_magic: '🌀',
       mass_heal: '💖',
       resurrect: '👼',
       divine_shield: '🛡'
@@ -700,21 +728,12 @@ export class CharacterSheetUI {
       this.equipmentUI.show(this.currentCharacter, slot);
     } else if (this.inventorySystem && this.currentCharacter) {
       // Fallback: show comparison modal with available items
-      const slotTypeMapping = {
-        'weapon': 'weapon',
-        'armor': 'armor', 
-        'accessory': 'accessory'
-      };
+      const compatibleItems = this._getCompatibleItems(slot);
       
-      const itemType = slotTypeMapping[slot];
-      if (itemType) {
-        const compatibleItems = this.inventorySystem.getItemsByType(itemType);
-        
-        if (compatibleItems.length > 0) {
-          this._showEquipmentComparisonModal(null, slot, compatibleItems);
-        } else {
-          alert(`No ${itemType} items available in inventory.`);
-        }
+      if (compatibleItems.length > 0) {
+        this._showEquipmentComparisonModal(null, slot, compatibleItems);
+      } else {
+        alert(`No ${this._getSlotLabel(slot).toLowerCase()} items available in inventory.`);
       }
     } else {
       // Final fallback - emit event for other systems to handle
@@ -744,8 +763,7 @@ export class CharacterSheetUI {
     }
     
     // Get compatible items from inventory for comparison
-    const compatibleItems = this.inventorySystem.getItemsByType(slot === 'weapon' ? 'weapon' : 
-                                                               slot === 'armor' ? 'armor' : 'accessory');
+    const compatibleItems = this._getCompatibleItems(slot);
     
     if (compatibleItems.length === 0) {
       console.log('No compatible items in inventory to compare');
@@ -822,7 +840,7 @@ export class CharacterSheetUI {
     modal.innerHTML = `
       <div class="comparison-content">
         <div class="modal-header">
-          <h3>Equipment Comparison - ${slot.charAt(0).toUpperCase() + slot.slice(1)}</h3>
+          <h3>Equipment Comparison - ${this._getSlotLabel(slot)}</h3>
           <button class="close-comparison">×</button>
         </div>
         
@@ -833,7 +851,7 @@ export class CharacterSheetUI {
               ${currentItem ? 
                 this._renderItemComparisonCard(currentItem, null, true) :
                 `<div class="empty-equipment-slot">
-                  <p>No ${slot} currently equipped</p>
+                  <p>No ${this._getSlotLabel(slot).toLowerCase()} item currently equipped</p>
                   <div class="empty-stats">All stats: +0</div>
                 </div>`
               }
@@ -997,7 +1015,7 @@ export class CharacterSheetUI {
     const item = inventorySlot.item;
     
     // Check if character can equip the item
-    const canEquip = this.characterSystem.canEquipItem(this.currentCharacter.id, item);
+    const canEquip = this.characterSystem.canEquipItem(this.currentCharacter.id, item, equipSlot);
     if (!canEquip.success) {
       alert(`Cannot equip item: ${canEquip.reason}`);
       return;
@@ -1010,9 +1028,9 @@ export class CharacterSheetUI {
       // Remove item from inventory
       this.inventorySystem.removeItem(slotIndex, 1);
       
-      // If there was a previous item, add it back to inventory
-      if (result.previousItem) {
-        this.inventorySystem.addItem(result.previousItem, 1);
+      // Previous item and anything a two-handed weapon displaced go back to inventory
+      for (const returned of [result.previousItem, ...(result.displacedItems ?? [])]) {
+        if (returned) this.inventorySystem.addItem(returned, 1);
       }
       
       console.log(`Equipped ${item.name} to ${this.currentCharacter.name}`);
@@ -1134,6 +1152,12 @@ export class CharacterSheetUI {
         </div>
       ` : ''}
       
+      ${item.setId && itemDatabase.getItemSet(item.setId) ? `
+        <div class="tooltip-set">
+          <h6>Set: ${itemDatabase.getItemSet(item.setId).name}</h6>
+        </div>
+      ` : ''}
+      
       ${item.description ? `
         <div class="tooltip-description">
           <p>${item.description}</p>
@@ -1184,7 +1208,7 @@ export class CharacterSheetUI {
     if (!this.inventorySystem || !this.characterSystem) return;
     
     // Find better items in inventory
-    const compatibleItems = this.inventorySystem.getItemsByType(item.type);
+    const compatibleItems = this._getCompatibleItems(slot);
     let hasBetterItem = false;
     let upgradeCount = 0;
     let bestUpgradeItem = null;
@@ -1254,16 +1278,7 @@ export class CharacterSheetUI {
   _showAvailableItemsHint(slotElement, slot) {
     if (!this.inventorySystem) return;
     
-    const slotTypeMapping = {
-      'weapon': 'weapon',
-      'armor': 'armor',
-      'accessory': 'accessory'
-    };
-    
-    const itemType = slotTypeMapping[slot];
-    if (!itemType) return;
-    
-    const compatibleItems = this.inventorySystem.getItemsByType(itemType);
+    const compatibleItems = this._getCompatibleItems(slot);
     
     if (compatibleItems.length > 0) {
       const hint = document.createElement('div');
@@ -1286,18 +1301,51 @@ export class CharacterSheetUI {
   }
 
   /**
-   * Get equipment slot for an item type
+   * Get equipment slot for an item
    * @param {Object} item - Item to get slot for
-   * @returns {string|null} Equipment slot name
+   * @returns {string|null} Equipment slot id
    */
   _getItemSlot(item) {
-    const typeToSlot = {
-      'weapon': 'weapon',
-      'armor': 'armor',
-      'accessory': 'accessory'
-    };
-    
-    return typeToSlot[item.type] || null;
+    return this.characterSystem.equipmentSystem.getDefaultSlot(this.currentCharacter, item);
+  }
+
+  /**
+   * Inventory items that fit an equipment slot
+   * @param {string} slot - Equipment slot id
+   * @returns {Array<{item: Object, quantity: number, slotIndex: number}>}
+   */
+  _getCompatibleItems(slot) {
+    if (!this.inventorySystem) return [];
+    const equipmentSystem = this.characterSystem.equipmentSystem;
+    const items = [];
+    this.inventorySystem.slots.forEach((slotData, slotIndex) => {
+      if (slotData && equipmentSystem.getSlotsForItem(slotData.item).includes(slot)) {
+        items.push({ ...slotData, slotIndex });
+      }
+    });
+    return items;
+  }
+
+  /**
+   * One-line summary of a set bonus tier
+   * @param {Object} tier - Set bonus tier
+   * @returns {string}
+   */
+  _describeSetTier(tier) {
+    const parts = [
+      ...Object.entries(tier.stats ?? {}).map(([stat, value]) => `${stat} +${value}`),
+      ...Object.entries(tier.resistances ?? {}).map(([element, value]) => `${element} resist ${Math.round(value * 100)}%`),
+      ...(tier.skills ?? []).map(id => `Skill: ${this.currentCharacter.getSkillData?.(id)?.name ?? id}`)
+    ];
+    return parts.join(', ');
+  }
+
+  /**
+   * @param {string} slot - Equipment slot id
+   * @returns {string} Display label
+   */
+  _getSlotLabel(slot) {
+    return this.characterSystem.equipmentSystem.getSlotDefinition(slot)?.label ?? slot;
   }
 
   /**
@@ -1503,11 +1551,11 @@ export class CharacterSheetUI {
       /* ── Paper-doll ── */
       .cs-paperdoll {
         display: grid; grid-template-columns: 1fr auto 1fr;
-        grid-template-rows: 1fr auto 1fr;
+        grid-template-rows: repeat(4, auto);
         gap: 8px; width: 100%; max-width: 380px;
         align-items: center;
       }
-      .cs-doll-body {
+      .cs-doll-figure {
         grid-column: 2; grid-row: 1 / 4;
         display: flex; align-items: center; justify-content: center;
       }
@@ -1521,15 +1569,26 @@ export class CharacterSheetUI {
         min-width: 100px;
       }
       .cs-doll-slot:hover { border-color: #8B6914; }
-      .cs-doll-head { grid-column: 1; grid-row: 1; }
-      .cs-doll-armor { grid-column: 3; grid-row: 1; }
-      .cs-doll-acc { grid-column: 1 / 4; grid-row: 3; justify-self: center; min-width: 180px; }
+      .cs-doll-head     { grid-column: 1; grid-row: 1; }
+      .cs-doll-body     { grid-column: 3; grid-row: 1; }
+      .cs-doll-mainHand { grid-column: 1; grid-row: 2; }
+      .cs-doll-offHand  { grid-column: 3; grid-row: 2; }
+      .cs-doll-ring1    { grid-column: 1; grid-row: 3; }
+      .cs-doll-ring2    { grid-column: 3; grid-row: 3; }
+      .cs-doll-feet     { grid-column: 1 / 4; grid-row: 4; justify-self: center; min-width: 180px; }
+      .cs-doll-slot .locked-slot { opacity: 0.5; }
       .cs-doll-label { font-size: 6px; color: #5a4510; letter-spacing: 1px; margin-bottom: 4px; }
       .cs-doll-icon { font-size: 18px; margin-bottom: 4px; }
       .cs-slot-content { font-size: 7px; color: #C8A84B; min-height: 14px; }
       .cs-empty-slot { color: #2a1f05; }
       /* Existing equipment-slot class compat */
       .equipment-slot { } /* neutralize old styles */
+      /* Item sets */
+      .cs-set-progress { width: 100%; max-width: 380px; margin-top: 10px; }
+      .cs-set { margin-bottom: 6px; }
+      .cs-set-name { font-size: 7px; color: #FFD700; margin-bottom: 2px; }
+      .cs-set-tier { font-size: 6px; color: #5a4510; line-height: 1.6; }
+      .cs-set-tier.active { color: #4a8B4a; }
       /* ── Skills ── */
       .cs-skills-list, .cs-skill-tree { display: flex; flex-direction: column; gap: 6px; }
       /* skill-item from old code */
@@ -1584,7 +1643,8 @@ export class CharacterSheetUI {
         .cs-body { grid-template-columns: 1fr; }
         .cs-left, .cs-right { border: none; border-bottom: 1px solid #2a1f05; }
         .cs-paperdoll { grid-template-columns: 1fr; }
-        .cs-doll-body { grid-column:1; }
+        .cs-doll-figure { grid-column:1; grid-row:auto; }
+        .cs-paperdoll > .cs-doll-slot { grid-column:1; grid-row:auto; }
       }
     `;
     document.head.appendChild(style);
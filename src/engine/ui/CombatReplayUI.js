@@ -0,0 +1,277 @@
+/**
+ * CombatReplayUI — steps through a CombatRecorder record after the fight.
+ * Opened from the combat results screen ("View Replay"). Shows every
+ * participant's HP at the selected event, the event's rolls and outcome, and a
+ * clickable event list. ←/→ step, Home/End jump, Esc closes. Reuses the
+ * HUDPanels frame styles (hudp-*).
+ */
+
+import { combatRecorder } from '../combat/CombatRecorder.js';
+
+const ROLL_LABEL = {
+  to_hit: 'To-hit',
+  crit: 'Crit',
+  save: 'Save',
+  evasion: 'Evasion',
+  flee: 'Flee'
+};
+
+export class CombatReplayUI {
+  constructor() {
+    this._el = null;
+    this._visible = false;
+    this._record = null;
+    this._step = 0;
+    this._names = new Map(); // participant id → name
+    this._build();
+  }
+
+  /**
+   * @param {Object} record - Combat record from CombatRecorder
+   */
+  show(record) {
+    if (!record) return;
+    this._record = record;
+    this._names = new Map(record.participants.map(p => [p.id, p.name]));
+    this._step = 0;
+    this._visible = true;
+    this._el.querySelector('#replay-subtitle').textContent =
+      `${(record.result ?? 'unfinished').toUpperCase()} · ${record.rounds} ROUNDS · ${record.events.length} EVENTS`;
+    this._renderList();
+    this._render();
+    this._el.classList.remove('hidden');
+  }
+
+  hide() {
+    this._visible = false;
+    this._el.classList.add('hidden');
+  }
+
+  isVisible() {
+    return this._visible;
+  }
+
+  /**
+   * Download a combat record as JSON (for balance bug reports)
+   * @param {Object} [record] - Defaults to the record being viewed
+   */
+  exportRecord(record = this._record) {
+    const result = combatRecorder.exportRecord(record);
+    if (!result.success) {
+      console.warn('Combat log export failed:', result.error);
+      return;
+    }
+
+    const blob = new Blob([result.content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // ── Construction ─────────────────────────────────────────────────────────────
+
+  _build() {
+    this._injectStyles();
+
+    this._el = document.createElement('div');
+    this._el.id = 'combat-replay-panel';
+    this._el.className = 'hudp-panel hidden';
+    this._el.innerHTML = `
+      <div class="hudp-header">
+        <span class="hudp-icon">⟲</span>
+        <span class="hudp-title">COMBAT REPLAY</span>
+        <span class="hudp-subtitle" id="replay-subtitle"></span>
+        <button class="hudp-close" id="replay-close">[X]</button>
+      </div>
+      <div class="hudp-content replay-body">
+        <div class="replay-hp" id="replay-hp"></div>
+        <div class="replay-detail" id="replay-detail"></div>
+        <div class="replay-controls">
+          <button class="replay-btn" data-step="first">|◀</button>
+          <button class="replay-btn" data-step="prev">◀</button>
+          <span class="replay-pos" id="replay-pos"></span>
+          <button class="replay-btn" data-step="next">▶</button>
+          <button class="replay-btn" data-step="last">▶|</button>
+          <button class="replay-btn" id="replay-export">EXPORT JSON</button>
+        </div>
+        <div class="replay-list" id="replay-list"></div>
+      </div>
+    `;
+    document.body.appendChild(this._el);
+
+    this._el.querySelector('#replay-close').addEventListener('click', () => this.hide());
+    this._el.querySelector('#replay-export').addEventListener('click', () => this.exportRecord());
+    this._el.querySelector('.replay-controls').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-step]');
+      if (btn) this._go(btn.dataset.step);
+    });
+    this._el.querySelector('#replay-list').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-seq]');
+      if (row) this._goTo(Number(row.dataset.seq));
+    });
+    // Capture phase so the results screen underneath never sees these keys
+    window.addEventListener('keydown', (e) => {
+      if (!this._visible) return;
+      e.stopPropagation();
+      const step = { ArrowLeft: 'prev', ArrowRight: 'next', Home: 'first', End: 'last' }[e.code];
+      if (step) {
+        this._go(step);
+        e.preventDefault();
+      } else if (e.code === 'Escape') {
+        this.hide();
+      }
+    }, true);
+  }
+
+  _go(step) {
+    const last = this._record.events.length - 1;
+    const target = { first: 0, prev: this._step - 1, next: this._step + 1, last }[step];
+    this._goTo(target);
+  }
+
+  _goTo(seq) {
+    this._step = Math.max(0, Math.min(this._record.events.length - 1, seq));
+    this._render();
+  }
+
+  // ── Rendering ───────────────────────────────────────────────────────────────
+
+  _render() {
+    const event = this._record.events[this._step];
+
+    this._el.querySelector('#replay-pos').textContent =
+      `${this._step + 1}/${this._record.events.length} · R${event.round}`;
+
+    this._el.querySelector('#replay-hp').innerHTML = this._record.participants.map(p => {
+      const hp = event.hp[p.id];
+      if (hp === undefined) return '';
+      const pct = Math.max(0, Math.round((hp / p.maxHP) * 100));
+      const active = p.id === event.actor ? ' replay-active' : '';
+      return `
+        <div class="replay-unit replay-${p.side}${active}${hp <= 0 ? ' replay-dead' : ''}">
+          <span class="replay-name">${this._escape(p.name)}</span>
+          <span class="replay-bar"><span style="width:${pct}%"></span></span>
+          <span class="replay-num">${hp}/${p.maxHP}</span>
+        </div>`;
+    }).join('');
+
+    this._el.querySelector('#replay-detail').innerHTML =
+      this._describe(event).map(line => `<div>${this._escape(line)}</div>`).join('');
+
+    const list = this._el.querySelector('#replay-list');
+    list.querySelector('.replay-current')?.classList.remove('replay-current');
+    const row = list.querySelector(`[data-seq="${this._step}"]`);
+    row?.classList.add('replay-current');
+    row?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  _renderList() {
+    this._el.querySelector('#replay-list').innerHTML = this._record.events.map(event => `
+      <div class="replay-row" data-seq="${event.seq}">${this._escape(this._describe(event)[0])}</div>
+    `).join('');
+  }
+
+  /**
+   * Human-readable lines for one recorded event — the first line is the summary
+   * @param {Object} event - Record event
+   * @returns {Array<string>}
+   */
+  _describe(event) {
+    const name = (id) => this._names.get(id) ?? id ?? '?';
+
+    switch (event.type) {
+      case 'initiative':
+        return [
+          'Initiative rolled',
+          ...event.order.map(o => `${name(o.id)} — SPD ${o.speed}, initiative ${o.initiative}`)
+        ];
+      case 'round':
+        return [`— Round ${event.round} —`];
+      case 'turn':
+        return [`${name(event.actor)}'s turn`];
+      case 'action': {
+        const targets = event.targets.map(name).join(', ');
+        return [
+          `${name(event.actor)}: ${event.action.name}${targets ? ` → ${targets}` : ''}${event.success ? '' : ' (failed)'}`,
+          ...event.rolls.map(roll => this._describeRoll(roll, name)),
+          ...event.damage.map(d => `${name(d.target)} takes ${d.amount}${d.critical ? ' (critical)' : ''}${d.died ? ' — defeated' : ''}`),
+          ...event.healing.map(h => `${name(h.target)} heals ${h.amount}`),
+          ...event.statuses.map(s => `${name(s.target)} gains ${s.type}${s.duration ? ` (${s.duration}t)` : ''}`),
+          ...event.phaseChanges.map(p => `${name(p.target)} enters phase ${p.phase + 1}`),
+          ...event.messages
+        ];
+      }
+      case 'status_tick':
+        return [
+          `${name(event.actor)}: status effects (${event.timing.replace('_', ' ')})`,
+          ...event.messages,
+          ...event.expired.map(type => `${type} wears off`)
+        ];
+      case 'turn_skipped':
+        return [event.message ?? `${name(event.actor)} loses the turn (${event.reason})`];
+      case 'phase_effect':
+        return [`${name(event.actor)}: phase effect ${event.effect.type}`, ...(event.message ? [event.message] : [])];
+      case 'charging':
+        return [`${name(event.actor)} charges ${event.skillId} (${event.turnsLeft} turns left)`];
+      case 'summon':
+        return [`${name(event.actor)} summons ${event.summoned.map(name).join(', ')}`];
+      case 'end':
+        return [
+          `Combat over: ${event.result}`,
+          ...(event.rewards ? [`${event.rewards.experience} XP, ${event.rewards.gold} gold`, ...event.rewards.loot] : [])
+        ];
+      default:
+        return [event.type];
+    }
+  }
+
+  _describeRoll(roll, name) {
+    const label = ROLL_LABEL[roll.kind] ?? roll.kind;
+    const outcome = roll.success ? 'success' : 'fail';
+    if (!roll.dice) {
+      // Percentile checks (evasion, flee)
+      return `${label} (${name(roll.actor)}): ${Math.round(roll.roll * 100)} vs ${Math.round(roll.dc * 100)}% — ${outcome}`;
+    }
+    const modifier = roll.modifier ? ` ${roll.modifier < 0 ? '-' : '+'} ${Math.abs(roll.modifier)} = ${roll.total}` : '';
+    const save = roll.save ? ` ${roll.save}` : '';
+    return `${label}${save} (${name(roll.actor)}) ${roll.dice}: ${roll.roll}${modifier} vs ${roll.dc} — ${outcome}`;
+  }
+
+  _escape(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  _injectStyles() {
+    if (document.getElementById('replay-styles')) return;
+    const s = document.createElement('style');
+    s.id = 'replay-styles';
+    s.textContent = `
+      /* ── CombatReplayUI ── */
+      #combat-replay-panel { z-index: 2100; width: min(96vw, 720px); }
+      .replay-body { display: flex; flex-direction: column; gap: 8px; }
+      .replay-hp { display: grid; grid-template-columns: 1fr 1fr; gap: 3px 12px; }
+      .replay-unit { display: flex; align-items: center; gap: 6px; font-size: 6px; color: var(--hud-text, #FF3377); }
+      .replay-unit.replay-enemy { color: #FF8844; }
+      .replay-unit.replay-active .replay-name { color: #FFFF66; }
+      .replay-unit.replay-dead { opacity: 0.35; }
+      .replay-name { width: 110px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+      .replay-bar { flex: 1; height: 5px; border: 1px solid var(--hud-dim, #550022); }
+      .replay-bar span { display: block; height: 100%; background: #00FF44; }
+      .replay-num { width: 54px; text-align: right; }
+      .replay-detail { min-height: 70px; border: 1px solid var(--hud-dim, #550022); padding: 6px 8px; font-size: 6px; line-height: 1.9; color: var(--hud-text, #FF3377); }
+      .replay-controls { display: flex; align-items: center; gap: 6px; }
+      .replay-pos { flex: 1; text-align: center; font-size: 6px; color: var(--hud-dim, #550022); }
+      .replay-btn { font-family: inherit; font-size: 6px; background: none; color: var(--hud-pink, #FF0055); border: 1px solid var(--hud-pink, #FF0055); padding: 3px 6px; cursor: pointer; }
+      .replay-list { max-height: 28vh; overflow-y: auto; border-top: 1px solid var(--hud-dim, #550022); }
+      .replay-row { font-size: 6px; line-height: 1.9; padding: 0 4px; color: var(--hud-dim, #550022); cursor: pointer; }
+      .replay-row:hover { color: var(--hud-text, #FF3377); }
+      .replay-row.replay-current { color: #FFFF66; background: rgba(255,0,85,0.12); }
+    `;
+    document.head.appendChild(s);
+  }
+}
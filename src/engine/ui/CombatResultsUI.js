@@ -91,6 +91,11 @@ export class CombatResultsUI {
       if (event.target.classList.contains('results-action-btn')) {
         const action = event.target.getAttribute('data-action');
         this.handleActionClick(action);
+      } else if (event.target.classList.contains('results-tool-btn')) {
+        // Replay/export keep the results screen open underneath
+        window.dispatchEvent(new CustomEvent('combatResultsRequest', {
+          detail: { type: event.target.getAttribute('data-request') }
+        }));
       }
     });
     
@@ -494,6 +499,32 @@ export class CombatResultsUI {
     }
     
     this.elements.resultsContent.appendChild(this.elements.actionsSection);
+    this.createToolsSection();
+  }
+
+  /**
+   * Create replay/export buttons for the fight's combat record
+   */
+  createToolsSection() {
+    const tools = document.createElement('div');
+    tools.className = 'results-tools';
+    tools.setAttribute('data-ui-component', 'results-tools');
+
+    const replayBtn = document.createElement('button');
+    replayBtn.className = 'results-tool-btn';
+    replayBtn.setAttribute('data-request', 'viewReplay');
+    replayBtn.setAttribute('data-ui-name', 'view-replay');
+    replayBtn.textContent = 'View Replay';
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'results-tool-btn';
+    exportBtn.setAttribute('data-request', 'exportCombatLog');
+    exportBtn.setAttribute('data-ui-name', 'export-combat-log');
+    exportBtn.textContent = 'Export Log (JSON)';
+
+    tools.appendChild(replayBtn);
+    tools.appendChild(exportBtn);
+    this.elements.resultsContent.appendChild(tools);
   }
 
   /**
@@ -3,7 +3,11 @@
  *
  * Spec §6: parabolic physics, scale pop, critical hierarchy.
  * Numbers spawn in #combat-text-layer (pointer-events: none, position: fixed).
+ * The layer is hidden from screen readers; each number is announced through
+ * the FocusManager live region instead.
  */
+import { focusManager } from './FocusManager.js';
+
 export class CombatTextManager {
   static GRAVITY      = 0.38;   // px/frame² downward acceleration
   static LIFETIME_MS  = 1100;   // fade-out completes here
@@ -25,6 +29,7 @@ export class CombatTextManager {
       layer.id = 'combat-text-layer';
       document.body.appendChild(layer);
     }
+    layer.setAttribute('aria-hidden', 'true');
     this._layer = layer;
     this._running = true;
     this._loop(performance.now());
@@ -36,10 +41,13 @@ export class CombatTextManager {
    * @param {{ x, y }} screenPos - Pixel coordinates on screen
    * @param {boolean} isCritical
    * @param {'damage'|'heal'|'miss'} type
+   * @param {string|null} [label] - Name of the combatant hit, for the announcement
    */
-  spawnText(value, screenPos, isCritical = false, type = 'damage') {
+  spawnText(value, screenPos, isCritical = false, type = 'damage', label = null) {
     if (!this._layer || !screenPos) return;
 
+    focusManager.announce(this._describe(value, isCritical, type, label));
+
     const el = document.createElement('div');
     el.className = 'combat-text' + (isCritical ? ' crit' : '') + ` ct-${type}`;
     el.textContent = type === 'miss' ? 'MISS' : (type === 'heal' ? `+${value}` : `${value}`);
@@ -128,6 +136,12 @@ export class CombatTextManager {
     this._rafId = requestAnimationFrame(t => this._loop(t));
   }
 
+  /** Spoken form of a combat number, e.g. "Goblin: 12 damage, critical" */
+  _describe(value, isCritical, type, label) {
+    const text = type === 'miss' ? 'miss' : (type === 'heal' ? `${value} healed` : `${value} damage`);
+    return `${label ? `${label}: ` : ''}${text}${isCritical ? ', critical' : ''}`;
+  }
+
   _applyInitialCritShake(el) {
     // Add pulsing glow class for crits — CSS handles it
     el.style.animation = 'critPulse 0.15s ease-out 3';
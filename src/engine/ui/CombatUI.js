@@ -4,6 +4,7 @@
  */
 import { CharacterPortrait } from './CharacterPortrait.js';
 import { CardPhysics } from './CardPhysics.js';
+import { attachGridNavigation } from './FocusManager.js';
 
 export class CombatUI {
   constructor() {
@@ -28,6 +29,9 @@ export class CombatUI {
     // Spring physics instances for action cards
     this._cardPhysics = [];
 
+    // Arrow-key navigation over the action cards
+    this._actionNav = null;
+
     this.isInitialized = false;
   }
 
@@ -194,6 +198,10 @@ export class CombatUI {
     this.elements.actionMenu.setAttribute('data-ui-name', 'available-actions');
     this.createDefaultActionButtons();
     actionsPanel.appendChild(this.elements.actionMenu);
+    this._actionNav = attachGridNavigation(this.elements.actionMenu, '.action-btn:not(:disabled)', {
+      role: 'toolbar',
+      label: 'Actions'
+    });
 
     const logPanel = document.createElement('div');
     logPanel.className = 'combat-log-panel';
@@ -207,6 +215,10 @@ export class CombatUI {
     this.elements.combatLog.className = 'combat-log-content';
     this.elements.combatLog.setAttribute('data-ui-component', 'log-content');
     this.elements.combatLog.setAttribute('data-ui-name', 'combat-messages');
+    // Screen readers speak each new log line
+    this.elements.combatLog.setAttribute('role', 'log');
+    this.elements.combatLog.setAttribute('aria-live', 'polite');
+    this.elements.combatLog.setAttribute('aria-label', 'Combat log');
     logPanel.appendChild(this.elements.combatLog);
 
     bottom.appendChild(actionsPanel);
@@ -427,6 +439,7 @@ export class CombatUI {
     slot.setAttribute('data-ui-component', 'combatant-card');
     slot.setAttribute('data-ui-name', `${type}-${combatant.id || index}`);
     slot.setAttribute('data-combatant-id', combatant.id || `${type}-${index}`);
+    slot.setAttribute('aria-label', this._slotLabel(combatant));
     if (combatant.currentHP <= 0) slot.classList.add('dead');
 
     // ── Name (above portrait) ──
@@ -485,9 +498,30 @@ export class CombatUI {
       `<span class="ap-text">${curAP}/${maxAP}AP</span>`;
     slot.appendChild(statText);
 
+    // ── Telegraphed intent (enemies only, when the difficulty shows them) ──
+    if (isEnemy) {
+      const intentEl = document.createElement('div');
+      intentEl.setAttribute('data-ui-component', 'enemy-intent');
+      this._renderIntent(intentEl, combatant.intent);
+      slot.appendChild(intentEl);
+    }
+
     return slot;
   }
 
+  /**
+   * Fill an enemy's intent line from its summary
+   * @param {HTMLElement} el - .combatant-intent element
+   * @param {Object|null} intent - { kind, label, status } from CombatSystem.getEnemySummary
+   */
+  _renderIntent(el, intent) {
+    el.className = 'combatant-intent';
+    el.textContent = intent?.label ?? '';
+    if (!intent) return;
+    el.classList.add(`intent-${intent.kind}`);
+    if (intent.status === 'changed') el.classList.add('intent-changed');
+  }
+
   /**
    * Update turn indicator with enhanced information
    * @param {Object} turnData - Turn information
@@ -537,6 +571,10 @@ export class CombatUI {
   updateActions(actions, character) {
     this.currentCharacter = character;
 
+    // Rebuilding drops focus — put it back on the bar if the player was using it
+    const active = document.activeElement;
+    const hadFocus = !active || active === document.body || !!this.elements.combatContainer?.contains(active);
+
     // Dispose existing card physics before rebuilding
     this._disposeCardPhysics();
     this.elements.actionMenu.innerHTML = '';
@@ -600,6 +638,7 @@ export class CombatUI {
     skipButton.innerHTML = `<span class="action-icon">${this._actionIcon('skip')}</span><span class="action-name">Skip</span><span class="action-cost">End Turn</span>`;
     
     this.elements.actionMenu.appendChild(skipButton);
+    this._actionNav?.refresh({ focus: hadFocus });
 
     // Attach spring physics to all rendered cards (skip button too)
     requestAnimationFrame(() => {
@@ -816,8 +855,24 @@ export class CombatUI {
         `<span class="ap-text">${curAP}/${maxAP}AP</span>`;
     }
 
+    const intentEl = slot.querySelector('.combatant-intent');
+    if (intentEl) this._renderIntent(intentEl, combatant.intent);
+
     if (combatant.currentHP <= 0) slot.classList.add('dead');
     else slot.classList.remove('dead');
+    slot.setAttribute('aria-label', this._slotLabel(combatant));
+  }
+
+  /**
+   * Spoken summary of a combatant card (name, level, HP, AP)
+   * @param {Object} combatant
+   * @returns {string}
+   */
+  _slotLabel(combatant) {
+    const hp = `${Math.max(0, combatant.currentHP)} of ${combatant.maxHP} HP`;
+    const ap = `${Math.max(0, combatant.currentAP || 0)} of ${combatant.maxAP || 3} AP`;
+    const state = combatant.currentHP <= 0 ? ', defeated' : '';
+    return `${combatant.name}, level ${combatant.level || 1}, ${hp}, ${ap}${state}`;
   }
 
   /**
@@ -6,7 +6,10 @@
 import { CombatUI } from './CombatUI.js';
 import { CombatAnimations } from './CombatAnimations.js';
 import { CombatResultsUI } from './CombatResultsUI.js';
+import { CombatReplayUI } from './CombatReplayUI.js';
+import { combatRecorder } from '../combat/CombatRecorder.js';
 import { combatTextManager } from './CombatTextManager.js';
+import { attachGridNavigation, focusManager } from './FocusManager.js';
 
 export class CombatUIManager {
   constructor() {
@@ -14,6 +17,7 @@ export class CombatUIManager {
     this.combatUI = null;
     this.combatAnimations = null;
     this.combatResultsUI = null;
+    this.combatReplayUI = null;
     
     // State
     this.isInitialized = false;
@@ -26,6 +30,7 @@ export class CombatUIManager {
     this._targetingPartyHUD = null;
     this._onPartySlotClick  = null;
     this._onPartySlotHover  = null;
+    this._targetNav         = null;
 
     // Event handlers
     this.boundHandlers = {
@@ -35,6 +40,7 @@ export class CombatUIManager {
       combatResultsRequest: this.handleCombatResultsRequest.bind(this),
       battleStateChange:   this.handleBattleStateChange.bind(this),
       keydownTargeting:    this.handleKeydownTargeting.bind(this),
+      combatKeyAction:     this.handleCombatKeyAction.bind(this),
     };
   }
 
@@ -55,6 +61,10 @@ export class CombatUIManager {
       this.combatUI = new CombatUI();
       this.combatAnimations = new CombatAnimations();
       this.combatResultsUI = new CombatResultsUI();
+      this.combatReplayUI = new CombatReplayUI();
+
+      // Record every fight so it can be replayed/exported from the results screen
+      combatRecorder.attach(combatSystem);
 
       // Initialize all components
       const initResults = await Promise.all([
@@ -107,6 +117,9 @@ export class CombatUIManager {
 
     // Escape cancels targeting
     window.addEventListener('keydown', this.boundHandlers.keydownTargeting);
+
+    // 1-5 keys / gamepad face buttons (InputManager combatAction1-5)
+    window.addEventListener('combatKeyAction', this.boundHandlers.combatKeyAction);
   }
 
   setTargetingOverlay(overlay) {
@@ -139,6 +152,26 @@ export class CombatUIManager {
     }
   }
 
+  /**
+   * Numbered combat input: picks the Nth action card, or the Nth target
+   * while targeting
+   * @param {CustomEvent} event - detail: { slot } (1-based)
+   */
+  handleCombatKeyAction(event) {
+    const slot = event.detail?.slot;
+    const cs = this.currentCombatSystem;
+    if (!this.isActive || !cs?.isActive || !slot) return;
+
+    if (this._isTargeting) {
+      const hud = this._targetingEnemyHUD ?? this._targetingPartyHUD;
+      const slots = hud?.querySelectorAll('.targeting-active') ?? [];
+      slots[slot - 1]?.click();
+    } else if (cs.fsm?.is?.('PLAYER_INPUT_ACTION')) {
+      const buttons = this.combatUI?.elements?.actionMenu?.querySelectorAll('.action-btn') ?? [];
+      buttons[slot - 1]?.click();
+    }
+  }
+
   _enterTargetingUI() {
     if (!this.targetingOverlay || !this.currentCombatSystem) return;
 
@@ -179,6 +212,7 @@ export class CombatUIManager {
         partyHUD.addEventListener('click',     this._onPartySlotClick);
         partyHUD.addEventListener('mouseover', this._onPartySlotHover);
         this._targetingPartyHUD = partyHUD;
+        this._focusTargets(partyHUD, 'Allies');
       }
 
       this.combatUI?.addLogMessage('Select an ally to target...', 'system');
@@ -210,7 +244,9 @@ export class CombatUIManager {
         const domPos = { x: rect.left + rect.width * 0.5, y: rect.top + rect.height * 0.5 };
         const id     = slot.getAttribute('data-combatant-id');
         const entity = cs.battleGrid?.entities?.get(id) ?? null;
-        this.targetingOverlay?.setHoverTarget(domPos, entity);
+        const enemy  = entity?.combatant ?? aliveEnemies.find(en => en.id === id);
+        const intent = cs.telegraphIntents && enemy ? cs.intentPlanner.describe(enemy) : null;
+        this.targetingOverlay?.setHoverTarget(domPos, entity, intent?.label);
       };
       this._onEnemySlotClick = (e) => {
         const slot = e.target.closest('.enemy-slot.targeting-active');
@@ -223,12 +259,28 @@ export class CombatUIManager {
       enemyHUD.addEventListener('mouseover', this._onEnemySlotHover);
       enemyHUD.addEventListener('click',     this._onEnemySlotClick);
       this._targetingEnemyHUD = enemyHUD;
+      this._focusTargets(enemyHUD, 'Enemies');
+      focusManager.announce('Select a target');
     }
   }
 
+  /**
+   * Make the targetable slots keyboard-selectable: arrows move, Enter/Space
+   * click (confirming through the HUD click handlers), Escape cancels
+   * @param {HTMLElement} hud - Party or enemy HUD
+   * @param {string} label - Accessible name for the target list
+   */
+  _focusTargets(hud, label) {
+    this._targetNav?.detach();
+    this._targetNav = attachGridNavigation(hud, '.targeting-active', { label });
+    this._targetNav.focusCurrent();
+  }
+
   _exitTargetingUI() {
     this._isTargeting = false;
     this.targetingOverlay?.exit();
+    this._targetNav?.detach();
+    this._targetNav = null;
 
     // Clean up enemy targeting
     const hub = this._targetingEnemyHUD;
@@ -284,9 +336,29 @@ export class CombatUIManager {
       case 'turnEnded':
         this.requestStatsUpdate();
         break;
+      case 'turnSkipped':
+        this.combatUI?.addLogMessage(eventData.data?.message ?? 'Turn skipped', 'status');
+        break;
       case 'roundStarted':
         this.combatUI?.addLogMessage(`--- Round ${eventData.data?.turnNumber ?? '?'} ---`, 'system');
         break;
+      case 'intentsUpdated':
+        for (const change of eventData.data.changes) {
+          this.combatUI?.addLogMessage(change, 'status');
+        }
+        this.requestStatsUpdate();
+        break;
+      case 'phaseEffect':
+      case 'enemyCharging':
+        this.combatUI?.addLogMessage(eventData.data.message, 'status');
+        this.requestStatsUpdate();
+        break;
+      case 'enemiesSummoned':
+        this.combatUI?.addLogMessage(
+          `${eventData.data.summoner.name} summons ${eventData.data.enemies.map(e => e.name).join(', ')}!`, 'system'
+        );
+        this.requestStatsUpdate();
+        break;
     }
   }
 
@@ -540,6 +612,12 @@ export class CombatUIManager {
       case 'checkLevelUps':
         this.checkForLevelUps();
         break;
+      case 'viewReplay':
+        this.combatReplayUI?.show(combatRecorder.getLatest());
+        break;
+      case 'exportCombatLog':
+        this.combatReplayUI?.exportRecord(combatRecorder.getLatest());
+        break;
     }
   }
 
@@ -826,6 +904,7 @@ export class CombatUIManager {
     window.removeEventListener('combatResultsRequest',this.boundHandlers.combatResultsRequest);
     window.removeEventListener('battleStateChange',   this.boundHandlers.battleStateChange);
     window.removeEventListener('keydown',             this.boundHandlers.keydownTargeting);
+    window.removeEventListener('combatKeyAction',     this.boundHandlers.combatKeyAction);
     if (this._isTargeting) this._exitTargetingUI();
     
     // Dispose components
@@ -839,6 +918,10 @@ export class CombatUIManager {
       this.combatAnimations = null;
     }
     
+    combatRecorder.detach();
+    this.combatReplayUI?.hide();
+    this.combatReplayUI = null;
+
     if (this.combatResultsUI) {
       this.combatResultsUI.dispose();
       this.combatResultsUI = null;
@@ -0,0 +1,205 @@
+/**
+ * CraftingUI — forge overlay opened from a safe zone's `forge` service.
+ * Registered with UIRouter as 'crafting'. Lists known recipes with material
+ * counts, lets upgrade/reroll recipes pick an inventory item as target, and
+ * offers unread recipe scrolls to learn. Reuses the HUDPanels frame styles (hudp-*).
+ */
+
+import { EventBus, EventTypes } from '../core/EventBus.js';
+
+const REASON_TEXT = {
+  missing_materials: 'Missing materials',
+  not_enough_gold: 'Not enough gold',
+  no_target: 'Choose an item',
+  invalid_target: 'Cannot be used on that item',
+  max_upgrade: 'Already fully upgraded',
+  no_affix_slots: 'Item cannot hold enchantments',
+  inventory_full: 'Inventory full',
+  recipe_not_known: 'Recipe not known'
+};
+
+export class CraftingUI {
+  /**
+   * @param {import('../systems/CraftingSystem.js').CraftingSystem} craftingSystem
+   * @param {import('../character/PartyManager.js').PartyManager} partyManager
+   */
+  constructor(craftingSystem, partyManager) {
+    this.craftingSystem = craftingSystem;
+    this.partyManager = partyManager;
+    this._el = null;
+    this._visible = false;
+    this._stationName = null;
+    this._targets = new Map(); // recipeId → selected inventory slot
+    this._status = null;       // result of the last craft, shown once
+    this._build();
+
+    // Live refresh while open
+    const refresh = () => { if (this._visible) this._render(); };
+    this.craftingSystem.inventorySystem.addChangeListener(refresh);
+    EventBus.on(EventTypes.CRAFTING_RECIPE_LEARNED, refresh);
+    EventBus.on(EventTypes.GOLD_CHANGE, refresh);
+  }
+
+  /**
+   * @param {Object} [detail] - CRAFTING_OPEN payload ({ stationName })
+   */
+  show(detail = {}) {
+    this._visible = true;
+    this._stationName = detail.stationName ?? null;
+    this._targets.clear();
+    this._render();
+    this._el.classList.remove('hidden');
+  }
+
+  hide() {
+    this._visible = false;
+    this._el.classList.add('hidden');
+  }
+
+  isVisible() {
+    return this._visible;
+  }
+
+  // ── Construction ─────────────────────────────────────────────────────────────
+
+  _build() {
+    this._injectStyles();
+
+    this._el = document.createElement('div');
+    this._el.id = 'crafting-panel';
+    this._el.className = 'hudp-panel hidden';
+    this._el.innerHTML = `
+      <div class="hudp-header">
+        <span class="hudp-icon">⚒</span>
+        <span class="hudp-title">FORGE</span>
+        <span class="hudp-subtitle" id="craft-station"></span>
+        <button class="hudp-close" id="craft-close">[X]</button>
+      </div>
+      <div class="hudp-content" id="craft-content"></div>
+    `;
+    document.body.appendChild(this._el);
+
+    const close = () => window.dispatchEvent(new CustomEvent('craftingClose'));
+    this._el.querySelector('#craft-close').addEventListener('click', close);
+    window.addEventListener('keydown', (e) => {
+      if (this._visible && e.code === 'Escape') close();
+    });
+
+    // Delegated handlers — content is re-rendered on every change
+    const content = this._el.querySelector('#craft-content');
+    content.addEventListener('click', (e) => {
+      const craft = e.target.closest('[data-craft]');
+      if (craft) this._craft(craft.dataset.craft);
+      const read = e.target.closest('[data-read]');
+      if (read) this.craftingSystem.learnFromScroll(Number(read.dataset.read));
+    });
+    content.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-target-for]');
+      if (!select) return;
+      this._targets.set(select.dataset.targetFor, select.value === '' ? null : Number(select.value));
+      this._render();
+    });
+  }
+
+  _craft(recipeId) {
+    const result = this.craftingSystem.craft(recipeId, this._targets.get(recipeId) ?? null);
+    if (!result.success) {
+      this._status = REASON_TEXT[result.reason] ?? result.reason;
+    } else {
+      this._status = `Crafted ${result.item.name}`;
+    }
+    this._render();
+  }
+
+  _render() {
+    const station = this._el.querySelector('#craft-station');
+    const content = this._el.querySelector('#craft-content');
+    station.textContent = `${this._stationName ?? 'Forge'} · ${this.partyManager.getGold()}g`;
+
+    const recipes = this.craftingSystem.getKnownRecipes();
+    const scrolls = this.craftingSystem.getUnreadRecipeScrolls();
+
+    const recipesHtml = recipes.length
+      ? recipes.map(recipe => this._renderRecipe(recipe)).join('')
+      : `<div class="hudp-overlay-empty">No recipes known.</div>`;
+    const scrollsHtml = scrolls.map(({ slotIndex, item, recipe }) => `
+      <div class="craft-scroll">
+        <span>${this._escape(item.name)} — ${this._escape(recipe.name)}</span>
+        <button class="craft-btn" data-read="${slotIndex}">READ</button>
+      </div>
+    `).join('');
+
+    content.innerHTML = `
+      ${this._status ? `<div class="craft-status">${this._escape(this._status)}</div>` : ''}
+      <div class="craft-section">RECIPES</div>
+      ${recipesHtml}
+      ${scrolls.length ? `<div class="craft-section">UNREAD RECIPES</div>${scrollsHtml}` : ''}
+    `;
+    this._status = null;
+  }
+
+  _renderRecipe(recipe) {
+    const materials = this.craftingSystem.getMaterialStatus(recipe.id).map(material => `
+      <span class="${material.owned >= material.quantity ? 'craft-have' : 'craft-missing'}">
+        ${this._escape(material.name)} ${material.owned}/${material.quantity}
+      </span>
+    `).join('');
+    const gold = recipe.gold > 0 ? `<span>${recipe.gold}g</span>` : '';
+
+    let target = '';
+    if (recipe.type !== 'item') {
+      const selected = this._targets.get(recipe.id) ?? null;
+      const options = this.craftingSystem.getValidTargets(recipe.id).map(({ slotIndex, item }) => `
+        <option value="${slotIndex}"${slotIndex === selected ? ' selected' : ''}>${this._escape(item.name)}</option>
+      `).join('');
+      target = `
+        <select class="craft-target" data-target-for="${recipe.id}">
+          <option value="">— choose item —</option>
+          ${options}
+        </select>`;
+    }
+
+    const check = this.craftingSystem.canCraft(recipe.id, this._targets.get(recipe.id) ?? null);
+    return `
+      <div class="craft-recipe">
+        <div class="craft-title">${this._escape(recipe.name)} <span class="craft-type">${recipe.type.toUpperCase()}</span></div>
+        ${recipe.description ? `<div class="craft-desc">${this._escape(recipe.description)}</div>` : ''}
+        <div class="craft-cost">${materials}${gold}</div>
+        ${target}
+        <div class="craft-actions">
+          <button class="craft-btn" data-craft="${recipe.id}"${check.success ? '' : ' disabled'}>CRAFT</button>
+          ${check.success ? '' : `<span class="craft-reason">${this._escape(REASON_TEXT[check.reason] ?? check.reason)}</span>`}
+        </div>
+      </div>
+    `;
+  }
+
+  _escape(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  _injectStyles() {
+    if (document.getElementById('craft-styles')) return;
+    const s = document.createElement('style');
+    s.id = 'craft-styles';
+    s.textContent = `
+      /* ── CraftingUI ── */
+      .craft-section { font-size: 6px; color: var(--hud-dim, #550022); letter-spacing: 2px; border-bottom: 1px solid var(--hud-dim, #550022); padding-bottom: 3px; margin: 6px 0 4px; }
+      .craft-recipe { border: 1px solid var(--hud-dim, #550022); padding: 8px 10px; margin-bottom: 6px; display: flex; flex-direction: column; gap: 4px; }
+      .craft-title { font-size: 8px; color: var(--hud-pink, #FF0055); letter-spacing: 2px; }
+      .craft-type { font-size: 6px; color: var(--hud-dim, #550022); }
+      .craft-desc { font-size: 6px; color: var(--hud-dim, #550022); line-height: 1.9; }
+      .craft-cost { display: flex; flex-wrap: wrap; gap: 8px; font-size: 6px; line-height: 1.9; color: var(--hud-text, #FF3377); }
+      .craft-have { color: #00FF44; }
+      .craft-missing { color: var(--hud-dim, #550022); }
+      .craft-target { font-family: inherit; font-size: 6px; background: #000; color: var(--hud-text, #FF3377); border: 1px solid var(--hud-dim, #550022); padding: 2px; }
+      .craft-actions { display: flex; align-items: center; gap: 8px; }
+      .craft-btn { font-family: inherit; font-size: 6px; background: none; color: var(--hud-pink, #FF0055); border: 1px solid var(--hud-pink, #FF0055); padding: 3px 6px; cursor: pointer; }
+      .craft-btn:disabled { color: var(--hud-dim, #550022); border-color: var(--hud-dim, #550022); cursor: default; }
+      .craft-reason { font-size: 6px; color: var(--hud-dim, #550022); }
+      .craft-scroll { display: flex; justify-content: space-between; align-items: center; font-size: 6px; line-height: 1.9; color: var(--hud-text, #FF3377); margin-bottom: 4px; }
+      .craft-status { font-size: 6px; color: #00FF44; margin-bottom: 4px; }
+    `;
+    document.head.appendChild(s);
+  }
+}
@@ -40,6 +40,11 @@ export class EndingScreen {
             background:#000;border:1px solid #00FF44;
             padding:10px 20px;cursor:pointer;letter-spacing:2px;
           ">★ CREDITS</button>
+          <button id="ending-deep-crypt-btn" style="
+            font-family:inherit;font-size:7px;color:#AA66FF;
+            background:#000;border:1px solid #AA66FF;
+            padding:10px 20px;cursor:pointer;letter-spacing:2px;
+          ">▼ DEEP CRYPT</button>
         </div>
       </div>
       <style>
@@ -51,6 +56,9 @@ export class EndingScreen {
     this._el.querySelector('#ending-menu-btn').addEventListener('click', () => {
       window.dispatchEvent(new CustomEvent('gameStateChange', { detail: { type: 'returnToMenu' } }));
     });
+    this._el.querySelector('#ending-deep-crypt-btn').addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('gameStateChange', { detail: { type: 'enterDeepCrypt' } }));
+    });
     this._el.querySelector('#ending-credits-btn').addEventListener('click', () => {
       window.dispatchEvent(new CustomEvent('gameStateChange', { detail: { type: 'returnToMenu' } }));
     });
@@ -3,6 +3,9 @@
  * Integrates with inventory system to show equippable items
  */
 
+import { itemDatabase } from '../inventory/ItemDatabase.js';
+import { attachGridNavigation } from './FocusManager.js';
+
 export class EquipmentUI {
     constructor(characterSystem, inventorySystem) {
         this.characterSystem = characterSystem;
@@ -11,6 +14,7 @@ export class EquipmentUI {
         this.isVisible = false;
         this.currentCharacter = null;
         this.currentSlot = null;
+        this._listNav = null;
         
         console.log('EquipmentUI initialized');
     }
@@ -18,11 +22,11 @@ export class EquipmentUI {
     /**
      * Show equipment selection for a character and slot
      * @param {Object} character - Character to equip items for
-     * @param {string} slot - Equipment slot (weapon, armor, accessory)
+     * @param {string} slot - Equipment slot id (see EQUIPMENT_SLOTS; legacy names accepted)
      */
     show(character, slot) {
         this.currentCharacter = character;
-        this.currentSlot = slot;
+        this.currentSlot = this.characterSystem.equipmentSystem.resolveSlot(slot);
         
         if (!this.isVisible) {
             this.createUI();
@@ -62,7 +66,7 @@ export class EquipmentUI {
             <div class="equipment-selection-modal">
                 <div class="modal-header">
                     <h2 id="equipment-title">Select Equipment</h2>
-                    <button class="close-btn" id="close-equipment-selection">×</button>
+                    <button class="close-btn" id="close-equipment-selection" aria-label="Close equipment selection">×</button>
                 </div>
                 
                 <div class="modal-content">
@@ -71,6 +75,9 @@ export class EquipmentUI {
                         <div class="current-item-display" id="current-item">
                             <!-- Current item will be displayed here -->
                         </div>
+                        <div class="set-progress" id="set-progress">
+                            <!-- Worn item sets will be displayed here -->
+                        </div>
                     </div>
                     
                     <div class="available-equipment">
@@ -118,6 +125,12 @@ export class EquipmentUI {
             });
         });
         
+        // Arrow keys move through the list; Enter equips (or compares if it can't be equipped)
+        this._listNav = attachGridNavigation(this.container.querySelector('#equipment-list'), '.equipment-item', {
+            label: 'Available items',
+            onActivate: (cell) => (cell.querySelector('.equip-item-btn') ?? cell.querySelector('.compare-item-btn'))?.click()
+        });
+        
         // Click outside to close
         this.container.addEventListener('click', (e) => {
             if (e.target === this.container) {
@@ -134,10 +147,11 @@ export class EquipmentUI {
         
         // Update title
         const title = this.container.querySelector('#equipment-title');
-        title.textContent = `Select ${this.currentSlot.charAt(0).toUpperCase() + this.currentSlot.slice(1)} for ${this.currentCharacter.name}`;
+        title.textContent = `Select ${this._getSlotLabel()} for ${this.currentCharacter.name}`;
         
         // Update current equipment display
         this.updateCurrentEquipment();
+        this.updateSetProgress();
         
         // Update available equipment list
         this.updateEquipmentList('all');
@@ -174,14 +188,45 @@ export class EquipmentUI {
                 this.unequipCurrent();
             });
         } else {
+            const equipmentSystem = this.characterSystem.equipmentSystem;
+            const locked = this.currentSlot === 'offHand' && equipmentSystem.isOffHandLocked(this.currentCharacter);
             currentItemContainer.innerHTML = `
                 <div class="no-current-item">
-                    <p>No ${this.currentSlot} currently equipped</p>
+                    <p>${locked
+                        ? `Locked by ${this.currentCharacter.equipment.mainHand.name} (two-handed)`
+                        : `No ${this._getSlotLabel().toLowerCase()} item currently equipped`}</p>
                 </div>
             `;
         }
     }
 
+    /**
+     * Update worn item set progress and bonus tiers
+     */
+    updateSetProgress() {
+        const container = this.container.querySelector('#set-progress');
+        const progress = itemDatabase.getSetProgress(this.currentCharacter.equipment);
+        
+        if (progress.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = `
+            <h4>Item Sets</h4>
+            ${progress.map(({ set, count, total, tiers }) => `
+                <div class="set-entry">
+                    <h6>${set.name} (${count}/${total})</h6>
+                    ${tiers.map(tier => `
+                        <p class="set-tier ${tier.active ? 'active' : ''}">
+                            (${tier.pieces}) ${this._describeSetTier(tier)}
+                        </p>
+                    `).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
     /**
      * Update available equipment list
      * @param {string} filter - Rarity filter
@@ -205,16 +250,19 @@ export class EquipmentUI {
             const item = slotData.item;
             const finalStats = this._getFinalItemStats(item);
             const rarityColor = this._getItemRarityColor(item.rarity);
-            const canEquip = this.characterSystem.canEquipItem(this.currentCharacter.id, item);
+            const canEquip = this.characterSystem.canEquipItem(this.currentCharacter.id, item, this.currentSlot);
             const comparison = this.characterSystem.getEquipmentComparison(
                 this.currentCharacter.id, 
                 item, 
                 this.currentSlot
             );
             
+            const label = `${item.name}, level ${item.level}${canEquip.success ? '' : `, cannot equip: ${canEquip.reason}`}`;
+            
             return `
                 <div class="equipment-item ${!canEquip.success ? 'cannot-equip' : ''}" 
                      data-slot-index="${slotData.slotIndex}" 
+                     aria-label="${label.replace(/"/g, '&quot;')}" 
                      style="border-left: 3px solid ${rarityColor}">
                     <div class="item-info">
                         <h6 style="color: ${rarityColor}">${item.name}</h6>
@@ -225,6 +273,9 @@ export class EquipmentUI {
                                 .map(([stat, value]) => `${stat}: +${value}`)
                                 .join(', ')}
                         </p>
+                        ${item.setId ? `
+                            <p class="item-set">${this._getSetPreview(item)}</p>
+                        ` : ''}
                         ${!canEquip.success ? `
                             <p class="requirement-error">${canEquip.reason}</p>
                         ` : ''}
@@ -259,6 +310,7 @@ export class EquipmentUI {
         
         // Add event listeners for item actions
         this.setupItemActionListeners();
+        this._listNav?.refresh();
     }
 
     /**
@@ -290,17 +342,15 @@ export class EquipmentUI {
      * @returns {Array} Compatible items
      */
     getCompatibleItems(filter) {
-        const slotTypeMapping = {
-            'weapon': 'weapon',
-            'armor': 'armor',
-            'accessory': 'accessory'
-        };
-        
-        const requiredType = slotTypeMapping[this.currentSlot];
-        if (!requiredType) return [];
+        const equipmentSystem = this.characterSystem.equipmentSystem;
         
-        // Get items of the correct type from inventory
-        const typeItems = this.inventorySystem.getItemsByType(requiredType);
+        // Get items that fit the current slot from inventory
+        const typeItems = [];
+        this.inventorySystem.slots.forEach((slotData, slotIndex) => {
+            if (slotData && equipmentSystem.getSlotsForItem(slotData.item).includes(this.currentSlot)) {
+                typeItems.push({ ...slotData, slotIndex });
+            }
+        });
         
         // Filter by rarity if specified
         let filteredItems = typeItems;
@@ -347,9 +397,9 @@ export class EquipmentUI {
             // Remove item from inventory
             this.inventorySystem.removeItem(slotIndex, 1);
             
-            // If there was a previous item, add it back to inventory
-            if (result.previousItem) {
-                this.inventorySystem.addItem(result.previousItem, 1);
+            // Previous item and anything a two-handed weapon displaced go back to inventory
+            for (const returned of [result.previousItem, ...(result.displacedItems ?? [])]) {
+                if (returned) this.inventorySystem.addItem(returned, 1);
             }
             
             console.log(`Equipped ${item.name} to ${this.currentCharacter.name}`);
@@ -431,6 +481,45 @@ export class EquipmentUI {
         console.log('Detailed comparison for:', item.name, comparison);
     }
 
+    /**
+     * Display label for the current slot
+     * @returns {string} Slot label
+     */
+    _getSlotLabel() {
+        return this.characterSystem.equipmentSystem.getSlotDefinition(this.currentSlot)?.label ?? this.currentSlot;
+    }
+
+    /**
+     * Set name and piece count before → after equipping an item in the current slot
+     * @param {Object} item - Set piece
+     * @returns {string}
+     */
+    _getSetPreview(item) {
+        const set = itemDatabase.getItemSet(item.setId);
+        if (!set) return '';
+        const countFor = (equipment) =>
+            itemDatabase.getSetProgress(equipment).find(p => p.set.id === set.id)?.count ?? 0;
+        
+        const equipment = this.currentCharacter.equipment;
+        const before = countFor(equipment);
+        const after = countFor({ ...equipment, [this.currentSlot]: item });
+        return `${set.name}: ${before}/${set.pieces.length} → ${after}/${set.pieces.length}`;
+    }
+
+    /**
+     * One-line summary of a set bonus tier
+     * @param {Object} tier - Set bonus tier
+     * @returns {string}
+     */
+    _describeSetTier(tier) {
+        const parts = [
+            ...Object.entries(tier.stats ?? {}).map(([stat, value]) => `${stat} +${value}`),
+            ...Object.entries(tier.resistances ?? {}).map(([element, value]) => `${element} resist ${Math.round(value * 100)}%`),
+            ...(tier.skills ?? []).map(id => `Skill: ${this.currentCharacter.getSkillData?.(id)?.name ?? id}`)
+        ];
+        return parts.join(', ');
+    }
+
     // Helper methods (same as CharacterSheetUI)
     _getFinalItemStats(item) {
         if (!item || !item.stats) return {};
@@ -636,6 +725,31 @@ export class EquipmentUI {
                 font-size: 10px;
             }
             
+            .item-set {
+                margin: 0;
+                color: #44ff44;
+                font-size: 10px;
+            }
+            
+            .set-progress h4 {
+                margin-top: 15px;
+            }
+            
+            .set-entry h6 {
+                margin: 0 0 5px 0;
+                font-size: 12px;
+            }
+            
+            .set-tier {
+                margin: 0 0 3px 0;
+                color: #666;
+                font-size: 10px;
+            }
+            
+            .set-tier.active {
+                color: #44ff44;
+            }
+            
             .stat-comparison-preview {
                 display: flex;
                 flex-direction: column;
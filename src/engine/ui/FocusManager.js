@@ -0,0 +1,291 @@
+/**
+ * FocusManager — keyboard focus and screen-reader support for overlay screens.
+ *
+ * UIRouter calls enter()/leave() as screens are pushed and popped: the
+ * screen's root is marked as a modal dialog, focus moves inside, Tab/Shift+Tab
+ * wrap within it, and closing returns focus to where it was before.
+ *
+ * Also owns the ARIA live regions (announce()) used for combat log lines and
+ * damage numbers, and attachGridNavigation() — roving-tabindex arrow-key
+ * movement for item grids (inventory, shop, equipment slots, action bar).
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+const log = Logger.tag('UI:Focus');
+
+const FOCUSABLE = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+  'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+const LIVE_HISTORY = 6; // lines kept per live region
+
+const isShown = (el) => !!el?.isConnected && el.getClientRects().length > 0;
+
+export class FocusManager {
+  constructor() {
+    this._stack = [];      // [{ name, root, returnTo }]
+    this._live  = null;    // { polite, assertive }
+    this._onKeyDown = (e) => this._trapTab(e);
+    this._trapping  = false;
+  }
+
+  /**
+   * A screen opened: make its root a modal dialog and move focus into it
+   * @param {string} name - Router screen name
+   * @param {HTMLElement|null} root - Screen root element
+   * @param {Object} [options]
+   * @param {string} [options.label] - Accessible name for the dialog
+   */
+  enter(name, root, { label } = {}) {
+    this._stack = this._stack.filter(e => e.name !== name);
+    const returnTo = document.activeElement !== document.body ? document.activeElement : null;
+    this._stack.push({ name, root, returnTo });
+    if (!root) return;
+
+    if (!root.hasAttribute('role')) root.setAttribute('role', 'dialog');
+    root.setAttribute('aria-modal', 'true');
+    if (label && !root.hasAttribute('aria-label')) root.setAttribute('aria-label', label);
+
+    this.focusFirst(root);
+    this._startTrap();
+    log.debug(`enter ${name}`);
+  }
+
+  /**
+   * A screen closed: restore focus to what had it before the screen opened,
+   * or into the screen now on top
+   * @param {string} name - Router screen name
+   */
+  leave(name) {
+    const idx = this._stack.findIndex(e => e.name === name);
+    if (idx < 0) return;
+    const [entry] = this._stack.splice(idx, 1);
+    entry.root?.removeAttribute('aria-modal');
+
+    const top = this._stack[this._stack.length - 1];
+    if (isShown(entry.returnTo) && (!top?.root || top.root.contains(entry.returnTo))) {
+      entry.returnTo.focus();
+    } else if (top?.root) {
+      this.focusFirst(top.root);
+    }
+    if (!this._stack.some(e => e.root)) this._stopTrap();
+    log.debug(`leave ${name}`);
+  }
+
+  clear() {
+    this._stack = [];
+    this._stopTrap();
+  }
+
+  /**
+   * Focus [data-autofocus], else the active grid cell, else the first
+   * focusable element, else the root itself
+   * @param {HTMLElement} root
+   */
+  focusFirst(root) {
+    const target = root.querySelector('[data-autofocus]')
+      ?? this.getFocusable(root).find(el => el.getAttribute('tabindex') === '0')
+      ?? this.getFocusable(root)[0];
+    if (target) {
+      target.focus();
+    } else {
+      if (!root.hasAttribute('tabindex')) root.setAttribute('tabindex', '-1');
+      root.focus();
+    }
+  }
+
+  /**
+   * Visible, enabled, tabbable elements inside root (document order)
+   * @param {HTMLElement} root
+   * @returns {Array<HTMLElement>}
+   */
+  getFocusable(root) {
+    return [...root.querySelectorAll(FOCUSABLE)].filter(isShown);
+  }
+
+  /**
+   * Speak a message through the ARIA live regions
+   * @param {string} message - Plain text
+   * @param {Object} [options]
+   * @param {boolean} [options.assertive] - Interrupt (role=alert) instead of queueing
+   */
+  announce(message, { assertive = false } = {}) {
+    if (!message || typeof document === 'undefined') return;
+    const region = this._ensureLiveRegions()[assertive ? 'assertive' : 'polite'];
+    const line = document.createElement('div');
+    line.textContent = message;
+    region.appendChild(line);
+    while (region.childElementCount > LIVE_HISTORY) region.firstElementChild.remove();
+  }
+
+  // ── Private ──────────────────────────────────────────────────────────────
+
+  _ensureLiveRegions() {
+    if (this._live) return this._live;
+    const make = (id, role, politeness) => {
+      const el = document.getElementById(id) ?? document.createElement('div');
+      el.id = id;
+      el.className = 'sr-only';
+      el.setAttribute('role', role);
+      el.setAttribute('aria-live', politeness);
+      el.setAttribute('aria-relevant', 'additions');
+      if (!el.isConnected) document.body.appendChild(el);
+      return el;
+    };
+    this._live = {
+      polite:    make('sr-live-polite', 'status', 'polite'),
+      assertive: make('sr-live-assertive', 'alert', 'assertive'),
+    };
+    return this._live;
+  }
+
+  _startTrap() {
+    if (this._trapping) return;
+    document.addEventListener('keydown', this._onKeyDown, true);
+    this._trapping = true;
+  }
+
+  _stopTrap() {
+    if (!this._trapping) return;
+    document.removeEventListener('keydown', this._onKeyDown, true);
+    this._trapping = false;
+  }
+
+  /** Keep Tab inside the topmost visible screen. */
+  _trapTab(e) {
+    if (e.key !== 'Tab') return;
+    const top = [...this._stack].reverse().find(entry => isShown(entry.root));
+    if (!top) return;
+
+    const items = this.getFocusable(top.root);
+    if (items.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = items[0];
+    const last  = items[items.length - 1];
+    const active = document.activeElement;
+
+    if (!top.root.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+/**
+ * Arrow-key navigation over a set of cells with a roving tabindex: only the
+ * current cell is in the Tab order, arrows move between cells (columns are
+ * read from the layout), Home/End jump, Enter/Space activate.
+ * @param {HTMLElement} container - Element holding the cells
+ * @param {string} selector - Cell selector (hidden cells are skipped)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name for the container
+ * @param {string} [options.role] - Container role ('listbox' → cells get role=option)
+ * @param {Function} [options.onActivate] - (cell) => void; defaults to cell.click()
+ * @param {Function} [options.onMove] - (cell) => void after focus moves
+ * @returns {{ refresh: Function, focusCurrent: Function, detach: Function }} detach() also
+ *   strips the roles and tabindexes it added
+ */
+export function attachGridNavigation(container, selector, { label, role = 'listbox', onActivate, onMove } = {}) {
+  let index = 0;
+
+  container.setAttribute('role', role);
+  if (label) container.setAttribute('aria-label', label);
+
+  const cells = () => [...container.querySelectorAll(selector)].filter(isShown);
+
+  const columns = (list) => {
+    if (list.length < 2) return 1;
+    const top = list[0].offsetTop;
+    const n = list.findIndex(el => el.offsetTop !== top);
+    return n < 0 ? list.length : n;
+  };
+
+  const refresh = ({ focus = false } = {}) => {
+    const list = cells();
+    index = Math.min(index, Math.max(0, list.length - 1));
+    list.forEach((el, i) => {
+      el.setAttribute('tabindex', i === index ? '0' : '-1');
+      if (role === 'listbox') {
+        el.setAttribute('role', 'option');
+        el.setAttribute('aria-selected', i === index ? 'true' : 'false');
+      }
+    });
+    if (focus) list[index]?.focus();
+  };
+
+  const moveTo = (i, list) => {
+    index = Math.max(0, Math.min(list.length - 1, i));
+    refresh({ focus: true });
+    onMove?.(list[index]);
+  };
+
+  // Only when a cell itself has focus — buttons inside a cell keep their own keys
+  const onKeyDown = (e) => {
+    const list = cells();
+    const current = list.indexOf(e.target);
+    if (current < 0) return;
+    index = current;
+
+    const cols = columns(list);
+    const step = {
+      ArrowRight: 1, ArrowLeft: -1, ArrowDown: cols, ArrowUp: -cols,
+      Home: -index, End: list.length - 1 - index,
+    }[e.key];
+
+    if (step !== undefined) {
+      moveTo(index + step, list);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      if (onActivate) onActivate(list[index]);
+      else list[index].click();
+    } else {
+      return;
+    }
+    // Keep arrows/Enter away from movement and menu handlers underneath
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // Clicking a cell makes it the current one
+  const onFocusIn = (e) => {
+    const list = cells();
+    const i = list.indexOf(e.target.closest?.(selector));
+    if (i >= 0 && i !== index) {
+      index = i;
+      refresh();
+    }
+  };
+
+  container.addEventListener('keydown', onKeyDown);
+  container.addEventListener('focusin', onFocusIn);
+  refresh();
+
+  return {
+    refresh,
+    focusCurrent: () => refresh({ focus: true }),
+    detach: () => {
+      container.removeEventListener('keydown', onKeyDown);
+      container.removeEventListener('focusin', onFocusIn);
+      container.removeAttribute('role');
+      if (label) container.removeAttribute('aria-label');
+      container.querySelectorAll(selector).forEach(el => {
+        el.removeAttribute('tabindex');
+        if (role === 'listbox') {
+          el.removeAttribute('role');
+          el.removeAttribute('aria-selected');
+        }
+      });
+    },
+  };
+}
+
+export const focusManager = new FocusManager();
@@ -4,6 +4,7 @@
  */
 
 // ItemTypes imported but not used in this file - available via item.type
+import { attachGridNavigation } from './FocusManager.js';
 
 export class InventoryUI {
     constructor(inventorySystem) {
@@ -16,6 +17,7 @@ export class InventoryUI {
         this.currentFilter = 'all';
         this.draggedSlot = null;
         this.tooltipElement = null;
+        this._gridNav = null;
         
         // Bind methods
         this.handleSlotClick = this.handleSlotClick.bind(this);
@@ -49,6 +51,7 @@ export class InventoryUI {
         const closeBtn = document.createElement('button');
         closeBtn.className = 'inv-close';
         closeBtn.textContent = '✕';
+        closeBtn.setAttribute('aria-label', 'Close inventory');
         closeBtn.addEventListener('click', () => this.hide());
         header.appendChild(closeBtn);
 
@@ -75,6 +78,7 @@ export class InventoryUI {
         // Right: item detail panel
         this.detailPanel = document.createElement('div');
         this.detailPanel.className = 'inv-detail';
+        this.detailPanel.setAttribute('aria-live', 'polite'); // read out on Enter
         this.detailPanel.innerHTML = `<p class="inv-detail-empty">Select an item<br>to view details</p>`;
 
         body.appendChild(leftPane);
@@ -88,6 +92,7 @@ export class InventoryUI {
 
         // Create slot elements (appends to gridContainer)
         this.createSlots();
+        this._gridNav = attachGridNavigation(this.gridContainer, '.inventory-slot', { label: 'Inventory slots' });
 
         // Tooltip
         this.createTooltip();
@@ -112,6 +117,7 @@ export class InventoryUI {
             const btn = document.createElement('button');
             btn.textContent = f.label;
             btn.className = 'inv-filter-btn' + (f.key === 'all' ? ' inv-filter-active' : '');
+            btn.setAttribute('aria-pressed', f.key === 'all' ? 'true' : 'false');
             btn.addEventListener('click', () => this.setFilter(f.key));
             this._filterBtns[f.key] = btn;
             bar.appendChild(btn);
@@ -370,6 +376,7 @@ export class InventoryUI {
         slot.innerHTML = '';
         slot.style.background = '';
         slot.style.borderColor = '';
+        slot.setAttribute('aria-label', `Slot ${slotIndex + 1}: ${this._slotLabel(slotData)}`);
 
         if (slotData) {
             const item = slotData.item;
@@ -427,6 +434,15 @@ export class InventoryUI {
             this.updateSlotDisplay(i);
         }
         this.updateStats();
+        this._gridNav?.refresh();
+    }
+
+    /** Screen-reader text for a slot: "Health Potion ×3, common consumable" */
+    _slotLabel(slotData) {
+        if (!slotData) return 'empty';
+        const tooltip = this._itemTooltip(slotData.item);
+        const qty = slotData.quantity > 1 ? ` ×${slotData.quantity}` : '';
+        return `${tooltip.name}${qty}, ${tooltip.rarity ?? 'common'} ${tooltip.type}`;
     }
 
     setPartyManager(pm) {
@@ -446,8 +462,10 @@ export class InventoryUI {
         // Update button states using the new class-based approach
         Object.entries(this._filterBtns ?? {}).forEach(([key, btn]) => {
             btn.classList.toggle('inv-filter-active', key === filterType);
+            btn.setAttribute('aria-pressed', key === filterType ? 'true' : 'false');
         });
         this.applyFilter();
+        this._gridNav?.refresh();
     }
 
     applyFilter() {
@@ -75,6 +75,7 @@ export class MainMenuScreen {
     this._items.forEach((btn, i) => {
       btn.addEventListener('click',      () => { if (!btn.disabled) this._activate(i); });
       btn.addEventListener('mouseenter', () => this._select(i));
+      btn.addEventListener('focus',      () => this._select(i)); // Tab / screen reader
     });
 
     this._el.querySelector('#mm-credits-back')
@@ -139,6 +140,9 @@ export class MainMenuScreen {
   _select(idx) {
     this._selectedIdx = idx;
     this._items.forEach((btn, i) => btn.classList.toggle('mm-btn-active', i === idx));
+    // Keyboard selection moves real focus so screen readers follow it
+    const btn = this._items[idx];
+    if (btn && btn !== document.activeElement && this._el.contains(document.activeElement)) btn.focus();
   }
 
   _activate(idx) {
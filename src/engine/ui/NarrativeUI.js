@@ -1,9 +1,12 @@
 /**
  * NarrativeUI - DOM dialogue box for Ink narrative lines and choices
  * Consumes EventBus events from NarrativeManager; calls back via narrativeManager methods.
+ * Choices with a skill check show it ("[Reflex save DC 15]"); the roll and its
+ * outcome stay above the line that follows.
  */
 
 import { EventBus, EventTypes } from '../core/EventBus.js';
+import { focusManager } from './FocusManager.js';
 import { Logger } from '../utils/Logger.js';
 
 const log = Logger.tag('UI:Narrative');
@@ -17,6 +20,8 @@ export class NarrativeUI {
     this._choicesEl = null;
     this._continueBtn = null;
     this._speakerEl = null;
+    this._checkEl = null;
+    this._checkFresh = false; // outcome not yet shown with the line it led to
     this._autoAdvanceTimer = null;
 
     this._createDOM();
@@ -36,6 +41,7 @@ export class NarrativeUI {
     this._panel.style.display = 'none';
     this.isVisible = false;
     this._clearChoices();
+    this._clearCheck();
     clearTimeout(this._autoAdvanceTimer);
   }
 
@@ -51,6 +57,7 @@ export class NarrativeUI {
 
     this._panel.innerHTML = `
       <div class="narrative-speaker" id="narrative-speaker" style="display:none;"></div>
+      <div class="narrative-check" id="narrative-check" style="display:none;"></div>
       <div class="narrative-text" id="narrative-text"></div>
       <div class="narrative-choices" id="narrative-choices"></div>
       <button class="narrative-continue-btn" id="narrative-continue">▶ Continue</button>
@@ -59,6 +66,7 @@ export class NarrativeUI {
     document.getElementById('game-container')?.appendChild(this._panel);
 
     this._speakerEl   = document.getElementById('narrative-speaker');
+    this._checkEl     = document.getElementById('narrative-check');
     this._textEl      = document.getElementById('narrative-text');
     this._choicesEl   = document.getElementById('narrative-choices');
     this._continueBtn = document.getElementById('narrative-continue');
@@ -83,6 +91,9 @@ export class NarrativeUI {
       const { text } = e.detail;
       if (text) this._displayText(text);
     });
+    EventBus.on(EventTypes.NARRATIVE_SKILL_CHECK, e => {
+      this._displayCheck(e.detail);
+    });
     EventBus.on(EventTypes.NARRATIVE_CHOICES_READY, e => {
       this._displayChoices(e.detail.choices);
     });
@@ -96,6 +107,7 @@ export class NarrativeUI {
 
   _displayText(text) {
     this._clearChoices();
+    this._ageCheck();
     this._textEl.textContent = text;
     this._continueBtn.style.display = 'block';
   }
@@ -103,10 +115,17 @@ export class NarrativeUI {
   _displayChoices(choices) {
     this._continueBtn.style.display = 'none';
     this._clearChoices();
+    this._ageCheck();
     for (const choice of choices) {
       const btn = document.createElement('button');
       btn.className = 'narrative-choice-btn';
-      btn.textContent = choice.text;
+      if (choice.check) {
+        const tag = document.createElement('span');
+        tag.className = 'narrative-check-tag';
+        tag.textContent = `[${choice.check.label}]`;
+        btn.appendChild(tag);
+      }
+      btn.appendChild(document.createTextNode(choice.text));
       btn.addEventListener('click', () => {
         const result = this.narrativeManager.chooseChoice(choice.index);
         if (result) this._handleResult(result);
@@ -119,6 +138,32 @@ export class NarrativeUI {
     if (this._choicesEl) this._choicesEl.innerHTML = '';
   }
 
+  /**
+   * Show a roll: "Brom — Reflex save DC 15: 12 + 2 = 14 — FAILURE"
+   * @param {Object} check - NARRATIVE_SKILL_CHECK detail
+   */
+  _displayCheck({ character, label, roll, modifier, total, success }) {
+    if (!this._checkEl) return;
+    const mod = modifier ? ` ${modifier < 0 ? '-' : '+'} ${Math.abs(modifier)} = ${total}` : '';
+    const outcome = success ? 'SUCCESS' : 'FAILURE';
+    this._checkEl.textContent = `${character?.name ?? '?'} — ${label}: ${roll}${mod} — ${outcome}`;
+    this._checkEl.className = `narrative-check ${success ? 'pass' : 'fail'}`;
+    this._checkEl.style.display = 'block';
+    this._checkFresh = true;
+    focusManager.announce(`${label}: ${outcome.toLowerCase()} (${total})`);
+  }
+
+  /** The outcome stays up for the line it led to, then clears */
+  _ageCheck() {
+    if (this._checkFresh) this._checkFresh = false;
+    else this._clearCheck();
+  }
+
+  _clearCheck() {
+    this._checkFresh = false;
+    if (this._checkEl) this._checkEl.style.display = 'none';
+  }
+
   _onContinue() {
     if (!this.narrativeManager) return;
     const result = this.narrativeManager.continue();
@@ -1,5 +1,7 @@
 import { Logger } from '../utils/Logger.js';
 import { ResolutionManager } from '../core/ResolutionManager.js';
+import { DEFAULT_BINDINGS, ACTION_LABELS, MAX_KEYS_PER_ACTION, keyLabel } from '../managers/InputManager.js';
+import { GAMEPAD_BINDINGS } from '../managers/GamepadInput.js';
 
 const log = Logger.tag('UI:Options');
 
@@ -10,27 +12,25 @@ const DEFAULTS = {
   fpsCounterEnabled: false,
 };
 
-const CONTROLS = [
-  ['W / ↑',    'Move Forward'],
-  ['S / ↓',    'Move Backward'],
-  ['A / ←',    'Turn Left'],
-  ['D / →',    'Turn Right'],
-  ['Q',        'Strafe Left'],
-  ['E',        'Strafe Right'],
-  ['Space',    'Interact'],
-  ['I',        'Inventory'],
-  ['C',        'Character Sheet'],
-  ['Esc',      'Pause Menu'],
-  ['F5',       'Quick Save'],
-  ['F9',       'Quick Load'],
+// Gamepad reference (read-only) — button names as printed on an Xbox-style pad
+const PAD_LABELS = { UP: 'D-pad ↑ / L-stick', LB: 'LB', RB: 'RB', A: 'A', B: 'B', X: 'X', Y: 'Y', LT: 'LT', RT: 'RT', BACK: 'View', START: 'Menu' };
+const PAD_ROWS = [
+  ['explore', ['UP', 'LB', 'RB', 'A', 'X', 'Y', 'LT', 'RT', 'BACK', 'START']],
+  ['combat',  ['A', 'X', 'Y', 'LB', 'RB', 'B']],
+  ['menu',    ['UP', 'A', 'B']],
 ];
+const PAD_ACTION_LABELS = {
+  forward: 'Move / Turn', menuUp: 'Navigate', menuConfirm: 'Confirm', menuBack: 'Back / Cancel',
+};
 
 export class OptionsScreen {
-  constructor(resolutionManager = null) {
+  constructor(resolutionManager = null, inputManager = null) {
     this._opts              = { ...DEFAULTS };
     this._el                = null;
     this._keyHandler        = null;
     this._resolutionManager = resolutionManager;
+    this._input             = inputManager;
+    this._capture           = null; // { action, slot, handler } while waiting for a key
     this._loadFromStorage();
     this._build();
   }
@@ -45,6 +45,7 @@ export class OptionsScreen {
   }
 
   hide() {
+    this._stopCapture();
     this._el.classList.add('hidden');
     if (this._keyHandler) {
       document.removeEventListener('keydown', this._keyHandler);
@@ -55,9 +56,14 @@ export class OptionsScreen {
 
   // ──────────────────────────────────────────────
   _build() {
-    const ctrlRows = CONTROLS.map(([key, desc]) =>
-      `<div class="ctrl-row"><span class="ctrl-key">${key}</span><span>${desc}</span></div>`
-    ).join('');
+    const padRows = PAD_ROWS.map(([context, buttons]) => `
+      <div class="ctrl-pad-context">${context.toUpperCase()}</div>
+      ${buttons.map(btn => {
+        const action = GAMEPAD_BINDINGS[context][btn];
+        const label  = PAD_ACTION_LABELS[action] ?? ACTION_LABELS[action] ?? action;
+        return `<div class="ctrl-row"><span class="ctrl-key">${PAD_LABELS[btn]}</span><span>${label}</span></div>`;
+      }).join('')}
+    `).join('');
 
     this._el = document.createElement('div');
     this._el.id        = 'options-screen';
@@ -106,7 +112,15 @@ export class OptionsScreen {
 
         <div class="options-section">
           <h3 class="options-section-title">CONTROLS</h3>
-          <div class="controls-ref">${ctrlRows}</div>
+          <p class="ctrl-hint">${this._input ? 'Click a key to rebind · Esc cancels · Backspace clears' : ''}</p>
+          <div class="controls-ref controls-bind" id="opt-bindings">${this._buildBindingRows()}</div>
+          <div class="ctrl-conflicts" id="opt-conflicts"></div>
+          ${this._input ? '<button class="opt-res-btn" id="opt-reset-binds">RESET TO DEFAULTS</button>' : ''}
+        </div>
+
+        <div class="options-section">
+          <h3 class="options-section-title">GAMEPAD</h3>
+          <div class="controls-ref">${padRows}</div>
         </div>
 
         <button class="menu-item options-back-btn" id="opt-back-btn">BACK [Esc]</button>
@@ -153,9 +167,83 @@ export class OptionsScreen {
       });
     }
 
+    // Key rebinding
+    if (this._input) {
+      this._el.querySelector('#opt-bindings').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-bind-action]');
+        if (btn) this._startCapture(btn.dataset.bindAction, parseInt(btn.dataset.bindSlot));
+      });
+      this._el.querySelector('#opt-reset-binds').addEventListener('click', () => {
+        this._input.resetBindings();
+        this._refreshBindings();
+      });
+      this._refreshBindings();
+    }
+
     this._el.querySelector('#opt-back-btn').addEventListener('click', () => this._back());
   }
 
+  _buildBindingRows() {
+    const bindings = this._input?.getBindings() ?? DEFAULT_BINDINGS;
+    const disabled = this._input ? '' : ' disabled';
+    return Object.keys(DEFAULT_BINDINGS).map(action => {
+      const slots = Array.from({ length: MAX_KEYS_PER_ACTION }, (_, slot) =>
+        `<button class="ctrl-key ctrl-bind" data-bind-action="${action}" data-bind-slot="${slot}"${disabled}>` +
+        `${keyLabel(bindings[action][slot])}</button>`
+      ).join('');
+      return `<div class="ctrl-row" data-action="${action}">${slots}<span>${ACTION_LABELS[action]}</span></div>`;
+    }).join('');
+  }
+
+  /** Re-render key buttons and flag keys bound to more than one action. */
+  _refreshBindings(message = '') {
+    this._el.querySelector('#opt-bindings').innerHTML = this._buildBindingRows();
+
+    const bindings  = this._input.getBindings();
+    const conflicts = this._input.findConflicts();
+    const clashing  = new Set(conflicts.map(c => c.code));
+    this._el.querySelectorAll('[data-bind-action]').forEach(btn => {
+      const code = bindings[btn.dataset.bindAction][btn.dataset.bindSlot];
+      btn.classList.toggle('ctrl-bind--conflict', clashing.has(code));
+    });
+
+    const lines = conflicts.map(({ code, actions }) =>
+      `⚠ ${keyLabel(code)} is bound to ${actions.map(a => ACTION_LABELS[a]).join(' and ')} — only ${ACTION_LABELS[actions[0]]} will fire`
+    );
+    if (message) lines.unshift(message);
+    this._el.querySelector('#opt-conflicts').innerHTML = lines.map(l => `<div>${l}</div>`).join('');
+  }
+
+  /**
+   * Wait for the next key and bind it. Captured before InputManager and the
+   * Esc-to-go-back handler see it.
+   */
+  _startCapture(action, slot) {
+    this._stopCapture();
+    const btn = this._el.querySelector(`[data-bind-action="${action}"][data-bind-slot="${slot}"]`);
+    btn?.classList.add('ctrl-bind--listening');
+    if (btn) btn.textContent = 'PRESS KEY';
+
+    const handler = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this._stopCapture();
+
+      if (e.code === 'Escape') { this._refreshBindings(); return; }
+      const code   = (e.code === 'Backspace' || e.code === 'Delete') ? null : e.code;
+      const result = this._input.setBinding(action, slot, code);
+      this._refreshBindings(result.success ? '' : `✗ ${result.error}`);
+    };
+    document.addEventListener('keydown', handler, true);
+    this._capture = { action, slot, handler };
+  }
+
+  _stopCapture() {
+    if (!this._capture) return;
+    document.removeEventListener('keydown', this._capture.handler, true);
+    this._capture = null;
+  }
+
   _buildResolutionButtons() {
     if (!this._resolutionManager) return '';
     const cur = this._resolutionManager.getCurrent();
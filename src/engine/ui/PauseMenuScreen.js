@@ -40,6 +40,7 @@ export class PauseMenuScreen {
     this._items.forEach((btn, i) => {
       btn.addEventListener('click',      () => this._activate(i));
       btn.addEventListener('mouseenter', () => this._select(i));
+      btn.addEventListener('focus',      () => this._select(i)); // Tab / screen reader
     });
   }
 
@@ -64,6 +65,9 @@ export class PauseMenuScreen {
   _select(idx) {
     this._selectedIdx = idx;
     this._items.forEach((btn, i) => btn.classList.toggle('menu-item-active', i === idx));
+    // Keyboard selection moves real focus so screen readers follow it
+    const btn = this._items[idx];
+    if (btn && btn !== document.activeElement && this._el.contains(document.activeElement)) btn.focus();
   }
 
   _activate(idx) {
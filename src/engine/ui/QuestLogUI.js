@@ -0,0 +1,170 @@
+/**
+ * QuestLogUI — quest log overlay (J key). Registered with UIRouter as 'quest-log'.
+ * Shows active quests with every active step's objectives and counters, plus
+ * finished and failed quests. Reuses the HUDPanels frame styles (hudp-*).
+ */
+
+import { EventBus, EventTypes } from '../core/EventBus.js';
+
+export class QuestLogUI {
+  constructor(campaignManager) {
+    this.campaignManager = campaignManager;
+    this._el = null;
+    this._visible = false;
+    this._build();
+
+    // Live refresh while open
+    const refresh = () => { if (this._visible) this._render(); };
+    EventBus.on(EventTypes.QUEST_STARTED, refresh);
+    EventBus.on(EventTypes.QUEST_ADVANCED, refresh);
+    EventBus.on(EventTypes.QUEST_COMPLETED, refresh);
+    EventBus.on(EventTypes.QUEST_FAILED, refresh);
+    EventBus.on(EventTypes.QUEST_OBJECTIVE_PROGRESS, refresh);
+  }
+
+  show() {
+    this._visible = true;
+    this._render();
+    this._el.classList.remove('hidden');
+  }
+
+  hide() {
+    this._visible = false;
+    this._el.classList.add('hidden');
+  }
+
+  isVisible() {
+    return this._visible;
+  }
+
+  // ── Construction ─────────────────────────────────────────────────────────────
+
+  _build() {
+    this._injectStyles();
+
+    this._el = document.createElement('div');
+    this._el.id = 'quest-log-panel';
+    this._el.className = 'hudp-panel hidden';
+    this._el.innerHTML = `
+      <div class="hudp-header">
+        <span class="hudp-icon">⚑</span>
+        <span class="hudp-title">QUEST LOG</span>
+        <span class="hudp-subtitle" id="qlog-count"></span>
+        <button class="hudp-close" id="qlog-close">[X]</button>
+      </div>
+      <div class="hudp-content" id="qlog-content"></div>
+    `;
+    document.body.appendChild(this._el);
+
+    const close = () => window.dispatchEvent(new CustomEvent('questLogClose'));
+    this._el.querySelector('#qlog-close').addEventListener('click', close);
+    window.addEventListener('keydown', (e) => {
+      if (this._visible && (e.code === 'Escape' || e.code === 'KeyJ')) close();
+    });
+  }
+
+  _render() {
+    const content = this._el.querySelector('#qlog-content');
+    const count = this._el.querySelector('#qlog-count');
+    const active = [...(this.campaignManager?.activeQuests?.values() ?? [])];
+    const completed = [...(this.campaignManager?.completedQuests ?? [])];
+    const failed = [...(this.campaignManager?.failedQuests ?? [])];
+
+    count.textContent = `${active.length} active · ${completed.length} done`;
+
+    if (active.length === 0 && completed.length === 0 && failed.length === 0) {
+      content.innerHTML = `<div class="hudp-overlay-empty">No quests yet.</div>`;
+      return;
+    }
+
+    const activeHtml = active.map(graph => this._renderQuest(graph)).join('');
+    const completedHtml = completed.map(id => `
+      <div class="qlog-done">✓ ${this._escape(this._humanize(id))}${this._renderEnding(id)}</div>
+    `).join('');
+    const failedHtml = failed.map(id => `
+      <div class="qlog-failed">✗ ${this._escape(this._humanize(id))}${this._renderEnding(id)}</div>
+    `).join('');
+
+    content.innerHTML = `
+      ${active.length ? `<div class="qlog-section">ACTIVE</div>${activeHtml}` : ''}
+      ${completed.length ? `<div class="qlog-section">COMPLETED</div>${completedHtml}` : ''}
+      ${failed.length ? `<div class="qlog-section">FAILED</div>${failedHtml}` : ''}
+    `;
+  }
+
+  _renderEnding(questId) {
+    const ending = this.campaignManager?.getQuestEnding?.(questId);
+    return ending ? ` — ${this._escape(this._humanize(ending))}` : '';
+  }
+
+  _renderQuest(graph) {
+    const steps = graph.getActiveNodes().map(node => this._renderStep(graph, node)).join('');
+
+    return `
+      <div class="qlog-quest">
+        <div class="qlog-title">${this._escape(graph.title ?? graph.questId)}</div>
+        ${graph.description ? `<div class="qlog-desc">${this._escape(graph.description)}</div>` : ''}
+        ${steps}
+      </div>
+    `;
+  }
+
+  _renderStep(graph, node) {
+    const objectives = graph.getObjectives(node.id).map(objective => {
+      const required = graph.getObjectiveRequired(objective);
+      const progress = graph.getObjectiveProgress(objective.id, node.id);
+      const done = progress >= required;
+      const counter = required > 1 ? ` ${progress}/${required}` : '';
+      return `
+        <div class="qlog-objective${done ? ' qlog-objective-done' : ''}">
+          <span>${done ? '[x]' : '[ ]'}</span>
+          <span>${this._escape(objective.text ?? this._describe(objective))}${counter}</span>
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="qlog-step">▸ ${this._escape(node.title ?? this._humanize(node.id))}</div>
+      ${node.description ? `<div class="qlog-desc">${this._escape(node.description)}</div>` : ''}
+      ${objectives}
+    `;
+  }
+
+  /** Fallback objective text when the quest file gives none. */
+  _describe(objective) {
+    switch (objective.type) {
+      case 'kill':   return `Defeat ${this._humanize(objective.enemyType ?? 'enemies')}`;
+      case 'reach':  return `Reach (${objective.x}, ${objective.z})`;
+      case 'obtain': return `Obtain ${this._humanize(objective.itemId ?? 'item')}`;
+      case 'flag':   return this._humanize(objective.flag ?? 'objective');
+      case 'talk':   return `Speak with ${this._humanize(objective.npcId ?? objective.knot ?? 'someone')}`;
+      default:       return this._humanize(objective.id ?? 'objective');
+    }
+  }
+
+  _humanize(id) {
+    return String(id).replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  _escape(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  _injectStyles() {
+    if (document.getElementById('qlog-styles')) return;
+    const s = document.createElement('style');
+    s.id = 'qlog-styles';
+    s.textContent = `
+      /* ── QuestLogUI ── */
+      .qlog-section { font-size: 6px; color: var(--hud-dim, #550022); letter-spacing: 2px; border-bottom: 1px solid var(--hud-dim, #550022); padding-bottom: 3px; margin: 6px 0 4px; }
+      .qlog-quest { border: 1px solid var(--hud-dim, #550022); padding: 8px 10px; margin-bottom: 6px; display: flex; flex-direction: column; gap: 4px; }
+      .qlog-title { font-size: 8px; color: var(--hud-pink, #FF0055); letter-spacing: 2px; }
+      .qlog-step { font-size: 7px; color: var(--hud-text, #FF3377); margin-top: 2px; }
+      .qlog-desc { font-size: 6px; color: var(--hud-dim, #550022); line-height: 1.9; }
+      .qlog-objective { display: flex; gap: 6px; font-size: 6px; line-height: 1.9; color: var(--hud-text, #FF3377); }
+      .qlog-objective-done { color: #00FF44; }
+      .qlog-done { font-size: 6px; color: #00FF44; line-height: 1.9; }
+      .qlog-failed { font-size: 6px; color: var(--hud-dim, #550022); line-height: 1.9; text-decoration: line-through; }
+    `;
+    document.head.appendChild(s);
+  }
+}
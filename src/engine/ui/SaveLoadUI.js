@@ -1,8 +1,11 @@
 /**
  * SaveLoadUI - User interface for save/load operations
- * Handles 3 manual slots + 1 auto-save with previews and confirmations
+ * Handles 3 manual slots + 1 auto-save with previews and confirmations,
+ * plus export/import of portable save files (see SaveFile)
  */
 
+import { attachGridNavigation } from './FocusManager.js';
+
 export class SaveLoadUI {
   constructor(saveSystem) {
     this.saveSystem = saveSystem;
@@ -10,6 +13,7 @@ export class SaveLoadUI {
     this.isVisible = false;
     this.mode = 'save'; // 'save' or 'load'
     this.selectedSlot = null;
+    this._slotNav = null;
     
     // UI elements
     this.elements = {
@@ -45,6 +49,7 @@ export class SaveLoadUI {
     
     this.container.style.display = 'flex';
     this.isVisible = true;
+    this._slotNav.refresh();
     
     // Add event listeners
     document.addEventListener('keydown', this.handlers.keydown);
@@ -116,6 +121,7 @@ export class SaveLoadUI {
     const closeButton = document.createElement('button');
     closeButton.className = 'save-load-close';
     closeButton.innerHTML = '×';
+    closeButton.setAttribute('aria-label', 'Close');
     closeButton.onclick = () => this.hide();
     
     header.appendChild(title);
@@ -170,6 +176,9 @@ export class SaveLoadUI {
     this.elements.title = title;
     this.elements.slotContainer = slotContainer;
     
+    // Arrow keys move between slots; Enter acts like clicking the slot
+    this._slotNav = attachGridNavigation(slotContainer, '.save-slot', { label: 'Save slots' });
+    
     // Add to document
     document.body.appendChild(this.container);
     
@@ -235,8 +244,26 @@ export class SaveLoadUI {
     deleteButton.textContent = 'Delete';
     deleteButton.style.display = 'none'; // Hidden by default
     
+    const exportButton = document.createElement('button');
+    exportButton.className = 'save-slot-secondary-btn save-slot-export-btn';
+    exportButton.textContent = 'Export';
+    exportButton.style.display = 'none';
+    
     actions.appendChild(primaryButton);
     actions.appendChild(deleteButton);
+    actions.appendChild(exportButton);
+    
+    // Imports overwrite a manual slot — the auto-save slot is engine-owned
+    if (slotId !== 'auto') {
+      const importButton = document.createElement('button');
+      importButton.className = 'save-slot-secondary-btn save-slot-import-btn';
+      importButton.textContent = 'Import';
+      importButton.onclick = (e) => {
+        e.stopPropagation();
+        this._handleImportClick(slotId);
+      };
+      actions.appendChild(importButton);
+    }
     
     // Assemble slot
     slot.appendChild(screenshot);
@@ -249,6 +276,10 @@ export class SaveLoadUI {
       e.stopPropagation();
       this._handleDeleteClick(slotId);
     };
+    exportButton.onclick = (e) => {
+      e.stopPropagation();
+      this._performExport(slotId);
+    };
     
     return slot;
   }
@@ -299,6 +330,10 @@ export class SaveLoadUI {
     const timestamp = slot.querySelector('.save-slot-timestamp');
     const primaryButton = slot.querySelector('.save-slot-primary-btn');
     const deleteButton = slot.querySelector('.save-slot-delete-btn');
+    const exportButton = slot.querySelector('.save-slot-export-btn');
+    
+    // Only intact saves can be exported
+    exportButton.style.display = metadata && !metadata.corrupted ? 'inline-block' : 'none';
     
     if (metadata && !metadata.corrupted) {
       // Slot has valid save data
@@ -361,6 +396,10 @@ export class SaveLoadUI {
       primaryButton.disabled = true;
       primaryButton.textContent = 'Auto-Save Only';
     }
+    
+    const slotName = slotId === 'auto' ? 'Auto-save' : `Slot ${slotId}`;
+    slot.setAttribute('aria-label',
+      [slotName, location.textContent, details.textContent, timestamp.textContent].filter(Boolean).join(', '));
   }
 
   /**
@@ -446,11 +485,12 @@ export class SaveLoadUI {
    * @param {string} title - Dialog title
    * @param {string} message - Dialog message
    * @param {string} confirmText - Confirm button text
-   * @param {Function} onConfirm - Confirm callback
+   * @param {Function|null} onConfirm - Confirm callback (null hides the confirm button)
    * @param {string} type - Dialog type ('normal' or 'danger')
+   * @param {HTMLElement|null} details - Extra content shown under the message
    * @private
    */
-  _showConfirmDialog(title, message, confirmText, onConfirm, type = 'normal') {
+  _showConfirmDialog(title, message, confirmText, onConfirm, type = 'normal', details = null) {
     // Create dialog if it doesn't exist
     if (!this.elements.confirmDialog) {
       this._createConfirmDialog();
@@ -459,12 +499,21 @@ export class SaveLoadUI {
     const dialog = this.elements.confirmDialog;
     const titleEl = dialog.querySelector('.confirm-dialog-title');
     const messageEl = dialog.querySelector('.confirm-dialog-message');
+    const detailsEl = dialog.querySelector('.confirm-dialog-details');
     const confirmBtn = dialog.querySelector('.confirm-dialog-confirm');
     const cancelBtn = dialog.querySelector('.confirm-dialog-cancel');
     
     titleEl.textContent = title;
     messageEl.textContent = message;
     confirmBtn.textContent = confirmText;
+    confirmBtn.style.display = onConfirm ? '' : 'none';
+    cancelBtn.textContent = onConfirm ? 'Cancel' : 'Close';
+    
+    detailsEl.innerHTML = '';
+    if (details) {
+      detailsEl.appendChild(details);
+    }
+    detailsEl.style.display = details ? 'block' : 'none';
     
     // Set button style based on type
     confirmBtn.className = `confirm-dialog-confirm ${type === 'danger' ? 'danger' : 'primary'}`;
@@ -500,6 +549,10 @@ export class SaveLoadUI {
     const message = document.createElement('p');
     message.className = 'confirm-dialog-message';
     
+    const details = document.createElement('div');
+    details.className = 'confirm-dialog-details';
+    details.style.display = 'none';
+    
     const buttons = document.createElement('div');
     buttons.className = 'confirm-dialog-buttons';
     
@@ -515,6 +568,7 @@ export class SaveLoadUI {
     
     modal.appendChild(title);
     modal.appendChild(message);
+    modal.appendChild(details);
     modal.appendChild(buttons);
     
     dialog.appendChild(modal);
@@ -552,7 +606,10 @@ export class SaveLoadUI {
         this._refreshSlots();
         
         // Show success message briefly
-        this._showMessage('Game saved successfully!', 'success');
+        this._showMessage(
+          result.screenshotDropped ? 'Game saved (storage nearly full — preview skipped)' : 'Game saved successfully!',
+          'success'
+        );
         
         // Auto-close after save
         setTimeout(() => {
@@ -561,6 +618,10 @@ export class SaveLoadUI {
           }
         }, 1500);
         
+      } else if (result.quotaExceeded) {
+        console.error('Save failed, storage full:', result.error);
+        const used = this.saveSystem.getStorageStats().totalSizeFormatted;
+        this._showMessage(`Storage full (${used} used by saves). Delete a slot and try again.`, 'error');
       } else {
         console.error('Save failed:', result.error);
         this._showMessage(`Save failed: ${result.error}`, 'error');
@@ -618,8 +679,8 @@ export class SaveLoadUI {
    * @param {number|string} slotId - Slot to delete
    * @private
    */
-  _performDelete(slotId) {
-    const success = this.saveSystem.deleteSave(slotId);
+  async _performDelete(slotId) {
+    const success = await this.saveSystem.deleteSave(slotId);
     
     if (success) {
       console.log(`Save deleted from slot ${slotId}`);
@@ -630,6 +691,160 @@ export class SaveLoadUI {
     }
   }
 
+  /**
+   * Download a slot as a save file
+   * @param {number|string} slotId - Slot to export
+   * @private
+   */
+  _performExport(slotId) {
+    const result = this.saveSystem.exportSave(slotId);
+    
+    if (!result.success) {
+      this._showMessage(`Export failed: ${result.error}`, 'error');
+      return;
+    }
+    
+    const blob = new Blob([result.content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    this._showMessage(`Exported ${result.fileName}`, 'success');
+  }
+
+  /**
+   * Ask for a save file to import into a slot
+   * @param {number} slotId - Target slot
+   * @private
+   */
+  _handleImportClick(slotId) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      
+      try {
+        const text = await file.text();
+        this._showImportReview(this.saveSystem.reviewImport(text, slotId));
+      } catch (error) {
+        console.error('Import read error:', error);
+        this._showMessage(`Import failed: ${error.message}`, 'error');
+      }
+    };
+    input.click();
+  }
+
+  /**
+   * Show validation problems and slot changes before an import overwrites anything
+   * @param {Object} review - Result of SaveSystem.reviewImport()
+   * @private
+   */
+  _showImportReview(review) {
+    if (!review.success) {
+      this._showConfirmDialog('Import Failed', review.error, '', null, 'danger');
+      return;
+    }
+    
+    const slotName = `Slot ${review.slotId}`;
+    const details = document.createElement('div');
+    
+    // Problems first — errors block the import, warnings only inform
+    const problems = [
+      ...review.errors.map(text => ({ text, level: 'error' })),
+      ...review.warnings.map(text => ({ text, level: 'warning' }))
+    ];
+    if (problems.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'import-problems';
+      for (const problem of problems) {
+        const item = document.createElement('li');
+        item.className = `import-problem ${problem.level}`;
+        item.textContent = `${problem.level === 'error' ? '✗' : '!'} ${problem.text}`;
+        list.appendChild(item);
+      }
+      details.appendChild(list);
+    }
+    
+    // Slot diff: what the slot holds now vs. what the file brings
+    const table = document.createElement('table');
+    table.className = 'import-diff';
+    const head = table.insertRow();
+    for (const label of ['', `${slotName} now`, 'Imported']) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    for (const change of review.changes) {
+      const row = table.insertRow();
+      row.className = change.changed ? 'changed' : '';
+      row.insertCell().textContent = change.field;
+      row.insertCell().textContent = change.current;
+      row.insertCell().textContent = change.incoming;
+    }
+    details.appendChild(table);
+    
+    if (!review.canImport) {
+      this._showConfirmDialog(
+        'Import Blocked',
+        `This file has ${review.errors.length} error(s) and cannot be imported.`,
+        '',
+        null,
+        'danger',
+        details
+      );
+      return;
+    }
+    
+    const occupied = review.changes.some(change => change.current !== '—');
+    this._showConfirmDialog(
+      'Import Save',
+      occupied
+        ? `Importing will overwrite ${slotName}. Review the changes below.`
+        : `Import this save into ${slotName}?`,
+      occupied ? 'Overwrite' : 'Import',
+      () => this._performImport(review.slotId, review.saveData),
+      occupied ? 'danger' : 'normal',
+      details
+    );
+  }
+
+  /**
+   * Write a reviewed import into its slot
+   * @param {number} slotId - Target slot
+   * @param {SaveData} saveData - Reviewed save
+   * @private
+   */
+  async _performImport(slotId, saveData) {
+    try {
+      this._setLoadingState(true);
+      
+      const result = await this.saveSystem.importSave(slotId, saveData);
+      
+      if (result.success) {
+        this._refreshSlots();
+        this._showMessage(`Save imported into slot ${slotId}`, 'success');
+      } else if (result.quotaExceeded) {
+        const used = this.saveSystem.getStorageStats().totalSizeFormatted;
+        this._showMessage(`Storage full (${used} used by saves). Delete a slot and try again.`, 'error');
+      } else {
+        this._showMessage(`Import failed: ${result.error}`, 'error');
+      }
+      
+    } catch (error) {
+      console.error('Import error:', error);
+      this._showMessage(`Import error: ${error.message}`, 'error');
+    } finally {
+      this._setLoadingState(false);
+    }
+  }
+
   /**
    * Set loading state for UI
    * @param {boolean} loading - Loading state
@@ -938,6 +1153,21 @@ export class SaveLoadUI {
         background: #b71c1c;
       }
 
+      .save-slot-secondary-btn {
+        padding: 6px 16px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        background: transparent;
+        color: #ccc;
+        cursor: pointer;
+        font-size: 11px;
+        transition: background-color 0.2s;
+      }
+
+      .save-slot-secondary-btn:hover {
+        background: #3a3a3a;
+      }
+
       .confirm-dialog-overlay {
         position: absolute;
         top: 0;
@@ -970,6 +1200,48 @@ export class SaveLoadUI {
         line-height: 1.4;
       }
 
+      .confirm-dialog-details {
+        margin: 0 0 20px 0;
+        max-height: 260px;
+        overflow-y: auto;
+        font-size: 12px;
+      }
+
+      .import-problems {
+        list-style: none;
+        margin: 0 0 10px 0;
+        padding: 0;
+      }
+
+      .import-problem.error {
+        color: #f44336;
+      }
+
+      .import-problem.warning {
+        color: #ffb300;
+      }
+
+      .import-diff {
+        width: 100%;
+        border-collapse: collapse;
+        color: #ccc;
+      }
+
+      .import-diff th,
+      .import-diff td {
+        text-align: left;
+        padding: 3px 6px;
+        border-bottom: 1px solid #3a3a3a;
+      }
+
+      .import-diff tr.changed td {
+        color: #fff;
+      }
+
+      .import-diff tr.changed td:last-child {
+        color: #4a90e2;
+      }
+
       .confirm-dialog-buttons {
         display: flex;
         gap: 10px;
@@ -5,6 +5,7 @@
 
 import { shopSystem } from '../shop/ShopSystem.js';
 import { ItemTypes, ItemRarity } from '../inventory/Item.js';
+import { attachGridNavigation, focusManager } from './FocusManager.js';
 
 export class ShopUI {
     constructor(inventorySystem, partyManager) {
@@ -18,6 +19,8 @@ export class ShopUI {
         this.buyTab = null;
         this.sellTab = null;
         this.goldDisplay = null;
+        this._buyNav = null;
+        this._sellNav = null;
         
         this._createUI();
         console.log('ShopUI initialized');
@@ -80,9 +83,12 @@ export class ShopUI {
         // Update tab buttons
         document.querySelectorAll('.shop-tab-button').forEach(btn => {
             btn.classList.remove('active');
+            btn.setAttribute('aria-selected', 'false');
         });
         
-        document.querySelector(`[data-tab="${tab}"]`).classList.add('active');
+        const activeTab = document.querySelector(`[data-tab="${tab}"]`);
+        activeTab.classList.add('active');
+        activeTab.setAttribute('aria-selected', 'true');
         
         // Show/hide tab content
         this.buyTab.style.display = tab === 'buy' ? 'block' : 'none';
@@ -101,6 +107,7 @@ export class ShopUI {
         // Update button styles
         document.querySelectorAll('.category-filter-btn').forEach(btn => {
             const btnCategory = btn.getAttribute('data-category');
+            btn.setAttribute('aria-pressed', String(btnCategory === category));
             if (btnCategory === category) {
                 btn.style.background = '#8b4513';
                 btn.style.color = '#ffd700';
@@ -167,6 +174,7 @@ export class ShopUI {
 
         const closeButton = document.createElement('button');
         closeButton.textContent = '×';
+        closeButton.setAttribute('aria-label', 'Close shop');
         closeButton.style.cssText = `
             background: #8b0000;
             color: white;
@@ -187,6 +195,7 @@ export class ShopUI {
         // Tab buttons
         const tabContainer = document.createElement('div');
         tabContainer.className = 'shop-tabs';
+        tabContainer.setAttribute('role', 'tablist');
         tabContainer.style.cssText = `
             display: flex;
             background: #3c2415;
@@ -231,6 +240,8 @@ export class ShopUI {
         button.textContent = text;
         button.className = 'shop-tab-button';
         button.setAttribute('data-tab', tabName);
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-selected', String(active));
         button.style.cssText = `
             flex: 1;
             padding: 12px;
@@ -289,6 +300,7 @@ export class ShopUI {
             button.textContent = category.label;
             button.className = 'category-filter-btn';
             button.setAttribute('data-category', category.key);
+            button.setAttribute('aria-pressed', String(category.key === 'all'));
             button.style.cssText = `
                 padding: 8px 12px;
                 background: ${category.key === 'all' ? '#8b4513' : '#654321'};
@@ -332,6 +344,8 @@ export class ShopUI {
         tab.appendChild(filterContainer);
         tab.appendChild(itemsGrid);
 
+        this._buyNav = attachGridNavigation(itemsGrid, '.shop-item', { label: 'Items for sale' });
+
         return tab;
     }
 
@@ -358,6 +372,8 @@ export class ShopUI {
 
         tab.appendChild(itemsGrid);
 
+        this._sellNav = attachGridNavigation(itemsGrid, '.inventory-item', { label: 'Your items' });
+
         return tab;
     }
 
@@ -371,6 +387,7 @@ export class ShopUI {
 
     _refreshBuyTab() {
         const grid = this.buyTab.querySelector('.shop-items-grid');
+        const hadFocus = grid.contains(document.activeElement);
         grid.innerHTML = '';
 
         const shopItems = shopSystem.getShopInventory();
@@ -382,10 +399,14 @@ export class ShopUI {
             const itemElement = this._createShopItemElement(shopItem, 'buy');
             grid.appendChild(itemElement);
         });
+
+        // Keep keyboard focus in the grid after buying re-renders it
+        this._buyNav?.refresh({ focus: hadFocus });
     }
 
     _refreshSellTab() {
         const grid = this.sellTab.querySelector('.sell-items-grid');
+        const hadFocus = grid.contains(document.activeElement);
         grid.innerHTML = '';
 
         // Get sellable items from inventory
@@ -398,6 +419,8 @@ export class ShopUI {
             const itemElement = this._createInventoryItemElement(item, 'sell');
             grid.appendChild(itemElement);
         });
+
+        this._sellNav?.refresh({ focus: hadFocus });
     }
 
     _createShopItemElement(shopItem, mode) {
@@ -447,6 +470,8 @@ export class ShopUI {
             </div>
         `;
 
+        element.setAttribute('aria-label',
+            `${shopItem.name}, level ${shopItem.level} ${this._formatItemType(shopItem.type)}, ${shopItem.price} gold, ${shopItem.stock} in stock`);
         element.onclick = () => this._handleItemClick(shopItem, mode);
 
         return element;
@@ -515,6 +540,8 @@ export class ShopUI {
             </div>
         `;
 
+        element.setAttribute('aria-label',
+            `${item.name}, level ${item.level} ${this._formatItemType(item.type)}, sells for ${sellPrice} gold`);
         element.onclick = () => this._handleItemClick(item, mode);
 
         return element;
@@ -637,6 +664,7 @@ export class ShopUI {
         messageEl.textContent = message;
 
         document.body.appendChild(messageEl);
+        focusManager.announce(message, { assertive: type === 'error' });
 
         // Remove after 3 seconds
         setTimeout(() => {
@@ -11,6 +11,7 @@ const log = Logger.tag('TargetingOverlay');
  *  - Ambient light dims 60% on enter, restores on exit
  *  - Radial gradient vignette via CSS overlay div
  *  - THREE.SpotLight on each valid target; concentric reticle rotates on hover
+ *  - Hovered enemy's telegraphed intent drawn as a caption above the arrow
  */
 export class TargetingOverlay {
   static DASH_RADIUS  = 6;    // px per node circle
@@ -28,6 +29,7 @@ export class TargetingOverlay {
     this._active       = false;
     this._fromPos      = null;  // { x, y } DOM pixel origin (card centre)
     this._toPos        = null;  // { x, y } DOM pixel target (projected enemy)
+    this._intentLabel  = null;  // hovered enemy's intent ("Attacking Mage for ~20")
     this._validTargets = [];    // CombatantEntity[]
     this._spotLights   = [];    // THREE.SpotLight[]
     this._reticles     = [];    // THREE.Mesh[] floor reticles
@@ -53,6 +55,7 @@ export class TargetingOverlay {
     this._validTargets = validTargets;
     this._fromPos     = fromDOMPos;
     this._toPos       = null;
+    this._intentLabel = null;
     this._scene       = scene;
 
     this._canvas.style.display = 'block';
@@ -74,11 +77,13 @@ export class TargetingOverlay {
    * Update target pointer as mouse moves over valid targets.
    * @param {{ x, y }} domPos - Screen position from getBoundingClientRect() of the hovered slot
    * @param {CombatantEntity} entity - The hovered entity (for reticle update)
+   * @param {string} [intentLabel] - The hovered enemy's telegraphed intent
    */
-  setHoverTarget(domPos, entity) {
+  setHoverTarget(domPos, entity, intentLabel = null) {
     if (!this._active) return;
-    if (!domPos) { this._toPos = null; return; }
+    if (!domPos) { this._toPos = null; this._intentLabel = null; return; }
     this._toPos = domPos;
+    this._intentLabel = intentLabel;
     this._updateReticles(entity);
   }
 
@@ -194,6 +199,29 @@ export class TargetingOverlay {
 
     // Arrow at target end
     this._drawArrowhead(ctx, points[points.length - 2], to);
+
+    if (this._intentLabel) this._drawIntentLabel(ctx, to, this._intentLabel);
+  }
+
+  _drawIntentLabel(ctx, to, label) {
+    ctx.save();
+    ctx.font = 'bold 12px "Courier New", monospace';
+    const padX  = 6;
+    const w     = ctx.measureText(label).width + padX * 2;
+    const h     = 18;
+    const x     = to.x - w * 0.5;
+    const y     = to.y - 48;
+
+    ctx.fillStyle   = 'rgba(10, 4, 2, 0.85)';
+    ctx.strokeStyle = 'rgba(255, 130, 20, 0.8)';
+    ctx.lineWidth   = 1;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x, y, w, h);
+
+    ctx.fillStyle    = 'rgba(255, 200, 120, 1)';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, x + padX, y + h * 0.5);
+    ctx.restore();
   }
 
   _sampleBezier(p0, p1, p2, steps) {
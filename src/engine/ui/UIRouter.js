@@ -1,14 +1,18 @@
 // UIRouter - centralized screen stack manager.
 // Screens are overlays; exploration is the implicit base (empty stack = movement enabled).
 // Pushing a screen hides the previous one; popping resumes it.
+// Focus follows the stack (FocusManager): a pushed screen gets focus and traps Tab,
+// popping returns focus to where it was.
 import { Logger } from '../utils/Logger.js';
+import { focusManager } from './FocusManager.js';
 
 const log = Logger.tag('UI:Router');
 
 export class UIRouter {
-  constructor() {
-    this.screens = new Map(); // name → { show, hide }
+  constructor(focus = focusManager) {
+    this.screens = new Map(); // name → { show, hide, root, label }
     this._stack = []; // [{ name, detail }]
+    this.focus = focus;
   }
 
   get current() {
@@ -16,8 +20,9 @@ export class UIRouter {
   }
 
   // Register a named screen with show/hide callbacks.
-  register(name, { show, hide }) {
-    this.screens.set(name, { show, hide });
+  // root: element getter or selector for focus management; label: accessible dialog name.
+  register(name, { show, hide, root = null, label = null }) {
+    this.screens.set(name, { show, hide, root, label });
   }
 
   // Push a new screen on top. Hides the previous top.
@@ -31,6 +36,7 @@ export class UIRouter {
     this._stack.push({ name, detail });
     const next = this.screens.get(name);
     if (next) next.show(detail);
+    this._enterFocus(name);
     log.info(`push → ${name}`);
     this._dispatch(name, 'show');
   }
@@ -46,6 +52,7 @@ export class UIRouter {
       const resume = this.screens.get(prevEntry.name);
       if (resume) resume.show(prevEntry.detail);
     }
+    this.focus?.leave(leaving.name);
     log.info(`pop ← ${leaving.name} → ${prevEntry?.name ?? 'exploration'}`);
     this._dispatch(leaving.name, 'hide');
   }
@@ -56,10 +63,12 @@ export class UIRouter {
       const leaving = this._stack.pop();
       const leaver = this.screens.get(leaving.name);
       if (leaver) leaver.hide();
+      this.focus?.leave(leaving.name);
     }
     this._stack.push({ name, detail });
     const next = this.screens.get(name);
     if (next) next.show(detail);
+    this._enterFocus(name);
     log.info(`replace → ${name}`);
   }
 
@@ -77,6 +86,7 @@ export class UIRouter {
       const leaver = this.screens.get(entry.name);
       if (leaver) leaver.hide();
     }
+    this.focus?.clear();
     log.info('closeAll → exploration');
   }
 
@@ -96,10 +106,18 @@ export class UIRouter {
       const resume = this.screens.get(topEntry.name);
       if (resume) resume.show(topEntry.detail);
     }
+    this.focus?.leave(name);
     log.info(`popNamed ← ${name}`);
     this._dispatch(name, 'hide');
   }
 
+  _enterFocus(name) {
+    const screen = this.screens.get(name);
+    if (!this.focus || !screen) return;
+    const root = typeof screen.root === 'string' ? document.querySelector(screen.root) : screen.root?.();
+    this.focus.enter(name, root ?? null, { label: screen.label });
+  }
+
   _dispatch(name, action) {
     window.dispatchEvent(new CustomEvent('uiRouterChange', {
       detail: { screen: name, action, stack: [...this._stack] }
@@ -1,3 +1,5 @@
+import { rng, RNGStreams } from './RNG.js';
+
 export class Dice {
   constructor(throws, faces, modifier = 0) {
     this.throws   = throws;
@@ -11,9 +13,12 @@ export class Dice {
     return new Dice(+m[1], +m[2], m[3] ? +m[3] : 0);
   }
 
-  roll() {
+  /**
+   * @param {import('./RNG.js').RNGStream} stream - Seeded stream to draw from (defaults to combat)
+   */
+  roll(stream = rng.stream(RNGStreams.COMBAT)) {
     let v = 0;
-    for (let i = 0; i < this.throws; i++) v += Math.floor(Math.random() * this.faces) + 1;
+    for (let i = 0; i < this.throws; i++) v += stream.int(1, this.faces);
     return v + this.modifier;
   }
 
@@ -35,3 +40,10 @@ export const DC = {
   Challenging:      30,
   NearlyImpossible: 40,
 };
+
+// Saving throw category → the stat that resists it
+export const SAVE_STAT = {
+  Fortitude: 'DEF',
+  Reflex:    'SPD',
+  Will:      'SPD',
+};
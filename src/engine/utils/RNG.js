@@ -0,0 +1,169 @@
+/**
+ * RNG — seedable random number service with named sub-streams.
+ *
+ * Every gameplay roll (combat, loot, encounters, AI) draws from its own stream so
+ * that e.g. opening a chest doesn't shift the next combat roll. Each stream is a
+ * mulberry32 generator seeded from the master seed + stream name. mulberry32's
+ * state advances by a fixed constant per draw, so a stream can be restored to any
+ * position in O(1) — saves store only the seed and per-stream positions.
+ *
+ * Cosmetic randomness (particles, idle bobbing, ids) stays on Math.random.
+ */
+
+export const RNGStreams = Object.freeze({
+  COMBAT:    'combat',
+  LOOT:      'loot',
+  ENCOUNTER: 'encounter',
+  AI:        'ai',
+  NARRATIVE: 'narrative',
+});
+
+const MULBERRY_INCREMENT = 0x6D2B79F5;
+
+/** FNV-1a hash — turns seed strings / stream names into 32-bit integers. */
+function hash32(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export class RNGStream {
+  constructor(name, seed) {
+    this.name = name;
+    this.reseed(seed);
+  }
+
+  /**
+   * Reset the stream to position 0 for a master seed
+   * @param {number|string} seed - Master seed
+   */
+  reseed(seed) {
+    this._initial = hash32(`${seed}:${this.name}`);
+    this._state = this._initial;
+    this.position = 0;
+  }
+
+  /**
+   * Jump to an absolute draw count
+   * @param {number} position - Number of draws already consumed
+   */
+  setPosition(position) {
+    const n = Math.max(0, Math.floor(position) || 0);
+    this._state = (this._initial + Math.imul(n, MULBERRY_INCREMENT)) >>> 0;
+    this.position = n;
+  }
+
+  /** @returns {number} Float in [0, 1) — drop-in replacement for Math.random() */
+  next() {
+    this._state = (this._state + MULBERRY_INCREMENT) >>> 0;
+    this.position++;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max] inclusive
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Float in [min, max)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @param {number} probability - 0..1
+   * @returns {boolean} True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random array element
+   * @param {Array} items
+   * @returns {*} Element or undefined for an empty array
+   */
+  pick(items) {
+    if (!items || items.length === 0) return undefined;
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+export class RNGService {
+  constructor(seed = Date.now()) {
+    this.streams = new Map();
+    this.setSeed(seed);
+  }
+
+  /**
+   * Set the master seed and rewind every stream to position 0
+   * @param {number|string} seed - Master seed
+   */
+  setSeed(seed) {
+    this.seed = String(seed);
+    for (const stream of this.streams.values()) {
+      stream.reseed(this.seed);
+    }
+  }
+
+  /**
+   * Get (or lazily create) a named stream. Stream objects are stable across
+   * setSeed()/restoreState(), so modules may cache them.
+   * @param {string} name - Stream name (see RNGStreams)
+   * @returns {RNGStream}
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RNGStream(name, this.seed);
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Snapshot for SaveData
+   * @returns {{seed: string, positions: Object<string, number>}}
+   */
+  getState() {
+    const positions = {};
+    for (const [name, stream] of this.streams.entries()) {
+      positions[name] = stream.position;
+    }
+    return { seed: this.seed, positions };
+  }
+
+  /**
+   * Restore a snapshot from getState()
+   * @param {{seed: string, positions: Object<string, number>}} state
+   */
+  restoreState(state) {
+    if (!state || state.seed === undefined) return;
+    this.setSeed(state.seed);
+    for (const [name, position] of Object.entries(state.positions ?? {})) {
+      this.stream(name).setPosition(position);
+    }
+  }
+}
+
+export const rng = new RNGService();
+
+if (typeof window !== 'undefined') {
+  window.rng = rng;
+}
@@ -7,12 +7,16 @@
 import { GridSystem } from './engine/core/GridSystem.js';
 import { Renderer } from './engine/core/Renderer.js';
 import { InputManager } from './engine/managers/InputManager.js';
+import { GamepadInput } from './engine/managers/GamepadInput.js';
 import { MovementController } from './engine/managers/MovementController.js';
 import { GameLoopManager } from './engine/managers/GameLoopManager.js';
 import { CollisionSystem } from './engine/systems/CollisionSystem.js';
 import { DoorSystem } from './engine/systems/DoorSystem.js';
 import { TransitionSystem } from './engine/systems/TransitionSystem.js';
+import { WorldStateSystem } from './engine/systems/WorldStateSystem.js';
+import { CraftingSystem } from './engine/systems/CraftingSystem.js';
 import { DungeonLoader } from './engine/loaders/DungeonLoader.js';
+import { DungeonGenerator, dungeonGenerator } from './engine/loaders/DungeonGenerator.js';
 import { GeometryFactory } from './engine/utils/GeometryFactory.js';
 import { DebugUI } from './engine/ui/DebugUI.js';
 import { PerformanceManager } from './engine/performance/PerformanceManager.js';
@@ -23,6 +27,7 @@ import { SystemInspector } from './engine/utils/SystemInspector.js';
 import { EventBus, EventTypes } from './engine/core/EventBus.js';
 import { Dir } from './engine/core/Direction.js';
 import { Dice } from './engine/utils/Dice.js';
+import { rng } from './engine/utils/RNG.js';
 import { CameraAnimator } from './engine/core/CameraAnimator.js';
 
 // Import performance systems
@@ -59,6 +64,7 @@ import { ResolutionManager } from './engine/core/ResolutionManager.js';
 
 // Campaign & narrative systems
 import { CampaignManager } from './engine/campaign/CampaignManager.js';
+import { QuestTracker } from './engine/campaign/QuestTracker.js';
 import { NarrativeManager } from './engine/narrative/NarrativeManager.js';
 import { NarrativeUI } from './engine/ui/NarrativeUI.js';
 import { NPCEngine } from './engine/npc/NPCEngine.js';
@@ -86,6 +92,8 @@ import { CryptTheme }     from './engine/themes/CryptTheme.js';
 import { EndingScreen }       from './engine/ui/EndingScreen.js';
 import { CampaignSelectUI }   from './engine/ui/CampaignSelectUI.js';
 import { GameOverScreen }     from './engine/ui/GameOverScreen.js';
+import { QuestLogUI }         from './engine/ui/QuestLogUI.js';
+import { CraftingUI }         from './engine/ui/CraftingUI.js';
 
 /**
  * Main Game Engine Class
@@ -96,6 +104,7 @@ class DungeonCrawlerEngine {
     this.gridSystem = null;
     this.renderer = null;
     this.inputManager = null;
+    this.gamepadInput = null;
     this.movementController = null;
     this.gameLoopManager = null;
     this.collisionSystem = null;
@@ -125,7 +134,8 @@ class DungeonCrawlerEngine {
     this.encounterSystem = null;
     this.currentLevelId = null;
     this._encounterBillboards = [];
-    this._placedEnemyMarkers = []; // { sprite, light, key } — corridor enemy markers
+    this._placedEnemyMarkers = []; // { sprite, light, key, target } — roaming group sprites, key = group id
+    this._npcMarkers         = new Map(); // npcId -> { sprite, target } — NPC billboards
     this._markerBobTime      = 0;
     this._splashHideTimer    = null;
     this.targetingOverlay   = null;
@@ -306,11 +316,15 @@ class DungeonCrawlerEngine {
     this.resolutionManager.initialize();
 
     this.inputManager = new InputManager();
+    this.gamepadInput = new GamepadInput(this.inputManager, { getContext: () => this.getInputContext() });
+    this.gamepadInput.initialize();
     this.geometryFactory = new GeometryFactory();
     this.doorSystem = new DoorSystem(this.gridSystem, this.renderer);
     this.collisionSystem = new CollisionSystem(this.gridSystem, this.doorSystem);
     this.movementController = new MovementController(this.gridSystem, this.collisionSystem, this.renderer);
     this.dungeonLoader = new DungeonLoader(this.gridSystem, this.doorSystem, this.renderer, this.geometryFactory);
+    this.worldStateSystem = new WorldStateSystem(this.gridSystem, this.doorSystem);
+    this.dungeonLoader.setWorldState(this.worldStateSystem);
     this.transitionSystem = new TransitionSystem(this.dungeonLoader, this.movementController, this.inputManager);
     
     // Initialize performance manager
@@ -381,6 +395,8 @@ class DungeonCrawlerEngine {
     this.partyManager = this.characterSystem.partyManager; // single source of truth
     this.saveSystem = new SaveSystem();
     this.inventorySystem = new InventorySystem(40);
+    // Forge recipes — recipe book is loaded per campaign alongside encounter tables
+    this.craftingSystem = new CraftingSystem(this.inventorySystem, this.partyManager);
     
     // Campaign & narrative
     this.campaignManager = new CampaignManager();
@@ -390,7 +406,11 @@ class DungeonCrawlerEngine {
       this.inventorySystem
     );
     // NPC system
-    this.npcEngine = new NPCEngine(this.campaignManager, this.narrativeManager);
+    this.npcEngine = new NPCEngine(this.campaignManager, this.narrativeManager, this.gridSystem);
+    // Quest objectives advance from gameplay events
+    this.questTracker = new QuestTracker(this.campaignManager, {
+      getLevelId: () => this.currentLevelId
+    });
 
     // Initialize game loop manager
     this.gameLoopManager = new GameLoopManager(this);
@@ -412,6 +432,10 @@ class DungeonCrawlerEngine {
 
     this.uiRouter = new UIRouter();
 
+    // Save storage must be open before the main menu / load screen query slots
+    const backend = await this.saveSystem.open();
+    log.info(`Save storage: ${backend}`);
+
     // Pixel exploration HUD (party column, compass, quest, log, hotbar)
     this.explorationHUD = new ExplorationHUD();
     this.explorationHUD.initialize();
@@ -450,10 +474,12 @@ class DungeonCrawlerEngine {
     this.splashScreen    = new SplashScreen();
     this.mainMenuScreen  = new MainMenuScreen(this.saveSystem);
     this.pauseMenuScreen = new PauseMenuScreen();
-    this.optionsScreen   = new OptionsScreen(this.resolutionManager);
+    this.optionsScreen   = new OptionsScreen(this.resolutionManager, this.inputManager);
     this.endingScreen       = new EndingScreen();
     this.campaignSelectUI   = new CampaignSelectUI();
     this.gameOverScreen     = new GameOverScreen();
+    this.questLogUI         = new QuestLogUI(this.campaignManager);
+    this.craftingUI         = new CraftingUI(this.craftingSystem, this.partyManager);
 
     const blockMove   = () => this.inputManager.blockInput();
     const unblockMove = () => this.inputManager.unblockInput();
@@ -461,15 +487,18 @@ class DungeonCrawlerEngine {
     this.uiRouter.register('narrative', {
       show: () => { this.narrativeUI.show(); blockMove(); },
       hide: () => { this.narrativeUI.hide(); unblockMove(); },
+      root: '#narrative-panel', label: 'Dialogue',
     });
 
     this.uiRouter.register('inventory', {
       show: () => { this.inventoryUI.show();      blockMove(); },
       hide: () => { this.inventoryUI.hide();      unblockMove(); },
+      root: () => this.inventoryUI.container, label: 'Inventory',
     });
     this.uiRouter.register('character-sheet', {
       show: () => { this.characterSheetUI.show(null); blockMove(); },
       hide: () => { this.characterSheetUI.hide();     unblockMove(); },
+      root: () => this.characterSheetUI.container, label: 'Character sheet',
     });
     this._pendingEquipment = { character: null, slot: null };
     this.uiRouter.register('equipment', {
@@ -480,6 +509,7 @@ class DungeonCrawlerEngine {
         blockMove();
       },
       hide: () => { this.equipmentUI.hide(); unblockMove(); },
+      root: () => this.equipmentUI.container, label: 'Equipment',
     });
     this.uiRouter.register('shop', {
       show: () => {
@@ -490,42 +520,62 @@ class DungeonCrawlerEngine {
         blockMove();
       },
       hide: () => { this.shopUI.hide(); unblockMove(); },
+      root: () => this.shopUI.container, label: 'Shop',
     });
     this.uiRouter.register('save', {
       show: () => { this.saveLoadUI.show('save'); blockMove(); },
       hide: () => { this.saveLoadUI.hide();       unblockMove(); },
+      root: () => this.saveLoadUI.container, label: 'Save game',
     });
     this.uiRouter.register('load', {
       show: () => { this.saveLoadUI.show('load'); blockMove(); },
       hide: () => { this.saveLoadUI.hide();       unblockMove(); },
+      root: () => this.saveLoadUI.container, label: 'Load game',
     });
     this.uiRouter.register('splash', {
       show: () => { this.splashScreen.show();    blockMove(); },
       hide: () => { this.splashScreen.hide();    unblockMove(); },
+      root: '#splash-screen', label: 'Title screen',
     });
     this.uiRouter.register('main-menu', {
       show: () => { this.mainMenuScreen.show();  blockMove(); },
       hide: () => { this.mainMenuScreen.hide();  unblockMove(); },
+      root: '#main-menu-screen', label: 'Main menu',
     });
     this.uiRouter.register('party-creation', {
       show: () => { this.partyCreationUI.show(); blockMove(); },
       hide: () => { this.partyCreationUI.hide(); unblockMove(); },
+      root: () => this.partyCreationUI.container, label: 'Party creation',
     });
     this.uiRouter.register('pause-menu', {
       show: () => { this.pauseMenuScreen.show(); blockMove(); },
       hide: () => { this.pauseMenuScreen.hide(); unblockMove(); },
+      root: '#pause-menu-screen', label: 'Pause menu',
     });
     this.uiRouter.register('options', {
       show: () => { this.optionsScreen.show();   blockMove(); },
       hide: () => { this.optionsScreen.hide();   unblockMove(); },
+      root: '#options-screen', label: 'Options',
     });
     this.uiRouter.register('game-over', {
       show: (detail) => { this.gameOverScreen.show(detail ?? {}); blockMove(); },
       hide: () => { this.gameOverScreen.hide(); unblockMove(); },
+      root: '#game-over-screen', label: 'Game over',
     });
     this.uiRouter.register('ending', {
       show: (detail) => { this.endingScreen.show(detail ?? {}); blockMove(); },
       hide: () => { this.endingScreen.hide(); unblockMove(); },
+      root: '#ending-screen', label: 'Ending',
+    });
+    this.uiRouter.register('quest-log', {
+      show: () => { this.questLogUI.show(); blockMove(); },
+      hide: () => { this.questLogUI.hide(); unblockMove(); },
+      root: '#quest-log-panel', label: 'Quest log',
+    });
+    this.uiRouter.register('crafting', {
+      show: (detail) => { this.craftingUI.show(detail ?? {}); blockMove(); },
+      hide: () => { this.craftingUI.hide(); unblockMove(); },
+      root: '#crafting-panel', label: 'Forge',
     });
     this.uiRouter.register('campaign-select', {
       show: () => {
@@ -539,6 +589,7 @@ class DungeonCrawlerEngine {
         });
       },
       hide: () => { this.campaignSelectUI.hide(); unblockMove(); },
+      root: '#campaign-select-screen', label: 'Choose campaign',
     });
 
     // Menu screen event routing
@@ -580,6 +631,8 @@ class DungeonCrawlerEngine {
     window.addEventListener('inventoryClose',     () => { if (this.uiRouter.isActive('inventory'))      this.uiRouter.pop(); });
     window.addEventListener('characterSheetClose',() => { if (this.uiRouter.isActive('character-sheet')) this.uiRouter.pop(); });
     window.addEventListener('equipmentClose',     () => { if (this.uiRouter.isActive('equipment'))      this.uiRouter.pop(); });
+    window.addEventListener('questLogClose',      () => { if (this.uiRouter.isActive('quest-log'))      this.uiRouter.pop(); });
+    window.addEventListener('craftingClose',      () => { if (this.uiRouter.isActive('crafting'))       this.uiRouter.pop(); });
     window.addEventListener('shopClose',          () => {
       if (this.uiRouter.isActive('shop')) this.uiRouter.pop();
       // Reset any NPC that was in SHOP state back to Idle
@@ -612,6 +665,9 @@ class DungeonCrawlerEngine {
       campaignManager:    this.campaignManager,
       narrativeManager:   this.narrativeManager,
       npcEngine:          this.npcEngine,
+      worldState:         this.worldStateSystem,
+      craftingSystem:     this.craftingSystem,
+      rng:                rng,
     });
 
     // AutoSaveManager
@@ -619,11 +675,13 @@ class DungeonCrawlerEngine {
 
     // EncounterSystem — uses shared partyManager (same ref as CharacterSystem.partyManager)
     this.encounterSystem = new EncounterSystem(this.combatSystem, this.partyManager, this.gridSystem);
+    if (this.npcEngine) this.npcEngine.encounterSystem = this.encounterSystem;
 
-    // movementCompleted → encounter check + NPC proximity + zone triggers + nav light
+    // movementCompleted → NPC schedules + NPC proximity + encounter check + zone triggers + nav light
     window.addEventListener('movementCompleted', async (e) => {
       const pos = e.detail.newPosition;
       if (this.npcEngine && pos) {
+        this.npcEngine.updateSchedules(pos);
         this.npcEngine.checkProximity(pos.x, pos.z, this.debugUI);
       }
       // Phase 14: navigation light step decay
@@ -645,8 +703,10 @@ class DungeonCrawlerEngine {
       if (!this.encounterSystem || !this.currentLevelId) return;
       // EncounterSystem expects an object with .id, not a bare string
       await this.encounterSystem.checkForEncounter(
-        pos, { id: this.currentLevelId }
+        pos, { id: this.currentLevelId }, e.detail.direction ?? 0
       );
+      // Roaming groups moved this step — glide their sprites to the new tiles
+      this._syncPlacedEnemyMarkers();
     });
 
     // encounterEvent → block/unblock movement; spawn/clear 3D enemy billboards
@@ -656,9 +716,12 @@ class DungeonCrawlerEngine {
         this.explorationHUD?.addMessage('¡Encuentro enemigo!', 'danger');
         // Register encountered enemies in bestiary
         (e.detail.data?.enemies ?? []).forEach(en => this.hudPanels?.registerEncounter(en));
-        // Remove the placed corridor marker that triggered this encounter
-        const tPos = e.detail.data?.position;
-        if (tPos) this._removePlacedEnemyMarkerAt(tPos.x, tPos.z);
+        // Remove the roaming group that made contact
+        const groupId = e.detail.data?.encounter?.groupId;
+        if (groupId) this._removePlacedEnemyMarker(groupId);
+        const surprise = e.detail.data?.encounter?.surprise;
+        if (surprise === 'enemies') this.explorationHUD?.addMessage('¡Os atacan por la espalda!', 'danger');
+        if (surprise === 'party')   this.explorationHUD?.addMessage('¡Los pilláis desprevenidos!', 'loot');
         this._spawnEncounterBillboards(e.detail.data?.enemies ?? []);
         // Show encounter splash (below shatter tiles — visible in center while tiles assemble)
         this._showEncounterSplash(e.detail.data?.enemies ?? []);
@@ -734,6 +797,10 @@ class DungeonCrawlerEngine {
       } else if (type === 'combatEnded') {
         this._clearEncounterBillboards();
         this.battleBackground?.exit();
+        const enc = this.encounterSystem?.lastEncounterData;
+        if (data?.result === 'victory' && enc?.type === 'scripted') {
+          this.worldStateSystem.recordEncounterDefeated(this.currentLevelId, enc.id);
+        }
         this.encounterSystem?.onCombatEnd(data?.result ?? 'unknown');
       }
     });
@@ -757,6 +824,12 @@ class DungeonCrawlerEngine {
         const enc = this.encounterSystem?.lastEncounterData;
         const pos = this.encounterSystem?.lastEncounterPosition ?? { x: 0, z: 0 };
         if (enc) this.encounterSystem.triggerEncounter(enc, pos);
+      } else if (type === 'enterDeepCrypt') {
+        // Endless mode (EndingScreen) — generated floors chain via their stairs
+        this.uiRouter.closeAll();
+        window.dispatchEvent(new CustomEvent('levelTransition', {
+          detail: { transitionData: { targetLevel: DungeonGenerator.levelId(1) } }
+        }));
       }
       // 'continueExploration': CombatResultsUI.hideResults() already closes overlay;
       // input is already unblocked via encounterEnded → unblockInput() chain
@@ -767,6 +840,11 @@ class DungeonCrawlerEngine {
       const campaignId = this._pendingCampaignId ?? 'crypt-of-shadows';
       this._pendingCampaignId = null;
       log.info('gameStart received — loading campaign', { campaignId });
+
+      // Fresh seed per run; ?seed=<value> pins it to reproduce bugs or balance runs
+      const seedParam = new URLSearchParams(window.location.search).get('seed');
+      rng.setSeed(seedParam ?? Date.now());
+      log.info('RNG seeded', { seed: rng.seed });
       this.uiRouter.closeAll(); // hides party-creation and anything below it; unblocks input via hide callbacks
       this.narrativeManager?.setTheme(campaignId);
 
@@ -782,6 +860,12 @@ class DungeonCrawlerEngine {
           }
         } catch (_) { /* fallback to default */ }
 
+        // Random encounter tables must be in place before the first floor places markers
+        await this.encounterSystem?.loadEncounterTables(campaignId);
+        await this.craftingSystem.loadRecipes(campaignId);
+        this.craftingSystem.reset();
+        this.worldStateSystem.reset();
+
         const response = await fetch(`levels/${startLevel}.json`);
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
         const levelData = await response.json();
@@ -809,6 +893,8 @@ class DungeonCrawlerEngine {
           campaignManager:    this.campaignManager,
           narrativeManager:   this.narrativeManager,
           npcEngine:          this.npcEngine,
+          worldState:         this.worldStateSystem,
+          craftingSystem:     this.craftingSystem,
         });
 
         // Load campaign state machine for new game
@@ -818,7 +904,7 @@ class DungeonCrawlerEngine {
 
         // Spawn NPCs for floor 1
         if (this.npcEngine) {
-          await this.npcEngine.loadForDungeon(campaignId);
+          await this.npcEngine.loadForDungeon(campaignId, 1);
         }
 
         setTimeout(() => this.initializeMinimap(), 500);
@@ -845,6 +931,21 @@ class DungeonCrawlerEngine {
     window.addEventListener('campaign:complete', _onCampaignComplete);
     window.addEventListener('CAMPAIGN_COMPLETE', _onCampaignComplete);
 
+    // Quest progress → exploration HUD log
+    EventBus.on(EventTypes.QUEST_STARTED, (e) => {
+      this.explorationHUD?.addMessage(`Nueva misión: ${e.detail?.title ?? e.detail?.questId}`, 'system');
+    });
+    EventBus.on(EventTypes.QUEST_OBJECTIVE_PROGRESS, (e) => {
+      const { progress, required } = e.detail ?? {};
+      this.explorationHUD?.addMessage(`Objetivo: ${progress}/${required}`, 'system');
+    });
+    EventBus.on(EventTypes.QUEST_COMPLETED, (e) => {
+      this.explorationHUD?.addMessage(`Misión completada: ${e.detail?.questId}`, 'loot');
+    });
+    EventBus.on(EventTypes.QUEST_FAILED, (e) => {
+      this.explorationHUD?.addMessage(`Misión fallida: ${e.detail?.questId}`, 'system');
+    });
+
     // gameLoadRequested (emitted by SaveLoadUI) → restore full game state
     window.addEventListener('gameLoadRequested', async (e) => {
       const { saveData } = e.detail ?? {};
@@ -865,17 +966,30 @@ class DungeonCrawlerEngine {
           // Re-sync partyManager reference used by encounter/combat/UI systems
           this.partyManager = this.characterSystem.partyManager;
           if (this.encounterSystem) this.encounterSystem.partyManager = this.partyManager;
+          if (this.craftingSystem)  this.craftingSystem.partyManager  = this.partyManager;
+          if (this.craftingUI)      this.craftingUI.partyManager      = this.partyManager;
           if (this.combatSystem)    this.combatSystem.playerParty     = null; // reset stale ref
         }
 
         // 2. Load dungeon level
         const dungeon  = saveData.world?.currentDungeon ?? 'crypt-of-shadows';
         const floor    = saveData.world?.currentFloor   ?? 1;
-        const levelFile = `levels/${dungeon}-floor-${floor}.json`;
-        const resp = await fetch(levelFile);
-        if (!resp.ok) throw new Error(`Level fetch failed: ${resp.status}`);
-        const levelData = await resp.json();
-        this.currentLevelId = levelData.id ?? `${dungeon}-floor-${floor}`;
+        const levelId   = `${dungeon}-floor-${floor}`;
+        await this.encounterSystem?.loadEncounterTables(saveData.campaign?.campaignId ?? dungeon);
+        await this.craftingSystem.loadRecipes(saveData.campaign?.campaignId ?? dungeon);
+        this.craftingSystem.reset();
+        this.craftingSystem.loadSaveData(saveData.crafting);
+        this.worldStateSystem.loadSaveData(saveData.world?.levels);
+        let levelData;
+        if (DungeonGenerator.isGeneratedLevel(levelId)) {
+          // Regenerate from the saved run seed — RNG itself is restored in step 9
+          levelData = dungeonGenerator.generateForLevelId(levelId, saveData.rng?.seed);
+        } else {
+          const resp = await fetch(`levels/${levelId}.json`);
+          if (!resp.ok) throw new Error(`Level fetch failed: ${resp.status}`);
+          levelData = await resp.json();
+        }
+        this.currentLevelId = levelData.id ?? levelId;
         await this.dungeonLoader.loadLevel(levelData);
         this._onLevelLoaded(levelData);
 
@@ -901,7 +1015,7 @@ class DungeonCrawlerEngine {
 
         // 7. Restore NPCs for the loaded dungeon
         if (this.npcEngine) {
-          await this.npcEngine.loadForDungeon(dungeon);
+          await this.npcEngine.loadForDungeon(dungeon, floor);
           if (saveData.npcs) {
             this.npcEngine.loadSaveData(saveData.npcs);
           }
@@ -912,6 +1026,11 @@ class DungeonCrawlerEngine {
           await this.narrativeManager.loadSaveData(saveData.narrative);
         }
 
+        // 9. Restore RNG last so level/NPC setup above doesn't consume saved draws
+        if (saveData.rng) {
+          rng.restoreState(saveData.rng);
+        }
+
         this.debugUI.showSuccess(`Loaded — ${dungeon} Floor ${floor}`);
         loadLog.info(`Save restored: ${dungeon} floor ${floor}`);
       } catch (err) {
@@ -920,6 +1039,41 @@ class DungeonCrawlerEngine {
       }
     });
 
+    // Forge service at a safe zone → crafting screen
+    EventBus.registerExternalListener(EventTypes.CRAFTING_OPEN);
+    window.addEventListener(EventTypes.CRAFTING_OPEN, (e) => {
+      if (!this.uiRouter.isOpen('crafting')) {
+        this.uiRouter.push('crafting', e.detail);
+      }
+    });
+    window.addEventListener('gameLoopEvent', (e) => {
+      const { type, data } = e.detail ?? {};
+      if (type === 'safeZoneEntered' && data?.availableServices?.includes('forge')) {
+        this.explorationHUD?.addMessage(`${data.safeZone.name}: pulsa Espacio para usar la forja.`, 'system');
+      }
+    });
+    EventBus.on(EventTypes.CRAFTING_RECIPE_LEARNED, (e) => {
+      this.explorationHUD?.addMessage(`Receta aprendida: ${e.detail?.name ?? e.detail?.recipeId}`, 'loot');
+    });
+    EventBus.on(EventTypes.CRAFTING_ITEM_CRAFTED, (e) => {
+      this.explorationHUD?.addMessage(`Forjado: ${e.detail?.item?.name}`, 'loot');
+    });
+
+    // NPC billboards follow the NPCEngine roster; schedules move them between tiles
+    EventBus.on(EventTypes.NPC_SPAWNED, (e) => {
+      this._spawnNPCMarker(e.detail.npcId, e.detail.position);
+      this.updateMinimap();
+    });
+    EventBus.on(EventTypes.NPC_DESPAWNED, (e) => {
+      this._removeNPCMarker(e.detail.npcId);
+      this.updateMinimap();
+    });
+    EventBus.on(EventTypes.NPC_MOVED, (e) => {
+      const marker = this._npcMarkers.get(e.detail.npcId);
+      if (marker) marker.target = { x: e.detail.to.x * 2.0, z: e.detail.to.z * 2.0 };
+      this.updateMinimap();
+    });
+
     // NPC shop opened → open shop UI with NPC's inventory
     EventBus.registerExternalListener(EventTypes.NPC_SHOP_OPENED);
     window.addEventListener(EventTypes.NPC_SHOP_OPENED, (e) => {
@@ -932,6 +1086,42 @@ class DungeonCrawlerEngine {
       }
     });
 
+    // Ink `# start_combat:<encounter>` (sent once the dialogue has closed)
+    EventBus.on(EventTypes.ENCOUNTER_START_REQUEST, (e) => {
+      const { encounterId } = e.detail ?? {};
+      const tagLog = Logger.tag('Narrative');
+      if (this.combatSystem?.isActive) {
+        tagLog.warn(`start_combat:${encounterId} ignored — already in combat`);
+        return;
+      }
+      const encounter = this.encounterSystem?.findEncounter(encounterId, this.currentLevelId);
+      if (!encounter) {
+        tagLog.warn(`start_combat:${encounterId} — no encounter or enemy type with that id`);
+        return;
+      }
+      const { x, z } = this.movementController.getPosition();
+      this.encounterSystem.triggerEncounter(encounter, { x, z });
+    });
+
+    // Ink `# teleport:<level>:<x>:<z>` — same floor moves in place, another floor loads via TransitionSystem
+    EventBus.on(EventTypes.PARTY_TELEPORT_REQUEST, (e) => {
+      const { levelId, x, z } = e.detail ?? {};
+      const direction = this.movementController.getDirection();
+      if (levelId !== this.currentLevelId) {
+        window.dispatchEvent(new CustomEvent('levelTransition', {
+          detail: { transitionData: { targetLevel: levelId, targetSpawn: { x, z, direction } } }
+        }));
+        return;
+      }
+      if (!this.gridSystem?.isWalkable(x, z)) {
+        Logger.tag('Narrative').warn(`teleport:${levelId}:${x}:${z} — tile is not walkable`);
+        return;
+      }
+      this.movementController.setPosition(x, z, direction);
+      this.renderer.updateCameraPosition(this.movementController.getCurrentWorldPosition());
+      this.renderer.updateCameraRotation(this.movementController.getCurrentRotation());
+    });
+
     // Narrative open/close — route through UIRouter so input gets blocked
     // Register with EventBus so orphan warnings don't fire for these window listeners
     EventBus.registerExternalListener(EventTypes.NARRATIVE_STORY_LOADED);
@@ -1060,10 +1250,14 @@ class DungeonCrawlerEngine {
     // Restore navigation light for new floor
     this.navigationLight?.restore();
 
-    // Place visible enemy markers in corridors
+    // Place roaming enemy groups
     this._clearPlacedEnemyMarkers();
     if (this.encounterSystem && this.gridSystem && levelData) {
       const spawn = this.dungeonLoader?.getSpawnPoint?.() ?? { x: 0, z: 0 };
+      this.encounterSystem.registerLevelTable(levelData);
+      this.encounterSystem.registerScriptedEncounters(
+        levelData, this.worldStateSystem.getDefeatedEncounters(levelData.id ?? this.currentLevelId)
+      );
       this.encounterSystem.placeEncountersForLevel(
         this.gridSystem, levelData.id ?? this.currentLevelId ?? '',
         spawn.x, spawn.z
@@ -1095,6 +1289,13 @@ class DungeonCrawlerEngine {
           const dbItem = this.itemDatabase?.getItem(item.id ?? item.itemId);
           if (dbItem) this.inventorySystem.addItem(dbItem, item.quantity ?? 1);
           else if (item.id || item.name) this.inventorySystem.addItem({ id: item.id ?? 'unknown', name: item.name ?? item.id ?? 'Item', type: item.type ?? 'misc', ...item }, item.quantity ?? 1);
+          if (item.id ?? item.itemId) {
+            EventBus.emit(EventTypes.ITEM_PICKUP, {
+              itemId: item.id ?? item.itemId,
+              quantity: typeof item.quantity === 'number' ? item.quantity : 1,
+              source: 'chest'
+            });
+          }
         }
       }
       const goldAmt = p.loot?.find(l => l.id === 'gold')?.quantity ?? 0;
@@ -1109,6 +1310,7 @@ class DungeonCrawlerEngine {
       if (item && this.inventorySystem) {
         this.inventorySystem.addItem(item, 1);
         this._syncInventoryKeys();
+        EventBus.emit(EventTypes.ITEM_PICKUP, { itemId: p.itemId, quantity: 1, source: 'keyItem' });
         this.explorationHUD?.addMessage(`Encontraste: ${item.name}`, 'loot');
         this.debugUI?.showSuccess(`Key item picked up: ${item.name}`);
       }
@@ -1163,7 +1365,7 @@ class DungeonCrawlerEngine {
   }
 
   /**
-   * Spawn persistent 3D billboard sprites for pre-placed enemy markers.
+   * Spawn persistent 3D billboard sprites for roaming enemy groups.
    * Each marker also gets a dim red PointLight for atmosphere.
    */
   _spawnPlacedEnemyMarkers() {
@@ -1171,7 +1373,7 @@ class DungeonCrawlerEngine {
     const scene = this.renderer.scene;
     const T = 2.0; // world units per tile
 
-    for (const { x, z, enemies } of this.encounterSystem.getPlacedMarkers()) {
+    for (const { id, x, z, enemies } of this.encounterSystem.getPlacedMarkers()) {
       const leader = enemies[0];
       const canvas  = CharacterPortrait.createCanvas(leader.type || 'goblin', 96, 120);
       const texture = new THREE.CanvasTexture(canvas);
@@ -1191,23 +1393,61 @@ class DungeonCrawlerEngine {
 
       this._placedEnemyMarkers.push({
         sprite, light,
-        key:   `${x},${z}`,
+        key:   id,
+        target: { x: wx, z: wz },
         phase: Math.random() * Math.PI * 2, // random phase for varied bobbing
       });
     }
   }
 
-  /** Remove a single placed marker when its encounter triggers. */
-  _removePlacedEnemyMarkerAt(x, z) {
-    const key = `${Math.round(x)},${Math.round(z)}`;
-    const idx = this._placedEnemyMarkers.findIndex(m => m.key === key);
+  /** Point each marker at its roaming group's current tile (animate() glides it there). */
+  _syncPlacedEnemyMarkers() {
+    if (!this.encounterSystem) return;
+    const T = 2.0; // world units per tile
+    const groups = new Map(this.encounterSystem.getPlacedMarkers().map(g => [g.id, g]));
+    for (const marker of this._placedEnemyMarkers) {
+      const group = groups.get(marker.key);
+      if (group) marker.target = { x: group.x * T, z: group.z * T };
+    }
+  }
+
+  /** Remove a single placed marker when its group's encounter triggers. */
+  _removePlacedEnemyMarker(id) {
+    const idx = this._placedEnemyMarkers.findIndex(m => m.key === id);
     if (idx < 0) return;
     const { sprite, light } = this._placedEnemyMarkers.splice(idx, 1)[0];
     this.renderer?.scene?.remove(sprite);
     this.renderer?.scene?.remove(light);
     sprite.material.map?.dispose();
     sprite.material.dispose();
-    this.encounterSystem?.removePlacedMarker(x, z);
+    this.encounterSystem?.removePlacedMarker(id);
+  }
+
+  /** Billboard sprite for an NPC, drawn from its portrait. */
+  _spawnNPCMarker(npcId, position) {
+    const npc = this.npcEngine?.npcs.get(npcId);
+    if (!npc || !this.renderer?.scene) return;
+    this._removeNPCMarker(npcId);
+    const T = 2.0; // world units per tile
+
+    const canvas  = CharacterPortrait.createCanvas(npc.portrait || 'unknown', 96, 120);
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite  = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+    sprite.scale.set(0.75, 0.94, 1);
+    sprite.position.set(position.x * T, 0.9, position.z * T);
+    this.renderer.scene.add(sprite);
+
+    this._npcMarkers.set(npcId, { sprite, target: { x: position.x * T, z: position.z * T } });
+  }
+
+  /** Remove an NPC's billboard (despawn or floor change). */
+  _removeNPCMarker(npcId) {
+    const marker = this._npcMarkers.get(npcId);
+    if (!marker) return;
+    this._npcMarkers.delete(npcId);
+    this.renderer?.scene?.remove(marker.sprite);
+    marker.sprite.material.map?.dispose();
+    marker.sprite.material.dispose();
   }
 
   /** Remove all placed enemy markers (called on level change). */
@@ -1469,6 +1709,9 @@ class DungeonCrawlerEngine {
     // Convert deltaTime to milliseconds for systems that expect it
     const deltaTimeMs = deltaTime * 1000;
     
+    // Gamepad feeds the same action queue as the keyboard
+    this.gamepadInput?.poll();
+
     // Process input actions (non-blocking)
     this.processInput();
     
@@ -1490,15 +1733,28 @@ class DungeonCrawlerEngine {
       this.performanceManager.update(performance.now(), this.frameCount);
     }
     
-    // Bob placed enemy markers
+    // Bob placed enemy markers and glide them toward their group's tile
     if (this._placedEnemyMarkers.length && !this.combatSystem?.isActive) {
       this._markerBobTime += deltaTime;
+      const glide = Math.min(1, deltaTime * 8);
       for (const m of this._placedEnemyMarkers) {
+        m.sprite.position.x += (m.target.x - m.sprite.position.x) * glide;
+        m.sprite.position.z += (m.target.z - m.sprite.position.z) * glide;
+        m.light?.position.set(m.sprite.position.x, 1.2, m.sprite.position.z);
         m.sprite.position.y = 0.9 + Math.sin(this._markerBobTime * 2.2 + m.phase) * 0.14;
         if (m.light) m.light.intensity = 0.6 + Math.sin(this._markerBobTime * 3.1 + m.phase) * 0.25;
       }
     }
 
+    // Glide NPC billboards toward the tile their schedule moved them to
+    if (this._npcMarkers.size) {
+      const glide = Math.min(1, deltaTime * 8);
+      for (const { sprite, target } of this._npcMarkers.values()) {
+        sprite.position.x += (target.x - sprite.position.x) * glide;
+        sprite.position.z += (target.z - sprite.position.z) * glide;
+      }
+    }
+
     // Update system status and debug UI
     this.updateSystemStatus();
     this.updateDebugUI();
@@ -1528,6 +1784,21 @@ class DungeonCrawlerEngine {
     });
   }
 
+  /**
+   * Which bindings non-keyboard input should use right now
+   * @returns {'explore'|'combat'|'menu'}
+   */
+  getInputContext() {
+    const cs = this.combatSystem;
+    if (cs?.isActive && cs.fsm.isOneOf('PLAYER_INPUT_ACTION', 'PLAYER_INPUT_TARGETING')) return 'combat';
+    const cm = this.combatUIManager;
+    if (cs?.isActive || cm?.isActive || cm?.combatResultsUI?.isActive || cm?.combatReplayUI?.isVisible()
+        || this.uiRouter?.isOpen() || this.campUI?.isVisible()) {
+      return 'menu';
+    }
+    return 'explore';
+  }
+
   /**
    * Handle a specific input action
    * @param {InputAction} action - The action to handle
@@ -1574,6 +1845,9 @@ class DungeonCrawlerEngine {
       case 'openCharacterSheet':
         this.uiRouter?.toggle('character-sheet');
         break;
+      case 'openQuestLog':
+        this.uiRouter?.toggle('quest-log');
+        break;
       case 'openParty':
         this.uiRouter?.toggle('character-sheet');
         break;
@@ -1667,6 +1941,14 @@ class DungeonCrawlerEngine {
       return;
     }
 
+    // Standing in a safe zone with a forge → crafting screen
+    const safeZones = this.gameLoopManager?.safeZoneSystem;
+    if ((!tile || tile.type !== 'door') && safeZones?.getAvailableServices().includes('forge')) {
+      const result = await this.gameLoopManager.useSafeZoneService('forge');
+      if (!result.success) this.debugUI.showWarning(result.error);
+      return;
+    }
+
     if (!tile || tile.type !== 'door') {
       Logger.tag('Interact').debug(`no door, tile=${tile ? tile.type : 'undefined'}`);
       this.debugUI.showToast('Nothing to interact with');
@@ -2085,7 +2367,7 @@ class DungeonCrawlerEngine {
       for (let x = 0; x < width; x++) {
         const cell = document.getElementById(`minimap-${x}-${z}`);
         if (cell) {
-          cell.classList.remove('player', 'north', 'east', 'south', 'west');
+          cell.classList.remove('player', 'north', 'east', 'south', 'west', 'npc');
           // Restore original tile content
           const tile = this.gridSystem.getTile(x, z);
           if (tile) {
@@ -2103,6 +2385,15 @@ class DungeonCrawlerEngine {
       }
     }
     
+    // NPCs on explored tiles
+    for (const npc of this.npcEngine?.npcs.values() ?? []) {
+      const cell = document.getElementById(`minimap-${npc.position.x}-${npc.position.z}`);
+      if (cell && this.gridSystem.getTile(npc.position.x, npc.position.z)?.explored) {
+        cell.classList.add('npc');
+        cell.textContent = 'N';
+      }
+    }
+
     // Set current player position with directional arrow
     const playerCell = document.getElementById(`minimap-${position.x}-${position.z}`);
     if (playerCell) {
@@ -2272,7 +2563,7 @@ class DungeonCrawlerEngine {
             EventBus.emit(EventTypes.PLAYER_FLOOR_CLEARED, { dungeonId, floor });
             // Reload NPCs for new dungeon/floor
             if (this.npcEngine) {
-              await this.npcEngine.loadForDungeon(dungeonId);
+              await this.npcEngine.loadForDungeon(dungeonId, floor);
             }
           }
         }
@@ -0,0 +1,132 @@
+/**
+ * Boss phase tests — Enemy.checkPhaseTransition on EnemyDatabase bosses:
+ * thresholds, a single hit that crosses several phases at once, the order
+ * phase effects are applied and queued in, and per-phase skills.
+ * Run: node test-boss-phases.js
+ */
+
+// Minimal window shim — EventBus dispatches window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const { Enemy } = await import('./src/engine/combat/Enemy.js');
+const { enemyDatabase } = await import('./src/engine/data/EnemyDatabase.js');
+const { rng } = await import('./src/engine/utils/RNG.js');
+
+// Fresh boss with its HP set to a fraction of max
+function bossAt(type, fraction) {
+    rng.setSeed(1234);
+    const boss = new Enemy(type, 12);
+    boss.currentHP = Math.floor(boss.maxHP * fraction);
+    return boss;
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+print('👑 BOSS PHASE TESTS');
+print('====================');
+
+print('\nThresholds:');
+await test('no transition above the next threshold', async () => {
+    const boss = bossAt('shadow_lord', 0.61);
+    assert(!boss.checkPhaseTransition(), 'reported a change');
+    assertEqual(boss.currentPhase, 0, 'phase');
+    assertEqual(boss.drainPhaseEffects(), [], 'queued effects');
+});
+
+await test('reaching a threshold enters that phase and applies its effects', async () => {
+    const boss = bossAt('shadow_lord', 0.6);
+    assert(boss.checkPhaseTransition(), 'no change reported');
+    assertEqual(boss.currentPhase, 1, 'phase');
+    assertEqual(boss.resistances.Dark, 'immune', 'Dark resistance');
+    assertEqual(boss.drainPhaseEffects().map(e => e.type), ['narrative', 'summon', 'immune'], 'queued effects');
+});
+
+await test('a phase is only entered once', async () => {
+    const boss = bossAt('shadow_lord', 0.5);
+    boss.checkPhaseTransition();
+    boss.drainPhaseEffects();
+    assert(!boss.checkPhaseTransition(), 'reported a second change');
+    assertEqual(boss.drainPhaseEffects(), [], 'queued effects');
+});
+
+await test('enemies without phases never transition', async () => {
+    rng.setSeed(1234);
+    const goblin = new Enemy('goblin', 1);
+    goblin.currentHP = 1;
+    assert(!goblin.checkPhaseTransition(), 'reported a change');
+});
+
+print('\nCrossing several phases at once:');
+await test('one big hit runs every crossed phase, in order', async () => {
+    const boss = bossAt('shadow_lord', 0.2);
+    assert(boss.checkPhaseTransition(), 'no change reported');
+    assertEqual(boss.currentPhase, 2, 'phase');
+    assertEqual(boss.drainPhaseEffects().map(e => e.knot ?? e.type),
+        ['phase_two', 'summon', 'immune', 'phase_three', 'set_ai', 'charge'], 'queued effects');
+    assertEqual(boss.resistances.Dark, 'immune', 'phase two effect kept');
+    assertEqual(boss.ai?.archetype, 'BERSERKER', 'phase three AI');
+    assertEqual(boss.charge?.skillId, 'final_darkness', 'charge');
+});
+
+await test('stops at the deepest threshold reached', async () => {
+    const boss = bossAt('elemental_overlord', 0.35);
+    boss.checkPhaseTransition();
+    assertEqual(boss.currentPhase, 2, 'phase');
+    boss.currentHP = Math.floor(boss.maxHP * 0.2);
+    assert(boss.checkPhaseTransition(), 'final phase not entered');
+    assertEqual(boss.currentPhase, 3, 'phase');
+});
+
+await test('each crossed phase restores a point of AP', async () => {
+    const boss = bossAt('shadow_lord', 0.2);
+    boss.currentAP = 0;
+    boss.checkPhaseTransition();
+    assertEqual(boss.currentAP, Math.min(boss.maxAP, 2), 'AP');
+});
+
+print('\nPhase skills and data:');
+await test('the current phase decides the usable skills', async () => {
+    const boss = bossAt('shadow_lord', 0.2);
+    boss.checkPhaseTransition();
+    const ids = boss.getCurrentPhaseSkills().map(skill => skill.id);
+    assert(ids.length > 0 && ids.every(id => boss.phases[2].skills.includes(id)), `skills ${ids}`);
+    assert(!ids.includes('shadow_wave'), 'phase one skill still usable');
+});
+
+await test('phase effects do not touch the database template', async () => {
+    const boss = bossAt('shadow_lord', 0.2);
+    boss.checkPhaseTransition();
+    assert(enemyDatabase.getEnemy('shadow_lord').resistances?.Dark !== 'immune', 'template resistances changed');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,164 @@
+/**
+ * Combat recorder tests — a CombatRecorder attached to seeded CombatSimulator
+ * fights: record shape, HP snapshots against the damage logged, same seed →
+ * same record, plus the record cap, phase changes and export.
+ * Run: node test-combat-recorder.js
+ */
+
+// Minimal window shim — EventBus dispatches window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const { CombatRecorder, COMBAT_RECORD_VERSION } = await import('./src/engine/combat/CombatRecorder.js');
+const { CombatSimulator } = await import('./src/engine/balance/CombatSimulator.js');
+const { PARTY_PRESETS } = await import('./src/engine/character/PartyPresets.js');
+const { Enemy } = await import('./src/engine/combat/Enemy.js');
+const { rng } = await import('./src/engine/utils/RNG.js');
+
+// Play one seeded fight with a recorder attached; returns the record
+async function recordFight(seed, enemyTypes = ['goblin', 'goblin'], recorder = new CombatRecorder()) {
+    rng.setSeed(seed);
+    const sim = new CombatSimulator({ partyArchetype: 'TACTICAL', maxRounds: 30 });
+    sim.combatSystem.turnStartDelay = 0;
+    recorder.attach(sim.combatSystem);
+    const party = sim.createParty(PARTY_PRESETS.find(p => p.id === 'balanced'), 3);
+    const enemies = enemyTypes.map(type => new Enemy(type, 2));
+    const fight = await sim.runFight(party, enemies, sim.createInventory(2));
+    recorder.detach();
+    return { record: recorder.getLatest(), fight, party, enemies };
+}
+
+// Combatant ids embed a timestamp — swap them for participant slots to compare runs
+function withSlotIds(record) {
+    let json = JSON.stringify(record);
+    record.participants.forEach(({ id }, slot) => { json = json.split(id).join(`p${slot}`); });
+    return JSON.parse(json);
+}
+
+// Minimal combatEvent stream for one fight, fed straight to handleCombatEvent
+function feedFight(recorder, result, timestamp) {
+    const hero = { id: 'hero', name: 'Hero', currentHP: 30, maxHP: 30, stats: {} };
+    recorder.combatSystem = { playerParty: { getAliveMembers: () => [hero] }, enemies: [] };
+    recorder.handleCombatEvent({ type: 'combatStarted', data: {}, timestamp });
+    recorder.handleCombatEvent({ type: 'combatEnded', data: { result }, timestamp: timestamp + 1 });
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+print('🎞️  COMBAT RECORDER TESTS');
+print('==========================');
+
+print('\nRecorded fights:');
+const { record, fight, party, enemies } = await recordFight(42);
+
+await test('a finished fight is recorded with its result and participants', async () => {
+    assert(record, 'no record');
+    assertEqual([record.version, record.result, record.rounds], [COMBAT_RECORD_VERSION, fight.result, fight.rounds], 'header');
+    const ids = [...party.party, ...enemies].map(c => c.id).sort();
+    assertEqual(record.participants.map(p => p.id).sort(), ids, 'participants');
+    assertEqual(record.participants.filter(p => p.side === 'enemy').length, 2, 'enemy participants');
+});
+
+await test('events are numbered in order, open with initiative and close with the end', async () => {
+    assertEqual(record.events.map(e => e.seq), record.events.map((_, i) => i), 'seq');
+    assertEqual(record.events[0].type, 'initiative', 'first event');
+    assertEqual(record.events[0].order.length, record.participants.length, 'initiative order');
+    assertEqual(record.events.at(-1).type, 'end', 'last event');
+    assertEqual(record.events.at(-1).result, fight.result, 'end result');
+    assert(record.events.some(e => e.type === 'action'), 'no actions recorded');
+});
+
+await test('the record is plain JSON', async () => {
+    assertEqual(JSON.parse(JSON.stringify(record)), record, 'round trip');
+});
+
+await test('HP snapshots follow the damage logged', async () => {
+    let previous = record.events[0].hp;
+    for (const event of record.events.filter(e => e.type === 'action')) {
+        const touched = [...event.damage, ...event.healing].map(entry => entry.target);
+        const once = touched.filter(id => touched.indexOf(id) === touched.lastIndexOf(id));
+        for (const { target, amount } of event.damage.filter(d => once.includes(d.target))) {
+            assertEqual(event.hp[target], Math.max(0, previous[target] - amount), `event ${event.seq} ${target}`);
+        }
+        previous = event.hp;
+    }
+    const live = Object.fromEntries([...party.party, ...enemies].map(c => [c.id, c.currentHP]));
+    assertEqual(record.events.at(-1).hp, live, 'final snapshot');
+});
+
+await test('the same seed records the same fight', async () => {
+    const again = await recordFight(42);
+    assertEqual(withSlotIds(again.record).events, withSlotIds(record).events, 'events');
+});
+
+print('\nRecorder bookkeeping:');
+await test('events outside a fight are ignored', async () => {
+    const recorder = new CombatRecorder();
+    recorder.handleCombatEvent({ type: 'roundStarted', data: { turnNumber: 2 }, timestamp: 0 });
+    assertEqual([recorder.current, recorder.records], [null, []], 'state');
+});
+
+await test('only the newest maxRecords fights are kept', async () => {
+    const recorder = new CombatRecorder(2);
+    feedFight(recorder, 'victory', 1000);
+    feedFight(recorder, 'defeat', 2000);
+    feedFight(recorder, 'fled', 3000);
+    assertEqual(recorder.records.map(r => r.result), ['defeat', 'fled'], 'kept');
+});
+
+await test('boss phase changes are pulled out of the action result', async () => {
+    const recorder = new CombatRecorder();
+    feedFight(recorder, 'victory', 1000);
+    const boss = { id: 'boss' };
+    recorder.current = { ...recorder.getLatest(), events: [] };
+    recorder.handleCombatEvent({
+        type: 'actionExecuted',
+        timestamp: 1001,
+        data: {
+            character: { id: 'hero' },
+            action: { id: 'attack', name: 'Attack', type: 'attack' },
+            result: { success: true, targets: [boss], effects: [{ type: 'phase_change', target: boss, phase: 2 }] }
+        }
+    });
+    assertEqual(recorder.current.events[0].phaseChanges, [{ target: 'boss', phase: 2 }], 'phase changes');
+});
+
+await test('exportRecord names the file after the result and start time', async () => {
+    const recorder = new CombatRecorder();
+    assertEqual(recorder.exportRecord(), { success: false, error: 'No combat recorded yet' }, 'empty');
+    feedFight(recorder, 'victory', Date.UTC(2024, 0, 2, 3, 4, 5));
+    const exported = recorder.exportRecord();
+    assertEqual(exported.fileName, 'combat-victory-2024-01-02T03-04-05-000Z.json', 'file name');
+    assertEqual(JSON.parse(exported.content), recorder.getLatest(), 'content');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,311 @@
+/**
+ * Encounter tests — EncounterSystem.validateEncounterTable against the
+ * EnemyDatabase, weighted picks from a table (party level filters and
+ * timeOfVisit weights), the encounter chance after visit modifiers and zone
+ * overrides, and roaming groups on a mock grid: sight cone and walls,
+ * pursuit and who gets the surprise round. Run: node test-encounters.js
+ */
+
+// Minimal window shim — EventBus dispatches window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const { EncounterSystem } = await import('./src/engine/systems/EncounterSystem.js');
+const { EnemyAI } = await import('./src/engine/combat/EnemyAI.js');
+const { Dir } = await import('./src/engine/core/Direction.js');
+const { rng } = await import('./src/engine/utils/RNG.js');
+
+const LEVEL = { id: 'test-floor-1' };
+
+function createSystem({ partyLevel = 1, zones = {} } = {}) {
+    const party = { getAverageLevel: () => partyLevel, getAliveMembers: () => [] };
+    const grid = { getZoneAt: (x, z) => zones[`${x},${z}`] ?? null };
+    return new EncounterSystem(null, party, grid);
+}
+
+// Pick `draws` times and count how often each entry id comes up
+function countPicks(system, table, draws, level = LEVEL) {
+    const counts = {};
+    for (let i = 0; i < draws; i++) {
+        const id = system._pickFromTable(table, level)?.id ?? null;
+        counts[id] = (counts[id] ?? 0) + 1;
+    }
+    return counts;
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+const table = () => ({
+    minLevel: 1,
+    maxLevel: 3,
+    encounters: [
+        { id: 'goblins', weight: 60, enemies: [{ type: 'goblin', level: 1 }] },
+        { id: 'rats', weight: 30, enemies: [{ type: 'giant_rat', level: 1 }] },
+        { id: 'bones', weight: 10, enemies: [{ type: 'skeleton', level: 2 }] }
+    ]
+});
+
+print('⚔️  ENCOUNTER TABLE TESTS');
+print('=========================');
+
+print('\nvalidateEncounterTable:');
+await test('a well-formed table is valid', async () => {
+    assertEqual(EncounterSystem.validateEncounterTable(table()), { isValid: true, errors: [] }, 'result');
+});
+
+await test('a table without an encounters array is rejected', async () => {
+    const { isValid, errors } = EncounterSystem.validateEncounterTable({ minLevel: 1 });
+    assert(!isValid, 'valid');
+    assertEqual(errors, ['table has no encounters array'], 'errors');
+});
+
+await test('bad entries are reported by id', async () => {
+    const { errors } = EncounterSystem.validateEncounterTable({
+        encounters: [
+            { id: 'ghost', weight: 10, enemies: [{ type: 'no_such_enemy' }] },
+            { id: 'weightless', weight: 0, enemies: [{ type: 'goblin' }] },
+            { id: 'empty', weight: 5, enemies: [] },
+            { weight: 5, enemies: [{ id: 'goblin' }] }
+        ]
+    });
+    assertEqual(errors, [
+        'table entry ghost: unknown enemy type no_such_enemy',
+        'table entry weightless: weight must be a positive number',
+        'table entry empty: no enemies',
+        'table entry ?: missing id'
+    ], 'errors');
+});
+
+await test('timeOfVisit modifiers need a threshold and known entry ids', async () => {
+    const { errors } = EncounterSystem.validateEncounterTable({
+        ...table(),
+        timeOfVisit: [{ weights: { dragons: 2 } }]
+    });
+    assertEqual(errors, [
+        'table timeOfVisit modifier needs minVisits or minSteps',
+        'table timeOfVisit weights unknown entry dragons'
+    ], 'errors');
+});
+
+await test('zone tables are checked too', async () => {
+    const { errors } = EncounterSystem.validateEncounterTable({
+        ...table(),
+        zones: { crypt: { encounters: [{ id: 'lich', weight: 1, enemies: [{ type: 'no_such_enemy' }] }] } }
+    });
+    assertEqual(errors, ['zone crypt entry lich: unknown enemy type no_such_enemy'], 'errors');
+});
+
+await test('registering drops broken entries and keeps the rest', async () => {
+    const system = createSystem();
+    const broken = table();
+    broken.encounters.push({ id: 'ghost', weight: 50, enemies: [{ type: 'no_such_enemy' }] });
+    assert(system.registerEncounterTable(LEVEL.id, broken), 'not registered');
+    assertEqual(system.encounterTables.get(LEVEL.id).encounters.map(e => e.id), ['goblins', 'rats', 'bones'], 'entries');
+});
+
+print('\n_pickFromTable:');
+await test('picks follow the entry weights', async () => {
+    rng.setSeed(1234);
+    const counts = countPicks(createSystem(), table(), 2000);
+    assert(Math.abs(counts.goblins / 2000 - 0.6) < 0.05, `goblins ${counts.goblins}/2000`);
+    assert(Math.abs(counts.rats / 2000 - 0.3) < 0.05, `rats ${counts.rats}/2000`);
+    assert(Math.abs(counts.bones / 2000 - 0.1) < 0.05, `bones ${counts.bones}/2000`);
+});
+
+await test('the same seed gives the same picks', async () => {
+    const system = createSystem();
+    rng.setSeed('replay');
+    const first = Array.from({ length: 20 }, () => system._pickFromTable(table(), LEVEL).id);
+    rng.setSeed('replay');
+    const second = Array.from({ length: 20 }, () => system._pickFromTable(table(), LEVEL).id);
+    assertEqual(second, first, 'picks');
+});
+
+await test('entries outside the party level range are never picked', async () => {
+    rng.setSeed(1234);
+    const levelled = table();
+    levelled.encounters[0].maxPartyLevel = 2;
+    levelled.encounters[2].minPartyLevel = 5;
+    const counts = countPicks(createSystem({ partyLevel: 3 }), levelled, 200);
+    assertEqual(Object.keys(counts), ['rats'], 'picked entries');
+});
+
+await test('a timeOfVisit weight applies once its threshold is reached', async () => {
+    const system = createSystem();
+    const revisited = { ...table(), timeOfVisit: [{ minVisits: 2, weights: { goblins: 0, bones: 6 } }] };
+    rng.setSeed(1234);
+    assert(countPicks(system, revisited, 200).goblins > 0, 'goblins missing on the first visit');
+    system.getLevelVisit(LEVEL.id).visits = 2;
+    rng.setSeed(1234);
+    const counts = countPicks(system, revisited, 2000);
+    assert(!('goblins' in counts), 'a zero weight still picked goblins');
+    assert(Math.abs(counts.bones / 2000 - 2 / 3) < 0.05, `bones ${counts.bones}/2000`);
+});
+
+await test('a table with no eligible entry picks nothing', async () => {
+    const locked = table();
+    locked.encounters.forEach(entry => { entry.minPartyLevel = 10; });
+    assertEqual(createSystem()._pickFromTable(locked, LEVEL), null, 'pick');
+});
+
+print('\ngetEncounterChance:');
+await test('levels without a table use the base chance', async () => {
+    const system = createSystem();
+    assertEqual(system.getEncounterChance('unknown-level'), system.encounterChance, 'chance');
+});
+
+await test('chanceMultiplier applies once enough steps are taken', async () => {
+    const system = createSystem();
+    system.registerEncounterTable(LEVEL.id, { ...table(), timeOfVisit: [{ minSteps: 100, chanceMultiplier: 2 }] });
+    assertEqual(system.getEncounterChance(LEVEL.id), system.encounterChance, 'before');
+    system.getLevelVisit(LEVEL.id).steps = 100;
+    assertEqual(system.getEncounterChance(LEVEL.id), system.encounterChance * 2, 'after');
+});
+
+await test('stacked multipliers are capped at 1', async () => {
+    const system = createSystem();
+    system.registerEncounterTable(LEVEL.id, {
+        ...table(),
+        timeOfVisit: [{ minVisits: 0, chanceMultiplier: 4 }, { minSteps: 0, chanceMultiplier: 4 }]
+    });
+    assertEqual(system.getEncounterChance(LEVEL.id), 1, 'chance');
+});
+
+await test('a zone table keeps the level\'s visit modifiers', async () => {
+    const system = createSystem({ zones: { '4,4': { id: 'crypt' } } });
+    system.registerEncounterTable(LEVEL.id, {
+        ...table(),
+        timeOfVisit: [{ minVisits: 1, chanceMultiplier: 1.5 }],
+        zones: { crypt: { encounters: [{ id: 'lich', weight: 1, enemies: [{ type: 'skeleton' }] }] } }
+    });
+    system.getLevelVisit(LEVEL.id).visits = 1;
+    assertEqual(system.getEncounterTable(LEVEL.id, { x: 4, z: 4 }).encounters.map(e => e.id), ['lich'], 'zone table');
+    assertEqual(system.getEncounterChance(LEVEL.id, { x: 4, z: 4 }), system.encounterChance * 1.5, 'zone chance');
+    assertEqual(system.getEncounterTable(LEVEL.id, { x: 1, z: 1 }).encounters.length, 3, 'outside the zone');
+});
+
+print('\nRoaming groups:');
+// 9x7 room: '#' wall, '.' floor — a pillar at (4,2)-(4,3)
+const MAP = [
+    '#########',
+    '#.......#',
+    '#...#...#',
+    '#...#...#',
+    '#.......#',
+    '#.......#',
+    '#########'
+];
+const roomGrid = {
+    width: 9,
+    height: 7,
+    getTile: (x, z) => {
+        const c = MAP[z]?.[x];
+        return c === undefined ? null : { type: c === '#' ? 'wall' : 'floor', walkable: c !== '#' };
+    }
+};
+
+function roamer(x, z, facing, extra = {}) {
+    return {
+        id: 'g1', gridX: x, gridZ: z, baseX: x, baseZ: z, facing,
+        aiState: 'idle', detectionRange: 3, sightRange: 5, smartAI: false, canMove: true,
+        encounter: { id: 'goblins', enemies: [{ type: 'goblin', level: 1 }] },
+        ...extra
+    };
+}
+
+const ai = new EnemyAI('TACTICAL');
+
+await test('sees the party inside its cone with a clear line', async () => {
+    assert(ai.canSee(roamer(2, 5, Dir.NORTH), { x: 2, z: 1 }, roomGrid), 'straight ahead');
+    assert(ai.canSee(roamer(2, 5, Dir.NORTH), { x: 1, z: 2 }, roomGrid), 'off to the side, further out');
+});
+
+await test('walls block the line of sight', async () => {
+    assert(!ai.canSee(roamer(2, 2, Dir.EAST), { x: 6, z: 2 }, roomGrid), 'saw through the pillar');
+});
+
+await test('an unaware group does not see behind or beside itself', async () => {
+    assert(!ai.canSee(roamer(2, 3, Dir.NORTH), { x: 2, z: 4 }, roomGrid), 'saw behind');
+    assert(!ai.canSee(roamer(2, 3, Dir.NORTH), { x: 3, z: 3 }, roomGrid), 'saw beside');
+});
+
+await test('smart or pursuing groups sense all around within detectionRange, not through walls', async () => {
+    assert(ai.canSee(roamer(2, 3, Dir.NORTH, { smartAI: true }), { x: 2, z: 5 }, roomGrid), 'smart, behind');
+    assert(ai.canSee(roamer(2, 3, Dir.NORTH, { aiState: 'pursuing' }), { x: 2, z: 5 }, roomGrid), 'pursuing, behind');
+    assert(!ai.canSee(roamer(3, 2, Dir.WEST, { smartAI: true }), { x: 5, z: 2 }, roomGrid), 'through the pillar');
+    assert(!ai.canSee(roamer(2, 1, Dir.NORTH, { smartAI: true }), { x: 2, z: 5 }, roomGrid), 'past detectionRange');
+});
+
+await test('a group that spots the party pursues it, then gives up once out of sight', async () => {
+    rng.setSeed(1234);
+    const group = roamer(2, 5, Dir.NORTH);
+    ai.updateExploration(group, { x: 2, z: 1 }, roomGrid);
+    assertEqual(group.aiState, 'pursuing', 'state after the sighting');
+    assertEqual({ x: group.gridX, z: group.gridZ }, { x: 2, z: 4 }, 'stepped toward the party');
+    assertEqual(group.lastSeen, { x: 2, z: 1 }, 'last seen');
+
+    // Party slips behind the pillar and out of range
+    ai.updateExploration(group, { x: 7, z: 2 }, roomGrid);
+    assertEqual(group.aiState, 'returning', 'state after losing the party');
+    ai.updateExploration(group, { x: 7, z: 2 }, roomGrid);
+    assertEqual(group.aiState, 'idle', 'state once home');
+    assertEqual({ x: group.gridX, z: group.gridZ }, { x: 2, z: 5 }, 'back at base');
+});
+
+await test('the party gets the surprise walking into an unaware group from behind', async () => {
+    const system = createSystem();
+    const group = roamer(2, 3, Dir.NORTH);
+    assertEqual(system.getSurprise(group, { x: 2, z: 4 }, Dir.NORTH, 'party'), 'party', 'from behind');
+    assertEqual(system.getSurprise(group, { x: 2, z: 2 }, Dir.SOUTH, 'party'), null, 'head on');
+    group.aiState = 'pursuing';
+    assertEqual(system.getSurprise(group, { x: 2, z: 4 }, Dir.NORTH, 'party'), null, 'group already pursuing');
+});
+
+await test('a group reaching the party from behind gets the surprise', async () => {
+    const system = createSystem();
+    assertEqual(system.getSurprise(roamer(2, 5, Dir.NORTH), { x: 2, z: 4 }, Dir.NORTH, 'enemies'), 'enemies', 'from behind');
+    assertEqual(system.getSurprise(roamer(2, 3, Dir.SOUTH), { x: 2, z: 4 }, Dir.NORTH, 'enemies'), null, 'from the front');
+});
+
+await test('stepping next to a group starts its fight and takes it off the map', async () => {
+    rng.setSeed(1234);
+    const system = createSystem();
+    system.gridSystem = roomGrid;
+    system.movesSinceEncounter = 0;
+    system._placedMarkers.set('g1', roamer(2, 3, Dir.NORTH));
+    system.triggerEncounter = async (encounter) => encounter;
+    const encounter = await system.checkForEncounter({ x: 2, z: 4 }, LEVEL, Dir.NORTH);
+    assertEqual([encounter?.type, encounter?.groupId, encounter?.surprise], ['roaming', 'g1', 'party'], 'encounter');
+    assertEqual(system.getPlacedMarkers(), [], 'markers left');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
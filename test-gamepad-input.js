@@ -0,0 +1,249 @@
+/**
+ * Input tests — drives GamepadInput with a mocked navigator.getGamepads and
+ * checks the actions it feeds InputManager per context (explore / combat /
+ * menu), plus key rebinding persistence and conflict detection.
+ * Run: node test-gamepad-input.js
+ */
+
+// Minimal browser shims — InputManager listens on document and persists to localStorage
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+globalThis.document = Object.assign(new EventTarget(), { activeElement: null });
+globalThis.KeyboardEvent ??= class KeyboardEvent extends Event {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.code = init.code ?? '';
+        this.key = init.key ?? '';
+    }
+};
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (k) => storage.has(k) ? storage.get(k) : null,
+    setItem: (k, v) => storage.set(k, String(v)),
+    removeItem: (k) => storage.delete(k),
+};
+
+// Mocked Gamepad API: one standard-mapping pad whose state the tests set
+let pads = [];
+Object.defineProperty(globalThis, 'navigator', {
+    value: { getGamepads: () => pads },
+    configurable: true,
+});
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const { InputManager } = await import('./src/engine/managers/InputManager.js');
+const { GamepadInput, PAD_BUTTONS } = await import('./src/engine/managers/GamepadInput.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) throw new Error(`${message}: expected ${e}, got ${a}`);
+}
+
+/** Set the mocked pad: pressed button names and left stick [x, y] */
+function setPad(pressed = [], axes = [0, 0]) {
+    const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+    for (const name of pressed) buttons[PAD_BUTTONS[name]] = { pressed: true, value: 1 };
+    pads = [null, { id: 'Mock Pad (STANDARD GAMEPAD)', mapping: 'standard', connected: true, buttons, axes }];
+}
+
+function setup(context = 'explore') {
+    const input = new InputManager();
+    input.setCooldownDuration(0);
+    const ctx = { current: context };
+    const pad = new GamepadInput(input, { getContext: () => ctx.current, repeatDelay: 300, repeatInterval: 100 });
+    const drain = () => {
+        const types = [];
+        let action;
+        while ((action = input.getNextAction())) types.push(action.type);
+        return types;
+    };
+    return { input, pad, ctx, drain };
+}
+
+print('🎮 GAMEPAD INPUT TESTS');
+print('======================\n');
+
+print('Exploration:');
+test('D-pad and shoulder buttons queue movement actions', () => {
+    const { pad, drain } = setup();
+    setPad(['UP']);   pad.poll(0);
+    setPad([]);       pad.poll(10);
+    setPad(['LB']);   pad.poll(20);
+    setPad(['RIGHT']); pad.poll(30);
+    assertEqual(drain(), ['forward', 'strafeLeft', 'turnRight'], 'queued actions');
+});
+
+test('left stick past the deadzone acts as the D-pad', () => {
+    const { pad, drain } = setup();
+    setPad([], [0.3, -0.2]); pad.poll(0);
+    assertEqual(drain(), [], 'inside deadzone');
+    setPad([], [-0.9, 0]); pad.poll(10);
+    setPad([], [0, 0]);    pad.poll(20);
+    setPad([], [0, 0.8]);  pad.poll(30);
+    assertEqual(drain(), ['turnLeft', 'backward'], 'stick actions');
+});
+
+test('held movement repeats after the delay, then at the interval', () => {
+    const { pad, drain } = setup();
+    setPad(['UP']);
+    for (const t of [0, 100, 299, 300, 350, 400, 500]) pad.poll(t);
+    assertEqual(drain(), ['forward', 'forward', 'forward', 'forward'], 'fires at 0, 300, 400, 500');
+});
+
+test('face buttons fire once per press', () => {
+    const { pad, drain } = setup();
+    setPad(['A']);
+    for (const t of [0, 400, 800]) pad.poll(t);
+    setPad([]);    pad.poll(900);
+    setPad(['A']); pad.poll(1000);
+    setPad(['Y', 'START']); pad.poll(1100);
+    assertEqual(drain(), ['interact', 'interact', 'openInventory', 'openMenu'], 'one per press');
+});
+
+test('blocked movement is retried while the button is held', () => {
+    const { input, pad, drain } = setup();
+    input.blockInput();
+    setPad(['UP']); pad.poll(0);
+    assertEqual(drain(), [], 'nothing while blocked');
+    input.unblockInput();
+    pad.poll(16);
+    assertEqual(drain(), ['forward'], 'fires on the first poll after unblock');
+});
+
+test('no pad, or a pad with only null slots, does nothing', () => {
+    const { pad, drain } = setup();
+    pads = [];
+    assertEqual(pad.poll(0), [], 'empty list');
+    pads = [null, null];
+    assertEqual(pad.poll(10), [], 'null slots');
+    assert(!pad.isConnected(), 'reports disconnected');
+    assertEqual(drain(), [], 'queue');
+});
+
+print('\nCombat:');
+test('A / X / Y / LB / RB map to combat actions 1-5', () => {
+    const { pad, drain } = setup('combat');
+    let t = 0;
+    for (const btn of ['A', 'X', 'Y', 'LB', 'RB']) {
+        setPad([btn]); pad.poll(t += 10);
+        setPad([]);    pad.poll(t += 10);
+    }
+    assertEqual(drain(), ['combatAction1', 'combatAction2', 'combatAction3', 'combatAction4', 'combatAction5'], 'combat actions');
+});
+
+test('B cancels targeting with a synthetic Escape', () => {
+    const { pad, drain } = setup('combat');
+    const keys = [];
+    const onKey = (e) => keys.push(e.key);
+    document.addEventListener('keydown', onKey);
+    setPad(['B']); pad.poll(0);
+    document.removeEventListener('keydown', onKey);
+    assertEqual(keys, ['Escape'], 'keydown key');
+    assertEqual(drain(), [], 'Escape is not queued as openMenu');
+});
+
+print('\nMenus:');
+test('D-pad, A and B become arrow / Enter / Escape keydowns for open screens', () => {
+    const { pad, drain } = setup('menu');
+    const codes = [];
+    const onKey = (e) => codes.push(e.code);
+    document.addEventListener('keydown', onKey);
+    let t = 0;
+    for (const btn of ['DOWN', 'UP', 'A', 'B']) {
+        setPad([btn]); pad.poll(t += 10);
+        setPad([]);    pad.poll(t += 10);
+    }
+    document.removeEventListener('keydown', onKey);
+    assertEqual(codes, ['ArrowDown', 'ArrowUp', 'Enter', 'Escape'], 'synthetic keys');
+    assertEqual(drain(), [], 'menu keys never reach the movement queue');
+});
+
+test('menu navigation works while movement input is blocked', () => {
+    const { input, pad } = setup('menu');
+    input.blockInput();
+    setPad(['DOWN']);
+    assertEqual(pad.poll(0), ['menuDown'], 'accepted');
+});
+
+test('a button held across a context change waits for release', () => {
+    const { pad, ctx, drain } = setup('explore');
+    setPad(['A']); pad.poll(0);
+    ctx.current = 'combat';
+    pad.poll(10);
+    setPad([]);    pad.poll(20);
+    setPad(['A']); pad.poll(30);
+    assertEqual(drain(), ['interact', 'combatAction1'], 'no combat action from the held interact press');
+});
+
+print('\nKey bindings:');
+test('rebinding updates the key map and persists only changed actions', () => {
+    storage.clear();
+    const input = new InputManager();
+    const result = input.setBinding('openInventory', 0, 'KeyB');
+    assert(result.success, result.error);
+    assertEqual(input.keyMap.KeyB, 'openInventory', 'new key');
+    assert(!('KeyI' in input.keyMap), 'old key released');
+    assertEqual(JSON.parse(storage.get('dungeonKeyBindings')), { openInventory: ['KeyB'] }, 'stored overrides');
+
+    const reloaded = new InputManager();
+    assertEqual(reloaded.keyMap.KeyB, 'openInventory', 'loaded from storage');
+    assertEqual(reloaded.getBindings().forward, ['KeyW', 'ArrowUp'], 'untouched actions keep defaults');
+});
+
+test('binding a key used elsewhere is flagged as a conflict; the earlier action keeps it', () => {
+    storage.clear();
+    const input = new InputManager();
+    const result = input.setBinding('openMap', 1, 'KeyW');
+    assert(result.success, 'accepted');
+    assertEqual(result.conflicts, [{ code: 'KeyW', actions: ['forward', 'openMap'] }], 'reported conflict');
+    assertEqual(input.keyMap.KeyW, 'forward', 'forward still fires');
+    input.setBinding('openMap', 1, null);
+    assertEqual(input.findConflicts(), [], 'cleared');
+});
+
+test('reserved keys are refused and reset restores defaults', () => {
+    storage.clear();
+    const input = new InputManager();
+    const refused = input.setBinding('interact', 0, 'F1');
+    assert(!refused.success && /reserved/.test(refused.error), 'F1 refused');
+    input.setBinding('interact', 0, 'KeyF');
+    input.resetBindings();
+    assertEqual(input.getBindings().interact, ['Space'], 'default restored');
+    assert(!storage.has('dungeonKeyBindings'), 'storage cleared');
+});
+
+test('the same key in both slots of one action collapses to one', () => {
+    storage.clear();
+    const input = new InputManager();
+    input.setBinding('forward', 1, 'KeyW');
+    assertEqual(input.getBindings().forward, ['KeyW'], 'deduplicated');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,208 @@
+/**
+ * Item affix and set tests — rollAffixes by rarity, item category and level,
+ * applyAffixes/removeAffixes on item instances, the resistance cap on what
+ * equipment can grant, and set bonus tiers by pieces worn.
+ * Run: node test-item-affixes.js
+ */
+
+// Minimal window shim — EventBus dispatches window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const {
+    ITEM_AFFIXES, AFFIX_RESISTANCE_CAP, rollAffixes, resolveAffix, applyAffixes, removeAffixes, getAffixBonuses
+} = await import('./src/engine/inventory/ItemAffixes.js');
+const { itemDatabase } = await import('./src/engine/inventory/ItemDatabase.js');
+const { Character } = await import('./src/engine/character/Character.js');
+const { rng, RNGStreams } = await import('./src/engine/utils/RNG.js');
+
+const lootRng = rng.stream(RNGStreams.LOOT);
+
+const affix = (id, level = 1, rarity = 'uncommon') =>
+    resolveAffix(ITEM_AFFIXES.find(entry => entry.id === id), level, rarity);
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+print('✨ ITEM AFFIX & SET TESTS');
+print('=========================');
+
+print('\nrollAffixes:');
+await test('common items roll no affixes', async () => {
+    rng.setSeed(1234);
+    assertEqual(rollAffixes(itemDatabase.createItem('sword_basic'), 5, 'common', lootRng), [], 'affixes');
+});
+
+await test('uncommon items get one affix, rare and epic a prefix then a suffix', async () => {
+    rng.setSeed(1234);
+    const sword = itemDatabase.createItem('sword_basic');
+    for (let i = 0; i < 50; i++) {
+        assertEqual(rollAffixes(sword, 5, 'uncommon', lootRng).length, 1, 'uncommon count');
+        assertEqual(rollAffixes(sword, 5, 'rare', lootRng).map(a => a.kind), ['prefix', 'suffix'], 'rare kinds');
+        assertEqual(rollAffixes(sword, 5, 'epic', lootRng).map(a => a.kind), ['prefix', 'suffix'], 'epic kinds');
+    }
+});
+
+await test('only affixes for the item\'s category, level and rarity roll', async () => {
+    rng.setSeed(1234);
+    const armor = itemDatabase.createItem('leather_armor');
+    const rolled = new Set();
+    for (let i = 0; i < 300; i++) {
+        for (const a of rollAffixes(armor, 1, 'uncommon', lootRng)) rolled.add(a.id);
+    }
+    for (const id of rolled) {
+        const definition = ITEM_AFFIXES.find(entry => entry.id === id);
+        assert(definition.appliesTo.includes('body'), `${id} does not apply to body armour`);
+        assert(definition.minLevel <= 1, `${id} needs level ${definition.minLevel}`);
+        assert(definition.weights.uncommon > 0, `${id} never rolls on uncommon`);
+    }
+    assert(rolled.has('sturdy') && rolled.has('of_the_bear'), `pool looks too small: ${[...rolled]}`);
+});
+
+await test('affixes with a maxLevel stop rolling above it', async () => {
+    rng.setSeed(1234);
+    const armor = itemDatabase.createItem('leather_armor');
+    for (let i = 0; i < 300; i++) {
+        assert(!rollAffixes(armor, 9, 'rare', lootRng).some(a => a.id === 'sturdy'), 'sturdy rolled at level 9');
+    }
+});
+
+await test('the same seed rolls the same affixes', async () => {
+    const sword = itemDatabase.createItem('sword_basic');
+    rng.setSeed('replay');
+    const first = Array.from({ length: 10 }, () => rollAffixes(sword, 6, 'epic', lootRng));
+    rng.setSeed('replay');
+    const second = Array.from({ length: 10 }, () => rollAffixes(sword, 6, 'epic', lootRng));
+    assertEqual(second, first, 'affixes');
+});
+
+await test('values scale with item level and rarity power', async () => {
+    assertEqual(affix('sturdy', 1).effects.stats, { DEF: 2 }, 'level 1 uncommon');
+    assertEqual(affix('sturdy', 5).effects.stats, { DEF: 4 }, 'level 5 uncommon');
+    assertEqual(affix('sturdy', 5, 'epic').effects.stats, { DEF: 6 }, 'level 5 epic');
+    assertEqual(affix('of_the_salamander', 6, 'rare').effects.resistances, { Fire: 0.25 }, 'fraction keeps two decimals');
+});
+
+print('\napplyAffixes / removeAffixes:');
+await test('affixes rename the item, fold stats in and raise its value', async () => {
+    const sword = itemDatabase.createItem('sword_basic');
+    applyAffixes(sword, [affix('flaming'), affix('of_the_bear')]);
+    assertEqual(sword.name, 'Flaming Basic Sword of the Bear', 'name');
+    assertEqual(sword.baseName, 'Basic Sword', 'base name');
+    assertEqual(sword.stats, { ATK: 10, HP: 8 }, 'stats');
+    assertEqual(sword.value, 75, 'value');
+    assertEqual(itemDatabase.getItem('sword_basic').stats, { ATK: 10 }, 'template stats');
+});
+
+await test('no affixes leaves the item alone', async () => {
+    const sword = itemDatabase.createItem('sword_basic');
+    applyAffixes(sword, []);
+    assertEqual([sword.name, sword.value, sword.affixes], ['Basic Sword', 50, undefined], 'item');
+});
+
+await test('removeAffixes undoes applyAffixes', async () => {
+    const armor = itemDatabase.createItem('leather_armor');
+    applyAffixes(armor, [affix('sturdy', 5), affix('of_the_bear', 5)]);
+    removeAffixes(armor);
+    assertEqual([armor.name, armor.stats, armor.value, armor.affixes], ['Leather Armor', { DEF: 5, HP: 10 }, 40, []], 'item');
+});
+
+print('\nResistance cap:');
+const resistant = (element, amount) => ({
+    id: `${element}_${amount}`, name: 'Test', kind: 'suffix', effects: { resistances: { [element]: amount } }
+});
+
+await test('stacked affix resistances stop at the cap', async () => {
+    const equipment = {
+        head: { affixes: [resistant('Fire', 0.4)] },
+        body: { affixes: [resistant('Fire', 0.5)] },
+        feet: { affixes: [resistant('Ice', 0.2)] }
+    };
+    assertEqual(getAffixBonuses({ equipment }).resistances, { Fire: AFFIX_RESISTANCE_CAP, Ice: 0.2 }, 'resistances');
+});
+
+await test('affix and set resistances together stop at the cap', async () => {
+    const hero = new Character('warrior', 'Ana');
+    hero.equipment.body = { id: 'robe', stats: {}, affixes: [resistant('Dark', 0.6)] };
+    hero.recalculateStats();
+    hero.setBonuses = { ...hero.setBonuses, resistances: { Dark: 0.5 } };
+    assertEqual(hero.takeDamageWithElement(100, 'Dark'), 25, 'capped damage');
+    assertEqual(hero.takeDamageWithElement(10, 'Fire', [{ element: 'Dark', amount: 40 }]), 20, 'capped bonus component');
+});
+
+print('\nSet bonuses:');
+const wearing = (...ids) => Object.fromEntries(ids.map((id, i) => [`slot${i}`, itemDatabase.createItem(id)]));
+
+await test('one piece activates nothing', async () => {
+    assertEqual(itemDatabase.getSetBonuses(wearing('warden_helm')), { stats: {}, resistances: {}, skills: [] }, 'bonuses');
+    const [progress] = itemDatabase.getSetProgress(wearing('warden_helm'));
+    assertEqual([progress.count, progress.total, progress.tiers.map(t => t.active)], [1, 4, [false, false, false]], 'progress');
+});
+
+await test('each tier adds on top of the ones below it', async () => {
+    assertEqual(itemDatabase.getSetBonuses(wearing('warden_helm', 'warden_plate')),
+        { stats: { DEF: 6 }, resistances: {}, skills: [] }, '2 pieces');
+    assertEqual(itemDatabase.getSetBonuses(wearing('warden_helm', 'warden_plate', 'warden_greaves')),
+        { stats: { DEF: 6, HP: 30 }, resistances: { Dark: 0.2 }, skills: [] }, '3 pieces');
+    assertEqual(itemDatabase.getSetBonuses(wearing('warden_helm', 'warden_plate', 'warden_greaves', 'warden_bulwark')),
+        { stats: { DEF: 6, HP: 30 }, resistances: { Dark: 0.2 }, skills: ['iron_will'] }, '4 pieces');
+});
+
+await test('two copies of one piece count once', async () => {
+    assertEqual(itemDatabase.getSetBonuses(wearing('warden_helm', 'warden_helm')).stats, {}, 'bonus stats');
+});
+
+await test('pieces of different sets are counted per set', async () => {
+    const mixed = wearing('warden_helm', 'warden_plate', 'nightstalker_hood', 'nightstalker_treads');
+    assertEqual(itemDatabase.getSetBonuses(mixed).stats, { DEF: 6, SPD: 4 }, 'bonus stats');
+});
+
+await test('a character gains the set stats and skill, and loses the skill when the set breaks', async () => {
+    const hero = new Character('warrior', 'Ana');
+    Object.assign(hero.equipment, {
+        head: itemDatabase.createItem('warden_helm'),
+        body: itemDatabase.createItem('warden_plate'),
+        feet: itemDatabase.createItem('warden_greaves'),
+        offHand: itemDatabase.createItem('warden_bulwark')
+    });
+    hero.recalculateStats();
+    assertEqual(hero.stats.DEF, hero.baseStats.DEF + 7 + 18 + 6 + 12 + 6, 'DEF with the set');
+    const granted = hero.skills.find(skill => skill.id === 'iron_will');
+    assert(granted?.grantedBySet, 'iron_will not granted by the set');
+    assert(!hero.unlockedSkills.includes('iron_will'), 'a granted skill must not be saved as unlocked');
+
+    hero.equipment.offHand = null;
+    hero.recalculateStats();
+    assert(!hero.skills.some(skill => skill.id === 'iron_will'), 'iron_will kept after the set broke');
+    assertEqual(hero.setBonuses.resistances, { Dark: 0.2 }, '3-piece resistances still active');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,287 @@
+/**
+ * NPC schedule tests — loads rosters through NPCEngine.loadForDungeon (fetch
+ * mocked) onto a small mock grid and steps NPCEngine.updateSchedules: which
+ * entry a phase or flag selects, patrol stepping, companion follow and what
+ * blocks a step. Run: node test-npc-schedules.js
+ */
+
+// Minimal window shim — EventBus dispatches window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+// NPC files served by the mocked fetch, keyed by path
+const files = new Map();
+globalThis.fetch = async (path) => ({
+    ok: files.has(path),
+    json: async () => JSON.parse(JSON.stringify(files.get(path)))
+});
+
+const { NPCEngine } = await import('./src/engine/npc/NPCEngine.js');
+const { NPCState } = await import('./src/engine/npc/NPCBehavior.js');
+
+// 9x7 room: '#' wall, 'T' stairs, '.' floor — the wall at x=4 has a gap at z=5
+const MAP = [
+    '#########',
+    '#...#...#',
+    '#...#...#',
+    '#...#..T#',
+    '#...#...#',
+    '#.......#',
+    '#########'
+];
+const grid = {
+    getTile: (x, z) => {
+        const c = MAP[z]?.[x];
+        if (c === undefined) return null;
+        return { type: c === '#' ? 'wall' : c === 'T' ? 'transition' : 'floor' };
+    },
+    isWalkable: (x, z) => MAP[z]?.[x] !== undefined && MAP[z][x] !== '#'
+};
+
+function mockCampaign({ phase = null, flags = [] } = {}) {
+    return {
+        campaignData: {},
+        phase,
+        flags: new Set(flags),
+        isContentAvailable: () => true,
+        getWorldFlag(flag) { return this.flags.has(flag); },
+        getCurrentPhase() { return this.phase ? { id: this.phase } : null; },
+        getCampaignVariable: () => undefined
+    };
+}
+
+async function setup(npcs, campaign = mockCampaign(), floor = null) {
+    files.clear();
+    files.set('npcs/test-dungeon/npcs.json', { npcs });
+    const engine = new NPCEngine(campaign, null, grid);
+    await engine.loadForDungeon('test-dungeon', floor);
+    return engine;
+}
+
+function walk(engine, partyPos, steps) {
+    for (let i = 0; i < steps; i++) engine.updateSchedules(partyPos);
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+const FAR = { x: 7, z: 1 }; // party tile out of everyone's way
+
+const guard = {
+    id: 'guard',
+    position: { x: 1, z: 1 },
+    schedule: [
+        { condition: { phase: 'siege' }, mode: 'stay', position: { x: 3, z: 4 } },
+        { condition: { flag: 'gate_open' }, mode: 'stay', position: { x: 1, z: 4 } }
+    ]
+};
+
+print('🗓️  NPC SCHEDULE TESTS');
+print('======================');
+
+print('\nPhase / flag position selection:');
+await test('no matching entry keeps the NPC at home', async () => {
+    const engine = await setup([guard]);
+    walk(engine, FAR, 3);
+    assertEqual(engine.npcs.get('guard').position, { x: 1, z: 1 }, 'position');
+    assertEqual(engine.npcs.get('guard').behavior.state, NPCState.IDLE, 'state');
+});
+
+await test('an entry active at spawn places the NPC on its position', async () => {
+    const engine = await setup([guard], mockCampaign({ phase: 'siege' }));
+    assertEqual(engine.npcs.get('guard').position, { x: 3, z: 4 }, 'position');
+    assert(engine.getNPCAtPosition(3, 4)?.id === 'guard', 'position index not updated');
+});
+
+await test('the first entry whose condition holds wins', async () => {
+    const engine = await setup([guard], mockCampaign({ phase: 'siege', flags: ['gate_open'] }));
+    assertEqual(engine.npcs.get('guard').position, { x: 3, z: 4 }, 'position');
+});
+
+await test('a flag set mid-game walks the NPC to the new position one tile per step', async () => {
+    const campaign = mockCampaign();
+    const engine = await setup([guard], campaign);
+    campaign.flags.add('gate_open');
+    const npc = engine.npcs.get('guard');
+    walk(engine, FAR, 1);
+    assertEqual(npc.position, { x: 1, z: 2 }, 'after one step');
+    walk(engine, FAR, 5);
+    assertEqual(npc.position, { x: 1, z: 4 }, 'after arriving');
+});
+
+await test('clearing the condition sends the NPC back home', async () => {
+    const campaign = mockCampaign({ flags: ['gate_open'] });
+    const engine = await setup([guard], campaign);
+    campaign.flags.delete('gate_open');
+    walk(engine, FAR, 3);
+    assertEqual(engine.npcs.get('guard').position, { x: 1, z: 1 }, 'position');
+});
+
+await test('an NPC in dialogue does not move', async () => {
+    const campaign = mockCampaign();
+    const engine = await setup([guard], campaign);
+    const npc = engine.npcs.get('guard');
+    npc.behavior.transition(NPCState.INTERACTING);
+    campaign.flags.add('gate_open');
+    walk(engine, FAR, 3);
+    assertEqual(npc.position, { x: 1, z: 1 }, 'position');
+});
+
+print('\nPatrol stepping:');
+const sentry = (loop) => ({
+    id: 'sentry',
+    position: { x: 1, z: 1 },
+    schedule: [{ mode: 'patrol', loop, path: [{ x: 1, z: 1 }, { x: 3, z: 1 }, { x: 3, z: 2 }] }]
+});
+
+await test('walks the path waypoint to waypoint, one tile per step', async () => {
+    const engine = await setup([sentry(true)]);
+    const npc = engine.npcs.get('sentry');
+    assertEqual(npc.behavior.state, NPCState.IDLE, 'state before the first step');
+    const trail = [];
+    for (let i = 0; i < 3; i++) {
+        engine.updateSchedules(FAR);
+        trail.push({ ...npc.position });
+    }
+    assertEqual(trail, [{ x: 2, z: 1 }, { x: 3, z: 1 }, { x: 3, z: 2 }], 'trail');
+    assertEqual(npc.behavior.state, NPCState.PATROLLING, 'state');
+});
+
+await test('a looping path wraps back to the first waypoint', async () => {
+    const engine = await setup([sentry(true)]);
+    const npc = engine.npcs.get('sentry');
+    walk(engine, FAR, 3);
+    engine.updateSchedules(FAR);
+    assertEqual(npc.patrolIndex, 0, 'waypoint after the last one');
+    walk(engine, FAR, 2);
+    assertEqual(npc.position, { x: 1, z: 1 }, 'back at the start');
+});
+
+await test('a non-looping path is walked back the way it came', async () => {
+    const engine = await setup([sentry(false)]);
+    const npc = engine.npcs.get('sentry');
+    walk(engine, FAR, 4);
+    assertEqual(npc.patrolIndex, 1, 'waypoint after the last one');
+    assertEqual(npc.position, { x: 3, z: 1 }, 'position');
+    assertEqual(npc.patrolStep, -1, 'direction');
+});
+
+await test('routes around walls through the gap', async () => {
+    const engine = await setup([{
+        id: 'runner',
+        position: { x: 1, z: 1 },
+        schedule: [{ mode: 'patrol', path: [{ x: 3, z: 1 }, { x: 5, z: 1 }] }]
+    }]);
+    const npc = engine.npcs.get('runner');
+    assertEqual(npc.position, { x: 3, z: 1 }, 'spawned on the first waypoint');
+    walk(engine, FAR, 5);
+    assertEqual(npc.position, { x: 4, z: 5 }, 'through the gap');
+    walk(engine, FAR, 5);
+    assertEqual(npc.position, { x: 5, z: 1 }, 'at the waypoint');
+});
+
+print('\nCompanion follow:');
+const companion = {
+    id: 'companion',
+    position: { x: 1, z: 1 },
+    schedule: [{ mode: 'follow', distance: 1 }]
+};
+
+await test('closes in on the party without stepping onto it', async () => {
+    const engine = await setup([companion]);
+    const npc = engine.npcs.get('companion');
+    const party = { x: 1, z: 4 };
+    walk(engine, party, 5);
+    assertEqual(npc.position, { x: 1, z: 3 }, 'position');
+    assertEqual(npc.behavior.state, NPCState.FOLLOWING, 'state');
+});
+
+await test('keeps up as the party moves away', async () => {
+    const engine = await setup([companion]);
+    const npc = engine.npcs.get('companion');
+    const route = [{ x: 1, z: 2 }, { x: 1, z: 3 }, { x: 1, z: 4 }, { x: 1, z: 5 }, { x: 2, z: 5 }];
+    for (const party of route) {
+        engine.updateSchedules(party);
+        const distance = Math.abs(npc.position.x - party.x) + Math.abs(npc.position.z - party.z);
+        assert(distance === 1, `party at ${party.x},${party.z}, companion at ${npc.position.x},${npc.position.z}`);
+    }
+});
+
+await test('a wider distance lets the companion hang back', async () => {
+    const engine = await setup([{ ...companion, schedule: [{ mode: 'follow', distance: 3 }] }]);
+    walk(engine, { x: 1, z: 3 }, 3);
+    assertEqual(engine.npcs.get('companion').position, { x: 1, z: 1 }, 'position');
+});
+
+print('\nBlocked tiles:');
+await test('NPCs do not step onto each other', async () => {
+    const engine = await setup([
+        { id: 'a', position: { x: 1, z: 1 }, schedule: [{ mode: 'stay', position: { x: 2, z: 1 } }] },
+        { id: 'b', position: { x: 3, z: 1 }, schedule: [{ mode: 'stay', position: { x: 2, z: 1 } }] }
+    ]);
+    walk(engine, FAR, 3);
+    assertEqual(engine.npcs.get('a').position, { x: 2, z: 1 }, 'first NPC');
+    assert(engine.npcs.get('b').position.x === 3, 'second NPC took the occupied tile');
+});
+
+await test('stairs and roaming enemy groups block a step', async () => {
+    const campaign = mockCampaign();
+    const engine = await setup([{
+        id: 'trader',
+        position: { x: 7, z: 2 },
+        schedule: [{ condition: { flag: 'market_day' }, mode: 'stay', position: { x: 7, z: 4 } }]
+    }], campaign);
+    engine.encounterSystem = { getPlacedMarkers: () => [{ id: 'g1', x: 6, z: 3 }] };
+    campaign.flags.add('market_day');
+    const npc = engine.npcs.get('trader');
+    const trail = [];
+    for (let i = 0; i < 6; i++) {
+        engine.updateSchedules(FAR);
+        trail.push(`${npc.position.x},${npc.position.z}`);
+    }
+    assert(!trail.includes('7,3'), `walked over the stairs: ${trail.join(' ')}`);
+    assert(!trail.includes('6,3'), `walked into the roaming group: ${trail.join(' ')}`);
+    assertEqual(npc.position, { x: 7, z: 4 }, 'arrives the long way round');
+});
+
+print('\nLoading:');
+await test('the current floor\'s NPC file is loaded with the dungeon-wide one', async () => {
+    files.clear();
+    files.set('npcs/test-dungeon/npcs.json', { npcs: [{ id: 'everywhere', position: { x: 1, z: 1 } }] });
+    files.set('npcs/test-dungeon/floor-2-npcs.json', { npcs: [{ id: 'floor-two', position: { x: 2, z: 1 } }] });
+    const engine = new NPCEngine(mockCampaign(), null, grid);
+    await engine.loadForDungeon('test-dungeon', 2);
+    assertEqual([...engine.npcs.keys()], ['everywhere', 'floor-two'], 'floor 2');
+    await engine.loadForDungeon('test-dungeon', 1);
+    assertEqual([...engine.npcs.keys()], ['everywhere'], 'floor 1');
+});
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,136 @@
+/**
+ * Save migration tests — loads every fixture in fixtures/saves/ through the
+ * real SaveData.deserialize path and checks it reaches the current version
+ * and restores cleanly. Run: node test-save-migrations.js
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+
+// Minimal window shim — PartyManager and EventBus dispatch window events
+globalThis.window = globalThis;
+const events = new EventTarget();
+globalThis.addEventListener = events.addEventListener.bind(events);
+globalThis.removeEventListener = events.removeEventListener.bind(events);
+globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = console.error = () => {};
+
+const { SaveData } = await import('./src/engine/save/SaveData.js');
+const { SaveValidator } = await import('./src/engine/save/SaveValidator.js');
+const { CURRENT_SAVE_VERSION, SAVE_MIGRATIONS, SaveMigrator } = await import('./src/engine/save/SaveMigrations.js');
+const { Character } = await import('./src/engine/character/Character.js');
+const { PartyManager } = await import('./src/engine/character/PartyManager.js');
+const { QuestGraph } = await import('./src/engine/campaign/QuestGraph.js');
+
+const FIXTURE_DIR = './fixtures/saves';
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        passed++;
+        print(`  ✅ ${name}`);
+    } catch (error) {
+        failed++;
+        print(`  ❌ ${name}\n     ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+print('💾 SAVE MIGRATION TESTS');
+print('=======================');
+print(`Current save version: ${CURRENT_SAVE_VERSION}\n`);
+
+print('Migration chain:');
+test('steps are contiguous and end at the current version', () => {
+    for (let i = 1; i < SAVE_MIGRATIONS.length; i++) {
+        assert(SAVE_MIGRATIONS[i].from === SAVE_MIGRATIONS[i - 1].to,
+            `step ${i} starts at ${SAVE_MIGRATIONS[i].from}, previous ends at ${SAVE_MIGRATIONS[i - 1].to}`);
+    }
+    assert(SAVE_MIGRATIONS.at(-1).to === CURRENT_SAVE_VERSION,
+        `last step ends at ${SAVE_MIGRATIONS.at(-1).to}, expected ${CURRENT_SAVE_VERSION}`);
+});
+
+test('every earlier version has a fixture', () => {
+    const fixtures = readdirSync(FIXTURE_DIR);
+    for (const step of SAVE_MIGRATIONS) {
+        assert(fixtures.includes(`save-${step.from}.json`), `missing fixture save-${step.from}.json`);
+    }
+});
+
+test('unknown versions are rejected', () => {
+    const data = JSON.parse(readFileSync(`${FIXTURE_DIR}/save-2.0.0.json`, 'utf8'));
+    data.metadata.version = '9.9.9';
+    let error = null;
+    try {
+        SaveData.deserialize(JSON.stringify(data));
+    } catch (e) {
+        error = e;
+    }
+    assert(error?.name === 'SaveMigrationError', `expected SaveMigrationError, got ${error?.name ?? 'no error'}`);
+});
+
+test('current saves pass through untouched', () => {
+    const fresh = new SaveData();
+    const loaded = SaveData.deserialize(fresh.serialize());
+    assert(loaded.metadata.version === CURRENT_SAVE_VERSION, `version ${loaded.metadata.version}`);
+    assert(loaded.metadata.migratedFrom === undefined, 'fresh save marked as migrated');
+});
+
+for (const file of readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const text = readFileSync(`${FIXTURE_DIR}/${file}`, 'utf8');
+    const fixtureVersion = JSON.parse(text).metadata.version;
+    print(`\nFixture ${file} (v${fixtureVersion}):`);
+
+    let saveData = null;
+    test('deserializes to the current version', () => {
+        saveData = SaveData.deserialize(text);
+        assert(saveData.metadata.version === CURRENT_SAVE_VERSION, `version ${saveData.metadata.version}`);
+        assert(saveData.metadata.migratedFrom === fixtureVersion, `migratedFrom ${saveData.metadata.migratedFrom}`);
+        assert(saveData.isCompatible(), 'isCompatible() is false');
+    });
+    if (!saveData) continue;
+
+    test('passes SaveData.validate and SaveValidator', () => {
+        const basic = saveData.validate();
+        assert(basic.isValid, basic.errors.join('; '));
+        const full = new SaveValidator().validate(saveData);
+        assert(full.isValid, full.errors.join('; '));
+    });
+
+    test('restores the party through Character.deserialize', () => {
+        const party = new PartyManager();
+        party.deserialize(saveData.party, data => Character.deserialize(data));
+        const members = party.party.filter(Boolean);
+        assert(members.length > 0, 'no party members restored');
+        const formation = saveData.party.formation;
+        assert(formation && Array.isArray(formation.frontRow) && Array.isArray(formation.backRow), 'missing formation rows');
+    });
+
+    test('restores active quests into QuestGraph', () => {
+        for (const questSave of saveData.campaign?.activeQuests ?? []) {
+            assert(Array.isArray(questSave.activeNodes), `${questSave.questId} has no activeNodes`);
+            const questFile = `./campaigns/${saveData.campaign.campaignId}/quests/${questSave.questId}.json`;
+            const graph = new QuestGraph(JSON.parse(readFileSync(questFile, 'utf8')));
+            graph.restoreFromSave(questSave);
+            for (const nodeId of graph.activeNodes) {
+                assert(graph.nodes.has(nodeId), `unknown active node ${nodeId}`);
+            }
+        }
+    });
+
+    test('re-saving and loading again is stable', () => {
+        const reloaded = SaveData.deserialize(saveData.serialize());
+        assert(reloaded.metadata.version === CURRENT_SAVE_VERSION, `version ${reloaded.metadata.version}`);
+        assert(JSON.stringify(reloaded.party) === JSON.stringify(saveData.party), 'party changed on second load');
+        assert(!SaveMigrator.needsMigration(reloaded.metadata.version), 'still needs migration');
+    });
+}
+
+print(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,126 @@
+/**
+ * Level validator CLI — reachability, key/door ordering and reference checks
+ * for any level JSON (see src/engine/loaders/LevelValidator.js for the rules).
+ *
+ * Usage:
+ *   node validate-levels.js                      # every level in levels/
+ *   node validate-levels.js levels/foo.json ...  # specific files
+ *   node validate-levels.js --deep-crypt=10 --seed=abc   # also generated floors 1-10
+ *
+ * Exits with code 1 if any level has errors.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { basename } from 'path';
+
+// EncounterSystem and friends expect a browser window
+globalThis.window = globalThis;
+
+const print = console.log;
+console.log = console.info = console.debug = console.warn = () => {};
+
+const { LevelValidator } = await import('./src/engine/loaders/LevelValidator.js');
+const { DungeonGenerator, dungeonGenerator } = await import('./src/engine/loaders/DungeonGenerator.js');
+
+const LEVEL_DIR = './levels';
+const NPC_DIR = './npcs';
+const CAMPAIGN_DIR = './campaigns';
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const files = args.filter(a => !a.startsWith('--'));
+const deepCryptFloors = parseInt(option('deep-crypt') ?? '0', 10);
+const seed = option('seed') ?? 'validate-levels';
+
+const levelCache = new Map();
+
+function readJSON(path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Raw campaign tables (campaigns/<id>/encounters.json) — validated as written,
+// before EncounterSystem drops bad entries
+const encounterTables = new Map(readdirSync(CAMPAIGN_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && existsSync(`${CAMPAIGN_DIR}/${entry.name}/encounters.json`))
+    .flatMap(entry => Object.entries(readJSON(`${CAMPAIGN_DIR}/${entry.name}/encounters.json`).tables ?? {})));
+
+/**
+ * Level data for a transition target id, null if it doesn't exist
+ */
+function resolveLevel(id) {
+    if (levelCache.has(id)) return levelCache.get(id);
+    let level = null;
+    if (DungeonGenerator.isGeneratedLevel(id)) {
+        level = dungeonGenerator.generateForLevelId(id, seed);
+    } else if (existsSync(`${LEVEL_DIR}/${id}.json`)) {
+        level = readJSON(`${LEVEL_DIR}/${id}.json`);
+    }
+    levelCache.set(id, level);
+    return level;
+}
+
+/**
+ * NPCs NPCEngine would spawn on this level: npcs/<dungeon>/npcs.json (whole
+ * dungeon) plus npcs/<dungeon>/floor-<n>-npcs.json
+ */
+function npcsFor(level) {
+    const match = (level.id ?? '').match(/^(.*?)-floor-(\d+)$/);
+    if (!match) return [];
+    const [, dungeon, floor] = match;
+    return [`${NPC_DIR}/${dungeon}/npcs.json`, `${NPC_DIR}/${dungeon}/floor-${floor}-npcs.json`]
+        .filter(existsSync)
+        .flatMap(path => readJSON(path).npcs ?? []);
+}
+
+function isLevelFile(path) {
+    try {
+        return Array.isArray(readJSON(path).tiles);
+    } catch {
+        return false;
+    }
+}
+
+const targets = (files.length > 0 ? files : readdirSync(LEVEL_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => `${LEVEL_DIR}/${f}`)
+    .filter(isLevelFile))
+    .map(path => ({ name: basename(path), load: () => readJSON(path) }));
+
+for (let floor = 1; floor <= deepCryptFloors; floor++) {
+    const id = DungeonGenerator.levelId(floor);
+    targets.push({ name: `${id} (seed ${seed})`, load: () => resolveLevel(id) });
+}
+
+print('🗺️  LEVEL VALIDATION');
+print('===================');
+
+let failedLevels = 0;
+let warningCount = 0;
+
+for (const target of targets) {
+    let level;
+    try {
+        level = target.load();
+    } catch (error) {
+        failedLevels++;
+        print(`\n❌ ${target.name}\n   - could not load: ${error.message}`);
+        continue;
+    }
+
+    const validator = new LevelValidator({
+        resolveLevel,
+        npcs: npcsFor(level),
+        encounterTable: encounterTables.get(level.id)
+    });
+    const report = validator.validate(level);
+    warningCount += report.warnings.length;
+    if (!report.isValid) failedLevels++;
+
+    const icon = report.isValid ? (report.warnings.length > 0 ? '⚠️ ' : '✅') : '❌';
+    print(`\n${icon} ${target.name}`);
+    report.errors.forEach(error => print(`   - ${error}`));
+    report.warnings.forEach(warning => print(`   ⚠ ${warning}`));
+}
+
+print(`\n${targets.length} levels checked: ${targets.length - failedLevels} valid, ${failedLevels} with errors, ${warningCount} warnings`);
+process.exitCode = failedLevels === 0 ? 0 : 1;